@@ -8,19 +8,32 @@ const path = require('path');
 const fs = require('fs');
 const express = require('express');
 const Tray = require('./tray');
+const AlertNotifier = require('./notifications');
 
 // Config
-const SERVER_PORT = 8080;
+const DEFAULT_SERVER_PORT = 8080; // Preferred; a free port is used if something else owns it
 const SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
+const ENV_APEX_LOCAL_HOST = process.env.APEX_LOCAL_HOST; // Used when settings have no Apex IP
 
 let mainWindow = null;
 let server = null;
+let serverPort = null; // Port the embedded server actually bound
 let tray = null;
+let tankStatus = null; // Latest 'tank-status' snapshot from the server's alert engine
+let notifier = null; // Desktop alert notifications, fed by whichever server instance is running
 let settings = {
   dataSource: 'simulator', // Default: simulator mode
   windowBounds: { width: 1200, height: 800 },
   fusionCredentials: null,
   apexLocalIp: null,
+  serverPort: DEFAULT_SERVER_PORT,
+  // Tank analysis on a model server on this machine, e.g. { provider: 'ollama', baseUrl, model };
+  // null keeps the AI_PROVIDER default
+  ai: null,
+  notifications: {
+    enabled: true,
+    quietHours: { enabled: false, start: '22:00', end: '07:00', allowCritical: true },
+  },
 };
 
 // ============================================================
@@ -52,34 +65,114 @@ function saveSettings() {
 // EMBEDDED EXPRESS SERVER
 // ============================================================
 
-function startServer() {
-  return new Promise((resolve, reject) => {
+async function startServer() {
+  // Shared settings for the server's modules (read when they first load)
+  process.env.DEMO_MODE = settings.dataSource === 'simulator' ? 'true' : 'false';
+  process.env.APEX_DATA_SOURCE = settings.dataSource;
+  process.env.SYNC_SCHEDULER = 'true';
+  // Keep real data on disk so the desktop app works offline (no GCP credentials)
+  process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+  process.env.DB_PATH = process.env.DB_PATH || path.join(app.getPath('userData'), 'reefmind.db');
+  process.env.SIMULATOR_STATE_FILE = process.env.SIMULATOR_STATE_FILE || path.join(app.getPath('userData'), 'simulator-state.json');
+  // Reset every start, so rolling back to settings without an IP drops the one that failed
+  if (settings.apexLocalIp || ENV_APEX_LOCAL_HOST) {
+    process.env.APEX_LOCAL_HOST = settings.apexLocalIp || ENV_APEX_LOCAL_HOST;
+  } else {
+    delete process.env.APEX_LOCAL_HOST;
+  }
+
+  const { createServer } = require('./server/server.js');
+  const mode = settings.dataSource === 'simulator' ? 'simulator' : 'production';
+
+  const preferredPort = settings.serverPort || DEFAULT_SERVER_PORT;
+
+  console.log(`Starting embedded server on port ${preferredPort}...`);
+  console.log(`Mode: ${mode}`);
+
+  try {
+    const aiProvider = settings.ai && settings.ai.provider ? settings.ai : undefined;
+    server = createServer({ mode, port: preferredPort, portFallback: true, aiProvider });
+    watchServerEvents(server);
+    const { port } = await server.start();
+    serverPort = port;
+    console.log(`✅ Server running at ${serverUrl()}`);
+  } catch (err) {
+    console.error('Failed to start server:', err);
+    server = null;
+    throw err;
+  }
+}
+
+function serverUrl(pathname = '') {
+  return `http://localhost:${serverPort}${pathname}`;
+}
+
+async function stopServer() {
+  if (!server) return;
+
+  console.log('Stopping embedded server...');
+  const stopping = server;
+  server = null;
+  await stopping.stop();
+}
+
+let restarting = Promise.resolve();
+
+// Restart the embedded server under the current settings and tell the renderer to reload
+function restartServer() {
+  restarting = restarting
+    .catch(() => {})
+    .then(async () => {
+      const previousPort = serverPort;
+      await stopServer();
+      tankStatus = null;
+      await startServer();
+
+      if (tray) tray.updateMenu(trayState());
+      if (!mainWindow) return;
+
+      // A new port means a new origin: a plain reload would still point at the old one
+      if (serverPort !== previousPort) {
+        mainWindow.loadURL(serverUrl('/dashboard.html'));
+      } else {
+        mainWindow.webContents.send('data-source-changed', { dataSource: settings.dataSource });
+      }
+    });
+  return restarting;
+}
+
+// Restart under changed server settings. They are saved only once the server is up; if it
+// fails to start, the previous settings come back and their server is started again.
+async function applyServerSettings(changes) {
+  const previous = settings;
+  settings = { ...settings, ...changes };
+
+  try {
+    await restartServer();
+  } catch (err) {
+    console.error('Server failed to start with the new settings, rolling back:', err);
+    settings = previous;
     try {
-      // Set environment for simulator mode
-      process.env.REEFMIND_MODE = settings.dataSource === 'simulator' ? 'simulator' : 'production';
-      process.env.PORT = SERVER_PORT;
-      process.env.DEMO_MODE = settings.dataSource === 'simulator' ? 'true' : 'false';
-      
-      // Require the server (it will auto-start)
-      const serverPath = path.join(__dirname, 'server', 'server.js');
-      
-      console.log(`Starting embedded server on port ${SERVER_PORT}...`);
-      console.log(`Mode: ${process.env.REEFMIND_MODE}`);
-      
-      // The server.js will start listening automatically
-      server = require(serverPath);
-      
-      // Give it a moment to start
-      setTimeout(() => {
-        console.log(`✅ Server running at http://localhost:${SERVER_PORT}`);
-        resolve();
-      }, 1000);
-      
-    } catch (err) {
-      console.error('Failed to start server:', err);
-      reject(err);
+      await restartServer();
+    } catch (rollbackErr) {
+      console.error('❌ Previous server failed to start too:', rollbackErr);
     }
-  });
+    throw err;
+  }
+
+  saveSettings();
+}
+
+async function switchDataSource(dataSource) {
+  if (dataSource === settings.dataSource && server) return;
+
+  console.log(`Data source changed to: ${dataSource}`);
+  try {
+    await applyServerSettings({ dataSource });
+  } catch (err) {
+    // The tray radio already moved to the source that failed
+    if (tray) tray.updateMenu(trayState());
+  }
 }
 
 // ============================================================
@@ -108,7 +201,7 @@ function createWindow() {
   Menu.setApplicationMenu(null);
 
   // Load the dashboard from embedded server
-  mainWindow.loadURL(`http://localhost:${SERVER_PORT}/dashboard.html`);
+  mainWindow.loadURL(serverUrl('/dashboard.html'));
 
   // Save window bounds on resize/move
   mainWindow.on('resize', () => {
@@ -143,8 +236,26 @@ function createWindow() {
 // TRAY MANAGEMENT
 // ============================================================
 
+// Tray colour: red on any critical alert, yellow on warnings, grey before the first reading
+function trayState() {
+  if (!tankStatus) {
+    return { dataSource: settings.dataSource, status: 'grey', params: {}, lastTridentAt: null, alerts: [] };
+  }
+
+  const active = tankStatus.active;
+  const status = active.some(a => a.severity === 'critical') ? 'red' : active.length > 0 ? 'yellow' : 'green';
+  return {
+    dataSource: settings.dataSource,
+    status,
+    params: tankStatus.values,
+    units: tankStatus.units,
+    lastTridentAt: tankStatus.lastTridentAt,
+    alerts: active,
+  };
+}
+
 function createTray() {
-  tray = new Tray(path.join(__dirname, 'build', 'icon.png'));
+  tray = new Tray({ onDataSourceChange: source => switchDataSource(source) });
   
   tray.on('click', () => {
     if (mainWindow) {
@@ -158,14 +269,44 @@ function createTray() {
     }
   });
   
-  tray.updateMenu({
-    dataSource: settings.dataSource,
-    status: 'healthy', // TODO: Get real status from readings
-    params: {
-      ph: '8.32',
-      alk: '8.1',
-      temp: '77.8',
-    },
+  tray.updateMenu(trayState());
+}
+
+// ============================================================
+// ALERT NOTIFICATIONS
+// ============================================================
+
+// Show the dashboard scrolled to a chart (dashboard.html reads #chart=<name>)
+function openDashboard(chart) {
+  if (!mainWindow) {
+    createWindow();
+  }
+  mainWindow.loadURL(serverUrl(`/dashboard.html#chart=${chart}`));
+  mainWindow.show();
+  mainWindow.focus();
+}
+
+// The embedded server shares this process, so alert events arrive on its event bus.
+// Each server instance has its own bus: subscribe to a new one before it starts so the
+// first status snapshot isn't missed.
+function watchServerEvents(instance) {
+  if (!notifier) {
+    notifier = new AlertNotifier({
+      getSettings: () => settings,
+      openDashboard,
+      // Snooze / acknowledge go to whichever server is running now
+      sendAction: action => {
+        if (server) server.events.publish('alert-action', action);
+      },
+    });
+  }
+
+  instance.events.bus.on('alert', event => notifier.handleAlert(event));
+
+  // Every stored reading (manual, background sync) is followed by a status snapshot
+  instance.events.bus.on('tank-status', status => {
+    tankStatus = status;
+    if (tray) tray.updateMenu(trayState());
   });
 }
 
@@ -177,20 +318,31 @@ ipcMain.handle('get-settings', () => {
   return settings;
 });
 
-ipcMain.handle('update-settings', (event, newSettings) => {
+ipcMain.handle('update-settings', async (event, newSettings) => {
+  // The server picks its mode when it is created, so a new source means a restart
+  const sourceChanged = newSettings.dataSource && newSettings.dataSource !== settings.dataSource;
+  const hostChanged = newSettings.apexLocalIp && newSettings.apexLocalIp !== settings.apexLocalIp;
+  const aiChanged = newSettings.ai !== undefined && JSON.stringify(newSettings.ai) !== JSON.stringify(settings.ai);
+  if (sourceChanged || hostChanged || aiChanged) {
+    console.log(`Server settings changed (data source: ${newSettings.dataSource || settings.dataSource})`);
+    try {
+      await applyServerSettings(newSettings);
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+    return { success: true };
+  }
+
   settings = { ...settings, ...newSettings };
   saveSettings();
-  
-  // If data source changed, restart server
-  if (newSettings.dataSource) {
-    console.log(`Data source changed to: ${newSettings.dataSource}`);
-    process.env.REEFMIND_MODE = newSettings.dataSource === 'simulator' ? 'simulator' : 'production';
-    process.env.DEMO_MODE = newSettings.dataSource === 'simulator' ? 'true' : 'false';
-  }
-  
   return { success: true };
 });
 
+// Synchronous so the preload can hand the port to the page before app.js builds API_BASE
+ipcMain.on('get-server-port', (event) => {
+  event.returnValue = serverPort;
+});
+
 ipcMain.handle('show-window', () => {
   if (mainWindow) {
     mainWindow.show();
@@ -228,8 +380,17 @@ app.on('activate', () => {
   }
 });
 
-app.on('before-quit', () => {
+// Hold the quit until the server has closed SQLite and stopped its schedulers
+let quitting = false;
+app.on('before-quit', (event) => {
+  if (quitting) return;
+  event.preventDefault();
+  quitting = true;
   saveSettings();
+
+  stopServer()
+    .catch(err => console.error('Server shutdown failed:', err))
+    .finally(() => app.exit());
 });
 
 // Handle second instance (prevent multiple instances)
@@ -0,0 +1,132 @@
+/**
+ * ReefMind Desktop Notifications
+ * Turns server-side alert events into OS notifications while the app sits in the tray
+ */
+
+const { Notification } = require('electron');
+
+// Which dashboard chart to open for each alert parameter
+const CHART_FOR_PARAM = {
+  alk: 'alk',
+  ca: 'correlation',
+  mg: 'correlation',
+  ph: 'ph',
+  temp: 'parameters',
+};
+
+const SNOOZE_MINUTES = 60;
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    allowCritical: true, // A crashing alk still gets through at night
+  },
+};
+
+// Helper: "HH:MM" → minutes after midnight
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+class AlertNotifier {
+  /**
+   * @param {object} options
+   * @param {function} options.getSettings - () => current settings.json contents
+   * @param {function} options.openDashboard - (chart) => show the window at a chart
+   * @param {function} options.sendAction - ({ userId, tankId, alertId, action, minutes }) => void
+   */
+  constructor({ getSettings, openDashboard, sendAction }) {
+    this.getSettings = getSettings;
+    this.openDashboard = openDashboard;
+    this.sendAction = sendAction;
+
+    // Electron drops click handlers of notifications that get garbage collected
+    this.visible = new Set();
+  }
+
+  settings() {
+    const saved = this.getSettings().notifications || {};
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...saved,
+      quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(saved.quietHours || {}) },
+    };
+  }
+
+  isQuietHours(date = new Date()) {
+    const { quietHours } = this.settings();
+    if (!quietHours.enabled) return false;
+
+    const start = parseClock(quietHours.start);
+    const end = parseClock(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const now = date.getHours() * 60 + date.getMinutes();
+    // Windows like 22:00–07:00 wrap past midnight
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Handle an 'alert' event from the server's event bus
+   * @param {object} event - { userId, tankId, alert, transition, notify }
+   */
+  handleAlert(event) {
+    const { alert, transition } = event;
+    if (!event.notify || transition === 'resolved') return;
+    if (!Notification.isSupported()) return;
+
+    const settings = this.settings();
+    if (!settings.enabled) return;
+    if (this.isQuietHours() && !(settings.quietHours.allowCritical && alert.severity === 'critical')) {
+      console.log(`Alert notification held for quiet hours: ${alert.message}`);
+      return;
+    }
+
+    this.show(event);
+  }
+
+  show({ userId, tankId, alert, transition }) {
+    const heading = { escalated: 'Now critical', reminder: 'Still active' }[transition] || 'ReefMind alert';
+    const title = `${alert.severity === 'critical' ? '🔴' : '🟡'} ${heading}`;
+    const notification = new Notification({
+      title,
+      body: alert.message,
+      urgency: alert.severity === 'critical' ? 'critical' : 'normal',
+      // Action buttons show on macOS; elsewhere clicking opens the dashboard
+      actions: [
+        { type: 'button', text: 'Snooze 1h' },
+        { type: 'button', text: 'Acknowledge' },
+      ],
+    });
+
+    const release = () => this.visible.delete(notification);
+
+    notification.on('click', () => {
+      this.openDashboard(CHART_FOR_PARAM[alert.param] || 'parameters');
+      release();
+    });
+
+    notification.on('action', (e, index) => {
+      this.sendAction({
+        userId,
+        tankId,
+        alertId: alert.id,
+        action: index === 0 ? 'snooze' : 'acknowledge',
+        minutes: SNOOZE_MINUTES,
+      });
+      release();
+    });
+
+    notification.on('close', release);
+
+    this.visible.add(notification);
+    notification.show();
+  }
+}
+
+module.exports = AlertNotifier;
@@ -15,6 +15,12 @@ contextBridge.exposeInMainWorld('electron', {
   // Show main window
   showWindow: () => ipcRenderer.invoke('show-window'),
   
+  // Embedded server restarted under a new data source
+  onDataSourceChanged: (callback) => ipcRenderer.on('data-source-changed', (event, info) => callback(info)),
+  
+  // Port the embedded server is listening on (8080 unless that was taken)
+  serverPort: ipcRenderer.sendSync('get-server-port'),
+  
   // Platform info
   platform: process.platform,
   
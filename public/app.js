@@ -6,9 +6,12 @@
 // ================================================================
 // CONFIGURATION
 // ================================================================
-const API_BASE = window.location.origin.includes('localhost') || window.location.origin.includes('127.0.0.1')
-  ? 'http://localhost:8080'
-  : window.location.origin;
+// The desktop app's embedded server may not get 8080; its preload bridge knows the real port
+const API_BASE = window.electron && window.electron.serverPort
+  ? `http://localhost:${window.electron.serverPort}`
+  : window.location.origin.includes('localhost') || window.location.origin.includes('127.0.0.1')
+    ? 'http://localhost:8080'
+    : window.location.origin;
 
 // ================================================================
 // STATE MANAGEMENT
@@ -97,13 +100,194 @@ if (ElectronApp.isElectron()) {
   document.addEventListener('DOMContentLoaded', () => {
     ElectronApp.showSimulatorBanner();
   });
+
+  // The embedded server came back in another mode: everything on screen is stale
+  if (window.electron.onDataSourceChanged) {
+    window.electron.onDataSourceChanged(() => window.location.reload());
+  }
 }
 
+// ================================================================
+// OFFLINE OUTBOX
+// ================================================================
+// Mutating calls that can't reach the backend wait in IndexedDB and are replayed
+// in order, with their original Idempotency-Key, once it answers again.
+// Listeners get a `reefmind:outbox` window event with { pending, replayed }.
+const Outbox = {
+  DB_NAME: 'reefmind-outbox',
+  STORE: 'requests',
+  RETRY_MS: 30000,
+  
+  // Gateway errors mean the backend (not the request) is the problem
+  RETRY_STATUSES: [502, 503, 504],
+  
+  // Helper: a failed call the backend never got (or couldn't take) is worth retrying
+  shouldQueue(result) {
+    return !result.ok && (!result.status || this.RETRY_STATUSES.includes(result.status));
+  },
+  
+  dbPromise: null,
+  flushing: null,
+  
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  },
+  
+  newKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  },
+  
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          // Auto-increment keys keep replay in the order the calls were made
+          request.result.createObjectStore(this.STORE, { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  },
+  
+  // Helper: run one request against the store and resolve with its result
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(this.STORE, mode).objectStore(this.STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  
+  // Only the signed-in user's calls are replayed (with their token)
+  async list() {
+    const userId = AppState.user ? AppState.user.id : null;
+    const entries = await this.run('readonly', store => store.getAll());
+    return entries.filter(entry => entry.userId === userId);
+  },
+  
+  async add(entry) {
+    await this.run('readwrite', store => store.add({
+      ...entry,
+      userId: AppState.user ? AppState.user.id : null,
+      queuedAt: new Date().toISOString()
+    }));
+    this.notify();
+  },
+  
+  async remove(seq) {
+    await this.run('readwrite', store => store.delete(seq));
+  },
+  
+  async notify(replayed = 0) {
+    let pending = 0;
+    try {
+      pending = (await this.list()).length;
+    } catch (error) {
+      console.error('Outbox unavailable:', error);
+    }
+    window.dispatchEvent(new CustomEvent('reefmind:outbox', { detail: { pending, replayed } }));
+    return pending;
+  },
+  
+  /**
+   * Replay queued calls oldest first; stops at the first one the backend can't take yet
+   * @returns {Promise<{pending: number, replayed: number}>}
+   */
+  flush() {
+    if (!this.isSupported()) return Promise.resolve({ pending: 0, replayed: 0 });
+    if (this.flushing) return this.flushing;
+    
+    this.flushing = (async () => {
+      let replayed = 0;
+      try {
+        for (const entry of await this.list()) {
+          const result = await API.send(entry.endpoint, {
+            method: entry.method,
+            body: entry.body,
+            headers: { 'Idempotency-Key': entry.key }
+          });
+          
+          // Offline again, backend down or signed out: try again later
+          if (!result.ok && (this.shouldQueue(result) || result.status === 401)) break;
+          
+          if (!result.ok) {
+            // Rejected for good (validation, deleted tank): replaying won't change that
+            console.warn(`Dropping queued ${entry.method} ${entry.endpoint}:`, result.error);
+          } else {
+            replayed++;
+          }
+          await this.remove(entry.seq);
+        }
+      } catch (error) {
+        console.error('Outbox replay failed:', error);
+      }
+      
+      const pending = await this.notify(replayed);
+      return { pending, replayed };
+    })().finally(() => {
+      this.flushing = null;
+    });
+    
+    return this.flushing;
+  },
+  
+  init() {
+    if (!this.isSupported()) return;
+    
+    window.addEventListener('online', () => this.flush());
+    setInterval(() => this.flush(), this.RETRY_MS);
+    this.flush();
+  }
+};
+
 // ================================================================
 // API CLIENT
 // ================================================================
 const API = {
+  /**
+   * Make an API call
+   * @param {string} endpoint - Path under API_BASE
+   * @param {object} options - fetch options, plus `queue: true` for mutating calls that may
+   *   wait in the outbox (result is then { ok: true, queued: true, data: null })
+   */
   async request(endpoint, options = {}) {
+    const { queue, ...fetchOptions } = options;
+    if (!queue || !Outbox.isSupported()) {
+      return this.send(endpoint, fetchOptions);
+    }
+    
+    // The same key goes with every attempt so the server can spot a replay it already stored
+    const key = Outbox.newKey();
+    const result = await this.send(endpoint, {
+      ...fetchOptions,
+      headers: { ...fetchOptions.headers, 'Idempotency-Key': key }
+    });
+    
+    if (!Outbox.shouldQueue(result)) {
+      return result;
+    }
+    
+    try {
+      await Outbox.add({
+        key,
+        endpoint,
+        method: fetchOptions.method || 'GET',
+        body: fetchOptions.body || null
+      });
+    } catch (error) {
+      console.error('Could not queue request:', error);
+      return result;
+    }
+    return { ok: true, queued: true, data: null };
+  },
+  
+  // Helper: one fetch, no queueing; a failure without `status` never reached the backend
+  async send(endpoint, options = {}) {
     const headers = {
       'Content-Type': 'application/json',
       ...options.headers
@@ -136,7 +320,7 @@ const API = {
       }
       
       if (!response.ok) {
-        return { ok: false, error: data.error || 'Request failed', status: response.status };
+        return { ok: false, error: data.error || 'Request failed', hint: data.hint, status: response.status };
       }
       
       return { ok: true, data };
@@ -165,6 +349,18 @@ const API = {
     return this.request('/api/auth/me');
   },
   
+  // Display units ({ temperature, alkalinity, salinity, volume })
+  async getPreferences() {
+    return this.request('/api/auth/me/preferences');
+  },
+  
+  async updatePreferences(units) {
+    return this.request('/api/auth/me/preferences', {
+      method: 'PUT',
+      body: JSON.stringify({ units })
+    });
+  },
+  
   // Tanks
   async createTank(tankData) {
     return this.request('/api/tanks', {
@@ -184,7 +380,8 @@ const API = {
   async updateTank(tankId, updates) {
     return this.request(`/api/tanks/${tankId}`, {
       method: 'PUT',
-      body: JSON.stringify(updates)
+      body: JSON.stringify(updates),
+      queue: true
     });
   },
   
@@ -208,7 +405,8 @@ const API = {
   async addReading(tankId, readingData) {
     return this.request(`/api/tanks/${tankId}/readings`, {
       method: 'POST',
-      body: JSON.stringify(readingData)
+      body: JSON.stringify(readingData),
+      queue: true
     });
   },
   
@@ -220,7 +418,8 @@ const API = {
   async addEvent(tankId, eventData) {
     return this.request(`/api/tanks/${tankId}/events`, {
       method: 'POST',
-      body: JSON.stringify(eventData)
+      body: JSON.stringify(eventData),
+      queue: true
     });
   },
   
@@ -231,8 +430,103 @@ const API = {
     });
   },
   
+  // Streamed analysis: onEvent(name, data) hears summary / recommendation / retry / notice as the
+  // model writes; resolves like analyzeTank() with the final analysis. EventSource can't POST or
+  // send the token, so this reads the server-sent events off fetch.
+  async analyzeTankStream(tankId, onEvent) {
+    const headers = {};
+    if (AppState.token) {
+      headers['Authorization'] = `Bearer ${AppState.token}`;
+    }
+    
+    let response;
+    try {
+      response = await fetch(`${API_BASE}/api/tanks/${tankId}/analyze/stream`, { method: 'POST', headers });
+    } catch (error) {
+      console.error('API request failed:', error);
+      return { ok: false, error: error.message || 'Network error' };
+    }
+    
+    // Refused before streaming started (no tank, no readings, auth): a plain JSON error
+    const type = response.headers.get('Content-Type') || '';
+    if (!response.ok || !type.includes('text/event-stream')) {
+      const data = await response.json().catch(() => ({}));
+      return { ok: false, error: data.error || 'Request failed', hint: data.hint, status: response.status };
+    }
+    if (!response.body || !response.body.getReader) {
+      return this.analyzeTank(tankId);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = { ok: false, error: 'Analysis stream ended early' };
+    let notice = null;
+    
+    // Helper: one `event:` / `data:` block
+    const handleBlock = (block) => {
+      let name = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) name = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) return;
+      
+      const payload = JSON.parse(data);
+      if (name === 'analysis') {
+        result = { ok: true, data: { analysis: payload.analysis, notice } };
+      } else if (name === 'error') {
+        result = { ok: false, error: payload.error, hint: payload.hint, status: payload.status };
+      } else {
+        if (name === 'notice') notice = payload;
+        onEvent(name, payload);
+      }
+    };
+    
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          handleBlock(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+        }
+      }
+    } catch (error) {
+      console.error('Analysis stream failed:', error);
+      return { ok: false, error: error.message || 'Network error' };
+    }
+    return result;
+  },
+  
   async getAnalyses(tankId, limit = 10) {
     return this.request(`/api/tanks/${tankId}/analyses?limit=${limit}`);
+  },
+  
+  // Follow-up chat about one analysis
+  async getAnalysisMessages(tankId, analysisId) {
+    return this.request(`/api/tanks/${tankId}/analyses/${analysisId}/messages`);
+  },
+  
+  async sendAnalysisMessage(tankId, analysisId, content) {
+    return this.request(`/api/tanks/${tankId}/analyses/${analysisId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ content })
+    });
+  },
+  
+  // Alkalinity budget (dosing input vs Trident-measured consumption)
+  async getAlkBudget(tankId, days = 7) {
+    return this.request(`/api/tanks/${tankId}/alk-budget?days=${days}`);
+  },
+  
+  // Doser rate changes to reach the alk target (deterministic calculator)
+  async getDosingRecommendation(tankId, days = 7) {
+    return this.request(`/api/tanks/${tankId}/dosing/recommend?days=${days}`);
   }
 };
 
@@ -446,7 +740,86 @@ const DateUtils = {
 // ================================================================
 // PARAMETER COLOR CODING
 // ================================================================
+// The API returns readings and targets already in the user's units; these converters
+// only cover values the dashboard computes itself (mock data, default ranges, budgets)
+const UNIT_OPTIONS = {
+  temperature: {
+    param: 'temp',
+    choices: {
+      F: { label: '°F', convert: v => v, precision: 1 },
+      C: { label: '°C', convert: v => (v - 32) * 5 / 9, precision: 1 }
+    }
+  },
+  alkalinity: {
+    param: 'alk',
+    choices: {
+      dKH: { label: 'dKH', convert: v => v, precision: 1 },
+      'meq/L': { label: 'meq/L', convert: v => v / 2.8, precision: 2 },
+      ppm: { label: 'ppm', convert: v => v * 17.848, precision: 0 }
+    }
+  },
+  salinity: {
+    param: 'salinity',
+    choices: {
+      ppt: { label: 'ppt', convert: v => v, precision: 1 },
+      SG: { label: 'SG', convert: v => 1 + v / 1325.8, precision: 4 },
+      // Needs the PSS-78 inverse; salinity only ever reaches the dashboard from the API
+      'mS/cm': { label: 'mS/cm', convert: null, precision: 1 }
+    }
+  },
+  volume: {
+    param: 'volume',
+    choices: {
+      gal: { label: 'gal', convert: v => v, precision: 0 },
+      L: { label: 'L', convert: v => v * 3.78541, precision: 0 }
+    }
+  }
+};
+
 const ParamUtils = {
+  units: { temperature: 'F', alkalinity: 'dKH', salinity: 'ppt', volume: 'gal' },
+  
+  setUnits(units) {
+    this.units = { ...this.units, ...units };
+  },
+  
+  // Helper: the chosen unit for a parameter (null when it has no preference)
+  unitFor(param) {
+    const key = Object.keys(UNIT_OPTIONS).find(k => UNIT_OPTIONS[k].param === param);
+    return key ? UNIT_OPTIONS[key].choices[this.units[key]] : null;
+  },
+  
+  unitLabel(param) {
+    const unit = this.unitFor(param);
+    if (unit) return unit.label;
+    return { ca: 'mg/L', mg: 'mg/L', no3: 'ppm', po4: 'ppm', orp: 'mV' }[param] || '';
+  },
+  
+  // Canonical (°F, dKH, ppt, gal) → display unit, unrounded
+  convert(param, value) {
+    const unit = this.unitFor(param);
+    if (!unit || !unit.convert || typeof value !== 'number') return value;
+    return unit.convert(value);
+  },
+  
+  // Mock or locally built reading → display units
+  displayReading(reading) {
+    const converted = { ...reading };
+    ['alk', 'temp', 'salinity'].forEach(param => {
+      converted[param] = this.convert(param, reading[param]);
+    });
+    return converted;
+  },
+  
+  // Canonical target ranges → display units
+  displayTargets(targets) {
+    const converted = {};
+    Object.entries(targets).forEach(([param, range]) => {
+      converted[param] = { ...range, min: this.convert(param, range.min), max: this.convert(param, range.max) };
+    });
+    return converted;
+  },
+  
   getStatus(value, min, max) {
     if (value < min) return 'low';
     if (value > max) return 'high';
@@ -467,14 +840,16 @@ const ParamUtils = {
     
     switch (param) {
       case 'alk':
-        return `${value.toFixed(1)} dKH`;
+        return `${value.toFixed(this.unitFor('alk').precision)} ${this.unitLabel('alk')}`;
       case 'ca':
       case 'mg':
         return `${Math.round(value)} mg/L`;
       case 'ph':
         return value.toFixed(2);
       case 'temp':
-        return `${value.toFixed(1)}°F`;
+        return `${value.toFixed(1)}${this.unitLabel('temp')}`;
+      case 'salinity':
+        return `${value.toFixed(this.unitFor('salinity').precision)} ${this.unitLabel('salinity')}`;
       case 'no3':
         return `${value.toFixed(1)} ppm`;
       case 'po4':
@@ -505,12 +880,14 @@ async function connectApex() {
 // ================================================================
 window.ReefMind = {
   API,
+  Outbox,
   AppState,
   UI,
   Nav,
   MockData,
   DateUtils,
   ParamUtils,
+  UNIT_OPTIONS,
   ElectronApp
 };
 
@@ -0,0 +1,146 @@
+/**
+ * Local Apex Simulator — Fake on-box Apex controller for the "Local Apex" data source
+ *
+ * Serves captured status payloads from fixtures/apex-local/<fixture>/:
+ * - GET  /rest/status          — Current firmware REST status (status.json)
+ * - POST /rest/login           — REST session login (sets connect.sid cookie)
+ * - GET  /cgi-bin/status.xml   — Classic XML status (status.xml)
+ *
+ * The controller clock (`date`) is refreshed on every request; probe values come
+ * straight from the fixture so results are repeatable.
+ *
+ * Usage: node apex-local-simulator.js
+ *   APEX_FIXTURE=no-trident   — Pick a fixture directory (default: "default")
+ *   APEX_LOCAL_REST=false     — Disable /rest/* to emulate older firmware (XML only)
+ *   APEX_LOCAL_AUTH=admin:1234 — Require credentials (basic auth for XML, login for REST)
+ * Runs on port 3002 (APEX_LOCAL_PORT)
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const app = express();
+const PORT = process.env.APEX_LOCAL_PORT || 3002;
+const FIXTURE = process.env.APEX_FIXTURE || 'default';
+const REST_ENABLED = process.env.APEX_LOCAL_REST !== 'false';
+const AUTH = process.env.APEX_LOCAL_AUTH || null;
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'apex-local', FIXTURE);
+
+if (!fs.existsSync(FIXTURE_DIR)) {
+  console.error(`✗ Unknown fixture "${FIXTURE}" (looked in ${FIXTURE_DIR})`);
+  process.exit(1);
+}
+
+app.use(express.json());
+
+// Active REST sessions (cookie value → created at)
+const sessions = new Map();
+
+// ============================================================
+// FIXTURES
+// ============================================================
+
+// Read fixtures on every request so they can be edited while the simulator runs
+function loadJsonFixture() {
+  const data = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'status.json'), 'utf8'));
+  const istat = data.istat || data;
+  const offsetHours = istat.timezone || 0;
+
+  // Controller-local seconds since epoch
+  istat.date = Math.floor(Date.now() / 1000) + offsetHours * 3600;
+  return data;
+}
+
+function loadXmlFixture() {
+  const xml = fs.readFileSync(path.join(FIXTURE_DIR, 'status.xml'), 'utf8');
+  const offsetMatch = xml.match(/<timezone>([^<]*)<\/timezone>/);
+  const offsetHours = offsetMatch ? parseFloat(offsetMatch[1]) || 0 : 0;
+
+  const local = new Date(Date.now() + offsetHours * 3600000);
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${pad(local.getUTCMonth() + 1)}/${pad(local.getUTCDate())}/${local.getUTCFullYear()} ` +
+    `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}`;
+
+  return xml.replace(/<date>[^<]*<\/date>/, `<date>${stamp}</date>`);
+}
+
+// ============================================================
+// AUTH
+// ============================================================
+
+function checkBasicAuth(req) {
+  if (!AUTH) return true;
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) return false;
+  return Buffer.from(header.substring(6), 'base64').toString('utf8') === AUTH;
+}
+
+function checkSession(req) {
+  if (!AUTH) return true;
+  const cookie = req.headers.cookie || '';
+  const match = cookie.match(/connect\.sid=([^;]+)/);
+  return !!(match && sessions.has(match[1]));
+}
+
+// ============================================================
+// ROUTES
+// ============================================================
+
+if (REST_ENABLED) {
+  app.post('/rest/login', (req, res) => {
+    const { login, password } = req.body || {};
+
+    if (AUTH && `${login}:${password}` !== AUTH) {
+      console.log(`🔐 REST login rejected for ${login}`);
+      return res.status(401).json({ error: 'Invalid login' });
+    }
+
+    const sid = crypto.randomBytes(16).toString('hex');
+    sessions.set(sid, Date.now());
+    res.setHeader('Set-Cookie', `connect.sid=${sid}; Path=/; HttpOnly`);
+    res.json({ 'connect.sid': sid });
+  });
+
+  app.get('/rest/status', (req, res) => {
+    if (!checkSession(req)) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+    res.json(loadJsonFixture());
+  });
+}
+
+app.get('/cgi-bin/status.xml', (req, res) => {
+  if (!checkBasicAuth(req)) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Apex"');
+    return res.status(401).send('Unauthorized');
+  }
+  res.type('application/xml').send(loadXmlFixture());
+});
+
+// ============================================================
+// START
+// ============================================================
+
+app.listen(PORT, () => {
+  console.log('');
+  console.log('🐠 ═══════════════════════════════════════════');
+  console.log('   ReefMind Local Apex Simulator');
+  console.log('   ─────────────────────────────────────────');
+  console.log(`   Fixture: ${FIXTURE}`);
+  console.log(`   REST API: ${REST_ENABLED ? 'enabled' : 'disabled (XML only)'}`);
+  console.log(`   Auth: ${AUTH ? 'required' : 'open'}`);
+  console.log('   ─────────────────────────────────────────');
+  console.log(`   Running on http://localhost:${PORT}`);
+  console.log('');
+  console.log('   Endpoints:');
+  console.log('   POST /rest/login          — REST session login');
+  console.log('   GET  /rest/status         — REST status (JSON)');
+  console.log('   GET  /cgi-bin/status.xml  — Classic status (XML)');
+  console.log('');
+  console.log(`   Point the tray's "Local Apex" source at localhost:${PORT}`);
+  console.log('🐠 ═══════════════════════════════════════════');
+  console.log('');
+});
@@ -9,12 +9,23 @@
  * - Dosing pump outlet configs
  * - Realistic data with noise/variation
  * 
+ * Readings and events come from a scenario file in scenarios/ (see lib/scenarios.js).
+ *
  * Usage: node apex-simulator.js
+ *   SIMULATOR_SCENARIO=heater-stuck-on  — Pick a scenario (default: "alk-crash")
  * Runs on port 3001
  */
 
 const express = require('express');
 const cors = require('cors');
+const {
+  DEFAULT_SCENARIO,
+  listScenarios,
+  loadScenario,
+  finalValues,
+  generateScenarioReadings,
+  generateScenarioEvents,
+} = require('./lib/scenarios');
 const app = express();
 const PORT = 3001;
 
@@ -71,105 +82,32 @@ function jitter(value, amount) {
   return +(value + (Math.random() - 0.5) * 2 * amount).toFixed(2);
 }
 
-// Generate time-series data for the last N days
-function generateReadings(days = 30) {
-  const readings = [];
-  const now = Date.now();
-  const msPerDay = 86400000;
-  
-  // Base values with a story: alk was stable, dipped, recovering
-  for (let d = days; d >= 0; d--) {
-    const dayTime = now - d * msPerDay;
-    
-    // Alk story: stable at 8.2, drops after day 20, recovering after day 27
-    let alkBase;
-    if (d > 20) alkBase = 8.2;
-    else if (d > 10) alkBase = 8.2 - (20 - d) * 0.08;  // dropping
-    else alkBase = 7.4 + (10 - d) * 0.06;  // recovering
-    
-    // Ca story: rises slightly as alk drops, then stabilizes
-    let caBase;
-    if (d > 20) caBase = 440;
-    else if (d > 10) caBase = 440 + (20 - d) * 3;
-    else caBase = 470 - (10 - d) * 2;
-    
-    // 6 readings per day (Trident)
-    for (let r = 0; r < 6; r++) {
-      const time = new Date(dayTime + r * 4 * 3600000);
-      readings.push({
-        timestamp: time.toISOString(),
-        source: 'trident',
-        alk: jitter(alkBase, 0.08),
-        ca: jitter(caBase, 2),
-        mg: jitter(1350, 5),
-        ph: jitter(8.32 + Math.sin(r * Math.PI / 3) * 0.12, 0.02),  // daily pH cycle
-        temp: jitter(77.8, 0.3),
-        no3: jitter(d > 15 ? 5 : 5 + (15 - d) * 0.6, 0.3),
-        po4: jitter(d > 15 ? 0.04 : 0.04 + (15 - d) * 0.005, 0.005),
-      });
-    }
-  }
-  return readings;
-}
+// Active scenario and its pre-generated history (6 Trident tests/day)
+let activeScenario = null;
+let allReadings = [];
+let allEvents = [];
 
-// Generate events that tell a story
-function generateEvents() {
-  const now = new Date();
-  return [
-    {
-      id: 'evt-1',
-      type: 'dosing-change',
-      date: new Date(now - 25 * 86400000).toISOString(),
-      title: 'Started ammonium dosing',
-      details: 'Added ammonium bicarbonate + urea mix, 30 mL/day via pump 27_1',
-      source: 'user-entered'
-    },
-    {
-      id: 'evt-2',
-      type: 'treatment',
-      date: new Date(now - 22 * 86400000).toISOString(),
-      title: 'Dino treatment started',
-      details: 'Macrobacter7 10mL daily + Nitribiotic 9mL initial dose',
-      source: 'user-entered'
-    },
-    {
-      id: 'evt-3',
-      type: 'dosing-change',
-      date: new Date(now - 18 * 86400000).toISOString(),
-      title: 'Reduced All4Reef 210→160 mL/day',
-      details: 'Calcium too high at 510 mg/L, cutting A4R to bring down',
-      source: 'auto-detected'
-    },
-    {
-      id: 'evt-4',
-      type: 'dosing-change',
-      date: new Date(now - 3 * 86400000).toISOString(),
-      title: 'Stopped ammonium pump',
-      details: 'Diagnostic test — alk was crashing, suspected nitrification consuming alk',
-      source: 'user-entered'
-    },
-    {
-      id: 'evt-5',
-      type: 'dosing-change',
-      date: new Date(now - 3 * 86400000).toISOString(),
-      title: 'Increased All4Reef to 180 mL/day',
-      details: 'Split difference between 160 (insufficient) and 210 (drove Ca too high)',
-      source: 'user-entered'
-    },
-    {
-      id: 'evt-6',
-      type: 'icp-result',
-      date: new Date(now - 30 * 86400000).toISOString(),
-      title: 'ICP Test uploaded (Oceamo)',
-      details: 'Ca: 458, Alk: 8.2, Mg: 1350 — all in range. Strontium slightly low.',
-      source: 'user-entered'
-    }
-  ];
+function applyScenario(scenario) {
+  activeScenario = scenario;
+  allReadings = generateScenarioReadings(scenario, { readingsPerDay: 6 });
+  allEvents = generateScenarioEvents(scenario, { idPrefix: 'evt' });
+
+  // Live status picks up where the story ends
+  const end = finalValues(scenario);
+  if (end.ph !== undefined) tankState.probes.pH.value = end.ph;
+  if (end.temp !== undefined) tankState.probes.Temp.value = end.temp;
+  if (end.orp !== undefined) tankState.probes.ORP.value = end.orp;
+  if (end.alk !== undefined) tankState.trident.alk.value = end.alk;
+  if (end.ca !== undefined) tankState.trident.ca.value = end.ca;
+  if (end.mg !== undefined) tankState.trident.mg.value = end.mg;
 }
 
-// Pre-generate data
-const allReadings = generateReadings(30);
-const allEvents = generateEvents();
+const initialScenario = loadScenario(process.env.SIMULATOR_SCENARIO || DEFAULT_SCENARIO);
+if (!initialScenario.ok) {
+  console.error(`✗ ${initialScenario.error}`);
+  process.exit(1);
+}
+applyScenario(initialScenario.scenario);
 
 // ============================================================
 // SIMULATED FUSION API
@@ -272,6 +210,7 @@ app.get('/api/status', (req, res) => {
     serial: tankState.serial,
     probes: Object.keys(tankState.probes).length,
     outlets: tankState.outlets.length,
+    scenario: activeScenario.id,
     readings: allReadings.length,
     events: allEvents.length
   });
@@ -282,6 +221,39 @@ app.get('/api/fusion/events', (req, res) => {
   res.json({ events: allEvents });
 });
 
+// ============================================================
+// SCENARIOS
+// ============================================================
+
+app.get('/api/simulator/scenario', (req, res) => {
+  res.json({
+    active: activeScenario.id,
+    scenarios: listScenarios(),
+  });
+});
+
+// Switch scenario and regenerate history
+app.post('/api/simulator/scenario', (req, res) => {
+  const { id } = req.body || {};
+  if (!id) {
+    return res.status(400).json({ error: 'Scenario id required' });
+  }
+
+  const result = loadScenario(id);
+  if (!result.ok) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  applyScenario(result.scenario);
+  console.log(`🎬 Scenario switched to ${id}`);
+  res.json({
+    success: true,
+    scenario: id,
+    readings: allReadings.length,
+    events: allEvents.length,
+  });
+});
+
 // ============================================================
 // START
 // ============================================================
@@ -296,7 +268,8 @@ app.listen(PORT, () => {
   console.log(`   Probes: pH, Temp, ORP, Conductivity`);
   console.log(`   Trident: Alk, Ca, Mg (6 tests/day)`);
   console.log(`   Dosing: ${tankState.outlets.length} pumps configured`);
-  console.log(`   Readings: ${allReadings.length} data points (30 days)`);
+  console.log(`   Scenario: ${activeScenario.name}`);
+  console.log(`   Readings: ${allReadings.length} data points (${activeScenario.days} days)`);
   console.log(`   Events: ${allEvents.length} logged events`);
   console.log('   ─────────────────────────────────────────');
   console.log(`   Running on http://localhost:${PORT}`);
@@ -307,10 +280,12 @@ app.listen(PORT, () => {
   console.log('   GET  /api/fusion/status    — Live probe data');
   console.log('   GET  /api/fusion/readings  — Historical data');
   console.log('   GET  /api/fusion/events    — Tank events');
+  console.log('   GET  /api/simulator/scenario — Active + available scenarios');
+  console.log('   POST /api/simulator/scenario — Switch scenario { id }');
   console.log('   GET  /api/status           — Health check');
   console.log('');
   console.log('   Any Fusion credentials will be accepted.');
-  console.log('   Data simulates a real alk crash + recovery.');
+  console.log(`   Data simulates: ${activeScenario.description}`);
   console.log('🐠 ═══════════════════════════════════════════');
   console.log('');
 });
@@ -0,0 +1,343 @@
+/**
+ * AI Prompt Building & Response Parsing
+ * Shared by every provider (see ai-providers.js): one set of parameter ranges, one prompt,
+ * one parser, so switching provider never changes what the model is asked or what comes back.
+ */
+
+// Parameter ranges for assessment (keys and units of the canonical reading schema, see readings.js)
+const PARAM_RANGES = {
+  ph: { optimal: [8.0, 8.3], watch: [7.8, 8.5], critical: [7.6, 8.7], unit: '' },
+  temp: { optimal: [76, 79], watch: [75, 80], critical: [73, 82], unit: '°F' },
+  alk: { optimal: [7.5, 9.0], watch: [7.0, 10.0], critical: [6.0, 12.0], unit: 'dKH' },
+  ca: { optimal: [400, 450], watch: [380, 480], critical: [350, 520], unit: 'mg/L' },
+  mg: { optimal: [1300, 1400], watch: [1250, 1450], critical: [1200, 1500], unit: 'mg/L' },
+  no3: { optimal: [2, 10], watch: [1, 15], critical: [0, 25], unit: 'ppm' },
+  po4: { optimal: [0.03, 0.1], watch: [0.02, 0.15], critical: [0, 0.3], unit: 'ppm' },
+  orp: { optimal: [300, 400], watch: [250, 420], critical: [200, 450], unit: 'mV' },
+  salinity: { optimal: [34, 35.5], watch: [33, 36], critical: [30, 38], unit: ' ppt' },
+};
+
+// Assess parameter status
+function assessParameter(param, value) {
+  const ranges = PARAM_RANGES[param];
+  if (!ranges) return 'unknown';
+
+  if (value >= ranges.optimal[0] && value <= ranges.optimal[1]) return 'optimal';
+  if (value >= ranges.watch[0] && value <= ranges.watch[1]) return 'watch';
+  if (value >= ranges.critical[0] && value <= ranges.critical[1]) return 'critical';
+  return 'danger';
+}
+
+// Library topics worth pulling for a reading (see library.js searchByTopics)
+function libraryTopics(currentReadings) {
+  const topics = [];
+  if (currentReadings.alk !== undefined) topics.push('alkalinity');
+  if (currentReadings.ca !== undefined) topics.push('calcium');
+  if (currentReadings.mg !== undefined) topics.push('magnesium');
+  if (currentReadings.no3 !== undefined || currentReadings.po4 !== undefined) topics.push('nutrients', 'nitrate', 'phosphate');
+  if (currentReadings.ph !== undefined) topics.push('pH');
+  return topics;
+}
+
+// Messages of a follow-up chat sent back to the model (older ones are summarized by count)
+const CHAT_HISTORY_LIMIT = 20;
+
+// Longest follow-up question accepted, in characters
+const CHAT_MESSAGE_MAX_LENGTH = 2000;
+
+// Helper: who the model is, the ranges and tank-type notes (shared by analysis and follow-up chat)
+function advisorContext(tankProfile, articles) {
+  const tankType = tankProfile.type || 'mixed-reef';
+  const tankVolume = tankProfile.volume || 'unknown';
+
+  const library = articles.length > 0
+    ? `\n## Reef Knowledge Context\n${articles.map(a => `### ${a.title}\nSource: ${a.source}\n${a.content.substring(0, 500)}...`).join('\n\n')}\n`
+    : '';
+
+  return `You are an expert reef aquarium advisor analyzing a ${tankType} tank (${tankVolume} gallons).
+
+## Your Expertise
+- Randy Holmes-Farley's reef chemistry research
+- Optimal parameter ranges for SPS, LPS, softies, and mixed reefs
+- Chemical interactions (N:P ratio, Mg:Ca ratio, alkalinity consumption)
+- Trend analysis and early problem detection
+- Specific, actionable troubleshooting
+
+## Parameter Ranges (Based on Tank Type)
+${Object.entries(PARAM_RANGES).map(([param, ranges]) =>
+  `- ${param.toUpperCase()}: Optimal ${ranges.optimal[0]}-${ranges.optimal[1]}${ranges.unit}, Watch ${ranges.watch[0]}-${ranges.watch[1]}${ranges.unit}, Critical ${ranges.critical[0]}-${ranges.critical[1]}${ranges.unit}`
+).join('\n')}
+
+## Tank Type: ${tankType}
+${tankType === 'sps-dominant' ? '- SPS corals are highly sensitive to alkalinity swings and nutrient depletion\n- Target stability over perfection\n- Watch for daily alk consumption rates' : ''}
+${tankType === 'mixed-reef' ? '- Balance between SPS and softies — aim for middle ground\n- Moderate nutrient levels (NO3 5-10, PO4 0.05-0.10)\n- Watch for coral warfare (chemical competition)' : ''}
+${tankType === 'lps-softies' ? '- More forgiving of parameter swings\n- Higher nutrient tolerance\n- Focus on flow and feeding over perfect chemistry' : ''}
+${library}`;
+}
+
+/**
+ * System prompt: expertise, ranges, tank-type notes and the JSON response contract
+ * @param {object} tankProfile - Tank configuration ({ type, volume })
+ * @param {object} options - { libraryArticles: [{ title, source, content }] } to ground the answer
+ * @returns {string}
+ */
+function buildSystemPrompt(tankProfile, options = {}) {
+  const articles = options.libraryArticles || [];
+
+  return `${advisorContext(tankProfile, articles)}
+## Your Response Format
+Return a JSON object with this structure:
+{
+  "summary": "One-sentence overall assessment",
+  "healthScore": 8.5,  // 0-10 scale
+  "diagnosis": {
+    "primary": "Main issue or success",
+    "contributing": ["Factor 1", "Factor 2"]
+  },
+  "parameters": {
+    "alk": { "status": "optimal", "trend": "stable", "note": "..." },
+    "ca": { "status": "watch", "trend": "rising", "note": "..." }
+  },
+  "recommendations": [
+    { "action": "Specific action to take", "priority": "high", "why": "Explanation" },
+    { "action": "Another action", "priority": "medium", "why": "..." }
+  ],
+  "confidence": 0.95  // 0-1 scale
+}
+
+## Response Rules
+- Reply with the JSON object only. "priority" is high, medium or low; "status" is optimal, watch, critical or danger; "trend" is rising, falling or stable
+- Be SPECIFIC: "Reduce All4Reef to 160 mL/day" NOT "reduce dosing"
+- Use FRIENDLY LANGUAGE: "Your alk dropped because..." NOT "Precipitation event detected"
+- FLAG TRENDS EARLY: Don't wait for parameters to hit critical
+- When a "Dosing Calculator" section is provided, use its mL/day numbers for dosing changes and say they come from the dosing calculator
+- When a "Rule-Based Findings" section is provided, treat it as checked chemistry on the same data: build on it, and if you disagree with a finding say why
+${articles.length > 0 ? '- Cite the Reef Knowledge Context by title when it supports a recommendation\n' : ''}- If everything is good, SAY SO — don't create problems
+- Confidence drops if data is sparse or contradictory`;
+}
+
+/**
+ * System prompt for follow-up questions about an analysis the model already gave
+ * @param {object} tankProfile - Tank configuration ({ type, volume })
+ * @param {object} options - { libraryArticles } as for buildSystemPrompt
+ * @returns {string}
+ */
+function buildChatSystemPrompt(tankProfile, options = {}) {
+  const articles = options.libraryArticles || [];
+
+  return `${advisorContext(tankProfile, articles)}
+## Your Response Format
+Return a JSON object: { "reply": "Your answer to the aquarist" }
+
+## Response Rules
+- Reply with the JSON object only. "reply" is plain text: a few short paragraphs at most, no headings
+- You gave the analysis below; the aquarist is asking about it. Answer their question, don't repeat the whole analysis
+- Ground every answer in this tank's readings, events and findings, and quote the numbers you rely on
+- For "what if" questions (a different supplement, a new dose), work through the effect on alk, calcium, magnesium and pH, and say plainly whether you would change a recommendation
+- If the data can't answer the question, say which test or detail would
+${articles.length > 0 ? '- Cite the Reef Knowledge Context by title when it supports an answer\n' : ''}- Use FRIENDLY LANGUAGE and never make up readings or events`;
+}
+
+// Helper: the tank data section of a prompt (findings: rule-based diagnostics from diagnostics.js)
+function describeTank(currentReadings, recentReadings, events, dosingConfig, dosingRecommendation, findings = []) {
+  let prompt = `## Current Parameters\n`;
+  // Only measured parameters (not ids, timestamps or the as-received `original` values)
+  Object.entries(currentReadings).filter(([param]) => PARAM_RANGES[param]).forEach(([param, value]) => {
+    const status = assessParameter(param, value);
+    const ranges = PARAM_RANGES[param];
+    prompt += `- ${param.toUpperCase()}: ${value}${ranges?.unit || ''} (${status})\n`;
+  });
+
+  if (recentReadings.length > 0) {
+    prompt += `\n## Recent Trend (Last 7 Days)\n`;
+    recentReadings.forEach(reading => {
+      const date = reading.timestamp?.toDate?.() || new Date(reading.timestamp);
+      prompt += `${date.toISOString().split('T')[0]}: `;
+      prompt += Object.entries(reading)
+        .filter(([k, v]) => PARAM_RANGES[k] && v !== undefined)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(', ');
+      prompt += '\n';
+    });
+  }
+
+  if (events.length > 0) {
+    prompt += `\n## Recent Events\n`;
+    events.forEach(event => {
+      const date = event.date?.toDate?.() || new Date(event.date);
+      prompt += `${date.toISOString().split('T')[0]}: ${event.title || event.type}\n`;
+      if (event.details) {
+        prompt += `  Details: ${event.details}\n`;
+      }
+    });
+  }
+
+  if (dosingConfig && Object.keys(dosingConfig).length > 0) {
+    prompt += `\n## Current Dosing\n`;
+    Object.entries(dosingConfig).forEach(([pumpId, config]) => {
+      prompt += `- ${config.userLabel || pumpId}: ${config.product || 'unknown'} at ${config.rate_ml_day || 0} mL/day\n`;
+    });
+  }
+
+  if (dosingRecommendation) {
+    prompt += `\n## Dosing Calculator\n`;
+    prompt += `Alk ${dosingRecommendation.current.alk} dKH → target ${dosingRecommendation.target.alk} dKH, `;
+    prompt += `consumption ${dosingRecommendation.consumption.alk} dKH/day (${dosingRecommendation.consumption.source})\n`;
+    dosingRecommendation.adjustments.forEach(adj => {
+      prompt += `- ${adj.name} (${adj.product}): ${adj.currentRate} → ${adj.recommendedRate} mL/day, maintenance ${adj.maintenanceRate} mL/day\n`;
+    });
+    prompt += `Summary: ${dosingRecommendation.summary}\n`;
+    dosingRecommendation.warnings.forEach(warning => {
+      prompt += `Warning: ${warning}\n`;
+    });
+  }
+
+  if (findings.length > 0) {
+    prompt += `\n## Rule-Based Findings\n`;
+    findings.forEach(finding => {
+      prompt += `- [${finding.severity}] ${finding.title}: ${finding.detail}\n`;
+    });
+  }
+
+  return prompt;
+}
+
+// Build analysis prompt (findings: rule-based diagnostics from diagnostics.js)
+function buildAnalysisPrompt(currentReadings, recentReadings, events, dosingConfig, dosingRecommendation, findings = []) {
+  return `${describeTank(currentReadings, recentReadings, events, dosingConfig, dosingRecommendation, findings)}
+Analyze this tank and provide your assessment in the JSON format specified.`;
+}
+
+/**
+ * Check a follow-up question from a request body
+ * @param {*} content - `content` as sent
+ * @returns {{ok: boolean, content?: string, error?: string}}
+ */
+function validateChatMessage(content) {
+  const text = typeof content === 'string' ? content.trim() : '';
+  if (!text) {
+    return { ok: false, error: 'content is required' };
+  }
+  if (text.length > CHAT_MESSAGE_MAX_LENGTH) {
+    return { ok: false, error: `content must be at most ${CHAT_MESSAGE_MAX_LENGTH} characters` };
+  }
+  return { ok: true, content: text };
+}
+
+/**
+ * Follow-up prompt: the tank data the analysis was based on, the analysis, the conversation so far
+ * and the new question
+ * @param {object} tankData - { currentReadings, recentReadings, events, dosingConfig, dosingRecommendation, findings }
+ * @param {object} analysis - The stored analysis being discussed
+ * @param {Array<{role: string, content: string}>} messages - Earlier messages, oldest first
+ * @param {string} question - The aquarist's new message
+ * @returns {string}
+ */
+function buildChatPrompt(tankData, analysis, messages, question) {
+  let prompt = describeTank(
+    tankData.currentReadings || {},
+    tankData.recentReadings || [],
+    tankData.events || [],
+    tankData.dosingConfig,
+    tankData.dosingRecommendation,
+    tankData.findings || []
+  );
+
+  const date = analysis.date?.toDate?.() || new Date(analysis.date);
+  prompt += `\n## Your Analysis${isNaN(date.getTime()) ? '' : ` (${date.toISOString().split('T')[0]})`}\n`;
+  if (analysis.summary) prompt += `Summary: ${analysis.summary}\n`;
+  if (analysis.healthScore !== undefined) prompt += `Health score: ${analysis.healthScore}/10\n`;
+  const diagnosis = typeof analysis.diagnosis === 'string' ? { primary: analysis.diagnosis } : analysis.diagnosis;
+  if (diagnosis?.primary) prompt += `Diagnosis: ${diagnosis.primary}\n`;
+  if (diagnosis?.contributing?.length > 0) prompt += `Contributing: ${diagnosis.contributing.join('; ')}\n`;
+  (analysis.recommendations || []).forEach(rec => {
+    prompt += `- [${rec.priority || 'medium'}] ${rec.action}${rec.why ? ` (${rec.why})` : ''}\n`;
+  });
+
+  if (messages.length > 0) {
+    const shown = messages.slice(-CHAT_HISTORY_LIMIT);
+    prompt += `\n## Conversation So Far\n`;
+    if (shown.length < messages.length) {
+      prompt += `(${messages.length - shown.length} earlier messages not shown)\n`;
+    }
+    shown.forEach(message => {
+      prompt += `${message.role === 'assistant' ? 'You' : 'Aquarist'}: ${message.content}\n`;
+    });
+  }
+
+  prompt += `\n## Aquarist's Question\n${question}\n\nAnswer in the JSON format specified.`;
+
+  return prompt;
+}
+
+/**
+ * Follow-up prompt after a reply that failed validation (ai-schema.js checkAnalysis)
+ * @param {string} prompt - The original analysis prompt
+ * @param {string} reply - What the model answered
+ * @param {object} check - Failed check { code, details: [{ path, message }] }
+ * @returns {string}
+ */
+function buildRepairPrompt(prompt, reply, check) {
+  const problems = check.code === 'invalid-json'
+    ? '- The reply was not a JSON object'
+    : check.details.map(d => `- ${d.path}: ${d.message}`).join('\n');
+
+  return `${prompt}
+
+## Your Previous Reply
+${String(reply || '').substring(0, 4000)}
+
+## Problems
+That reply didn't match the required JSON format:
+${problems}
+
+Reply again with only the corrected JSON object.`;
+}
+
+/**
+ * Pull the analysis object out of a model's reply (code fences and chatter around it allowed)
+ * @param {string} text - Raw model output
+ * @returns {{ok: boolean, analysis?: object, error?: string}}
+ */
+function parseAnalysis(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { ok: false, error: 'AI returned an empty response' };
+  }
+
+  const stripped = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const candidates = [stripped];
+
+  // Some models wrap the JSON in a sentence or two
+  const start = stripped.indexOf('{');
+  const end = stripped.lastIndexOf('}');
+  if (start > 0 || (end !== -1 && end < stripped.length - 1)) {
+    candidates.push(stripped.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const analysis = JSON.parse(candidate);
+      if (analysis && typeof analysis === 'object' && !Array.isArray(analysis)) {
+        return { ok: true, analysis };
+      }
+    } catch (parseError) {
+      // Try the next candidate
+    }
+  }
+
+  console.error('Failed to parse AI response as JSON:', text);
+  return { ok: false, error: 'AI returned invalid response format' };
+}
+
+module.exports = {
+  PARAM_RANGES,
+  assessParameter,
+  libraryTopics,
+  buildSystemPrompt,
+  buildAnalysisPrompt,
+  buildChatSystemPrompt,
+  buildChatPrompt,
+  validateChatMessage,
+  buildRepairPrompt,
+  parseAnalysis,
+};
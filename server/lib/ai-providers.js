@@ -0,0 +1,503 @@
+/**
+ * AI Provider Adapters
+ * Every provider turns { system, prompt } into text with the same interface, so the analyzer
+ * (ai.js) doesn't care which model answers:
+ *
+ *   provider.name / provider.model
+ *   provider.generate({ system, prompt, temperature, maxOutputTokens, schema }) → Promise<{ok, text?, error?}>
+ *
+ * `schema` (a JSON schema, see ai-schema.js) switches on the model's structured-output mode where
+ * the API has one; the reply is still validated by the caller, since not every model obeys it.
+ * `onText(delta)` streams the reply as it is written; the promise still resolves with the full text.
+ *
+ * Selected by AI_PROVIDER (or createProvider({ provider })):
+ *
+ *   vertex   — Vertex AI, Application Default Credentials (GCP_PROJECT, GCP_LOCATION)
+ *   gemini   — Gemini API with GOOGLE_API_KEY
+ *   openai   — any OpenAI-compatible /chat/completions endpoint (OPENAI_BASE_URL, OPENAI_API_KEY)
+ *   ollama   — local Ollama server (LOCAL_AI_URL, default http://127.0.0.1:11434)
+ *   llamacpp — local llama.cpp `llama-server` (LOCAL_AI_URL, default http://127.0.0.1:8081)
+ *   stub     — offline: replays recorded responses (AI_RECORDINGS) or a canned analysis
+ *
+ * Local providers never send tank data off the machine. Their failures carry a `code`
+ * (unreachable | model-missing | timeout | failed) and a `hint` the UI can show as is.
+ * AI_MODEL overrides the provider's default model. AI_RECORD_TO=<file> saves every response
+ * from a real provider so the stub can replay it in tests.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODELS = {
+  vertex: 'gemini-1.5-flash-002',
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1:8b',
+  llamacpp: 'local',
+  stub: 'stub',
+};
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Local models on desktop hardware are slow; give them longer
+const LOCAL_TIMEOUT_MS = 180000;
+
+// Where each local server listens by default (llama-server's own default, 8080, is ReefMind's port)
+const LOCAL_DEFAULT_URLS = {
+  ollama: 'http://127.0.0.1:11434',
+  llamacpp: 'http://127.0.0.1:8081',
+};
+
+// Connection errors that mean nothing is listening at the local endpoint
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ECONNRESET', 'EAI_AGAIN'];
+
+// Helper: key a recording by exactly what the model was asked
+function recordingKey(system, prompt) {
+  return crypto.createHash('sha256').update(`${system}\n---\n${prompt}`).digest('hex');
+}
+
+// Helper: recordings file as an object (missing or unreadable → empty)
+function readRecordings(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error('Failed to read AI recordings:', error.message);
+    return {};
+  }
+}
+
+/**
+ * JSON schema → Gemini responseSchema (OpenAPI subset: no title/minimum/maximum, enums need format)
+ * @param {object} schema
+ * @param {boolean} upperCase - Vertex SDK spells types 'OBJECT', the Gemini API SDK 'object'
+ * @returns {object}
+ */
+function toGeminiSchema(schema, upperCase) {
+  const converted = { type: upperCase ? schema.type.toUpperCase() : schema.type };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) {
+    converted.format = 'enum';
+    converted.enum = schema.enum;
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items, upperCase);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, prop]) => [key, toGeminiSchema(prop, upperCase)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+// Helper: call onLine with each non-empty line of a streamed response body
+async function readLines(response, onLine) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) onLine(line);
+    }
+  }
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+// Helper: OpenAI-style chat completion stream (`data: {...}` events, then `data: [DONE]`) → full text
+async function readChatStream(response, onText) {
+  let text = '';
+  await readLines(response, line => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+
+    const delta = JSON.parse(data).choices?.[0]?.delta?.content || '';
+    if (delta) {
+      text += delta;
+      onText(delta);
+    }
+  });
+  return text;
+}
+
+// Vertex AI (Gemini on GCP)
+function createVertexProvider(config) {
+  const project = config.project || process.env.GCP_PROJECT || 'reefmind-ai-prod';
+  const location = config.location || process.env.GCP_LOCATION || 'us-central1';
+  const model = config.model || DEFAULT_MODELS.vertex;
+  let vertexAI = null;
+
+  function init() {
+    if (vertexAI) return vertexAI;
+
+    const { VertexAI } = require('@google-cloud/vertexai');
+    // On Cloud Run, use Application Default Credentials; locally, a key file if provided
+    const options = { project, location };
+    if (process.env.NODE_ENV !== 'production' && process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      options.googleAuthOptions = { keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS };
+    }
+
+    vertexAI = new VertexAI(options);
+    console.log('✓ Vertex AI initialized:', model, '(project:', project, ')');
+    return vertexAI;
+  }
+
+  return {
+    name: 'vertex',
+    model,
+    async generate({ system, prompt, temperature = 0.3, maxOutputTokens = 2048, schema = null, onText = null }) {
+      try {
+        const generative = init().getGenerativeModel({ model, systemInstruction: system });
+        const request = {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens,
+            ...(schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema, true) } : {}),
+          },
+        };
+        // Helper: text of one response or stream chunk
+        const textOf = response => response.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+
+        let text = '';
+        if (onText) {
+          const streaming = await generative.generateContentStream(request);
+          for await (const chunk of streaming.stream) {
+            const delta = textOf(chunk);
+            if (delta) {
+              text += delta;
+              onText(delta);
+            }
+          }
+        } else {
+          text = textOf((await generative.generateContent(request)).response);
+        }
+        if (!text) return { ok: false, error: 'Vertex AI returned no content' };
+        return { ok: true, text };
+      } catch (error) {
+        console.error('Vertex AI request failed:', error.message);
+        return { ok: false, error: error.message || 'Vertex AI request failed' };
+      }
+    },
+  };
+}
+
+// Gemini API (Google AI Studio key)
+function createGeminiProvider(config) {
+  const apiKey = config.apiKey || process.env.GOOGLE_API_KEY;
+  const model = config.model || DEFAULT_MODELS.gemini;
+  let genAI = null;
+
+  return {
+    name: 'gemini',
+    model,
+    async generate({ system, prompt, temperature = 0.3, maxOutputTokens = 2048, schema = null, onText = null }) {
+      if (!apiKey) {
+        return { ok: false, error: 'Google AI not configured - GOOGLE_API_KEY missing' };
+      }
+
+      try {
+        if (!genAI) {
+          const { GoogleGenerativeAI } = require('@google/generative-ai');
+          genAI = new GoogleGenerativeAI(apiKey);
+        }
+        const generative = genAI.getGenerativeModel({ model, systemInstruction: system });
+        const request = {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: {
+            temperature,
+            maxOutputTokens,
+            ...(schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema, false) } : {}),
+          },
+        };
+
+        if (!onText) {
+          return { ok: true, text: (await generative.generateContent(request)).response.text() };
+        }
+
+        let text = '';
+        const streaming = await generative.generateContentStream(request);
+        for await (const chunk of streaming.stream) {
+          const delta = chunk.text();
+          if (delta) {
+            text += delta;
+            onText(delta);
+          }
+        }
+        return { ok: true, text };
+      } catch (error) {
+        console.error('Gemini request failed:', error.message);
+        return { ok: false, error: error.message || 'Gemini request failed' };
+      }
+    },
+  };
+}
+
+// OpenAI-compatible chat completions (OpenAI, Azure-style proxies, vLLM, LM Studio, ...)
+function createOpenAIProvider(config) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+  const model = config.model || DEFAULT_MODELS.openai;
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  return {
+    name: 'openai',
+    model,
+    async generate({ system, prompt, temperature = 0.3, maxOutputTokens = 2048, schema = null, onText = null }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt },
+            ],
+            temperature,
+            max_tokens: maxOutputTokens,
+            // Non-strict: strict mode would require every optional field
+            ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: schema.title || 'response', schema, strict: false } } } : {}),
+            ...(onText ? { stream: true } : {}),
+          }),
+          signal: controller.signal,
+        });
+
+        if (response.ok && onText) {
+          const text = await readChatStream(response, onText);
+          if (!text) return { ok: false, error: 'OpenAI-compatible endpoint returned no content' };
+          return { ok: true, text };
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+          const message = body?.error?.message || `HTTP ${response.status}`;
+          return { ok: false, error: `OpenAI-compatible endpoint failed: ${message}` };
+        }
+
+        const text = body?.choices?.[0]?.message?.content;
+        if (!text) return { ok: false, error: 'OpenAI-compatible endpoint returned no content' };
+        return { ok: true, text };
+      } catch (error) {
+        const message = error.name === 'AbortError' ? `timed out after ${timeoutMs} ms` : error.message;
+        console.error('OpenAI-compatible request failed:', message);
+        return { ok: false, error: `OpenAI-compatible endpoint failed: ${message}` };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+// Local model server: Ollama's /api/chat or llama.cpp's OpenAI-compatible /v1/chat/completions
+function createLocalProvider(api, config) {
+  const baseUrl = (config.baseUrl || process.env.LOCAL_AI_URL || LOCAL_DEFAULT_URLS[api]).replace(/\/+$/, '');
+  const model = config.model || DEFAULT_MODELS[api];
+  const timeoutMs = config.timeoutMs || LOCAL_TIMEOUT_MS;
+  const label = api === 'ollama' ? 'Ollama' : 'llama.cpp';
+  const startHint = api === 'ollama'
+    ? `Start Ollama (\`ollama serve\`) and pull the model (\`ollama pull ${model}\`)`
+    : `Start llama-server with \`--port ${new URL(baseUrl).port || 80}\``;
+
+  // Helper: failure with the code and hint the UI shows
+  function failure(code, error, hint) {
+    console.error(`${label} request failed:`, error);
+    return { ok: false, code, error, hint };
+  }
+
+  return {
+    name: api,
+    model,
+    local: true,
+    async generate({ system, prompt, temperature = 0.3, maxOutputTokens = 2048, schema = null, onText = null }) {
+      const messages = [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt },
+      ];
+      const request = api === 'ollama'
+        ? {
+          url: `${baseUrl}/api/chat`,
+          body: { model, messages, stream: Boolean(onText), format: schema || 'json', options: { temperature, num_predict: maxOutputTokens } },
+        }
+        : {
+          url: `${baseUrl}/v1/chat/completions`,
+          body: {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxOutputTokens,
+            response_format: { type: 'json_object', ...(schema ? { schema } : {}) },
+            stream: Boolean(onText),
+          },
+        };
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(request.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(request.body),
+          signal: controller.signal,
+        });
+
+        if (response.ok && onText) {
+          // Ollama streams one JSON object per line, llama-server OpenAI-style events
+          let text = '';
+          if (api === 'ollama') {
+            await readLines(response, line => {
+              const delta = JSON.parse(line).message?.content || '';
+              if (delta) {
+                text += delta;
+                onText(delta);
+              }
+            });
+          } else {
+            text = await readChatStream(response, onText);
+          }
+          if (!text) return failure('failed', `${label} returned no content`, null);
+          return { ok: true, text };
+        }
+
+        const body = await response.json().catch(() => null);
+        const message = typeof body?.error === 'string' ? body.error : body?.error?.message;
+
+        if (response.status === 404 && api === 'ollama') {
+          return failure('model-missing', `${label} doesn't have the model "${model}"`, `Run \`ollama pull ${model}\`, or set ai.model in settings.json to a model you have`);
+        }
+        if (!response.ok) {
+          return failure('failed', `${label} returned ${message || `HTTP ${response.status}`}`, null);
+        }
+
+        const text = api === 'ollama' ? body?.message?.content : body?.choices?.[0]?.message?.content;
+        if (!text) return failure('failed', `${label} returned no content`, null);
+        return { ok: true, text };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return failure('timeout', `${label} didn't answer within ${Math.round(timeoutMs / 1000)} s`, 'Try a smaller model, or raise ai.timeoutMs in settings.json');
+        }
+        if (UNREACHABLE_CODES.includes(error.cause?.code)) {
+          return failure('unreachable', `No local model server at ${baseUrl}`, `${startHint}, or change ai.baseUrl in settings.json`);
+        }
+        return failure('failed', `${label} request failed: ${error.message}`, null);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+// Characters per onText call when the stub streams
+const STUB_CHUNK = 48;
+
+// Canned answer for the stub when nothing was recorded for a prompt
+const STUB_ANALYSIS = {
+  summary: 'Stub analysis: no AI provider was called.',
+  healthScore: 7,
+  diagnosis: {
+    primary: 'Offline stub response',
+    contributing: [],
+  },
+  parameters: {},
+  recommendations: [
+    { action: 'Configure AI_PROVIDER for a real analysis', priority: 'low', why: 'The stub provider returns fixed text for offline tests' },
+  ],
+  confidence: 0,
+};
+
+// Canned answer per schema title (follow-up chat gets a reply, anything else the analysis)
+const STUB_RESPONSES = {
+  chat_reply: { reply: 'Stub reply: no AI provider was called.' },
+};
+
+// Offline provider: recorded responses by prompt, then `response`, then the canned answer
+function createStubProvider(config) {
+  const file = config.recordings || process.env.AI_RECORDINGS || null;
+  const fixed = config.response;
+
+  return {
+    name: 'stub',
+    model: config.model || DEFAULT_MODELS.stub,
+    async generate({ system, prompt, schema = null, onText = null }) {
+      const recorded = readRecordings(file)[recordingKey(system, prompt)];
+      let text;
+      if (recorded !== undefined) text = recorded;
+      else if (typeof fixed === 'function') text = await fixed({ system, prompt });
+      else if (typeof fixed === 'string') text = fixed;
+      else text = JSON.stringify(STUB_RESPONSES[schema?.title] || STUB_ANALYSIS);
+
+      // Stream in small pieces so callers see the same partial updates a real model gives
+      if (onText) {
+        for (let i = 0; i < text.length; i += STUB_CHUNK) onText(text.slice(i, i + STUB_CHUNK));
+      }
+      return { ok: true, text };
+    },
+  };
+}
+
+/**
+ * Save every successful response of a provider for later replay by the stub
+ * @param {object} provider
+ * @param {string} file - JSON recordings file (created if missing)
+ * @returns {object} - Provider with the same interface
+ */
+function withRecording(provider, file) {
+  return {
+    ...provider,
+    async generate(request) {
+      const result = await provider.generate(request);
+      if (result.ok) {
+        const recordings = readRecordings(file);
+        recordings[recordingKey(request.system, request.prompt)] = result.text;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(recordings, null, 2));
+      }
+      return result;
+    },
+  };
+}
+
+const PROVIDERS = {
+  vertex: createVertexProvider,
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  ollama: config => createLocalProvider('ollama', config),
+  llamacpp: config => createLocalProvider('llamacpp', config),
+  stub: createStubProvider,
+};
+
+/**
+ * Build the configured provider
+ * @param {object} config - { provider, model, ... adapter options } (default: AI_* env)
+ * @returns {object} - { name, model, generate() }
+ */
+function createProvider(config = {}) {
+  const name = (config.provider || process.env.AI_PROVIDER || 'vertex').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const provider = factory({ ...config, model: config.model || process.env.AI_MODEL || undefined });
+  const recordTo = config.recordTo || process.env.AI_RECORD_TO;
+  return recordTo && name !== 'stub' ? withRecording(provider, recordTo) : provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_MODELS,
+  createProvider,
+  withRecording,
+  recordingKey,
+};
@@ -0,0 +1,314 @@
+/**
+ * AI Analysis Schema
+ * One JSON schema for the analysis object. Providers hand it to the model's structured-output
+ * mode (ai-providers.js), and every reply is parsed, repaired and validated against it here.
+ *
+ *   checkAnalysis(text) → { ok, analysis, repairs } or { ok: false, code, error, details }
+ *   checkChatReply(text) → { ok, reply, repairs } or the same failure (follow-up chat, CHAT_SCHEMA)
+ *
+ * Failure codes: invalid-json (not a JSON object at all) | schema-mismatch (details lists
+ * each { path, message } that is still wrong after repair).
+ */
+
+const { PARAM_RANGES, parseAnalysis } = require('./ai-prompt');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['optimal', 'watch', 'critical', 'danger', 'unknown'];
+const TRENDS = ['rising', 'falling', 'stable', 'unknown'];
+
+const PARAMETER_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: STATUSES },
+    trend: { type: 'string', enum: TRENDS },
+    note: { type: 'string' },
+  },
+  required: ['status'],
+};
+
+const ANALYSIS_SCHEMA = {
+  title: 'tank_analysis',
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'One-sentence overall assessment' },
+    healthScore: { type: 'number', minimum: 0, maximum: 10, description: '0-10 scale' },
+    diagnosis: {
+      type: 'object',
+      properties: {
+        primary: { type: 'string', description: 'Main issue or success' },
+        contributing: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['primary'],
+    },
+    parameters: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(PARAM_RANGES).map(param => [param, PARAMETER_SCHEMA])),
+    },
+    recommendations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', description: 'Specific action to take' },
+          priority: { type: 'string', enum: PRIORITIES },
+          why: { type: 'string' },
+        },
+        required: ['action', 'priority'],
+      },
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1, description: '0-1 scale' },
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          source: { type: 'string' },
+        },
+      },
+    },
+  },
+  required: ['summary', 'healthScore', 'diagnosis', 'recommendations', 'confidence'],
+};
+
+// Follow-up chat answer (see buildChatPrompt in ai-prompt.js)
+const CHAT_SCHEMA = {
+  title: 'chat_reply',
+  type: 'object',
+  properties: {
+    reply: { type: 'string', description: 'Answer to the aquarist, plain text' },
+  },
+  required: ['reply'],
+};
+
+// Keys models use instead of "reply"
+const REPLY_ALIASES = ['answer', 'response', 'message', 'text'];
+
+// Words models use instead of the enum values
+const PRIORITY_ALIASES = {
+  critical: 'high', urgent: 'high', important: 'high', immediate: 'high',
+  normal: 'medium', moderate: 'medium', med: 'medium',
+  minor: 'low', optional: 'low',
+};
+const STATUS_ALIASES = {
+  good: 'optimal', ok: 'optimal', normal: 'optimal', ideal: 'optimal', 'in range': 'optimal',
+  warning: 'watch', caution: 'watch', borderline: 'watch',
+  bad: 'critical', alarm: 'critical',
+  dangerous: 'danger',
+};
+const TREND_ALIASES = {
+  increasing: 'rising', up: 'rising', climbing: 'rising',
+  decreasing: 'falling', down: 'falling', dropping: 'falling', declining: 'falling',
+  steady: 'stable', flat: 'stable', unchanged: 'stable',
+};
+
+// Helper: JSON type name the way the schema spells it
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'NaN';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used here
+ * (type, enum, properties, required, items, minimum, maximum)
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - Where value sits, for messages
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const here = path || '(root)';
+  const type = typeOf(value);
+
+  if (schema.type && type !== schema.type) {
+    return [{ path: here, message: `must be ${schema.type}, got ${type}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: here, message: `must be one of ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: here, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path: here, message: `must be at most ${schema.maximum}` });
+  }
+
+  if (type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propSchema, path ? `${path}.${key}` : key));
+    });
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// Helper: number from a number or numeric string (else unchanged)
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  return value;
+}
+
+// Helper: enum value from a near miss ("High", "urgent", "increasing"), else unchanged
+function toEnum(value, allowed, aliases) {
+  if (typeof value !== 'string') return value;
+  const key = value.trim().toLowerCase();
+  if (allowed.includes(key)) return key;
+  return aliases[key] || value;
+}
+
+/**
+ * Fix the mistakes models make that don't change the meaning: numbers as strings, 85 for 8.5,
+ * "High" for "high", bare strings where objects belong, alias keys
+ * @param {object} analysis - Parsed model output (not modified)
+ * @returns {{analysis: object, repairs: Array<string>}}
+ */
+function repairAnalysis(analysis) {
+  const repaired = { ...analysis };
+  const repairs = [];
+  // Helper: set a field and note what changed
+  const fix = (target, key, value, label) => {
+    if (value === target[key]) return;
+    repairs.push(`${label}: ${JSON.stringify(target[key])} → ${JSON.stringify(value)}`);
+    target[key] = value;
+  };
+
+  if (typeof repaired.diagnosis === 'string') {
+    fix(repaired, 'diagnosis', { primary: repaired.diagnosis, contributing: [] }, 'diagnosis');
+  }
+  if (repaired.summary === undefined && typeof repaired.diagnosis?.primary === 'string') {
+    fix(repaired, 'summary', repaired.diagnosis.primary, 'summary');
+  }
+
+  // Scores on the wrong scale: 85 means 8.5/10, 95 means 0.95
+  let score = toNumber(repaired.healthScore);
+  if (typeof score === 'number' && score > 10 && score <= 100) score /= 10;
+  fix(repaired, 'healthScore', score, 'healthScore');
+  let confidence = toNumber(repaired.confidence);
+  if (typeof confidence === 'number' && confidence > 1 && confidence <= 100) confidence /= 100;
+  fix(repaired, 'confidence', confidence, 'confidence');
+
+  if (repaired.recommendations && !Array.isArray(repaired.recommendations) && typeof repaired.recommendations === 'object') {
+    fix(repaired, 'recommendations', [repaired.recommendations], 'recommendations');
+  }
+  if (Array.isArray(repaired.recommendations)) {
+    repaired.recommendations = repaired.recommendations.map((rec, i) => {
+      if (typeof rec === 'string') {
+        repairs.push(`recommendations[${i}]: text → { action, priority: "medium" }`);
+        return { action: rec, priority: 'medium' };
+      }
+      if (!rec || typeof rec !== 'object') return rec;
+
+      const item = { ...rec };
+      if (item.why === undefined && (item.reason || item.rationale)) {
+        fix(item, 'why', item.reason || item.rationale, `recommendations[${i}].why`);
+      }
+      fix(item, 'priority', item.priority === undefined ? 'medium' : toEnum(item.priority, PRIORITIES, PRIORITY_ALIASES), `recommendations[${i}].priority`);
+      return item;
+    });
+  }
+
+  if (repaired.parameters && typeof repaired.parameters === 'object' && !Array.isArray(repaired.parameters)) {
+    const parameters = {};
+    Object.entries(repaired.parameters).forEach(([key, entry]) => {
+      const param = key.toLowerCase();
+      if (param !== key) repairs.push(`parameters.${key} → parameters.${param}`);
+
+      if (typeof entry === 'string') {
+        repairs.push(`parameters.${param}: text → { status }`);
+        parameters[param] = { status: toEnum(entry, STATUSES, STATUS_ALIASES) };
+        return;
+      }
+      if (!entry || typeof entry !== 'object') {
+        parameters[param] = entry;
+        return;
+      }
+
+      const item = { ...entry };
+      fix(item, 'status', toEnum(item.status, STATUSES, STATUS_ALIASES), `parameters.${param}.status`);
+      if (item.trend !== undefined) fix(item, 'trend', toEnum(item.trend, TRENDS, TREND_ALIASES), `parameters.${param}.trend`);
+      parameters[param] = item;
+    });
+    repaired.parameters = parameters;
+  }
+
+  return { analysis: repaired, repairs };
+}
+
+/**
+ * Parse, repair and validate a model reply
+ * @param {string} text - Raw model output
+ * @returns {{ok: boolean, analysis?: object, repairs?: Array<string>, code?: string, error?: string, details?: Array<object>}}
+ */
+function checkAnalysis(text) {
+  const parsed = parseAnalysis(text);
+  if (!parsed.ok) {
+    return { ok: false, code: 'invalid-json', error: parsed.error, details: [] };
+  }
+
+  const { analysis, repairs } = repairAnalysis(parsed.analysis);
+  const details = validateSchema(analysis, ANALYSIS_SCHEMA);
+  if (details.length > 0) {
+    return { ok: false, code: 'schema-mismatch', error: 'AI response didn\'t match the analysis format', details, repairs };
+  }
+
+  return { ok: true, analysis, repairs };
+}
+
+/**
+ * Parse and validate a follow-up chat reply. A model that ignores the JSON format and just
+ * answers in prose is taken at its word.
+ * @param {string} text - Raw model output
+ * @returns {{ok: boolean, reply?: string, repairs?: Array<string>, code?: string, error?: string, details?: Array<object>}}
+ */
+function checkChatReply(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { ok: false, code: 'invalid-json', error: 'AI returned an empty response', details: [] };
+  }
+
+  const trimmed = text.trim();
+  if (!/^(```|\{)/.test(trimmed)) {
+    return { ok: true, reply: trimmed, repairs: ['plain text → { reply }'] };
+  }
+
+  const parsed = parseAnalysis(trimmed);
+  if (!parsed.ok) {
+    return { ok: false, code: 'invalid-json', error: parsed.error, details: [] };
+  }
+
+  const answer = { ...parsed.analysis };
+  const repairs = [];
+  const alias = REPLY_ALIASES.find(key => typeof answer[key] === 'string');
+  if (answer.reply === undefined && alias) {
+    repairs.push(`${alias} → reply`);
+    answer.reply = answer[alias];
+  }
+
+  const details = validateSchema(answer, CHAT_SCHEMA);
+  if (details.length === 0 && answer.reply.trim() === '') {
+    details.push({ path: 'reply', message: 'is empty' });
+  }
+  if (details.length > 0) {
+    return { ok: false, code: 'schema-mismatch', error: 'AI response didn\'t match the chat format', details, repairs };
+  }
+
+  return { ok: true, reply: answer.reply.trim(), repairs };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  CHAT_SCHEMA,
+  validateSchema,
+  repairAnalysis,
+  checkAnalysis,
+  checkChatReply,
+};
@@ -0,0 +1,125 @@
+/**
+ * AI Analysis Streaming
+ * Picks the parts worth showing early out of a half-written analysis JSON: the summary as it
+ * grows, and each recommendation as soon as its object closes. The finished reply still goes
+ * through checkAnalysis (ai-schema.js); these partials are only for display.
+ *
+ *   { type: 'summary', text, done }
+ *   { type: 'recommendation', index, recommendation }
+ */
+
+const { repairAnalysis } = require('./ai-schema');
+
+// Helper: decode a JSON string body that may stop in the middle of an escape
+function decodePartialString(body) {
+  for (let cut = 0; cut <= 6 && cut <= body.length; cut++) {
+    try {
+      return JSON.parse(`"${body.slice(0, body.length - cut)}"`);
+    } catch (error) {
+      // Partial escape (\ or \u12); drop a character and try again
+    }
+  }
+  return null;
+}
+
+// Helper: the string starting at `start` (just past its opening quote), finished or not
+function readString(text, start) {
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '"') return { body: text.slice(start, i), done: true, end: i + 1 };
+    i++;
+  }
+  return { body: text.slice(start), done: false, end: text.length };
+}
+
+// Helper: summary so far ({ text, done }), or null before the key appears
+function partialSummary(text) {
+  const match = /"summary"\s*:\s*"/.exec(text);
+  if (!match) return null;
+
+  const { body, done } = readString(text, match.index + match[0].length);
+  const decoded = decodePartialString(body);
+  return decoded === null ? null : { text: decoded, done };
+}
+
+// Helper: every recommendation object that has closed so far
+function completeRecommendations(text) {
+  const match = /"recommendations"\s*:\s*\[/.exec(text);
+  if (!match) return [];
+
+  const items = [];
+  let depth = 0;
+  let start = -1;
+  let i = match.index + match[0].length;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') {
+      i = readString(text, i + 1).end;
+      continue;
+    }
+    if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && start !== -1) {
+        try {
+          items.push(JSON.parse(text.slice(start, i + 1)));
+        } catch (error) {
+          items.push(null);
+        }
+        start = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+    i++;
+  }
+  return items;
+}
+
+/**
+ * Feed model output in as it streams; onPartial hears each new piece once
+ * @param {function} onPartial - Called with { type: 'summary' | 'recommendation', ... }
+ * @returns {{push: function(string), reset: function}}
+ */
+function createPartialParser(onPartial) {
+  let text = '';
+  let lastSummary = null;
+  let sent = 0;
+
+  function push(chunk) {
+    text += chunk;
+
+    const summary = partialSummary(text);
+    if (summary && (summary.text !== lastSummary?.text || summary.done !== lastSummary?.done)) {
+      lastSummary = summary;
+      onPartial({ type: 'summary', text: summary.text, done: summary.done });
+    }
+
+    const recommendations = completeRecommendations(text);
+    for (; sent < recommendations.length; sent++) {
+      if (!recommendations[sent]) continue;
+      // Same priority/why fixes the final analysis gets
+      const [recommendation] = repairAnalysis({ recommendations: [recommendations[sent]] }).analysis.recommendations;
+      onPartial({ type: 'recommendation', index: sent, recommendation });
+    }
+  }
+
+  // Start over (the analyzer is retrying with a fresh reply)
+  function reset() {
+    text = '';
+    lastSummary = null;
+    sent = 0;
+  }
+
+  return { push, reset };
+}
+
+module.exports = {
+  createPartialParser,
+};
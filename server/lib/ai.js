@@ -1,152 +1,252 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { searchByTopics } = require('./library');
-
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-if (!GOOGLE_API_KEY) {
-  console.warn('⚠️  GOOGLE_API_KEY not set - AI analysis will fail');
-}
-
-const genAI = GOOGLE_API_KEY ? new GoogleGenerativeAI(GOOGLE_API_KEY) : null;
-
-// Parameter ranges for context
-const PARAM_RANGES = {
-  pH: { optimal: [8.0, 8.3], watch: [7.8, 8.5], critical: [7.6, 8.7], unit: '' },
-  temp: { optimal: [76, 79], watch: [75, 80], critical: [73, 82], unit: '°F' },
-  alk: { optimal: [7, 9], watch: [6.5, 10], critical: [5.5, 12], unit: 'dKH' },
-  ca: { optimal: [400, 450], watch: [380, 480], critical: [350, 520], unit: 'ppm' },
-  mg: { optimal: [1300, 1400], watch: [1250, 1450], critical: [1200, 1500], unit: 'ppm' },
-  no3: { optimal: [2, 10], watch: [1, 15], critical: [0, 25], unit: 'ppm' },
-  po4: { optimal: [0.03, 0.1], watch: [0.02, 0.15], critical: [0, 0.3], unit: 'ppm' },
-  orp: { optimal: [300, 400], watch: [250, 420], critical: [200, 450], unit: 'mV' },
-  sal: { optimal: [34, 36], watch: [33, 37], critical: [32, 38], unit: 'ppt' }
+/**
+ * AI Analysis Module
+ * Analyzes tank parameters and provides recommendations through the configured provider
+ * (ai-providers.js); prompts and parsing are shared (ai-prompt.js), so every provider is asked
+ * the same question and returns the same analysis shape.
+ *
+ * Replies are repaired and validated against ANALYSIS_SCHEMA (ai-schema.js); a reply that still
+ * fails gets one retry with the problems spelled out. Failures carry a `code`:
+ *   unreachable | model-missing | timeout | failed — the provider didn't answer (ai-providers.js)
+ *   invalid-json | schema-mismatch                 — it answered, twice, with something unusable
+ *
+ * chat() answers follow-up questions about a stored analysis the same way, against CHAT_SCHEMA.
+ */
+
+const { createProvider } = require('./ai-providers');
+const { diagnoseTank } = require('./diagnostics');
+const { ANALYSIS_SCHEMA, CHAT_SCHEMA, checkAnalysis, checkChatReply } = require('./ai-schema');
+const { createPartialParser } = require('./ai-stream');
+const {
+  PARAM_RANGES,
+  assessParameter,
+  libraryTopics,
+  buildSystemPrompt,
+  buildAnalysisPrompt,
+  buildChatSystemPrompt,
+  buildChatPrompt,
+  buildRepairPrompt,
+} = require('./ai-prompt');
+
+// HTTP status per failure code: a local model server is the user's to fix (503), a bad reply is upstream's (502)
+const ERROR_STATUS = {
+  unreachable: 503,
+  'model-missing': 503,
+  timeout: 503,
+  'invalid-json': 502,
+  'schema-mismatch': 502,
 };
 
-// Assess parameter status
-function assessParameter(param, value) {
-  const ranges = PARAM_RANGES[param];
-  if (!ranges) return 'unknown';
-  
-  if (value >= ranges.optimal[0] && value <= ranges.optimal[1]) return 'optimal';
-  if (value >= ranges.watch[0] && value <= ranges.watch[1]) return 'watch';
-  if (value >= ranges.critical[0] && value <= ranges.critical[1]) return 'critical';
-  return 'danger';
+/**
+ * HTTP status for a failed analysis
+ * @param {string} code - analyzeTank() failure code
+ * @returns {number}
+ */
+function analysisErrorStatus(code) {
+  return ERROR_STATUS[code] || 500;
 }
 
-// Build AI system prompt with reef expertise
-function buildSystemPrompt(libraryContext) {
-  return `You are an expert reef chemistry advisor with deep knowledge of marine aquarium science.
-
-## Your Expertise
-- Randy Holmes-Farley's reef chemistry research and recommendations
-- Optimal parameter ranges for mixed reef and SPS tanks
-- Chemical interactions and ratios (N:P ratio, Mg:Ca ratio, etc.)
-- Trend analysis and prediction
-- Specific, actionable troubleshooting
-
-## Parameter Ranges (Mixed Reef / SPS)
-${Object.entries(PARAM_RANGES).map(([param, ranges]) => 
-  `- ${param.toUpperCase()}: Optimal ${ranges.optimal[0]}-${ranges.optimal[1]}${ranges.unit}, Watch ${ranges.watch[0]}/${ranges.watch[1]}${ranges.unit}, Critical ${ranges.critical[0]}/${ranges.critical[1]}${ranges.unit}`
-).join('\n')}
-
-## Reef Knowledge Context
-${libraryContext}
-
-## Your Response Style
-1. **Assessment**: Rate overall tank health (1-10) with reasoning
-2. **Current Status**: Analyze each parameter against optimal ranges
-3. **Trends**: Identify rising, falling, or stable trends from historical data
-4. **Ratios & Interactions**: Check N:P ratio, Mg:Ca ratio, alkalinity stability
-5. **Priorities**: What to fix FIRST (most urgent → least urgent)
-6. **Specific Actions**: Concrete recommendations (not "test more" - tell them what to DO)
-7. **Citations**: Reference Randy Holmes-Farley or reef research when relevant
-
-## Critical Rules
-- Be specific: "Dose 2 mL/day of Brightwell Alkalin8.3" NOT "raise alkalinity"
-- Flag concerning trends BEFORE they become critical
-- Explain WHY something matters (educate, don't just prescribe)
-- If a parameter is optimal, say so (don't create problems that don't exist)
-- Consider coral type: SPS is more demanding than softies/LPS`;
+// Helper: reef library articles for the measured parameters (SQLite library; skipped if unavailable)
+function findLibraryArticles(currentReadings) {
+  const topics = libraryTopics(currentReadings);
+  if (topics.length === 0) return [];
+
+  try {
+    const { searchByTopics } = require('./library');
+    return searchByTopics(topics, 10);
+  } catch (error) {
+    console.warn('⚠️  Reef library unavailable, analyzing without it:', error.message);
+    return [];
+  }
 }
 
-// Analyze tank parameters with AI
-async function analyzeTank(params, history = []) {
-  if (!genAI) {
-    throw new Error('Google AI not configured - GOOGLE_API_KEY missing');
+/**
+ * Build an analyzer bound to one provider
+ * @param {object} options - { provider: provider object or createProvider() config, library: ground prompts in the reef library (default on; AI_LIBRARY=false turns it off) }
+ * @returns {{provider: object, analyzeTank: function, chat: function}}
+ */
+function createAnalyzer(options = {}) {
+  const provider = options.provider && typeof options.provider.generate === 'function'
+    ? options.provider
+    : createProvider(options.provider || {});
+  const useLibrary = options.library !== undefined ? options.library : process.env.AI_LIBRARY !== 'false';
+
+  /**
+   * Analyze a tank
+   * @param {object} tankProfile - Tank configuration
+   * @param {object} currentReadings - Latest readings
+   * @param {array} recentReadings - Historical readings (7-30 days)
+   * @param {array} events - Recent events
+   * @param {object} dosingConfig - Current dosing setup
+   * @param {object} context - Extra grounding: { dosingRecommendation } from dosing-calculator.js,
+   *   { diagnostics } from diagnostics.js (default: diagnosed from recentReadings and events),
+   *   { onPartial } to stream: hears { type: 'summary' | 'recommendation' | 'retry', ... } (ai-stream.js)
+   * @returns {Promise<{ok: boolean, analysis?: object, provider?: string, model?: string, attempts?: number, repairs?: Array<string>, error?: string, code?: string, hint?: string, details?: Array<object>}>}
+   */
+  async function analyzeTank(tankProfile, currentReadings, recentReadings = [], events = [], dosingConfig = {}, context = {}) {
+    try {
+      const libraryArticles = useLibrary ? findLibraryArticles(currentReadings) : [];
+      const diagnostics = context.diagnostics || diagnoseTank(tankProfile, recentReadings, events).analysis;
+      const partials = context.onPartial ? createPartialParser(context.onPartial) : null;
+
+      const request = {
+        system: buildSystemPrompt(tankProfile, { libraryArticles }),
+        prompt: buildAnalysisPrompt(
+          currentReadings,
+          recentReadings,
+          events,
+          dosingConfig,
+          context.dosingRecommendation,
+          diagnostics ? diagnostics.findings : []
+        ),
+        temperature: 0.3, // Lower temp for more consistent output
+        maxOutputTokens: 2048,
+        schema: ANALYSIS_SCHEMA,
+        onText: partials ? partials.push : null,
+      };
+
+      let attempts = 1;
+      let result = await provider.generate(request);
+      if (!result.ok) return providerFailure(result);
+
+      let checked = checkAnalysis(result.text);
+      if (!checked.ok) {
+        // One retry, telling the model exactly what was wrong
+        console.warn(`⚠️  AI analysis rejected (${checked.code}), retrying once:`, checked.details.map(d => `${d.path} ${d.message}`).join('; ') || checked.error);
+        attempts = 2;
+        if (partials) {
+          partials.reset();
+          context.onPartial({ type: 'retry', code: checked.code, details: checked.details });
+        }
+        result = await provider.generate({
+          ...request,
+          prompt: buildRepairPrompt(request.prompt, result.text, checked),
+          temperature: 0.1,
+        });
+        if (!result.ok) return providerFailure(result);
+        checked = checkAnalysis(result.text);
+      }
+
+      if (!checked.ok) {
+        console.error(`AI analysis failed validation after ${attempts} attempts:`, checked.details);
+        return {
+          ok: false,
+          code: checked.code,
+          error: checked.error,
+          details: checked.details,
+          attempts,
+          provider: provider.name,
+          model: provider.model,
+        };
+      }
+
+      const analysis = checked.analysis;
+      if (libraryArticles.length > 0 && !analysis.citations) {
+        analysis.citations = libraryArticles.map(a => ({ title: a.title, source: a.source, id: a.id }));
+      }
+
+      return {
+        ok: true,
+        analysis,
+        provider: provider.name,
+        model: provider.model,
+        attempts,
+        repairs: checked.repairs,
+      };
+    } catch (error) {
+      console.error('AI analysis failed:', error);
+      return { ok: false, code: 'failed', error: error.message || 'AI analysis failed' };
+    }
   }
 
-  // Identify relevant topics from parameters
-  const topics = [];
-  if (params.alk !== undefined) topics.push('alkalinity');
-  if (params.ca !== undefined) topics.push('calcium');
-  if (params.mg !== undefined) topics.push('magnesium');
-  if (params.no3 !== undefined || params.po4 !== undefined) topics.push('nutrients', 'nitrate', 'phosphate');
-  if (params.pH !== undefined) topics.push('pH');
-
-  // Fetch relevant library context
-  const libraryArticles = topics.length > 0 ? searchByTopics(topics, 10) : [];
-  const libraryContext = libraryArticles.length > 0
-    ? libraryArticles.map(a => `### ${a.title}\nSource: ${a.source}\n${a.content.substring(0, 500)}...`).join('\n\n')
-    : 'No specific library context available.';
-
-  // Build assessment of current parameters
-  const paramAssessment = Object.entries(params)
-    .map(([key, value]) => {
-      const status = assessParameter(key, value);
-      const ranges = PARAM_RANGES[key];
-      return `- ${key.toUpperCase()}: ${value}${ranges?.unit || ''} (${status})`;
-    })
-    .join('\n');
-
-  // Format history for trend analysis
-  const historyText = history.length > 0
-    ? history.map(h => `Date ${h.date}: ${Object.entries(h.params).map(([k, v]) => `${k}=${v}`).join(', ')}`).join('\n')
-    : 'No historical data provided.';
-
-  // Build user prompt
-  const userPrompt = `Analyze this reef tank:
-
-## Current Parameters
-${paramAssessment}
-
-## Historical Data (Last 7 Days)
-${historyText}
-
-Provide a comprehensive analysis with specific, actionable recommendations.`;
+  /**
+   * Answer a follow-up question about a stored analysis, with the tank data it was based on
+   * @param {object} tankProfile - Tank configuration
+   * @param {object} analysis - Stored analysis (its dosingRecommendation and ruleFindings go back into the prompt)
+   * @param {array} recentReadings - Readings the analysis saw, newest first
+   * @param {array} events - Events the analysis saw
+   * @param {array} messages - Conversation so far [{ role: 'user' | 'assistant', content }], oldest first
+   * @param {string} question - The new message
+   * @param {object} dosingConfig - Current dosing setup
+   * @returns {Promise<{ok: boolean, reply?: string, provider?: string, model?: string, attempts?: number, error?: string, code?: string, hint?: string, details?: Array<object>}>}
+   */
+  async function chat(tankProfile, analysis, recentReadings = [], events = [], messages = [], question = '', dosingConfig = {}) {
+    try {
+      const currentReadings = recentReadings[0] || {};
+      const libraryArticles = useLibrary ? findLibraryArticles(currentReadings) : [];
+
+      const request = {
+        system: buildChatSystemPrompt(tankProfile, { libraryArticles }),
+        prompt: buildChatPrompt(
+          {
+            currentReadings,
+            recentReadings,
+            events,
+            dosingConfig,
+            dosingRecommendation: analysis.dosingRecommendation,
+            findings: analysis.ruleFindings || analysis.findings || [],
+          },
+          analysis,
+          messages,
+          question
+        ),
+        temperature: 0.4,
+        maxOutputTokens: 1024,
+        schema: CHAT_SCHEMA,
+      };
+
+      let attempts = 1;
+      let result = await provider.generate(request);
+      if (!result.ok) return providerFailure(result);
+
+      let checked = checkChatReply(result.text);
+      if (!checked.ok) {
+        console.warn(`⚠️  AI chat reply rejected (${checked.code}), retrying once`);
+        attempts = 2;
+        result = await provider.generate({
+          ...request,
+          prompt: buildRepairPrompt(request.prompt, result.text, checked),
+          temperature: 0.1,
+        });
+        if (!result.ok) return providerFailure(result);
+        checked = checkChatReply(result.text);
+      }
+
+      if (!checked.ok) {
+        console.error(`AI chat reply failed validation after ${attempts} attempts:`, checked.details);
+        return { ok: false, code: checked.code, error: checked.error, details: checked.details, attempts, provider: provider.name };
+      }
+
+      return { ok: true, reply: checked.reply, provider: provider.name, model: provider.model, attempts };
+    } catch (error) {
+      console.error('AI chat failed:', error);
+      return { ok: false, code: 'failed', error: error.message || 'AI chat failed' };
+    }
+  }
 
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const result = await model.generateContent([
-      { text: buildSystemPrompt(libraryContext) },
-      { text: userPrompt }
-    ]);
-
-    const response = result.response;
-    const analysisText = response.text();
-
-    return {
-      ok: true,
-      analysis: analysisText,
-      citations: libraryArticles.map(a => ({
-        title: a.title,
-        source: a.source,
-        id: a.id
-      })),
-      parameterStatus: Object.fromEntries(
-        Object.entries(params).map(([key, value]) => [key, assessParameter(key, value)])
-      )
-    };
-  } catch (error) {
-    console.error('AI analysis failed:', error);
-    return {
-      ok: false,
-      error: error.message || 'AI analysis failed'
-    };
+  // Helper: the provider didn't answer; code/hint come from it (e.g. a local model server that isn't running)
+  function providerFailure(result) {
+    return { ok: false, error: result.error, code: result.code || 'failed', hint: result.hint || null, provider: provider.name };
   }
+
+  return { provider, analyzeTank, chat };
+}
+
+// Default analyzer from the AI_* environment, built on first use
+let defaultAnalyzer = null;
+
+/**
+ * Analyze a tank with the provider selected by AI_PROVIDER (see createAnalyzer)
+ * @returns {Promise<{ok: boolean, analysis?: object, provider?: string, model?: string, error?: string}>}
+ */
+async function analyzeTank(...args) {
+  if (!defaultAnalyzer) defaultAnalyzer = createAnalyzer();
+  return defaultAnalyzer.analyzeTank(...args);
 }
 
 module.exports = {
+  createAnalyzer,
   analyzeTank,
+  analysisErrorStatus,
   assessParameter,
-  PARAM_RANGES
+  PARAM_RANGES,
 };
@@ -0,0 +1,653 @@
+/**
+ * Alerting Engine
+ * Watches readings for the problems a reefer wants to hear about before the next manual check:
+ *
+ *   range  — latest value outside the tank's target range (critical past the danger bounds)
+ *   swing  — a parameter moved more than X within the last 24 hours
+ *   stale  — no new Trident result for N hours (reagents out, tubing clogged, sync broken)
+ *
+ * Active alerts only clear once the value is back inside the range by the parameter's
+ * hysteresis margin, so a value hovering on the edge doesn't flap. An alert that stays active
+ * is announced again every few hours until it is acknowledged. Snoozes silence notifications
+ * for one alert key without hiding the alert itself.
+ *
+ * Alert record: { key, rule, param, severity, status, message, value, threshold,
+ *                 raisedAt, lastSeenAt, notifiedAt, resolvedAt, acknowledgedAt, snoozedUntil }
+ */
+
+const { createEventBus } = require('./event-bus');
+const { DEFAULT_UNIT_PREFERENCES, resolveUnitPreferences, toDisplay, unitLabels } = require('./units');
+
+const DEFAULT_CHECK_MINUTES = parseFloat(process.env.ALERT_CHECK_MINUTES) || 15;
+const DEFAULT_REMINDER_HOURS = parseFloat(process.env.ALERT_REMINDER_HOURS) || 4;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Values are canonical (dKH, ppm, °F); messages show them in the user's units (lib/units.js)
+const PARAMS = {
+  alk: { label: 'Alkalinity' },
+  ca: { label: 'Calcium' },
+  mg: { label: 'Magnesium' },
+  ph: { label: 'pH' },
+  temp: { label: 'Temperature' },
+};
+
+// Used when the tank has no target for a parameter (optimal ranges from the AI module)
+const DEFAULT_RANGES = {
+  alk: { min: 7.5, max: 9.0 },
+  ca: { min: 400, max: 450 },
+  mg: { min: 1300, max: 1400 },
+  ph: { min: 8.0, max: 8.3 },
+  temp: { min: 76, max: 79 },
+};
+
+// Past these an out-of-range alert is critical instead of a warning
+const CRITICAL_RANGES = {
+  alk: { min: 6.0, max: 12.0 },
+  ca: { min: 350, max: 520 },
+  mg: { min: 1200, max: 1500 },
+  ph: { min: 7.6, max: 8.7 },
+  temp: { min: 73, max: 82 },
+};
+
+const DEFAULT_ALERT_CONFIG = {
+  range: { enabled: true, params: ['alk', 'ca', 'mg', 'ph', 'temp'] },
+  swing: { enabled: true, limits: { alk: 1.0, ca: 25, mg: 50, ph: 0.4, temp: 3 } },
+  stale: { enabled: true, hours: 12 },
+  hysteresis: { alk: 0.1, ca: 5, mg: 10, ph: 0.05, temp: 0.3 },
+};
+
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+// Helper: Epoch ms from a Date, ISO string or Firestore Timestamp
+function toMillis(value) {
+  if (!value) return NaN;
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  return new Date(value).getTime();
+}
+
+// Helper: Numeric value of a parameter (readings use both `ph` and `pH`)
+function valueOf(reading, param) {
+  let value = reading[param];
+  if ((value === undefined || value === null) && param === 'ph') value = reading.pH;
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
+
+// Helper: Target range for a parameter, falling back to the defaults
+function targetRange(tank, param) {
+  const targets = (tank && tank.targets) || {};
+  const range = targets[param] || (param === 'ph' ? targets.pH : undefined);
+  if (range && isFinite(range.min) && isFinite(range.max)) {
+    return { min: Number(range.min), max: Number(range.max) };
+  }
+  return DEFAULT_RANGES[param];
+}
+
+// Helper: Time of the newest Trident result (any reading with alk/Ca/Mg), or null
+function lastTridentTime(readings) {
+  const times = (readings || [])
+    .filter(r => ['alk', 'ca', 'mg'].some(param => valueOf(r, param) !== null))
+    .map(r => toMillis(r.timestamp))
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Newest value of each parameter plus when the Trident last reported
+ * @param {Array} readings - Recent readings (any order)
+ * @returns {{values: object, lastTridentAt: string|null}}
+ */
+function latestValues(readings) {
+  const values = {};
+  Object.keys(PARAMS).forEach(param => {
+    let newest = null;
+    (readings || []).forEach(r => {
+      const value = valueOf(r, param);
+      const time = toMillis(r.timestamp);
+      if (value !== null && !isNaN(time) && (!newest || time > newest.time)) {
+        newest = { time, value };
+      }
+    });
+    if (newest) values[param] = newest.value;
+  });
+
+  const lastTrident = lastTridentTime(readings);
+  return {
+    values,
+    lastTridentAt: lastTrident !== null ? new Date(lastTrident).toISOString() : null,
+  };
+}
+
+const round = value => +value.toFixed(2);
+
+// Helper: canonical value in the user's units, without the label
+function displayNumber(param, value, units) {
+  return round(toDisplay(param, value, units));
+}
+
+// Helper: a difference (swing, limit) in the user's units: scaled, not offset like °F → °C
+function displayDelta(param, delta, units) {
+  return round(toDisplay(param, delta, units, 2) - toDisplay(param, 0, units, 2));
+}
+
+// Helper: number plus its unit label ('8.2 dKH', '25.1°C', '8.1')
+function withUnit(param, number, units) {
+  const label = unitLabels(units)[param] || '';
+  if (!label) return `${number}`;
+  return label.startsWith('°') ? `${number}${label}` : `${number} ${label}`;
+}
+
+/**
+ * Tank alert settings merged over the defaults
+ * @param {object} tank - Uses tank.alertConfig
+ * @returns {object}
+ */
+function resolveAlertConfig(tank) {
+  const saved = (tank && tank.alertConfig) || {};
+  return {
+    range: { ...DEFAULT_ALERT_CONFIG.range, ...(saved.range || {}) },
+    swing: {
+      ...DEFAULT_ALERT_CONFIG.swing,
+      ...(saved.swing || {}),
+      limits: { ...DEFAULT_ALERT_CONFIG.swing.limits, ...((saved.swing && saved.swing.limits) || {}) },
+    },
+    stale: { ...DEFAULT_ALERT_CONFIG.stale, ...(saved.stale || {}) },
+    hysteresis: { ...DEFAULT_ALERT_CONFIG.hysteresis, ...(saved.hysteresis || {}) },
+  };
+}
+
+// Helper: Validate a { param: number } map
+function numberMap(input, label, allowZero) {
+  const result = {};
+  for (const [param, value] of Object.entries(input || {})) {
+    if (!PARAMS[param]) {
+      return { error: `${label}: unknown parameter "${param}" (use ${Object.keys(PARAMS).join(', ')})` };
+    }
+    const number = Number(value);
+    if (!isFinite(number) || number < 0 || (!allowZero && number === 0)) {
+      return { error: `${label}.${param} must be a ${allowZero ? 'non-negative' : 'positive'} number` };
+    }
+    result[param] = number;
+  }
+  return { values: result };
+}
+
+/**
+ * Validate a partial config update and merge it over the tank's current settings
+ * @param {object} input - { range, swing, stale, hysteresis } (any subset)
+ * @param {object} current - Existing tank.alertConfig
+ * @returns {{ok: boolean, config?: object, error?: string}}
+ */
+function buildAlertConfig(input, current) {
+  if (!input || typeof input !== 'object') {
+    return { ok: false, error: 'Alert config required' };
+  }
+
+  const config = resolveAlertConfig({ alertConfig: current });
+
+  if (input.range) {
+    if (input.range.enabled !== undefined) config.range.enabled = !!input.range.enabled;
+    if (input.range.params !== undefined) {
+      const params = Array.isArray(input.range.params) ? input.range.params : [];
+      const unknown = params.find(param => !PARAMS[param]);
+      if (unknown || !Array.isArray(input.range.params)) {
+        return { ok: false, error: `range.params must list parameters from: ${Object.keys(PARAMS).join(', ')}` };
+      }
+      config.range.params = params;
+    }
+  }
+
+  if (input.swing) {
+    if (input.swing.enabled !== undefined) config.swing.enabled = !!input.swing.enabled;
+    const limits = numberMap(input.swing.limits, 'swing.limits', false);
+    if (limits.error) return { ok: false, error: limits.error };
+    config.swing.limits = { ...config.swing.limits, ...limits.values };
+  }
+
+  if (input.stale) {
+    if (input.stale.enabled !== undefined) config.stale.enabled = !!input.stale.enabled;
+    if (input.stale.hours !== undefined) {
+      const hours = Number(input.stale.hours);
+      if (!(hours > 0) || hours > 24 * 14) {
+        return { ok: false, error: 'stale.hours must be between 0 and 336' };
+      }
+      config.stale.hours = hours;
+    }
+  }
+
+  const hysteresis = numberMap(input.hysteresis, 'hysteresis', true);
+  if (hysteresis.error) return { ok: false, error: hysteresis.error };
+  config.hysteresis = { ...config.hysteresis, ...hysteresis.values };
+
+  return { ok: true, config };
+}
+
+/**
+ * Work out which alert conditions hold right now
+ * @param {object} tank - Tank with targets, equipment and alertConfig
+ * @param {Array} readings - Recent readings (any order)
+ * @param {object} options - { activeKeys: Set of currently active alert keys, now, units: resolved unit preferences }
+ * @returns {Array<{key: string, rule: string, param: string|null, severity: string, message: string, value: number|null, threshold: object}>}
+ */
+function evaluateAlerts(tank, readings, options = {}) {
+  const config = resolveAlertConfig(tank);
+  const activeKeys = options.activeKeys || new Set();
+  const now = options.now || Date.now();
+  const units = options.units || DEFAULT_UNIT_PREFERENCES;
+  const conditions = [];
+
+  // Newest-first series of (time, value) per parameter
+  const seriesFor = param => (readings || [])
+    .map(r => ({ time: toMillis(r.timestamp), value: valueOf(r, param) }))
+    .filter(point => point.value !== null && !isNaN(point.time) && point.time <= now)
+    .sort((a, b) => b.time - a.time);
+
+  if (config.range.enabled) {
+    config.range.params.forEach(param => {
+      const [latest] = seriesFor(param);
+      if (!latest) return;
+
+      const key = `range:${param}`;
+      const { min, max } = targetRange(tank, param);
+      // Once raised, the value has to come back inside by the margin before it clears
+      const margin = activeKeys.has(key) ? config.hysteresis[param] || 0 : 0;
+      if (latest.value >= min + margin && latest.value <= max - margin) return;
+
+      const critical = CRITICAL_RANGES[param];
+      const severity = latest.value < critical.min || latest.value > critical.max ? 'critical' : 'warning';
+      const position = latest.value < min ? 'below' : latest.value > max ? 'above' : 'just inside';
+
+      conditions.push({
+        key,
+        rule: 'range',
+        param,
+        severity,
+        message: `${PARAMS[param].label} ${withUnit(param, displayNumber(param, latest.value, units), units)} is ${position} the target range (${displayNumber(param, min, units)}–${displayNumber(param, max, units)})`,
+        value: latest.value,
+        threshold: { min, max },
+      });
+    });
+  }
+
+  if (config.swing.enabled) {
+    Object.entries(config.swing.limits).forEach(([param, limit]) => {
+      if (!(limit > 0) || !PARAMS[param]) return;
+
+      const window = seriesFor(param).filter(point => point.time >= now - DAY_MS);
+      if (window.length < 2) return;
+
+      const key = `swing:${param}`;
+      const values = window.map(point => point.value);
+      const swing = Math.max(...values) - Math.min(...values);
+      const margin = activeKeys.has(key) ? config.hysteresis[param] || 0 : 0;
+      if (swing <= limit - margin) return;
+
+      const direction = window[0].value >= window[window.length - 1].value ? 'rose' : 'fell';
+      conditions.push({
+        key,
+        rule: 'swing',
+        param,
+        severity: swing >= limit * 2 ? 'critical' : 'warning',
+        message: `${PARAMS[param].label} swung ${withUnit(param, displayDelta(param, swing, units), units)} in 24h (limit ${displayDelta(param, limit, units)}); it ${direction} to ${withUnit(param, displayNumber(param, window[0].value, units), units)}`,
+        value: round(swing),
+        threshold: { limit, hours: 24 },
+      });
+    });
+  }
+
+  if (config.stale.enabled) {
+    const lastTime = lastTridentTime(readings);
+    const hasTrident = lastTime !== null || !!(tank && tank.equipment && tank.equipment.trident);
+
+    if (hasTrident) {
+      const ageHours = lastTime !== null ? (now - lastTime) / 3600000 : null;
+
+      if (ageHours === null || ageHours > config.stale.hours) {
+        conditions.push({
+          key: 'stale:trident',
+          rule: 'stale',
+          param: null,
+          severity: ageHours === null || ageHours >= config.stale.hours * 2 ? 'critical' : 'warning',
+          message: ageHours === null
+            ? 'No recent Trident results — check reagents, tubing and the controller connection'
+            : `No new Trident result for ${Math.floor(ageHours)}h (limit ${config.stale.hours}h)`,
+          value: ageHours === null ? null : round(ageHours),
+          threshold: { hours: config.stale.hours },
+        });
+      }
+    }
+  }
+
+  return conditions;
+}
+
+/**
+ * Compare the active alerts with the conditions that hold now
+ * @param {Array} activeAlerts - Stored alerts with status 'active'
+ * @param {Array} conditions - From evaluateAlerts()
+ * @returns {{raise: Array, escalate: Array, refresh: Array, resolve: Array}}
+ */
+function reconcileAlerts(activeAlerts, conditions) {
+  const byKey = new Map(activeAlerts.map(alert => [alert.key, alert]));
+  const firing = new Set(conditions.map(condition => condition.key));
+  const plan = { raise: [], escalate: [], refresh: [], resolve: [] };
+
+  conditions.forEach(condition => {
+    const alert = byKey.get(condition.key);
+    if (!alert) {
+      plan.raise.push(condition);
+    } else if (SEVERITY_RANK[condition.severity] > SEVERITY_RANK[alert.severity]) {
+      plan.escalate.push({ alert, condition });
+    } else {
+      plan.refresh.push({ alert, condition });
+    }
+  });
+
+  activeAlerts.forEach(alert => {
+    if (!firing.has(alert.key)) plan.resolve.push(alert);
+  });
+
+  return plan;
+}
+
+// Helper: Is this alert key snoozed at `now`?
+function isSnoozed(tank, key, now) {
+  const until = tank && tank.alertSnoozes && tank.alertSnoozes[key];
+  return !!until && toMillis(until) > now;
+}
+
+/**
+ * Create an alert engine over a storage backend
+ * @param {object} store - { getTank, getReadings, getAlerts, addAlert, updateAlert, updateTank, getUserById? } (lib/storage.js shape)
+ * @param {object} options - { checkMinutes, reminderHours, events: the server's createEventBus() (default: a private one) }
+ * @returns {object} - Engine handle
+ */
+function createAlertEngine(store, options = {}) {
+  const checkIntervalMs = (options.checkMinutes || DEFAULT_CHECK_MINUTES) * 60000;
+  const reminderMs = (options.reminderHours || DEFAULT_REMINDER_HOURS) * 60 * 60 * 1000;
+  const { bus, publish } = options.events || createEventBus();
+
+  // tankId → userId for the periodic staleness check
+  const tracked = new Map();
+  // tankId → the check in flight, so overlapping readings never double-raise
+  const queues = new Map();
+  let timer = null;
+  let onReading = null;
+  let onAction = null;
+
+  async function evaluate(userId, tankId) {
+    const tank = await store.getTank(userId, tankId);
+    if (!tank) {
+      return { ok: false, status: 404, error: 'Tank not found' };
+    }
+
+    const now = Date.now();
+    const config = resolveAlertConfig(tank);
+    const days = Math.max(2, Math.ceil(config.stale.hours / 24) + 1);
+    const [readings, activeAlerts, user] = await Promise.all([
+      store.getReadings(userId, tankId, days),
+      store.getAlerts(userId, tankId, { status: 'active', limit: 100 }),
+      store.getUserById ? store.getUserById(userId) : null,
+    ]);
+    const units = resolveUnitPreferences(user);
+
+    const conditions = evaluateAlerts(tank, readings, {
+      activeKeys: new Set(activeAlerts.map(alert => alert.key)),
+      now,
+      units,
+    });
+    const plan = reconcileAlerts(activeAlerts, conditions);
+    const timestamp = new Date(now).toISOString();
+    const changes = [];
+    const current = [];
+
+    for (const condition of plan.raise) {
+      const alert = await store.addAlert(userId, tankId, {
+        ...condition,
+        status: 'active',
+        raisedAt: timestamp,
+        lastSeenAt: timestamp,
+        notifiedAt: timestamp,
+        resolvedAt: null,
+        acknowledgedAt: null,
+        snoozedUntil: null,
+      });
+      changes.push({ alert, transition: 'raised' });
+      current.push(alert);
+    }
+
+    for (const { alert, condition } of plan.escalate) {
+      const updates = {
+        severity: condition.severity,
+        message: condition.message,
+        value: condition.value,
+        threshold: condition.threshold,
+        lastSeenAt: timestamp,
+        escalatedAt: timestamp,
+        notifiedAt: timestamp,
+        // Acknowledging the warning doesn't cover the critical alert
+        acknowledgedAt: null,
+      };
+      await store.updateAlert(userId, tankId, alert.id, updates);
+      changes.push({ alert: { ...alert, ...updates }, transition: 'escalated' });
+      current.push({ ...alert, ...updates });
+    }
+
+    for (const { alert, condition } of plan.refresh) {
+      const updates = {
+        severity: condition.severity,
+        message: condition.message,
+        value: condition.value,
+        threshold: condition.threshold,
+        lastSeenAt: timestamp,
+      };
+      // Still active and nobody has acknowledged it: remind (snoozed alerts wait for the snooze to end)
+      const lastNotified = toMillis(alert.notifiedAt || alert.raisedAt);
+      const remind = !alert.acknowledgedAt && !isSnoozed(tank, alert.key, now) && !(now - lastNotified < reminderMs);
+      if (remind) updates.notifiedAt = timestamp;
+
+      await store.updateAlert(userId, tankId, alert.id, updates);
+      if (remind) changes.push({ alert: { ...alert, ...updates }, transition: 'reminder' });
+      current.push({ ...alert, ...updates });
+    }
+
+    for (const alert of plan.resolve) {
+      const updates = { status: 'resolved', resolvedAt: timestamp };
+      await store.updateAlert(userId, tankId, alert.id, updates);
+      changes.push({ alert: { ...alert, ...updates }, transition: 'resolved' });
+    }
+
+    changes.forEach(({ alert, transition }) => {
+      publish('alert', {
+        userId,
+        tankId,
+        alert,
+        transition,
+        notify: !isSnoozed(tank, alert.key, now),
+      });
+    });
+
+    // Whole-tank snapshot after every check (the desktop tray renders from this).
+    // Values stay canonical; `units` says how the user wants them shown.
+    const latest = latestValues(readings);
+    publish('tank-status', {
+      userId,
+      tankId,
+      tankName: tank.name || null,
+      values: latest.values,
+      units,
+      lastTridentAt: latest.lastTridentAt,
+      active: current.map(alert => ({
+        id: alert.id,
+        key: alert.key,
+        param: alert.param,
+        severity: alert.severity,
+        message: alert.message,
+      })),
+      checkedAt: timestamp,
+    });
+
+    return {
+      ok: true,
+      raised: plan.raise.length,
+      escalated: plan.escalate.length,
+      resolved: plan.resolve.length,
+      active: current.length,
+    };
+  }
+
+  /**
+   * Evaluate a tank now (queued behind any check already running for it)
+   * @param {string} userId
+   * @param {string} tankId
+   * @returns {Promise<{ok: boolean, raised?: number, escalated?: number, resolved?: number, active?: number, error?: string}>}
+   */
+  function checkTank(userId, tankId) {
+    tracked.set(tankId, userId);
+
+    const previous = queues.get(tankId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => evaluate(userId, tankId))
+      .catch(error => {
+        console.warn(`Alert check failed for tank ${tankId}: ${error.message}`);
+        return { ok: false, error: error.message };
+      });
+
+    queues.set(tankId, next);
+    next.then(() => {
+      if (queues.get(tankId) === next) queues.delete(tankId);
+    });
+    return next;
+  }
+
+  // Helper: Find one stored alert by id
+  async function findAlert(userId, tankId, alertId) {
+    const alerts = await store.getAlerts(userId, tankId, { limit: 500 });
+    return alerts.find(alert => alert.id === alertId) || null;
+  }
+
+  /**
+   * Mark an alert as seen: no more reminders while it stays active (an escalation still
+   * notifies, and needs acknowledging again)
+   * @returns {Promise<{ok: boolean, alert?: object, error?: string, status?: number}>}
+   */
+  async function acknowledge(userId, tankId, alertId) {
+    const alert = await findAlert(userId, tankId, alertId);
+    if (!alert) {
+      return { ok: false, status: 404, error: 'Alert not found' };
+    }
+
+    const updates = { acknowledgedAt: alert.acknowledgedAt || new Date().toISOString() };
+    await store.updateAlert(userId, tankId, alertId, updates);
+    return { ok: true, alert: { ...alert, ...updates } };
+  }
+
+  /**
+   * Silence notifications for an alert's key (this alert and any re-raise) for a while
+   * @param {number} minutes - Default 60, at most a week
+   * @returns {Promise<{ok: boolean, alert?: object, error?: string, status?: number}>}
+   */
+  async function snooze(userId, tankId, alertId, minutes = 60) {
+    const duration = Number(minutes);
+    if (!(duration > 0) || duration > MAX_SNOOZE_MINUTES) {
+      return { ok: false, status: 400, error: `minutes must be between 0 and ${MAX_SNOOZE_MINUTES}` };
+    }
+
+    const [tank, alert] = await Promise.all([
+      store.getTank(userId, tankId),
+      findAlert(userId, tankId, alertId),
+    ]);
+    if (!tank || !alert) {
+      return { ok: false, status: 404, error: tank ? 'Alert not found' : 'Tank not found' };
+    }
+
+    const now = Date.now();
+    const snoozedUntil = new Date(now + duration * 60000).toISOString();
+
+    // Drop expired snoozes while we're here
+    const alertSnoozes = {};
+    Object.entries(tank.alertSnoozes || {}).forEach(([key, until]) => {
+      if (toMillis(until) > now) alertSnoozes[key] = until;
+    });
+    alertSnoozes[alert.key] = snoozedUntil;
+
+    await store.updateTank(userId, tankId, { alertSnoozes });
+    await store.updateAlert(userId, tankId, alertId, { snoozedUntil });
+    return { ok: true, alert: { ...alert, snoozedUntil } };
+  }
+
+  /**
+   * Include a tank in the periodic staleness check (checked right away the first time)
+   */
+  function track(userId, tankId) {
+    if (tracked.has(tankId)) return;
+    checkTank(userId, tankId);
+  }
+
+  /**
+   * Evaluate on every stored reading, and re-check tracked tanks on a timer
+   * (staleness can only be noticed when nothing arrives)
+   */
+  function start() {
+    if (onReading) return;
+
+    onReading = ({ userId, tankId }) => {
+      checkTank(userId, tankId);
+    };
+    bus.on('reading', onReading);
+
+    // Snooze / acknowledge buttons on desktop notifications
+    onAction = ({ userId, tankId, alertId, action, minutes }) => {
+      const handle = action === 'snooze'
+        ? snooze(userId, tankId, alertId, minutes)
+        : acknowledge(userId, tankId, alertId);
+      handle
+        .then(result => {
+          if (!result.ok) console.warn(`Alert ${action} failed: ${result.error}`);
+        })
+        .catch(error => console.warn(`Alert ${action} failed: ${error.message}`));
+    };
+    bus.on('alert-action', onAction);
+
+    timer = setInterval(() => {
+      tracked.forEach((userId, tankId) => checkTank(userId, tankId));
+    }, checkIntervalMs);
+
+    // Never keep the process alive just for alert checks
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (onReading) {
+      bus.removeListener('reading', onReading);
+      bus.removeListener('alert-action', onAction);
+      onReading = null;
+      onAction = null;
+    }
+    clearInterval(timer);
+    timer = null;
+    tracked.clear();
+  }
+
+  return {
+    checkTank,
+    acknowledge,
+    snooze,
+    track,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  DEFAULT_ALERT_CONFIG,
+  latestValues,
+  resolveAlertConfig,
+  buildAlertConfig,
+  evaluateAlerts,
+  reconcileAlerts,
+  createAlertEngine,
+};
@@ -0,0 +1,153 @@
+/**
+ * Alkalinity Budget
+ * Compares what the dosers put in with what the Trident says actually happened:
+ *
+ *   input        — doser rates × product strength ÷ tank volume (chemistry-model.js)
+ *   net balance  — observed alk slope from Trident readings (least-squares fit)
+ *   consumption  — input − net balance (corals, bacteria, precipitation, everything else)
+ */
+
+const { dailyRates } = require('./chemistry-model');
+
+const DEFAULT_WINDOW_DAYS = 7;
+const MIN_SAMPLES = 3;
+
+// Shortest stretch of Trident readings a slope is fitted over (a few readings minutes apart say nothing per day)
+const MIN_SPAN_DAYS = 1;
+
+// Helper: Least-squares line through (days, alk) points
+function fitSlope(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(p => {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+    syy += (p.y - meanY) ** 2;
+  });
+
+  if (sxx === 0) return { slope: 0, r2: 0 };
+
+  const slope = sxy / sxx;
+  const r2 = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  return { slope, r2 };
+}
+
+// Helper: Trident alk readings inside the window, oldest first (manual tests and imports mix in other test kits)
+function alkSeries(readings, windowDays, now) {
+  const cutoff = now - windowDays * 86400000;
+
+  return readings
+    .filter(r => r.source === 'trident' && r.alk !== undefined && r.alk !== null && !isNaN(r.alk))
+    .map(r => ({ time: new Date(r.timestamp).getTime(), alk: Number(r.alk) }))
+    .filter(r => r.time >= cutoff && r.time <= now)
+    .sort((a, b) => a.time - b.time);
+}
+
+const round2 = value => +value.toFixed(2);
+
+/**
+ * Compute the alkalinity budget for a tank
+ * @param {object} tank - Tank with volume, equipment.outlets and/or dosing config
+ * @param {Array} readings - Recent readings (any order)
+ * @param {object} options - { windowDays, events, now }
+ * @returns {{ok: boolean, budget?: object, error?: string}}
+ */
+function computeAlkBudget(tank, readings, options = {}) {
+  if (!tank) {
+    return { ok: false, error: 'Tank required' };
+  }
+
+  const windowDays = options.windowDays || DEFAULT_WINDOW_DAYS;
+  const now = options.now || Date.now();
+  const series = alkSeries(readings || [], windowDays, now);
+  const latestAlk = series.length > 0 ? series[series.length - 1].alk : null;
+
+  const rates = dailyRates(tank, { alk: latestAlk || 8 });
+  const input = round2(rates.dosing.alk);
+  const sources = rates.products
+    .filter(p => p.alk > 0)
+    .map(p => ({
+      outletId: p.outletId,
+      name: p.name,
+      product: p.product,
+      rate: p.rate,
+      dkhPerDay: round2(p.alk),
+    }));
+
+  const notes = [];
+  let observed = null;
+  let consumption = null;
+  let r2 = null;
+  const spanDays = series.length > 1 ? (series[series.length - 1].time - series[0].time) / 86400000 : 0;
+  const measured = series.length >= MIN_SAMPLES && spanDays >= MIN_SPAN_DAYS;
+
+  if (measured) {
+    const fit = fitSlope(series.map(s => ({ x: (s.time - series[0].time) / 86400000, y: s.alk })));
+    observed = round2(fit.slope);
+    consumption = round2(input - fit.slope);
+    r2 = +fit.r2.toFixed(2);
+  } else if (series.length < MIN_SAMPLES) {
+    notes.push(`Need at least ${MIN_SAMPLES} Trident alk readings in the last ${windowDays} days to measure consumption`);
+  } else {
+    notes.push(`Trident alk readings only span ${Math.round(spanDays * 24)} hours; need at least ${MIN_SPAN_DAYS} day to measure consumption`);
+  }
+
+  if (sources.length === 0) {
+    notes.push('No dosing pumps with a recognised alkalinity product and rate');
+  }
+
+  // Confidence: enough data, a clean trend, known products, no dosing changes mid-window
+  let score = 0;
+  if (measured) {
+    score += Math.min(0.4, series.length * 0.04);
+    score += Math.min(0.2, spanDays / windowDays * 0.2);
+    score += r2 * 0.1;
+  }
+  if (sources.length > 0) score += 0.2;
+
+  const dosingChanges = (options.events || []).filter(e => {
+    const time = new Date(e.date).getTime();
+    return /dos/i.test(e.type || '') && time >= now - windowDays * 86400000 && time <= now;
+  });
+  if (dosingChanges.length > 0) {
+    notes.push(`Dosing changed during the window (${dosingChanges[0].title}); consumption mixes old and new rates`);
+  } else {
+    score += 0.1;
+  }
+
+  const confidence = score >= 0.75 ? 'high' : score >= 0.45 ? 'medium' : 'low';
+
+  return {
+    ok: true,
+    budget: {
+      unit: 'dKH/day',
+      windowDays,
+      input: {
+        total: input,
+        sources,
+      },
+      consumption: consumption === null ? null : {
+        total: consumption,
+        method: 'trident-slope',
+      },
+      net: observed,
+      status: observed === null ? 'unknown' : observed < -0.05 ? 'deficit' : observed > 0.05 ? 'surplus' : 'balanced',
+      currentAlk: latestAlk,
+      confidence,
+      confidenceScore: +Math.min(1, score).toFixed(2),
+      samples: series.length,
+      r2,
+      notes,
+      computedAt: new Date(now).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  computeAlkBudget,
+};
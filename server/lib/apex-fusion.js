@@ -7,6 +7,7 @@
 
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { findProduct } = require('./products');
 
 const FUSION_API_BASE = 'https://apexfusion.com/api';
 const ENCRYPTION_KEY = process.env.APEX_ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
@@ -127,6 +128,23 @@ async function getFusionDevices(token) {
   }
 }
 
+// Trident probe names on older firmware: "Alk", "Ca", "Mg", plus the module address Apex may append ("Cax4")
+const TRIDENT_NAME = /^(alk|ca|mg)(x\d+)?$/i;
+
+/**
+ * Which Trident parameter an Apex input reports. Current firmware sets the probe type; older
+ * units only name the probe, so names must match exactly ("Cabinet_Temp" is not calcium).
+ * @param {object} input - Apex input { name, type }
+ * @returns {string|null} - 'alk', 'ca', 'mg' or null
+ */
+function tridentParam(input) {
+  const type = (input.type || '').toLowerCase();
+  if (type === 'alk' || type === 'ca' || type === 'mg') return type;
+
+  const match = (input.name || '').match(TRIDENT_NAME);
+  return match ? match[1].toLowerCase() : null;
+}
+
 /**
  * Auto-discover Apex configuration (probes, outlets, Trident)
  * @param {string} token - Fusion auth token
@@ -160,13 +178,11 @@ async function discoverApexConfig(token, fusionId) {
       });
     }
 
-    // Detect Trident (looks for Alk/Ca/Mg in inputs)
+    // Detect Trident (Alk, Ca and Mg probes in inputs)
     let trident = false;
     if (status.inputs) {
-      const hasAlk = status.inputs.some(i => i.name && i.name.toLowerCase().includes('alk'));
-      const hasCa = status.inputs.some(i => i.name && i.name.toLowerCase().includes('ca'));
-      const hasMg = status.inputs.some(i => i.name && i.name.toLowerCase().includes('mg'));
-      trident = hasAlk && hasCa && hasMg;
+      const params = status.inputs.map(tridentParam);
+      trident = params.includes('alk') && params.includes('ca') && params.includes('mg');
     }
 
     // Parse outlets (dosing pumps, ATO, etc.)
@@ -178,6 +194,7 @@ async function discoverApexConfig(token, fusionId) {
           name: output.name || output.Name,
           state: output.status || output.State,
           type: inferOutletType(output.name || output.Name),
+          product: inferOutletProduct(output.name || output.Name),
         });
       });
     }
@@ -206,7 +223,7 @@ async function discoverApexConfig(token, fusionId) {
 }
 
 /**
- * Infer outlet type from name (heuristic)
+ * Infer outlet type from name (heuristic, plus the product catalog for names like "Kalk" or "Vodka")
  * @param {string} name - Outlet name
  * @returns {string} - Type: 'dosing', 'ato', 'heater', 'light', 'pump', 'other'
  */
@@ -229,10 +246,24 @@ function inferOutletType(name) {
   if (lower.includes('pump') || lower.includes('return') || lower.includes('skimmer')) {
     return 'pump';
   }
+  // Strict threshold so "KalkStirrer" stays 'other' while "Kalk" is a doser
+  if (findProduct(name, [], 0.85)) {
+    return 'dosing';
+  }
 
   return 'other';
 }
 
+/**
+ * Guess the dosed product from an outlet name ("All4Reef" → "All-For-Reef")
+ * @param {string} name - Outlet name
+ * @returns {string|null} - Catalog product name, if confidently matched
+ */
+function inferOutletProduct(name) {
+  const product = findProduct(name, [], 0.85);
+  return product ? product.name : null;
+}
+
 /**
  * Sync live data from Apex (readings)
  * @param {string} token - Fusion auth token
@@ -276,17 +307,15 @@ async function syncApexReadings(token, fusionId) {
         }
 
         // Trident readings
-        if (input.name && input.name.toLowerCase().includes('alk') && input.value !== null) {
-          readings.alk = parseFloat(input.value);
-          readings.source = 'trident';
-        }
-        if (input.name && input.name.toLowerCase().includes('ca') && input.value !== null) {
-          readings.ca = parseFloat(input.value);
-          readings.source = 'trident';
-        }
-        if (input.name && input.name.toLowerCase().includes('mg') && input.value !== null) {
-          readings.mg = parseFloat(input.value);
+        const param = tridentParam(input);
+        if (param && input.value !== null) {
+          readings[param] = parseFloat(input.value);
           readings.source = 'trident';
+
+          // Trident results carry the time the test ran (used to skip repeats of the same test)
+          if (input.date && !readings.tridentTimestamp) {
+            readings.tridentTimestamp = new Date(input.date).toISOString();
+          }
         }
       });
     }
@@ -306,6 +335,9 @@ module.exports = {
   getFusionDevices,
   discoverApexConfig,
   syncApexReadings,
+  inferOutletType,
+  inferOutletProduct,
+  tridentParam,
   encrypt,
   decrypt,
 };
@@ -0,0 +1,419 @@
+/**
+ * Local Apex Integration
+ * Polls a Neptune Apex directly on the LAN via its on-box status endpoints
+ * (/rest/status on current firmware, /cgi-bin/status.xml on older units)
+ *
+ * IMPORTANT: This is READ-ONLY. We NEVER write to the Apex.
+ */
+
+// node-fetch v3 is ESM-only, so prefer the runtime's fetch (Node 18+ / Electron 28)
+const fetch = globalThis.fetch || require('node-fetch');
+const { inferOutletType, inferOutletProduct, tridentParam } = require('./apex-fusion');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Build the controller base URL from an IP, hostname or full URL
+ * @param {string} host - e.g. "192.168.1.50", "apex.local:8080", "http://10.0.0.4"
+ * @returns {string} - Base URL without trailing slash
+ */
+function normalizeHost(host) {
+  const trimmed = String(host || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+// Private LAN ranges a controller can live on (loopback and link-local are left out on purpose)
+const LAN_RANGES = [
+  [[10, 0, 0, 0], 8],
+  [[172, 16, 0, 0], 12],
+  [[192, 168, 0, 0], 16],
+];
+
+// Helper: does a dotted IPv4 address fall inside a CIDR range?
+function inRange(octets, [base, bits]) {
+  const toInt = parts => parts.reduce((value, part) => (value * 256) + part, 0);
+  const size = 2 ** (32 - bits);
+  return Math.floor(toInt(octets) / size) === Math.floor(toInt(base) / size);
+}
+
+/**
+ * Check that a user-supplied controller address stays on the LAN (private IPv4 or an
+ * mDNS .local name), so the server can't be pointed at arbitrary hosts
+ * @param {string} host - e.g. "192.168.1.50", "apex.local:8080", "http://10.0.0.4"
+ * @returns {{ok: boolean, error?: string}}
+ */
+function checkLanHost(host) {
+  let hostname;
+  try {
+    hostname = new URL(normalizeHost(host)).hostname.toLowerCase();
+  } catch (error) {
+    return { ok: false, error: 'Invalid Apex address' };
+  }
+
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)*\.local$/.test(hostname)) {
+    return { ok: true };
+  }
+
+  const octets = hostname.split('.').map(Number);
+  const isIpv4 = octets.length === 4 && octets.every(octet => Number.isInteger(octet) && octet >= 0 && octet <= 255);
+  if (isIpv4 && LAN_RANGES.some(range => inRange(octets, range))) {
+    return { ok: true };
+  }
+
+  return { ok: false, error: 'Local Apex address must be a private LAN IP (10.x, 172.16-31.x, 192.168.x) or a .local name' };
+}
+
+/**
+ * Log in to the Apex REST API and return the session cookie
+ * @param {string} baseUrl - Controller base URL
+ * @param {object} credentials - { username, password }
+ * @returns {Promise<{ok: boolean, cookie?: string, statusCode?: number}>}
+ */
+async function restLogin(baseUrl, credentials) {
+  const response = await fetch(`${baseUrl}/rest/login`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ReefMind/1.0',
+    },
+    body: JSON.stringify({
+      login: credentials.username,
+      password: credentials.password,
+      remember_me: false,
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    return { ok: false, statusCode: response.status };
+  }
+
+  const setCookie = response.headers.get('set-cookie');
+  if (!setCookie) {
+    return { ok: false, statusCode: 401 };
+  }
+
+  // Only the session id matters (connect.sid=...; Path=/; HttpOnly)
+  return { ok: true, cookie: setCookie.split(';')[0] };
+}
+
+/**
+ * Fetch and normalize /rest/status
+ * @returns {Promise<{ok: boolean, status?: object, error?: string, statusCode?: number}>}
+ */
+async function fetchRestStatus(baseUrl, credentials) {
+  const headers = { 'User-Agent': 'ReefMind/1.0' };
+
+  if (credentials && credentials.username) {
+    const login = await restLogin(baseUrl, credentials);
+    if (!login.ok) {
+      const error = login.statusCode === 401 || login.statusCode === 403
+        ? 'Invalid Apex credentials'
+        : `Apex REST login error: ${login.statusCode}`;
+      return { ok: false, error, statusCode: login.statusCode };
+    }
+    headers['Cookie'] = login.cookie;
+  }
+
+  const response = await fetch(`${baseUrl}/rest/status`, {
+    headers,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    return { ok: false, error: `Apex REST error: ${response.status}`, statusCode: response.status };
+  }
+
+  const data = await response.json();
+  return { ok: true, status: normalizeRestStatus(data) };
+}
+
+/**
+ * Fetch and parse /cgi-bin/status.xml
+ * @returns {Promise<{ok: boolean, status?: object, error?: string, statusCode?: number}>}
+ */
+async function fetchXmlStatus(baseUrl, credentials) {
+  const headers = { 'User-Agent': 'ReefMind/1.0' };
+
+  if (credentials && credentials.username) {
+    const basic = Buffer.from(`${credentials.username}:${credentials.password || ''}`).toString('base64');
+    headers['Authorization'] = `Basic ${basic}`;
+  }
+
+  const response = await fetch(`${baseUrl}/cgi-bin/status.xml`, {
+    headers,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      return { ok: false, error: 'Invalid Apex credentials', statusCode: 401 };
+    }
+    return { ok: false, error: `Apex XML error: ${response.status}`, statusCode: response.status };
+  }
+
+  const xml = await response.text();
+  return { ok: true, status: parseStatusXml(xml) };
+}
+
+/**
+ * Normalize a /rest/status payload into { hostname, serial, software, date, inputs, outputs }
+ * @param {object} data - Raw JSON (current firmware wraps everything in `istat`)
+ * @returns {object}
+ */
+function normalizeRestStatus(data) {
+  const istat = data.istat || data;
+  const system = data.system || {};
+
+  // `date` is seconds since epoch in the controller's local time; `timezone` is its offset in hours
+  let date = null;
+  if (typeof istat.date === 'number') {
+    const offsetHours = typeof istat.timezone === 'number' ? istat.timezone : 0;
+    date = new Date((istat.date - offsetHours * 3600) * 1000);
+  }
+
+  return {
+    hostname: istat.hostname || system.hostname || null,
+    serial: istat.serial || system.serial || null,
+    software: istat.software || system.software || null,
+    date,
+    inputs: (istat.inputs || []).map(input => ({
+      did: input.did,
+      name: input.name,
+      type: input.type,
+      value: input.value === undefined ? null : input.value,
+    })),
+    outputs: (istat.outputs || []).map(output => ({
+      did: output.did,
+      name: output.name,
+      type: output.type,
+      state: Array.isArray(output.status) ? output.status[0] : output.status,
+    })),
+  };
+}
+
+// Read the text content of the first <tag> inside an XML fragment
+function xmlText(fragment, tag) {
+  const match = fragment.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+// Return every <tag>...</tag> block inside an XML fragment
+function xmlBlocks(fragment, tag) {
+  return fragment.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'g')) || [];
+}
+
+/**
+ * Parse the classic status.xml into the same shape as normalizeRestStatus
+ * @param {string} xml - Raw XML body
+ * @returns {object}
+ */
+function parseStatusXml(xml) {
+  const rootMatch = xml.match(/<status([^>]*)>/);
+  const rootAttrs = rootMatch ? rootMatch[1] : '';
+  const softwareMatch = rootAttrs.match(/software="([^"]*)"/);
+
+  // status.xml dates are controller-local "MM/DD/YYYY HH:MM:SS"
+  let date = null;
+  const dateText = xmlText(xml, 'date');
+  const dateMatch = dateText && dateText.match(/^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+  if (dateMatch) {
+    const [, month, day, year, hour, minute, second] = dateMatch.map(Number);
+    const offsetHours = parseFloat(xmlText(xml, 'timezone')) || 0;
+    date = new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offsetHours * 3600000);
+  }
+
+  const inputs = xmlBlocks(xml, 'probe').map(block => {
+    const value = xmlText(block, 'value');
+    return {
+      name: xmlText(block, 'name'),
+      type: xmlText(block, 'type'),
+      value: value === null || value === '' ? null : parseFloat(value),
+    };
+  });
+
+  const outputs = xmlBlocks(xml, 'outlet').map(block => ({
+    did: xmlText(block, 'deviceID'),
+    name: xmlText(block, 'name'),
+    state: xmlText(block, 'state'),
+  }));
+
+  return {
+    hostname: xmlText(xml, 'hostname'),
+    serial: xmlText(xml, 'serial'),
+    software: softwareMatch ? softwareMatch[1] : null,
+    date,
+    inputs,
+    outputs,
+  };
+}
+
+/**
+ * Fetch controller status, preferring the REST API and falling back to status.xml
+ * @param {string} host - Apex IP, hostname or URL
+ * @param {object} credentials - Optional { username, password }
+ * @returns {Promise<{ok: boolean, status?: object, endpoint?: string, error?: string}>}
+ */
+async function getLocalStatus(host, credentials = null) {
+  if (!host) {
+    return { ok: false, error: 'Local Apex address not configured' };
+  }
+
+  const baseUrl = normalizeHost(host);
+
+  try {
+    const rest = await fetchRestStatus(baseUrl, credentials);
+    if (rest.ok) {
+      return { ok: true, status: rest.status, endpoint: 'rest' };
+    }
+
+    // Older firmware has no REST API — anything but an auth failure is worth retrying as XML
+    if (rest.statusCode === 401 || rest.statusCode === 403) {
+      return { ok: false, error: rest.error };
+    }
+  } catch (error) {
+    const code = error.code || (error.cause && error.cause.code);
+    if (error.name === 'AbortError' || error.name === 'TimeoutError' || code === 'ECONNREFUSED' || code === 'EHOSTUNREACH') {
+      console.error('Local Apex unreachable:', error.message);
+      return { ok: false, error: `Apex not reachable at ${baseUrl}` };
+    }
+    console.warn('Local Apex REST status failed, trying status.xml:', error.message);
+  }
+
+  try {
+    const xml = await fetchXmlStatus(baseUrl, credentials);
+    if (!xml.ok) {
+      return { ok: false, error: xml.error };
+    }
+    return { ok: true, status: xml.status, endpoint: 'xml' };
+  } catch (error) {
+    console.error('Local Apex status error:', error);
+    return { ok: false, error: `Failed to read status from Apex at ${baseUrl}` };
+  }
+}
+
+/**
+ * Classify an Apex input into a ReefMind reading key
+ * @param {object} input - { name, type }
+ * @returns {string|null} - 'pH', 'temp', 'orp', 'salinity', 'alk', 'ca', 'mg' or null
+ */
+function classifyInput(input) {
+  const type = (input.type || '').toLowerCase();
+
+  if (type === 'ph') return 'pH';
+  if (type === 'temp' || type === 'tmp') return 'temp';
+  if (type === 'orp') return 'orp';
+  if (type === 'cond') return 'salinity';
+
+  return tridentParam(input);
+}
+
+/**
+ * Map a normalized controller status to the reading shape produced by syncApexReadings
+ * @param {object} status - Output of normalizeRestStatus / parseStatusXml
+ * @returns {object}
+ */
+function mapStatusToReadings(status) {
+  const readings = {
+    source: 'apex-probe',
+    timestamp: new Date(),
+  };
+
+  if (status.date && !isNaN(status.date.getTime())) {
+    readings.deviceTimestamp = status.date.toISOString();
+  }
+
+  (status.inputs || []).forEach(input => {
+    if (input.value === null || input.value === undefined) return;
+
+    const key = classifyInput(input);
+    if (!key) return;
+
+    // First probe of each kind wins (e.g. a second temp probe in the sump)
+    if (readings[key] !== undefined) return;
+
+    readings[key] = parseFloat(input.value);
+    if (key === 'alk' || key === 'ca' || key === 'mg') {
+      readings.source = 'trident';
+    }
+  });
+
+  return readings;
+}
+
+/**
+ * Sync live data from a local Apex (readings)
+ * @param {string} host - Apex IP, hostname or URL
+ * @param {object} credentials - Optional { username, password }
+ * @returns {Promise<{ok: boolean, readings?: object, error?: string}>}
+ */
+async function syncLocalReadings(host, credentials = null) {
+  const result = await getLocalStatus(host, credentials);
+  if (!result.ok) {
+    return { ok: false, error: result.error };
+  }
+
+  return {
+    ok: true,
+    readings: mapStatusToReadings(result.status),
+  };
+}
+
+/**
+ * Auto-discover local Apex configuration (probes, outlets, Trident)
+ * @param {string} host - Apex IP, hostname or URL
+ * @param {object} credentials - Optional { username, password }
+ * @returns {Promise<{ok: boolean, config?: object, error?: string}>}
+ */
+async function discoverLocalConfig(host, credentials = null) {
+  const result = await getLocalStatus(host, credentials);
+  if (!result.ok) {
+    return { ok: false, error: result.error };
+  }
+
+  const status = result.status;
+  const kinds = status.inputs
+    .filter(input => input.value !== null)
+    .map(classifyInput);
+
+  const probes = [];
+  if (kinds.includes('pH')) probes.push('pH');
+  if (kinds.includes('temp')) probes.push('Temp');
+  if (kinds.includes('orp')) probes.push('ORP');
+  if (kinds.includes('salinity')) probes.push('Conductivity');
+
+  const trident = kinds.includes('alk') && kinds.includes('ca') && kinds.includes('mg');
+
+  const outlets = status.outputs.map(output => ({
+    id: output.did,
+    name: output.name,
+    state: output.state,
+    type: inferOutletType(output.name),
+    product: inferOutletProduct(output.name),
+  }));
+
+  return {
+    ok: true,
+    config: {
+      name: status.hostname || 'My Reef',
+      apexSerial: status.serial || 'UNKNOWN',
+      dataSource: 'local',
+      equipment: {
+        probes,
+        trident,
+        ato: outlets.some(o => o.type === 'ato'),
+        outlets,
+      },
+    },
+  };
+}
+
+module.exports = {
+  checkLanHost,
+  getLocalStatus,
+  syncLocalReadings,
+  discoverLocalConfig,
+  parseStatusXml,
+  normalizeRestStatus,
+  mapStatusToReadings,
+};
@@ -1,11 +1,11 @@
 /**
- * Authentication Module (Firestore + JWT)
+ * Authentication Module (Firestore/SQLite + JWT)
  * Handles user registration, login, and token validation
  */
 
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { getUserByEmail, createUser, getUserById } = require('./firestore');
+const { getUserByEmail, createUser, getUserById } = require('./storage');
 
 const SALT_ROUNDS = 12;
 const JWT_SECRET = process.env.JWT_SECRET || 'REPLACE_IN_PRODUCTION_WITH_SECURE_SECRET';
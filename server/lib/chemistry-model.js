@@ -0,0 +1,229 @@
+/**
+ * Reef Chemistry Model
+ * Simple mass balance for alkalinity, calcium and magnesium so doser rates drive
+ * parameter changes instead of just being labels on an outlet.
+ *
+ * Per day the model adds dosing (products.js effects × mL/day ÷ tank volume) and subtracts:
+ * - Coral consumption — calcification uses ~7.1 ppm Ca per 1 dKH, slowing when alk is low
+ * - Nitrification — every 1 ppm NH4-N oxidised burns ~0.4 dKH and makes ~4.4 ppm NO3
+ * - Precipitation — abiotic CaCO3 loss once alk runs above ~11 dKH (sooner when Mg is low)
+ *
+ * State shape: { alk, ca, mg, nh4, no3 } — dKH, ppm, ppm, ppm NH4-N, ppm NO3
+ */
+
+const { findProduct } = require('./products');
+
+const GALLONS_TO_LITERS = 3.785;
+const CA_PER_DKH = 7.14;          // ppm Ca per dKH of CaCO3
+const ALK_PER_NH4_N = 0.4;        // dKH consumed per ppm NH4-N nitrified
+const NO3_PER_NH4_N = 4.43;       // ppm NO3 produced per ppm NH4-N
+const MAX_STEP_HOURS = 1;
+
+// Tank-level defaults, overridable per tank via `tank.chemistry`
+const DEFAULT_CHEMISTRY = {
+  alkUptake: 1.0,               // dKH/day coral consumption at normal alk
+  mgUptake: 0.5,                // ppm/day
+  nitrificationRate: 0.7,       // fraction of the NH4 pool oxidised per day
+  no3Uptake: 0.05,              // fraction of NO3 exported/taken up per day
+  precipitationThreshold: 11,   // dKH where abiotic precipitation starts (Mg 1300+)
+  precipitationRate: 0.3,       // fraction of the excess lost per day
+};
+
+/**
+ * Tank water volume in liters
+ * @param {object} tank - Uses volumeLiters, else volume (gallons)
+ * @returns {number}
+ */
+function tankVolumeLiters(tank) {
+  if (tank.volumeLiters) return tank.volumeLiters;
+  if (tank.volume) return tank.volume * GALLONS_TO_LITERS;
+  return 100;
+}
+
+// Helper: Merge per-tank chemistry settings over the defaults
+function chemistrySettings(tank) {
+  return { ...DEFAULT_CHEMISTRY, ...(tank.chemistry || {}) };
+}
+
+/**
+ * Dosing outlets with a known product, rates optionally overridden
+ * Reads equipment outlets plus the user's `tank.dosing` config ({ [pumpId]: { product, rate_ml_day, userLabel } }),
+ * which wins when both describe the same pump.
+ * @param {object} tank
+ * @param {object} overrides - { [outletId]: mL/day } for what-if runs
+ * @returns {Array<{outletId: string, name: string, product: object, rate: number}>}
+ */
+function dosingOutlets(tank, overrides = {}) {
+  const outlets = (tank.equipment && tank.equipment.outlets) || [];
+  const dosing = tank.dosing || {};
+  const pumps = new Map();
+
+  outlets.forEach(outlet => {
+    pumps.set(outlet.id, { id: outlet.id, name: outlet.name, product: outlet.product, rate: outlet.rate });
+  });
+  Object.entries(dosing).forEach(([pumpId, config]) => {
+    const existing = pumps.get(pumpId) || { id: pumpId, name: pumpId };
+    pumps.set(pumpId, {
+      ...existing,
+      name: config.userLabel || existing.name,
+      product: config.product || existing.product,
+      rate: config.rate_ml_day !== undefined ? config.rate_ml_day : existing.rate,
+    });
+  });
+
+  return Array.from(pumps.values())
+    .map(pump => {
+      const product = findProduct(pump.product, tank.customProducts) || findProduct(pump.name, tank.customProducts);
+      const rate = overrides[pump.id] !== undefined ? Number(overrides[pump.id]) : Number(pump.rate) || 0;
+      return { outletId: pump.id, name: pump.name, product, rate };
+    })
+    .filter(pump => pump.product && pump.rate > 0);
+}
+
+/**
+ * Break down the per-day change of each parameter at the current state
+ * @param {object} tank
+ * @param {object} state - { alk, ca, mg, nh4, no3 }
+ * @param {object} overrides - { [outletId]: mL/day }
+ * @returns {object} - { dosing, consumption, nitrification, precipitation, net, products }
+ */
+function dailyRates(tank, state, overrides = {}) {
+  const settings = chemistrySettings(tank);
+  const liters = tankVolumeLiters(tank);
+
+  // Dosing: effects are per mL per 100 L
+  const dosing = { alk: 0, ca: 0, mg: 0, nh4: 0, no3: 0 };
+  const products = dosingOutlets(tank, overrides).map(outlet => {
+    const effects = outlet.product.effects;
+    const scale = outlet.rate * 100 / liters;
+    const contribution = {
+      outletId: outlet.outletId,
+      name: outlet.name,
+      product: outlet.product.name,
+      rate: outlet.rate,
+      alk: (effects.alk || 0) * scale,
+      ca: (effects.ca || 0) * scale,
+      mg: (effects.mg || 0) * scale,
+      nh4: (effects.nh4 || 0) * scale,
+      no3: (effects.no3 || 0) * scale,
+    };
+    dosing.alk += contribution.alk;
+    dosing.ca += contribution.ca;
+    dosing.mg += contribution.mg;
+    dosing.nh4 += contribution.nh4;
+    dosing.no3 += contribution.no3;
+    return contribution;
+  });
+
+  // Calcification slows as alk falls below ~7 dKH
+  const alkFactor = Math.max(0, Math.min(1, (state.alk || 0) / 7));
+  const consumption = {
+    alk: settings.alkUptake * alkFactor,
+    ca: settings.alkUptake * alkFactor * CA_PER_DKH,
+    mg: settings.mgUptake,
+  };
+
+  const nitrified = Math.max(0, state.nh4 || 0) * settings.nitrificationRate;
+  const nitrification = {
+    nh4: nitrified,
+    alk: nitrified * ALK_PER_NH4_N,
+    no3: nitrified * NO3_PER_NH4_N,
+  };
+
+  // Low magnesium lets carbonate precipitate at lower alk
+  const mgShortfall = Math.max(0, 1300 - (state.mg || 1300));
+  const threshold = settings.precipitationThreshold - mgShortfall / 100;
+  const excess = Math.max(0, (state.alk || 0) - threshold);
+  const precipitation = {
+    alk: excess * settings.precipitationRate,
+    ca: excess * settings.precipitationRate * CA_PER_DKH,
+  };
+
+  const no3Export = Math.max(0, state.no3 || 0) * settings.no3Uptake;
+
+  return {
+    dosing,
+    consumption,
+    nitrification,
+    precipitation,
+    net: {
+      alk: dosing.alk - consumption.alk - nitrification.alk - precipitation.alk,
+      ca: dosing.ca - consumption.ca - precipitation.ca,
+      mg: dosing.mg - consumption.mg,
+      nh4: dosing.nh4 - nitrification.nh4,
+      no3: dosing.no3 + nitrification.no3 - no3Export,
+    },
+    products,
+  };
+}
+
+/**
+ * Advance the chemistry state by a number of hours
+ * @param {object} tank
+ * @param {object} state - { alk, ca, mg, nh4, no3 }
+ * @param {number} hours
+ * @param {object} overrides - { [outletId]: mL/day }
+ * @returns {object} - New state (input is not modified)
+ */
+function stepChemistry(tank, state, hours, overrides = {}) {
+  const next = { nh4: 0, no3: 0, ...state };
+  let remaining = Math.max(0, hours);
+
+  // Small steps keep nitrification and precipitation from overshooting
+  while (remaining > 0) {
+    const dt = Math.min(MAX_STEP_HOURS, remaining) / 24;
+    const { net } = dailyRates(tank, next, overrides);
+
+    next.alk = Math.max(0, next.alk + net.alk * dt);
+    next.ca = Math.max(0, next.ca + net.ca * dt);
+    next.mg = Math.max(0, next.mg + net.mg * dt);
+    next.nh4 = Math.max(0, next.nh4 + net.nh4 * dt);
+    next.no3 = Math.max(0, next.no3 + net.no3 * dt);
+
+    remaining -= MAX_STEP_HOURS;
+  }
+
+  return next;
+}
+
+/**
+ * Project the state forward (what-if when overrides are given)
+ * @param {object} tank
+ * @param {object} state - Starting state
+ * @param {object} options - { days, intervalHours, overrides, start }
+ * @returns {Array<object>} - One point per interval, starting with the current state
+ */
+function projectChemistry(tank, state, options = {}) {
+  const days = options.days || 7;
+  const intervalHours = options.intervalHours || 6;
+  const overrides = options.overrides || {};
+  const start = options.start ? new Date(options.start).getTime() : Date.now();
+
+  const points = [];
+  let current = { nh4: 0, no3: 0, ...state };
+
+  for (let hours = 0; hours <= days * 24; hours += intervalHours) {
+    if (hours > 0) {
+      current = stepChemistry(tank, current, intervalHours, overrides);
+    }
+    points.push({
+      hoursAhead: hours,
+      timestamp: new Date(start + hours * 3600000).toISOString(),
+      alk: +current.alk.toFixed(2),
+      ca: Math.round(current.ca),
+      mg: Math.round(current.mg),
+      no3: +current.no3.toFixed(1),
+    });
+  }
+
+  return points;
+}
+
+module.exports = {
+  DEFAULT_CHEMISTRY,
+  tankVolumeLiters,
+  dosingOutlets,
+  dailyRates,
+  stepChemistry,
+  projectChemistry,
+};
@@ -0,0 +1,471 @@
+/**
+ * CSV Import of Historical Test Results
+ * Turns a spreadsheet export (Hanna/Salifert logs, other reef apps) into canonical readings:
+ *
+ *   1. parse      — delimiter (, ; tab) and quoting detected, BOM stripped
+ *   2. mapping    — each column → timestamp | date | time | notes | a reading parameter (+ unit),
+ *                   suggested from the header ("Alk (meq/L)", "Temp °C") and overridable
+ *   3. dates      — ISO, M/D/Y, D/M/Y, epoch or Excel serial, detected from the whole column
+ *   4. normalize  — every row goes through normalizeReading(), so units are converted and
+ *                   implausible values rejected exactly like POST /readings
+ *
+ * Rows are keyed by their content, so importing the same file twice stores nothing new.
+ */
+
+const crypto = require('crypto');
+const { READING_SCHEMA, normalizeReading } = require('./readings');
+
+const MAX_IMPORT_ROWS = 20000;
+
+// Readings shown by a dry run, and written per storage call
+const IMPORT_PREVIEW_ROWS = 20;
+const IMPORT_BATCH_SIZE = 500;
+
+// Column roles that aren't measurements
+const META_ROLES = ['timestamp', 'date', 'time', 'notes'];
+
+// Header spellings for the meta roles (lowercased, units stripped)
+const ROLE_ALIASES = {
+  timestamp: ['timestamp', 'datetime', 'date/time', 'date time', 'tested', 'test date', 'measured'],
+  date: ['date', 'day'],
+  time: ['time', 'test time'],
+  notes: ['notes', 'note', 'comment', 'comments', 'remarks'],
+};
+
+// Cells that mean "not tested"
+const EMPTY_CELLS = ['', '-', '—', 'n/a', 'na', 'null', 'none'];
+
+const DATE_FORMATS = ['iso', 'mdy', 'dmy', 'epoch', 'excel'];
+
+// Helper: lookup from every accepted header name to its parameter (aliases plus conductivity)
+const HEADER_TO_PARAM = {};
+Object.entries(READING_SCHEMA).forEach(([param, spec]) => {
+  [...spec.aliases, ...(spec.conductivityAliases || [])].forEach(alias => { HEADER_TO_PARAM[alias] = param; });
+});
+// Spelled-out names that show up in spreadsheets
+Object.assign(HEADER_TO_PARAM, {
+  'specific gravity': 'salinity',
+  sg: 'salinity',
+  'water temp': 'temp',
+  'water temperature': 'temp',
+});
+
+// Helper: pick the delimiter that splits the header line into the most columns
+function detectDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  [',', ';', '\t'].forEach(delimiter => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) count++;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma, semicolon or tab separated)
+ * @param {string} text
+ * @returns {{ok: boolean, headers?: string[], rows?: string[][], delimiter?: string, error?: string}}
+ */
+function parseCsv(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { ok: false, error: 'CSV is empty' };
+  }
+
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return { ok: false, error: 'CSV has an unterminated quoted field' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length < 2) {
+    return { ok: false, error: 'CSV needs a header row and at least one data row' };
+  }
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1);
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { ok: false, error: `CSV has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time` };
+  }
+
+  return { ok: true, headers, rows, delimiter };
+}
+
+// Helper: split "Alkalinity (dKH)" / "Temp [°C]" / "Temp °C" into name and unit
+function splitHeader(header) {
+  const text = header.trim();
+  const bracketed = /^(.*?)\s*[([]\s*([^)\]]*)\s*[)\]]\s*$/.exec(text);
+  if (bracketed) return { name: bracketed[1].trim().toLowerCase(), unit: bracketed[2].trim() || null };
+
+  const words = text.split(/\s+/);
+  const name = words.slice(0, -1).join(' ').toLowerCase();
+  if (words.length > 1 && HEADER_TO_PARAM[name]) {
+    return { name, unit: words[words.length - 1] };
+  }
+  return { name: text.toLowerCase(), unit: null };
+}
+
+/**
+ * Suggest what each column holds from its header
+ * @param {string[]} headers
+ * @returns {object} - { [header]: 'timestamp'|'date'|'time'|'notes'|{ param, unit }|null }
+ */
+function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach(header => {
+    const { name, unit } = splitHeader(header);
+    const role = Object.keys(ROLE_ALIASES).find(r => ROLE_ALIASES[r].includes(name));
+    const param = HEADER_TO_PARAM[name];
+
+    // First column wins when two map to the same thing (e.g. "Date" and "Date Entered")
+    if (role && !used.has(role)) {
+      mapping[header] = role;
+      used.add(role);
+    } else if (param && !used.has(param)) {
+      const conductivity = (READING_SCHEMA[param].conductivityAliases || []).includes(name);
+      mapping[header] = { param, unit: unit || (conductivity ? 'mS/cm' : null) };
+      used.add(param);
+    } else {
+      mapping[header] = null;
+    }
+  });
+
+  return mapping;
+}
+
+// Helper: check a caller-supplied mapping against the headers (strings are shorthand for { param })
+function resolveMapping(headers, requested) {
+  const mapping = {};
+  const seen = {};
+
+  for (const [header, target] of Object.entries(requested)) {
+    if (!headers.includes(header)) {
+      return { ok: false, error: `Mapping names column "${header}", which isn't in the CSV` };
+    }
+    if (target === null || target === undefined || target === '') {
+      mapping[header] = null;
+      continue;
+    }
+
+    const entry = typeof target === 'string' ? target : target.param;
+    const key = META_ROLES.includes(entry) ? entry : entry && entry.toLowerCase();
+    if (!META_ROLES.includes(key) && !READING_SCHEMA[key]) {
+      return { ok: false, error: `Column "${header}": unknown target "${entry}" (expected ${[...META_ROLES, ...Object.keys(READING_SCHEMA)].join(', ')})` };
+    }
+    if (seen[key]) {
+      return { ok: false, error: `Columns "${seen[key]}" and "${header}" both map to ${key}` };
+    }
+    seen[key] = header;
+    mapping[header] = META_ROLES.includes(key)
+      ? key
+      : { param: key, unit: (typeof target === 'object' && target.unit) || null };
+  }
+
+  // Columns the caller didn't mention are skipped
+  headers.forEach(header => {
+    if (!(header in mapping)) mapping[header] = null;
+  });
+
+  const roles = Object.values(mapping);
+  if (!roles.includes('timestamp') && !roles.includes('date')) {
+    return { ok: false, error: 'Map a column to timestamp or date' };
+  }
+  if (!roles.some(role => role && typeof role === 'object')) {
+    return { ok: false, error: 'Map at least one column to a reading parameter' };
+  }
+
+  return { ok: true, mapping };
+}
+
+// Helper: numeric cell value, accepting a decimal comma ("8,2") unless comma is the delimiter
+function parseNumber(cell, delimiter) {
+  let text = String(cell).trim();
+  if (delimiter !== ',' && /^-?\d+,\d+$/.test(text)) text = text.replace(',', '.');
+  return text === '' ? NaN : Number(text);
+}
+
+function isEmptyCell(cell) {
+  return cell === undefined || EMPTY_CELLS.includes(String(cell).trim().toLowerCase());
+}
+
+// Helper: split off a trailing "14:30", "2:30 PM" or "T14:30:00"
+const TIME_PATTERN = /(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?\s*$/i;
+const DMY_PATTERN = new RegExp(`^(\\d{1,2})[/.\\-](\\d{1,2})[/.\\-](\\d{2}|\\d{4})${TIME_PATTERN.source}`, 'i');
+const ISO_PATTERN = new RegExp(`^(\\d{4})[/\\-](\\d{1,2})[/\\-](\\d{1,2})${TIME_PATTERN.source}`, 'i');
+
+// Helper: local Date from parts; date-only values land at noon so no timezone moves the day
+function buildDate(year, month, day, hour, minute, second, meridiem) {
+  let h = hour === undefined ? 12 : Number(hour);
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (h === 12) h = pm ? 12 : 0;
+    else if (pm) h += 12;
+  }
+  const y = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+  const date = new Date(y, Number(month) - 1, Number(day), h, Number(minute || 0), Number(second || 0));
+
+  // Reject roll-overs like 31/02
+  if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return null;
+  return date;
+}
+
+/**
+ * Parse one date cell in a known format
+ * @param {string} cell
+ * @param {string} format - iso | mdy | dmy | epoch | excel
+ * @returns {Date|null}
+ */
+function parseDate(cell, format) {
+  const text = String(cell).trim();
+
+  if (format === 'iso') {
+    // Full ISO strings with a zone (…Z, …+02:00) are exact; otherwise read as local time
+    if (/\d{2}:\d{2}.*(z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    const match = ISO_PATTERN.exec(text);
+    return match ? buildDate(match[1], match[2], match[3], match[4], match[5], match[6], match[7]) : null;
+  }
+
+  if (format === 'mdy' || format === 'dmy') {
+    const match = DMY_PATTERN.exec(text);
+    if (!match) return null;
+    const [month, day] = format === 'mdy' ? [match[1], match[2]] : [match[2], match[1]];
+    return buildDate(match[3], month, day, match[4], match[5], match[6], match[7]);
+  }
+
+  if (format === 'epoch') {
+    if (!/^\d{10}(\d{3})?$/.test(text)) return null;
+    return new Date(text.length === 10 ? Number(text) * 1000 : Number(text));
+  }
+
+  if (format === 'excel') {
+    const serial = Number(text.replace(',', '.'));
+    if (!Number.isFinite(serial) || serial < 20000 || serial > 80000) return null;
+    // Days since 1899-12-30 (Excel's 1900 leap-year bug included), fraction = time of day
+    const whole = Math.floor(serial);
+    const base = new Date(1899, 11, 30 + whole);
+    const minutes = Math.round((serial - whole) * 24 * 60);
+    if (minutes === 0) base.setHours(12);
+    else base.setMinutes(minutes);
+    return base;
+  }
+
+  return null;
+}
+
+/**
+ * Work out which date format a column uses: the one that reads the most cells (the rest
+ * become per-row errors). Day/month order is settled by any value above 12; an all-ambiguous
+ * column follows the separator convention ("." → D.M.Y, "/" or "-" → M/D/Y) and is flagged
+ * so the UI can ask.
+ * @param {string[]} cells - Non-empty date cells
+ * @returns {{ok: boolean, format?: string, ambiguous?: boolean, error?: string}}
+ */
+function detectDateFormat(cells) {
+  const values = cells.map(c => String(c).trim()).filter(Boolean);
+  if (values.length === 0) return { ok: false, error: 'Date column is empty' };
+
+  const counts = {};
+  DATE_FORMATS.forEach(format => {
+    counts[format] = values.filter(value => parseDate(value, format) !== null).length;
+  });
+
+  // Earlier formats win ties, except the day/month pair which is decided below
+  const best = DATE_FORMATS.reduce((a, b) => (counts[b] > counts[a] ? b : a));
+  if (counts[best] === 0) {
+    return { ok: false, error: `Unrecognised date "${values[0]}" (supported: ${DATE_FORMATS.join(', ')})` };
+  }
+
+  if ((best === 'mdy' || best === 'dmy') && counts.mdy === counts.dmy) {
+    const dotted = values.find(v => DMY_PATTERN.test(v)).includes('.');
+    return { ok: true, format: dotted ? 'dmy' : 'mdy', ambiguous: true };
+  }
+  return { ok: true, format: best, ambiguous: false };
+}
+
+// Helper: unit for a column with none named — the schema's guess at the column's median,
+// so a whole column is read one way (a 45 °F outlier doesn't flip into Celsius)
+function guessColumnUnit(param, values) {
+  const spec = READING_SCHEMA[param];
+  if (!spec.guess || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return spec.guess(sorted[Math.floor(sorted.length / 2)]);
+}
+
+// Helper: stable key for a row's content (source of the idempotency key on write)
+function rowKey(reading) {
+  const measured = Object.keys(READING_SCHEMA)
+    .filter(param => reading[param] !== undefined)
+    .map(param => `${param}=${reading[param]}`)
+    .join('&');
+  const hash = crypto.createHash('sha256').update(`${reading.timestamp}|${measured}`).digest('hex').slice(0, 32);
+  return `csv:${hash}`;
+}
+
+/**
+ * Turn CSV text into readings (nothing is stored here)
+ * @param {string} text - CSV
+ * @param {object} options - { mapping, dateFormat } (both optional: suggested / detected when absent)
+ * @returns {{ok: boolean, headers?: string[], mapping?: object, dateFormat?: object, rows?: Array<{row: number, reading: object, key: string}>, errors?: Array<{row: number, errors: object[]}>, error?: string}}
+ */
+function buildImport(text, options = {}) {
+  const parsed = parseCsv(text);
+  if (!parsed.ok) return parsed;
+
+  const { headers, rows, delimiter } = parsed;
+  const resolved = resolveMapping(headers, options.mapping || suggestMapping(headers));
+  if (!resolved.ok) return { ...resolved, headers, mapping: suggestMapping(headers) };
+
+  const mapping = resolved.mapping;
+  const columnOf = role => headers.findIndex(h => mapping[h] === role);
+  const dateColumn = columnOf('timestamp') !== -1 ? columnOf('timestamp') : columnOf('date');
+  const timeColumn = columnOf('time');
+  const notesColumn = columnOf('notes');
+
+  // Date cells as one string per row ("3/14/2025" + "18:30")
+  const dateCells = rows.map(row => {
+    const date = (row[dateColumn] || '').trim();
+    const time = timeColumn !== -1 ? (row[timeColumn] || '').trim() : '';
+    return time && date ? `${date} ${time}` : date;
+  });
+
+  let dateFormat;
+  if (options.dateFormat) {
+    if (!DATE_FORMATS.includes(options.dateFormat)) {
+      return { ok: false, error: `dateFormat must be one of: ${DATE_FORMATS.join(', ')}` };
+    }
+    dateFormat = { format: options.dateFormat, ambiguous: false, detected: false };
+  } else {
+    const detected = detectDateFormat(dateCells.filter(Boolean));
+    if (!detected.ok) return { ok: false, error: detected.error, headers, mapping };
+    dateFormat = { format: detected.format, ambiguous: detected.ambiguous, detected: true };
+  }
+
+  // Fix each parameter column's unit up front
+  const columns = headers
+    .map((header, index) => ({ header, index, target: mapping[header] }))
+    .filter(c => c.target && typeof c.target === 'object')
+    .map(c => {
+      const values = rows
+        .map(row => row[c.index])
+        .filter(cell => !isEmptyCell(cell))
+        .map(cell => parseNumber(cell, delimiter))
+        .filter(Number.isFinite);
+      const unit = c.target.unit || guessColumnUnit(c.target.param, values);
+      mapping[c.header] = { param: c.target.param, unit, unitSource: c.target.unit ? 'given' : unit ? 'guessed' : 'default' };
+      return { ...c, param: c.target.param, unit };
+    });
+
+  const readings = [];
+  const errors = [];
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2; // 1-based, after the header
+    const rowErrors = [];
+
+    const timestamp = dateCells[i] ? parseDate(dateCells[i], dateFormat.format) : null;
+    if (!timestamp) {
+      rowErrors.push({ column: headers[dateColumn], error: dateCells[i] ? `Unreadable date "${dateCells[i]}"` : 'Missing date' });
+    }
+
+    const input = { source: 'import', units: {} };
+    columns.forEach(({ header, index, param, unit }) => {
+      if (isEmptyCell(row[index])) return;
+      const value = parseNumber(row[index], delimiter);
+      if (!Number.isFinite(value)) {
+        rowErrors.push({ column: header, param, error: `${param} must be a number (got "${row[index].trim()}")` });
+        return;
+      }
+      input[param] = value;
+      if (unit) input.units[param] = unit;
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, errors: rowErrors });
+      return;
+    }
+
+    // A dated row with nothing tested is skipped silently
+    if (columns.every(({ param }) => input[param] === undefined)) return;
+
+    input.timestamp = timestamp.toISOString();
+    if (notesColumn !== -1 && !isEmptyCell(row[notesColumn])) input.notes = row[notesColumn].trim();
+
+    const normalized = normalizeReading(input);
+    if (!normalized.ok) {
+      errors.push({
+        row: rowNumber,
+        errors: normalized.errors.map(e => ({ column: columns.find(c => c.param === e.param)?.header || null, ...e })),
+      });
+      return;
+    }
+
+    // Record the source column (normalizeReading only saw the parameter name)
+    const reading = normalized.reading;
+    Object.entries(reading.original || {}).forEach(([param, original]) => {
+      original.key = columns.find(c => c.param === param).header;
+    });
+    readings.push({ row: rowNumber, reading, key: rowKey(reading) });
+  });
+
+  return { ok: true, headers, mapping, dateFormat, rows: readings, errors };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_PREVIEW_ROWS,
+  IMPORT_BATCH_SIZE,
+  DATE_FORMATS,
+  parseCsv,
+  suggestMapping,
+  detectDateFormat,
+  parseDate,
+  buildImport,
+};
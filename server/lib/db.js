@@ -88,6 +88,102 @@ function initDatabase() {
     )
   `);
 
+  // ReefMind data for the offline desktop backend (see sqlite-store.js).
+  // Rows keep their document body as JSON so they mirror the Firestore collections;
+  // `accounts` holds password-auth users (the `users` table above is the old API-key scheme).
+  db.pragma('foreign_keys = ON');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tanks (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tanks_user ON tanks(user_id, created_at)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS readings (
+      id TEXT PRIMARY KEY,
+      tank_id TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      data TEXT NOT NULL,
+      FOREIGN KEY (tank_id) REFERENCES tanks(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_readings_tank_time ON readings(tank_id, timestamp)');
+
+  // Idempotency / natural key (see readings.js); NULL for readings nothing identifies
+  const readingColumns = db.prepare('PRAGMA table_info(readings)').all().map(column => column.name);
+  if (!readingColumns.includes('dedupe_key')) {
+    db.exec('ALTER TABLE readings ADD COLUMN dedupe_key TEXT');
+  }
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_readings_dedupe ON readings(tank_id, dedupe_key)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      tank_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      data TEXT NOT NULL,
+      FOREIGN KEY (tank_id) REFERENCES tanks(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_tank_date ON events(tank_id, date)');
+
+  // Idempotency key of the request that logged the event; NULL when none was sent
+  const eventColumns = db.prepare('PRAGMA table_info(events)').all().map(column => column.name);
+  if (!eventColumns.includes('dedupe_key')) {
+    db.exec('ALTER TABLE events ADD COLUMN dedupe_key TEXT');
+  }
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_events_dedupe ON events(tank_id, dedupe_key)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS analyses (
+      id TEXT PRIMARY KEY,
+      tank_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      data TEXT NOT NULL,
+      FOREIGN KEY (tank_id) REFERENCES tanks(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_analyses_tank_date ON analyses(tank_id, date)');
+
+  // Follow-up chat about an analysis
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS analysis_messages (
+      id TEXT PRIMARY KEY,
+      analysis_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      FOREIGN KEY (analysis_id) REFERENCES analyses(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_analysis_messages ON analysis_messages(analysis_id, created_at)');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id TEXT PRIMARY KEY,
+      tank_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      raised_at TEXT NOT NULL,
+      data TEXT NOT NULL,
+      FOREIGN KEY (tank_id) REFERENCES tanks(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_alerts_tank_status ON alerts(tank_id, status, raised_at)');
+
   console.log('✓ Database initialized:', DB_PATH);
   return db;
 }
@@ -101,7 +197,16 @@ function getDb() {
   return dbInstance;
 }
 
+// Close the connection (server restart); the next getDb() reopens it
+function closeDb() {
+  if (dbInstance) {
+    dbInstance.close();
+    dbInstance = null;
+  }
+}
+
 module.exports = {
   getDb,
+  closeDb,
   initDatabase
 };
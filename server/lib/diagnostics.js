@@ -0,0 +1,602 @@
+/**
+ * Rule-Based Diagnostics
+ * Fixed reef-chemistry rules over the readings and event log, no model involved. The result has
+ * the same summary/diagnosis/recommendations shape as an AI analysis (ai-prompt.js), so it works
+ * as a baseline on its own and as findings the model is asked to build on:
+ *
+ *   alk-consumption — Ca/alk co-movement: calcification and precipitation take ~7 ppm Ca per dKH,
+ *                     so alk falling without calcium is something else (an acid source)
+ *   nitrification   — alk lost during ammonium/urea dosing that calcium doesn't account for
+ *   mg-ca-ratio     — Mg:Ca by weight against natural seawater (~3.1)
+ *   n-p-ratio       — NO3:PO4 by ppm, and either nutrient bottoming out
+ *   ph-swing        — daily pH range
+ *   parameter       — anything assessParameter puts in critical/danger that no rule above explains
+ *
+ * Readings use the canonical schema (readings.js), so every number in the text is dKH / ppm / °F.
+ */
+
+const { PARAM_RANGES, assessParameter } = require('./ai-prompt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TREND_DAYS = 14;
+const MIN_SAMPLES = 3;
+
+// CaCO3 takes 2 meq of alkalinity per mmol of calcium: 1 dKH (0.357 meq/L) ≈ 7.14 ppm Ca
+const CA_PER_DKH = 7.14;
+
+// Alk drift worth explaining (dKH/day) and the change a dosing period must show (dKH)
+const ALK_DRIFT = 0.05;
+const ALK_LOSS = 0.3;
+
+// Ca per dKH lost that still reads as calcium carbonate leaving the water
+const CARBONATE_RATIO = { min: CA_PER_DKH / 2, max: CA_PER_DKH * 2 };
+
+// Mg:Ca by weight; natural seawater is ~1285:412
+const MG_CA_RATIO = { seawater: 3.1, low: 2.8, high: 3.6 };
+
+// NO3:PO4 by ppm; Redfield (16:1 molar) is ~10:1, reef tanks usually run 50–150:1
+const NP_RATIO = { low: 30, high: 250 };
+
+// Daily pH range (max − min) and readings needed in a day to measure it
+const PH_SWING = { watch: 0.3, high: 0.45 };
+const PH_SWING_SAMPLES = 4;
+
+// Precipitation shows up after pH or alk peaks like these
+const PRECIPITATION_PEAKS = { ph: 8.45, alk: 11 };
+
+// Change per day below which a parameter counts as stable
+const TREND_THRESHOLDS = {
+  alk: 0.05,
+  ca: 2,
+  mg: 5,
+  ph: 0.02,
+  temp: 0.2,
+  orp: 5,
+  no3: 0.3,
+  po4: 0.005,
+  salinity: 0.1,
+};
+
+const PARAM_LABELS = {
+  alk: 'Alkalinity',
+  ca: 'Calcium',
+  mg: 'Magnesium',
+  ph: 'pH',
+  temp: 'Temperature',
+  orp: 'ORP',
+  no3: 'Nitrate',
+  po4: 'Phosphate',
+  salinity: 'Salinity',
+};
+
+// Event text meaning nitrogen dosing, text meaning it stopped, and doses that can precipitate carbonate
+const NITROGEN_DOSING = /ammoni|urea|\bnh[34]\b/i;
+const STOPPED = /\b(stop|stopped|paused|ended|removed|halted|discontinued|turned off)\b/i;
+const PRECIPITATION_SOURCES = /kalk|calcium hydroxide|soda ash|sodium carbonate|overdos/i;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+const SEVERITY_PENALTY = { high: 2.5, medium: 1.25, low: 0.5 };
+const STATUS_PENALTY = { watch: 0.25, critical: 1, danger: 2 };
+
+// Helper: epoch ms from an ISO string, Date or Firestore timestamp
+function timeOf(value) {
+  const date = value?.toDate?.() || new Date(value);
+  return date.getTime();
+}
+
+// Helper: { time, value } points for one parameter, oldest first
+function seriesOf(readings, param, now) {
+  return readings
+    .filter(r => r[param] !== undefined && r[param] !== null && !isNaN(r[param]))
+    .map(r => ({ time: timeOf(r.timestamp), value: Number(r[param]) }))
+    .filter(p => !isNaN(p.time) && p.time <= now)
+    .sort((a, b) => a.time - b.time);
+}
+
+// Helper: least-squares change per day (null without enough points spread over a day)
+function slopePerDay(points) {
+  if (points.length < MIN_SAMPLES || points[points.length - 1].time - points[0].time < DAY_MS) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.time / DAY_MS, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.value, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  points.forEach(p => {
+    sxx += (p.time / DAY_MS - meanX) ** 2;
+    sxy += (p.time / DAY_MS - meanX) * (p.value - meanY);
+  });
+  return sxx === 0 ? null : sxy / sxx;
+}
+
+// Helper: mean of the points within 12 h of a time (the nearest point if none are)
+function valueNear(points, time) {
+  if (points.length === 0) return null;
+
+  const near = points.filter(p => Math.abs(p.time - time) <= DAY_MS / 2);
+  if (near.length > 0) return near.reduce((sum, p) => sum + p.value, 0) / near.length;
+  return points.reduce((best, p) => (Math.abs(p.time - time) < Math.abs(best.time - time) ? p : best)).value;
+}
+
+const latestOf = points => (points.length > 0 ? points[points.length - 1].value : null);
+const eventText = event => `${event.type || ''} ${event.title || ''} ${event.details || ''}`;
+const fixed = (value, places) => (+value.toFixed(places)).toString();
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Helper: value with its unit ("7.9 dKH", "78°F", "8.2")
+function withUnit(param, value) {
+  const unit = PARAM_RANGES[param].unit.trim();
+  return !unit || unit === '°F' ? `${value}${unit}` : `${value} ${unit}`;
+}
+
+// Helper: range text for a parameter ("7.5–9 dKH")
+function rangeText(param, range = 'optimal') {
+  const ranges = PARAM_RANGES[param];
+  return withUnit(param, `${ranges[range][0]}–${ranges[range][1]}`);
+}
+
+// Nitrification: alk lost while ammonium/urea was dosed, beyond what calcium says corals used
+function nitrificationRule(ctx) {
+  const dosing = ctx.events
+    .filter(e => NITROGEN_DOSING.test(eventText(e)))
+    .map(e => ({ ...e, time: timeOf(e.date) }))
+    .filter(e => !isNaN(e.time) && e.time <= ctx.now)
+    .sort((a, b) => a.time - b.time);
+  const start = dosing.filter(e => !STOPPED.test(eventText(e))).pop();
+  if (!start) return [];
+
+  const stop = dosing.find(e => STOPPED.test(eventText(e)) && e.time >= start.time);
+  const alk = ctx.points.alk;
+  if (alk.length < 2) return [];
+
+  // Readings may not reach back to the start of dosing; measure what they cover
+  const from = Math.max(start.time, alk[0].time);
+  const to = stop ? stop.time : ctx.now;
+  const alkChange = valueNear(alk, to) - valueNear(alk, from);
+  const days = Math.max(1, Math.round((to - from) / DAY_MS));
+
+  if (alkChange > -ALK_LOSS) {
+    if (stop) return [];
+    return [{
+      rule: 'nitrification',
+      severity: 'low',
+      params: ['alk'],
+      title: 'Nitrogen dosing without a measurable alk cost yet',
+      detail: `"${start.title}" is still running and alk has moved ${fixed(alkChange, 2)} dKH since. Nitrifying that ammonium still consumes alkalinity, so keep testing alk closely.`,
+      evidence: { since: new Date(start.time).toISOString(), alkChange: +alkChange.toFixed(2) },
+    }];
+  }
+
+  const caChange = ctx.points.ca.length >= 2 ? valueNear(ctx.points.ca, to) - valueNear(ctx.points.ca, from) : null;
+  const calcification = caChange !== null ? Math.max(0, -caChange) / CA_PER_DKH : 0;
+  const unexplained = -alkChange - calcification;
+  if (caChange !== null && unexplained < ALK_LOSS) return [];
+
+  let detail = `Alk fell ${fixed(-alkChange, 2)} dKH over ${plural(days, 'day')} of ammonium/urea dosing (since "${start.title}")`;
+  if (caChange !== null && caChange >= 0) {
+    detail += ` while calcium ${caChange < 3 ? 'held steady' : `rose ${fixed(caChange, 0)} ppm`}, so calcification can't explain it`;
+  } else if (caChange !== null) {
+    detail += ` while calcium fell ${fixed(-caChange, 0)} ppm, so coral growth explains only ${fixed(calcification, 2)} dKH of it`;
+  }
+  detail += `. Bacteria turning ammonium into nitrate release acid (2 meq of alk per mmol), which ${calcification > 0 ? 'takes the rest' : 'accounts for the loss'}.`;
+
+  const no3Change = ctx.points.no3.length >= 2 ? valueNear(ctx.points.no3, to) - valueNear(ctx.points.no3, from) : null;
+  if (no3Change !== null && no3Change >= 1) {
+    detail += ` Nitrate rose ${fixed(no3Change, 1)} ppm over the same period.`;
+  }
+
+  if (stop) {
+    const recovery = latestOf(alk) - valueNear(alk, stop.time);
+    const daysAgo = Math.max(0, Math.round((ctx.now - stop.time) / DAY_MS));
+    detail += ` Dosing stopped ${daysAgo === 0 ? 'today' : `${plural(daysAgo, 'day')} ago`} ("${stop.title}")`;
+    detail += recovery >= 0.1 ? `; alk has recovered ${fixed(recovery, 2)} dKH since.` : '; alk hasn\'t recovered yet.';
+  }
+
+  // Once stopped it matters until alk is back in range and has held there for a week
+  const alkStatus = assessParameter('alk', latestOf(alk));
+  const settled = stop && alkStatus === 'optimal' && ctx.now - stop.time > 7 * DAY_MS;
+  return [{
+    rule: 'nitrification',
+    severity: !stop ? 'high' : settled ? 'low' : 'medium',
+    params: ['alk', 'no3'],
+    title: stop ? 'Alk crash from ammonium/urea nitrification' : 'Nitrification from ammonium/urea dosing is consuming alkalinity',
+    detail,
+    recommendation: stop
+      ? {
+        action: 'Keep ammonium/urea off until alk holds in range for a week, then restart at a fraction of the old dose',
+        priority: settled ? 'low' : 'medium',
+        why: 'Restarting at the old rate will pull alkalinity down again',
+      }
+      : {
+        action: 'Stop or cut back ammonium/urea dosing, and raise alk dosing to cover the extra demand while it runs',
+        priority: 'high',
+        why: 'Each ppm of ammonium nitrified consumes about 0.3 dKH of alkalinity',
+      },
+    evidence: {
+      since: new Date(from).toISOString(),
+      stopped: stop ? new Date(stop.time).toISOString() : null,
+      alkChange: +alkChange.toFixed(2),
+      caChange: caChange !== null ? Math.round(caChange) : null,
+      unexplainedAlk: +unexplained.toFixed(2),
+    },
+    explains: (!stop || stop.time >= ctx.trendStart) ? ['alk-loss'] : [],
+  }];
+}
+
+// Alk consumption: does calcium follow alk down in the calcification ratio?
+function alkConsumptionRule(ctx) {
+  const alk = slopePerDay(ctx.trend.alk);
+  const ca = slopePerDay(ctx.trend.ca);
+  if (alk === null || ca === null || alk > -ALK_DRIFT) return [];
+
+  const evidence = {
+    alkPerDay: +alk.toFixed(3),
+    caPerDay: +ca.toFixed(1),
+    caPerDkh: +(ca / alk).toFixed(1),
+  };
+
+  if (ca / alk >= CARBONATE_RATIO.min) {
+    // Calcium carbonate leaving the water: corals, or precipitation after a pH/alk peak
+    const peakPh = Math.max(...ctx.trend.ph.map(p => p.value), -Infinity);
+    const peakAlk = Math.max(...ctx.trend.alk.map(p => p.value));
+    const trigger = ctx.events.find(e => timeOf(e.date) >= ctx.trendStart && PRECIPITATION_SOURCES.test(eventText(e)));
+    const reasons = [];
+    if (peakPh >= PRECIPITATION_PEAKS.ph) reasons.push(`pH peaking at ${fixed(peakPh, 2)}`);
+    if (peakAlk >= PRECIPITATION_PEAKS.alk) reasons.push(`alk peaking at ${fixed(peakAlk, 1)} dKH`);
+    if (trigger) reasons.push(`"${trigger.title}"`);
+
+    const ratioText = evidence.caPerDkh <= CARBONATE_RATIO.max
+      ? `close to the ${CA_PER_DKH} that calcium carbonate takes`
+      : `more calcium than the ${CA_PER_DKH} that calcium carbonate takes`;
+    const movement = `Alk is falling ${fixed(-alk, 2)} dKH/day with calcium falling ${fixed(-ca, 1)} ppm/day (${evidence.caPerDkh} ppm per dKH, ${ratioText})`;
+    if (reasons.length > 0) {
+      return [{
+        rule: 'alk-consumption',
+        severity: 'high',
+        params: ['alk', 'ca'],
+        title: 'Calcium carbonate is precipitating',
+        detail: `${movement} after ${reasons.join(' and ')}. That's carbonate dropping out of the water, not coral growth.`,
+        recommendation: {
+          action: 'Avoid pH and alk spikes: dose kalk or carbonate more slowly, spread it over the day and keep alk under 11 dKH',
+          priority: 'high',
+          why: 'Precipitation wastes the alk and calcium you dose and crusts pumps and heaters',
+        },
+        evidence: { ...evidence, peakPh: isFinite(peakPh) ? peakPh : null, peakAlk },
+      }];
+    }
+
+    return [{
+      rule: 'alk-consumption',
+      severity: 'medium',
+      params: ['alk', 'ca'],
+      title: 'Coral demand is outpacing dosing',
+      detail: `${movement} and no pH or alk spike to blame, so corals are using more than the dosers replace.`,
+      recommendation: {
+        action: `Raise alk and calcium dosing to cover about ${fixed(-alk, 2)} dKH/day more (the dosing calculator has the mL/day)`,
+        priority: 'medium',
+        why: 'Alk and calcium are falling together at the rate coral growth uses them',
+      },
+      evidence,
+    }];
+  }
+
+  if (ctx.explained.has('alk-loss')) return [];
+
+  // Alk loss calcium doesn't follow: an acid source, not calcification
+  const unexplained = -alk - Math.max(0, -ca) / CA_PER_DKH;
+  const caText = ca >= 0 ? `calcium is ${ca >= TREND_THRESHOLDS.ca ? `rising ${fixed(ca, 1)} ppm/day` : 'flat'}` : `calcium is only falling ${fixed(-ca, 1)} ppm/day`;
+  return [{
+    rule: 'alk-consumption',
+    severity: 'medium',
+    params: ['alk', 'ca'],
+    title: 'Alk loss isn\'t coming from coral growth',
+    detail: `Alk is falling ${fixed(-alk, 2)} dKH/day while ${caText}, so about ${fixed(unexplained, 2)} dKH/day is consumed by something that makes acid (nitrification, heavy feeding, CO2) rather than by calcification.`,
+    recommendation: {
+      action: 'Look for the acid source (nitrogen dosing, a feeding change, low pH periods) before raising alk dosing',
+      priority: 'medium',
+      why: 'Dosing more alk without calcium demand pushes calcium and alk out of balance',
+    },
+    evidence: { ...evidence, unexplainedAlkPerDay: +unexplained.toFixed(3) },
+  }];
+}
+
+// Mg:Ca ratio against natural seawater
+function mgCaRatioRule(ctx) {
+  const mg = latestOf(ctx.points.mg);
+  const ca = latestOf(ctx.points.ca);
+  if (!mg || !ca) return [];
+
+  const ratio = mg / ca;
+  const evidence = { mg, ca, ratio: +ratio.toFixed(2) };
+  const ratioText = `Mg:Ca is ${fixed(ratio, 2)} (${mg} / ${ca} ppm); natural seawater is about ${MG_CA_RATIO.seawater}.`;
+  const caStatus = assessParameter('ca', ca);
+  const mgStatus = assessParameter('mg', mg);
+  // Helper: the blamed parameter's status sets how urgent the finding is
+  const severityFor = status => (status === 'danger' ? 'high' : status === 'optimal' ? 'low' : 'medium');
+
+  if (ratio < MG_CA_RATIO.low) {
+    // Calcium overdosed while magnesium is fine: the fix is less calcium, not more magnesium
+    if (ca > PARAM_RANGES.ca.optimal[1] && mg >= PARAM_RANGES.mg.optimal[0]) {
+      return [{
+        rule: 'mg-ca-ratio',
+        severity: severityFor(caStatus),
+        params: ['ca'],
+        title: 'Calcium is high for the magnesium level',
+        detail: `${ratioText} Magnesium is fine; calcium is above ${rangeText('ca')}, usually from calcium dosing running ahead of alk.`,
+        recommendation: {
+          action: `Cut calcium dosing and let calcium drift back to ${rangeText('ca')}`,
+          priority: severityFor(caStatus) === 'low' ? 'low' : 'medium',
+          why: 'High calcium with normal magnesium makes carbonate precipitation more likely',
+        },
+        evidence,
+      }];
+    }
+
+    return [{
+      rule: 'mg-ca-ratio',
+      severity: mgStatus === 'optimal' ? 'medium' : severityFor(mgStatus),
+      params: ['mg'],
+      title: 'Magnesium is low for the calcium level',
+      detail: `${ratioText} Without enough magnesium, calcium carbonate precipitates on its own and alk and calcium get hard to hold.`,
+      recommendation: {
+        action: `Raise magnesium toward ${Math.round((ca * MG_CA_RATIO.seawater) / 10) * 10} ppm, no more than 100 ppm per day`,
+        priority: mgStatus === 'danger' ? 'high' : 'medium',
+        why: 'Magnesium keeps calcium carbonate from precipitating outside the corals',
+      },
+      evidence,
+    }];
+  }
+
+  if (ratio > MG_CA_RATIO.high) {
+    const caLow = ca < PARAM_RANGES.ca.optimal[0];
+    return [{
+      rule: 'mg-ca-ratio',
+      severity: caLow ? severityFor(caStatus) : 'low',
+      params: caLow ? ['ca'] : ['mg'],
+      title: caLow ? 'Calcium is low for the magnesium level' : 'Magnesium is high relative to calcium',
+      detail: `${ratioText}${caLow ? ` Calcium is below ${rangeText('ca')}; magnesium isn't the problem.` : ' Harmless at this level, but there\'s no need to dose more magnesium.'}`,
+      recommendation: caLow
+        ? { action: `Bring calcium up to ${rangeText('ca')}`, priority: 'medium', why: 'Low calcium, not high magnesium, is what skews the ratio' }
+        : undefined,
+      evidence,
+    }];
+  }
+
+  return [];
+}
+
+// N:P: either nutrient bottoming out, or the ratio far from what reef tanks run at
+function npRatioRule(ctx) {
+  const no3 = latestOf(ctx.points.no3);
+  const po4 = latestOf(ctx.points.po4);
+  if (no3 === null || po4 === null) return [];
+
+  const evidence = { no3, po4, ratio: po4 > 0 ? Math.round(no3 / po4) : null };
+  const no3Low = no3 < PARAM_RANGES.no3.watch[0];
+  const po4Low = po4 < PARAM_RANGES.po4.watch[0];
+  const finding = { rule: 'n-p-ratio', params: ['no3', 'po4'], evidence };
+
+  if (no3Low && po4Low) {
+    return [{
+      ...finding,
+      severity: 'medium',
+      title: 'Nitrate and phosphate have both bottomed out',
+      detail: `Nitrate is ${no3} ppm and phosphate ${po4} ppm. Ultra-low nutrients starve corals and favour dinoflagellates.`,
+      recommendation: { action: 'Scale back nutrient export (GFO, carbon dosing, skimming) or feed more', priority: 'medium', why: `Corals do best with nitrate ${rangeText('no3')} and phosphate ${rangeText('po4')}` },
+    }];
+  }
+  if (po4Low) {
+    return [{
+      ...finding,
+      severity: 'medium',
+      title: 'Phosphate has bottomed out',
+      detail: `Phosphate is ${po4} ppm with nitrate at ${no3} ppm, so the tank is phosphate-limited. Expect pale or receding SPS and dinoflagellate or cyano outbreaks.`,
+      recommendation: { action: `Reduce phosphate removal (GFO, lanthanum) or feed more until phosphate reads ${rangeText('po4')}`, priority: 'high', why: 'Corals can\'t use nitrate without phosphate' },
+    }];
+  }
+  if (no3Low) {
+    return [{
+      ...finding,
+      severity: 'medium',
+      title: 'Nitrate has bottomed out',
+      detail: `Nitrate is ${no3} ppm with phosphate at ${po4} ppm, so the tank is nitrogen-limited. Cyano and dinoflagellates take over when nitrate runs out first.`,
+      recommendation: { action: `Feed more or dose a nitrate source until nitrate reads ${rangeText('no3')}`, priority: 'medium', why: 'Corals can\'t use phosphate without nitrogen' },
+    }];
+  }
+
+  const ratio = no3 / po4;
+  if (ratio < NP_RATIO.low) {
+    return [{
+      ...finding,
+      severity: 'low',
+      title: 'Phosphate is high for the nitrate level',
+      detail: `NO3:PO4 is ${Math.round(ratio)}:1 (${no3} / ${po4} ppm); reef tanks usually run 50–150:1. Phosphate-heavy water favours cyano.`,
+      recommendation: { action: 'Bring phosphate down gently (GFO, less feeding) rather than chasing nitrate up', priority: 'low', why: 'A balanced N:P keeps nuisance algae and cyano in check' },
+    }];
+  }
+  if (ratio > NP_RATIO.high) {
+    return [{
+      ...finding,
+      severity: 'low',
+      title: 'Nitrate is high for the phosphate level',
+      detail: `NO3:PO4 is ${Math.round(ratio)}:1 (${no3} / ${po4} ppm); reef tanks usually run 50–150:1, so phosphate may run out first.`,
+      recommendation: { action: 'Keep phosphate from dropping further (ease off GFO) while nitrate comes down', priority: 'low', why: 'Phosphate running out first is what bleaches SPS in low-nutrient tanks' },
+    }];
+  }
+
+  return [];
+}
+
+// pH swing: widest range within any of the last three 24 h periods
+function phSwingRule(ctx) {
+  const ph = ctx.points.ph;
+  if (ph.length < PH_SWING_SAMPLES) return [];
+
+  const last = ph[ph.length - 1].time;
+  let swing = null;
+  for (let day = 0; day < 3; day++) {
+    const values = ph
+      .filter(p => p.time > last - (day + 1) * DAY_MS && p.time <= last - day * DAY_MS)
+      .map(p => p.value);
+    if (values.length < PH_SWING_SAMPLES) continue;
+
+    const range = { swing: Math.max(...values) - Math.min(...values), min: Math.min(...values), max: Math.max(...values) };
+    if (!swing || range.swing > swing.swing) swing = range;
+  }
+  if (!swing || swing.swing < PH_SWING.watch) return [];
+
+  const lowNight = swing.min < PARAM_RANGES.ph.watch[0];
+  return [{
+    rule: 'ph-swing',
+    severity: swing.swing >= PH_SWING.high ? 'medium' : 'low',
+    params: ['ph'],
+    title: 'Large daily pH swing',
+    detail: `pH swings ${fixed(swing.swing, 2)} in a day (${fixed(swing.min, 2)}–${fixed(swing.max, 2)})${lowNight ? `, dipping below ${PARAM_RANGES.ph.watch[0]} at night` : ''}. Under ${PH_SWING.watch} is typical; bigger swings slow calcification at night.`,
+    recommendation: {
+      action: 'Narrow the swing: CO2 scrubber or fresh-air skimmer intake, kalk at night, or a refugium lit opposite the display',
+      priority: swing.swing >= PH_SWING.high || lowNight ? 'medium' : 'low',
+      why: 'Corals calcify best when pH stays steady through the night',
+    },
+    evidence: { swing: +swing.swing.toFixed(2), min: swing.min, max: swing.max },
+  }];
+}
+
+// Out-of-range parameters no other rule explains
+function parameterRule(ctx, covered) {
+  return Object.entries(ctx.parameters)
+    .filter(([param, p]) => (p.status === 'critical' || p.status === 'danger') && !covered.has(param))
+    .map(([param, p]) => {
+      const ranges = PARAM_RANGES[param];
+      const direction = p.value < ranges.optimal[0] ? 'low' : 'high';
+      return {
+        rule: 'parameter',
+        severity: p.status === 'danger' ? 'high' : 'medium',
+        params: [param],
+        title: `${PARAM_LABELS[param]} is ${p.status === 'danger' ? 'dangerously ' : ''}${direction}`,
+        detail: `${PARAM_LABELS[param]} is ${withUnit(param, p.value)} (${p.status}); optimal is ${rangeText(param)}.`,
+        recommendation: {
+          action: `Bring ${PARAM_LABELS[param] === 'pH' ? 'pH' : PARAM_LABELS[param].toLowerCase()} back toward ${rangeText(param)} gradually`,
+          priority: p.status === 'danger' ? 'high' : 'medium',
+          why: `It's outside the ${rangeText(param, 'watch')} corals tolerate for long`,
+        },
+        evidence: { value: p.value, status: p.status },
+      };
+    });
+}
+
+// Helper: status, trend and a short note per measured parameter
+function describeParameters(ctx) {
+  const parameters = {};
+  Object.keys(PARAM_RANGES).forEach(param => {
+    const value = latestOf(ctx.points[param]);
+    if (value === null) return;
+
+    const slope = slopePerDay(ctx.trend[param]);
+    const trend = slope === null ? 'unknown'
+      : Math.abs(slope) < TREND_THRESHOLDS[param] ? 'stable'
+        : slope > 0 ? 'rising' : 'falling';
+    const status = assessParameter(param, value);
+    const rate = trend === 'rising' || trend === 'falling'
+      ? `, ${trend} ${fixed(Math.abs(slope), param === 'po4' ? 3 : 2)}/day`
+      : trend === 'stable' ? ', stable' : '';
+
+    parameters[param] = {
+      status,
+      trend,
+      value,
+      note: `${withUnit(param, value)} (${status})${rate}`,
+    };
+  });
+  return parameters;
+}
+
+/**
+ * Diagnose a tank with fixed chemistry rules (no model)
+ * @param {object} tank - Tank profile (volume, type, targets)
+ * @param {Array} readings - Canonical readings (any order); the event-anchored rules use all of them
+ * @param {Array} events - Event log ({ type, title, details, date })
+ * @param {object} options - { now, trendDays: window for slopes and trends (default 14) }
+ * @returns {{ok: boolean, analysis?: object, error?: string}}
+ */
+function diagnoseTank(tank, readings, events = [], options = {}) {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return { ok: false, error: 'No readings to diagnose' };
+  }
+
+  const now = options.now || Date.now();
+  const trendDays = options.trendDays || DEFAULT_TREND_DAYS;
+  const trendStart = now - trendDays * DAY_MS;
+
+  const points = {};
+  const trend = {};
+  Object.keys(PARAM_RANGES).forEach(param => {
+    points[param] = seriesOf(readings, param, now);
+    trend[param] = points[param].filter(p => p.time >= trendStart);
+  });
+
+  const ctx = { tank, events: events || [], now, trendStart, points, trend, explained: new Set() };
+  ctx.parameters = describeParameters(ctx);
+
+  // Nitrification runs first so it can claim alk loss the co-movement rule would otherwise flag
+  const findings = [];
+  [nitrificationRule, alkConsumptionRule, mgCaRatioRule, npRatioRule, phSwingRule].forEach(rule => {
+    rule(ctx).forEach(({ explains = [], ...finding }) => {
+      explains.forEach(key => ctx.explained.add(key));
+      findings.push(finding);
+    });
+  });
+  const covered = new Set(findings.flatMap(f => f.params));
+  findings.push(...parameterRule(ctx, covered));
+  findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  const issues = findings.filter(f => f.severity !== 'low');
+  const top = findings[0];
+  let summary;
+  if (issues.length > 0) {
+    summary = `${issues[0].title}${issues.length > 1 ? `, plus ${plural(issues.length - 1, 'more issue')} to address` : ''}.`;
+  } else if (findings.length > 0) {
+    summary = `Nothing urgent; ${plural(findings.length, 'minor point')} to keep an eye on.`;
+  } else {
+    summary = 'Everything measured looks good and steady. No changes needed.';
+  }
+
+  // Each recommendation once, most urgent first
+  const recommendations = [];
+  findings.forEach(f => {
+    if (f.recommendation && !recommendations.some(r => r.action === f.recommendation.action)) {
+      recommendations.push(f.recommendation);
+    }
+  });
+
+  const penalty = findings.reduce((sum, f) => sum + SEVERITY_PENALTY[f.severity], 0)
+    + Object.values(ctx.parameters).reduce((sum, p) => sum + (STATUS_PENALTY[p.status] || 0), 0);
+
+  // Rules are exact; confidence is about how much data they had
+  const span = readings.length > 1 ? (Math.max(...readings.map(r => timeOf(r.timestamp))) - Math.min(...readings.map(r => timeOf(r.timestamp)))) / DAY_MS : 0;
+  const confidence = readings.length < MIN_SAMPLES ? 0.3
+    : span < 3 ? 0.5
+      : trend.alk.length >= MIN_SAMPLES && trend.ca.length >= MIN_SAMPLES ? 0.85 : 0.7;
+
+  return {
+    ok: true,
+    analysis: {
+      summary,
+      healthScore: +Math.min(10, Math.max(0, 10 - penalty)).toFixed(1),
+      diagnosis: {
+        primary: top ? `${top.title}. ${top.detail}` : summary,
+        contributing: findings.slice(1).map(f => f.title),
+      },
+      parameters: ctx.parameters,
+      recommendations,
+      confidence,
+      findings,
+      engine: 'rules',
+      generatedAt: new Date(now).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  CA_PER_DKH,
+  diagnoseTank,
+};
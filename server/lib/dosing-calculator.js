@@ -0,0 +1,220 @@
+/**
+ * Dosing Calculator
+ * Deterministic mL/day recommendations for alkalinity dosers, so the dashboard and the AI
+ * quote the same numbers instead of the model inventing them.
+ *
+ * Required alk input = measured consumption (alk-budget.js) + correction toward the target,
+ * where the correction never moves alk more than `maxDailyChange` dKH per day. Adjustable
+ * alk dosers are scaled together; evaporation-limited ones (kalk) keep their rate.
+ */
+
+const { dosingOutlets, tankVolumeLiters, DEFAULT_CHEMISTRY } = require('./chemistry-model');
+const { computeAlkBudget } = require('./alk-budget');
+
+const DEFAULT_MAX_DAILY_CHANGE = 1.0; // dKH/day
+const CA_PER_DKH = 7.14;
+
+// Used when the tank has no targets set (optimal ranges from the AI module)
+const DEFAULT_TARGETS = {
+  alk: { min: 7.5, max: 9.0 },
+  ca: { min: 400, max: 450 },
+  mg: { min: 1300, max: 1400 },
+};
+
+// Helper: Target value for a parameter (explicit target, else middle of the range)
+function targetValue(targets, param) {
+  const range = (targets && targets[param]) || DEFAULT_TARGETS[param];
+  if (range.target !== undefined) return range.target;
+  return (range.min + range.max) / 2;
+}
+
+// Helper: Most recent reading that has a value for the parameter
+function latestValue(readings, param) {
+  const sorted = [...readings].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const reading = sorted.find(r => r[param] !== undefined && r[param] !== null && !isNaN(r[param]));
+  return reading ? Number(reading[param]) : null;
+}
+
+const round2 = value => +value.toFixed(2);
+
+/**
+ * Check a requested correction speed; faster than 1 dKH/day stresses corals
+ * @param {*} value - dKH/day as a number or query string; absent means the default
+ * @returns {{ok: boolean, value?: number, error?: string}}
+ */
+function validateMaxDailyChange(value) {
+  if (value === undefined || value === null || value === '') {
+    return { ok: true, value: DEFAULT_MAX_DAILY_CHANGE };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > DEFAULT_MAX_DAILY_CHANGE) {
+    return { ok: false, error: `maxDailyChange must be a number above 0 and at most ${DEFAULT_MAX_DAILY_CHANGE} dKH/day` };
+  }
+  return { ok: true, value: number };
+}
+
+/**
+ * Recommend doser rate changes to reach the alkalinity target
+ * @param {object} tank - Tank with targets, volume, outlets and/or dosing config
+ * @param {Array} readings - Recent readings (any order)
+ * @param {object} options - { maxDailyChange (0–1 dKH/day, default 1), windowDays, events, now }
+ * @returns {{ok: boolean, recommendation?: object, error?: string}}
+ */
+function recommendDosing(tank, readings, options = {}) {
+  if (!tank) {
+    return { ok: false, error: 'Tank required' };
+  }
+
+  const maxDailyCheck = validateMaxDailyChange(options.maxDailyChange);
+  if (!maxDailyCheck.ok) {
+    return { ok: false, error: maxDailyCheck.error };
+  }
+
+  const maxDailyChange = maxDailyCheck.value;
+  const currentAlk = latestValue(readings || [], 'alk');
+  if (currentAlk === null) {
+    return { ok: false, error: 'No alkalinity readings available' };
+  }
+
+  const warnings = [];
+  const liters = tankVolumeLiters(tank);
+  const targets = tank.targets || {};
+  const targetAlk = targetValue(targets, 'alk');
+
+  // Consumption: measured from the Trident when possible, else the tank's configured estimate
+  const budgetResult = computeAlkBudget(tank, readings || [], {
+    windowDays: options.windowDays,
+    events: options.events,
+    now: options.now,
+  });
+  const budget = budgetResult.budget;
+  let consumption;
+  let consumptionSource;
+  if (budget.consumption && budget.consumption.total > 0) {
+    consumption = budget.consumption.total;
+    consumptionSource = 'trident-slope';
+  } else {
+    consumption = (tank.chemistry && tank.chemistry.alkUptake) || DEFAULT_CHEMISTRY.alkUptake;
+    consumptionSource = 'estimated';
+    warnings.push('Consumption estimated — not enough Trident history to measure it');
+  }
+
+  // Correction toward target, spread so alk never moves faster than maxDailyChange
+  const gap = targetAlk - currentAlk;
+  const correctionDays = Math.abs(gap) < 0.05 ? 0 : Math.max(1, Math.ceil(Math.abs(gap) / maxDailyChange));
+  const correctionPerDay = correctionDays > 0 ? gap / correctionDays : 0;
+
+  // Split alk dosers into the ones we can change and the ones we can't
+  const alkDosers = dosingOutlets(tank).filter(o => (o.product.effects.alk || 0) > 0);
+  if (alkDosers.length === 0) {
+    return { ok: false, error: 'No dosing pumps with a recognised alkalinity product' };
+  }
+
+  const perMl = doser => doser.product.effects.alk * 100 / liters; // dKH/day per mL/day
+  const adjustable = alkDosers.filter(o => !o.product.evaporationLimited);
+  const fixed = alkDosers.filter(o => o.product.evaporationLimited);
+  const scaled = adjustable.length > 0 ? adjustable : alkDosers;
+  if (adjustable.length === 0) {
+    warnings.push('Only evaporation-limited dosers (kalk) supply alk; the recommended rate may exceed evaporation');
+  }
+
+  const fixedInput = (adjustable.length > 0 ? fixed : []).reduce((sum, o) => sum + o.rate * perMl(o), 0);
+  const scaledInput = scaled.reduce((sum, o) => sum + o.rate * perMl(o), 0);
+  const currentInput = fixedInput + scaledInput;
+
+  const factorFor = requiredInput => scaledInput > 0 ? Math.max(0, requiredInput - fixedInput) / scaledInput : 0;
+  const correctionFactor = factorFor(consumption + correctionPerDay);
+  const maintenanceFactor = factorFor(consumption);
+
+  const adjustments = alkDosers.map(doser => {
+    const isScaled = scaled.includes(doser);
+    const recommendedRate = Math.round(isScaled ? doser.rate * correctionFactor : doser.rate);
+    const maintenanceRate = Math.round(isScaled ? doser.rate * maintenanceFactor : doser.rate);
+    const changeMl = recommendedRate - doser.rate;
+    const effects = doser.product.effects;
+
+    return {
+      outletId: doser.outletId,
+      name: doser.name,
+      product: doser.product.name,
+      adjustable: isScaled,
+      currentRate: doser.rate,
+      recommendedRate,
+      maintenanceRate,
+      changeMl,
+      changePercent: doser.rate > 0 ? Math.round(changeMl / doser.rate * 100) : null,
+      effectPerDay: {
+        alk: round2(recommendedRate * (effects.alk || 0) * 100 / liters),
+        ca: round2(recommendedRate * (effects.ca || 0) * 100 / liters),
+      },
+    };
+  });
+
+  // Calcium side effect of the balanced products at the new rates
+  const currentCa = latestValue(readings || [], 'ca');
+  const caInput = dosingOutlets(tank)
+    .reduce((sum, o) => {
+      const adjustment = adjustments.find(a => a.outletId === o.outletId);
+      const rate = adjustment ? adjustment.maintenanceRate : o.rate;
+      return sum + rate * (o.product.effects.ca || 0) * 100 / liters;
+    }, 0);
+  const caDriftPerDay = round2(caInput - consumption * CA_PER_DKH);
+  if (currentCa !== null) {
+    const caRange = targets.ca || DEFAULT_TARGETS.ca;
+    if (currentCa > caRange.max && caDriftPerDay > 0.5) {
+      warnings.push(`Calcium is ${currentCa} ppm (above ${caRange.max}) and the maintenance rates keep adding ~${caDriftPerDay} ppm/day; use an alk-only buffer for the correction`);
+    } else if (currentCa < caRange.min && caDriftPerDay < -0.5) {
+      warnings.push(`Calcium is ${currentCa} ppm (below ${caRange.min}) and still falling ~${Math.abs(caDriftPerDay)} ppm/day; add a calcium-only supplement`);
+    }
+  }
+
+  const currentMg = latestValue(readings || [], 'mg');
+  const mgRange = targets.mg || DEFAULT_TARGETS.mg;
+  if (currentMg !== null && currentMg < mgRange.min) {
+    warnings.push(`Magnesium is ${currentMg} ppm (below ${mgRange.min}); low Mg makes alk harder to hold`);
+  }
+
+  if (budget.confidence === 'low') {
+    warnings.push('Alkalinity budget confidence is low; re-check after a few more Trident tests');
+  }
+
+  const changed = adjustments.filter(a => a.adjustable && a.recommendedRate !== a.currentRate);
+  let summary;
+  if (changed.length === 0) {
+    summary = `Alk ${currentAlk} dKH is on target (${round2(targetAlk)}); keep current dosing`;
+  } else {
+    summary = changed.map(a => {
+      const verb = a.recommendedRate > a.currentRate ? 'Increase' : 'Reduce';
+      const then = correctionDays > 0 && a.maintenanceRate !== a.recommendedRate
+        ? ` for ${correctionDays} day${correctionDays === 1 ? '' : 's'}, then ${a.maintenanceRate} mL/day`
+        : '';
+      return `${verb} ${a.name} from ${a.currentRate} to ${a.recommendedRate} mL/day${then}`;
+    }).join('; ');
+  }
+
+  return {
+    ok: true,
+    recommendation: {
+      unit: 'mL/day',
+      current: { alk: currentAlk, ca: currentCa, mg: currentMg },
+      target: { alk: round2(targetAlk) },
+      consumption: { alk: round2(consumption), source: consumptionSource, unit: 'dKH/day' },
+      currentInput: round2(currentInput),
+      maxDailyChange,
+      correctionDays,
+      expectedAlkChangePerDay: round2(correctionPerDay),
+      adjustments,
+      caDriftPerDay,
+      summary,
+      warnings,
+      confidence: budget.confidence,
+      generatedAt: new Date(options.now || Date.now()).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  recommendDosing,
+  validateMaxDailyChange,
+};
@@ -0,0 +1,46 @@
+/**
+ * In-process Event Bus
+ * Lets the server announce what happened (a reading landed, an alert changed) so other parts
+ * of the process — the alert engine, the Electron shell — can react without the routes
+ * knowing about them. Each server instance has its own bus (`server.events`), so two servers
+ * in one process never act on each other's readings.
+ *
+ * Events:
+ *   'reading' — { userId, tankId, reading }
+ *   'alert'   — { userId, tankId, alert, transition: 'raised' | 'escalated' | 'reminder' | 'resolved', notify }
+ *             ('reminder' repeats an unacknowledged active alert every ALERT_REMINDER_HOURS)
+ *   'alert-action' — { userId, tankId, alertId, action: 'acknowledge' | 'snooze', minutes }
+ *                    (from the desktop shell's notification buttons; no HTTP auth in-process)
+ *   'tank-status' — { userId, tankId, tankName, values, units, lastTridentAt, active, checkedAt }
+ *                   (after every alert check, i.e. every stored reading)
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Create an event bus for one server instance
+ * @returns {{bus: EventEmitter, publish: function}} - `publish(name, payload)` emits without
+ *   letting a throwing listener escape
+ */
+function createEventBus() {
+  const bus = new EventEmitter();
+
+  // A slow or broken listener must never take a sync or a route down with it
+  bus.on('error', error => {
+    console.error('Event bus listener error:', error.message);
+  });
+
+  function publish(name, payload) {
+    try {
+      bus.emit(name, payload);
+    } catch (error) {
+      bus.emit('error', error);
+    }
+  }
+
+  return { bus, publish };
+}
+
+module.exports = {
+  createEventBus,
+};
@@ -3,10 +3,17 @@
  * Manages all database operations for ReefMind Beta
  */
 
+const crypto = require('crypto');
 const { Firestore } = require('@google-cloud/firestore');
 
 const PROJECT_ID = process.env.GCP_PROJECT || 'reefmind-ai-prod';
 
+// gRPC status Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// Writes per batch (Firestore allows 500)
+const BATCH_LIMIT = 400;
+
 let firestoreInstance = null;
 
 // Initialize Firestore
@@ -50,6 +57,8 @@ const COLLECTIONS = {
   READINGS: 'readings',
   EVENTS: 'events',
   ANALYSES: 'analyses',
+  ALERTS: 'alerts',
+  MESSAGES: 'messages',
 };
 
 // Helper: Get user by email
@@ -109,6 +118,17 @@ async function createUser(userData) {
   return { id: userRef.id, ...userData };
 }
 
+// Helper: Update user
+async function updateUser(userId, updates) {
+  const db = getFirestore();
+  await db.collection(COLLECTIONS.USERS).doc(userId).update({
+    ...updates,
+    updatedAt: Firestore.Timestamp.now(),
+  });
+
+  return { id: userId, ...updates };
+}
+
 // Helper: Get user's tanks
 async function getUserTanks(userId) {
   const db = getFirestore();
@@ -121,6 +141,14 @@ async function getUserTanks(userId) {
   return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
+// Helper: Get every user's tanks (background jobs), each with its userId
+async function getAllTanks() {
+  const db = getFirestore();
+  const snapshot = await db.collectionGroup(COLLECTIONS.TANKS).get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), userId: doc.ref.parent.parent.id }));
+}
+
 // Helper: Get tank by ID
 async function getTank(userId, tankId) {
   const db = getFirestore();
@@ -187,22 +215,93 @@ async function getReadings(userId, tankId, daysBack = 30) {
   return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
-// Helper: Add reading
+// Helper: Stored reading time. Imports and clients send ISO strings, which Firestore would keep
+// as strings that the Timestamp range query in getReadings never matches
+function readingTimestamp(timestamp) {
+  if (!timestamp) return Firestore.Timestamp.now();
+  if (timestamp instanceof Firestore.Timestamp) return timestamp;
+  return Firestore.Timestamp.fromDate(new Date(timestamp));
+}
+
+// Helper: Add reading (a reading with a known dedupeKey returns the stored copy, flagged `duplicate`)
 async function addReading(userId, tankId, readingData) {
   const db = getFirestore();
-  const readingRef = db.collection(COLLECTIONS.USERS)
+  const readings = db.collection(COLLECTIONS.USERS)
     .doc(userId)
     .collection(COLLECTIONS.TANKS)
     .doc(tankId)
-    .collection(COLLECTIONS.READINGS)
-    .doc();
+    .collection(COLLECTIONS.READINGS);
 
-  await readingRef.set({
+  const data = {
     ...readingData,
-    timestamp: readingData.timestamp || Firestore.Timestamp.now(),
-  });
+    timestamp: readingTimestamp(readingData.timestamp),
+  };
+
+  if (!readingData.dedupeKey) {
+    const readingRef = readings.doc();
+    await readingRef.set(data);
+    return { id: readingRef.id, ...readingData };
+  }
 
-  return { id: readingRef.id, ...readingData };
+  // Doc ID derived from the key: create() fails atomically if a retry already stored it
+  const readingRef = readings.doc(crypto.createHash('sha256').update(readingData.dedupeKey).digest('hex').slice(0, 40));
+  try {
+    await readingRef.create(data);
+    return { id: readingRef.id, ...readingData };
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) throw error;
+    const existing = await readingRef.get();
+    return { id: existing.id, ...existing.data(), duplicate: true };
+  }
+}
+
+// Helper: Add many readings in batched writes (imports); known dedupeKeys are skipped
+async function addReadings(userId, tankId, readingsData) {
+  const db = getFirestore();
+  const readings = db.collection(COLLECTIONS.USERS)
+    .doc(userId)
+    .collection(COLLECTIONS.TANKS)
+    .doc(tankId)
+    .collection(COLLECTIONS.READINGS);
+
+  const stored = [];
+  let duplicates = 0;
+
+  for (let i = 0; i < readingsData.length; i += BATCH_LIMIT) {
+    const chunk = readingsData.slice(i, i + BATCH_LIMIT).map(readingData => ({
+      readingData,
+      ref: readingData.dedupeKey
+        ? readings.doc(crypto.createHash('sha256').update(readingData.dedupeKey).digest('hex').slice(0, 40))
+        : readings.doc(),
+    }));
+
+    // Skip what's already stored; create() still guards against a concurrent writer
+    const keyed = chunk.filter(item => item.readingData.dedupeKey);
+    const snapshots = keyed.length > 0 ? await db.getAll(...keyed.map(item => item.ref)) : [];
+    const existing = new Set(snapshots.filter(snap => snap.exists).map(snap => snap.id));
+    const fresh = chunk.filter(item => !existing.has(item.ref.id));
+    duplicates += chunk.length - fresh.length;
+
+    const batch = db.batch();
+    fresh.forEach(({ readingData, ref }) => {
+      batch.create(ref, { ...readingData, timestamp: readingTimestamp(readingData.timestamp) });
+    });
+
+    try {
+      await batch.commit();
+      fresh.forEach(({ readingData, ref }) => stored.push({ id: ref.id, ...readingData }));
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) throw error;
+      // Lost a race on some document: fall back to one at a time for this chunk
+      for (const { readingData } of fresh) {
+        const reading = await addReading(userId, tankId, readingData);
+        if (reading.duplicate) duplicates++;
+        else stored.push(reading);
+      }
+    }
+  }
+
+  return { stored, duplicates };
 }
 
 // Helper: Get events
@@ -220,22 +319,36 @@ async function getEvents(userId, tankId, limit = 50) {
   return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 }
 
-// Helper: Add event
+// Helper: Add event (an event with a known dedupeKey returns the stored copy, flagged `duplicate`)
 async function addEvent(userId, tankId, eventData) {
   const db = getFirestore();
-  const eventRef = db.collection(COLLECTIONS.USERS)
+  const events = db.collection(COLLECTIONS.USERS)
     .doc(userId)
     .collection(COLLECTIONS.TANKS)
     .doc(tankId)
-    .collection(COLLECTIONS.EVENTS)
-    .doc();
+    .collection(COLLECTIONS.EVENTS);
 
-  await eventRef.set({
+  const data = {
     ...eventData,
     date: eventData.date || Firestore.Timestamp.now(),
-  });
+  };
+
+  if (!eventData.dedupeKey) {
+    const eventRef = events.doc();
+    await eventRef.set(data);
+    return { id: eventRef.id, ...eventData };
+  }
 
-  return { id: eventRef.id, ...eventData };
+  // Same scheme as readings: the key picks the doc ID, so a retry can't create a second event
+  const eventRef = events.doc(crypto.createHash('sha256').update(eventData.dedupeKey).digest('hex').slice(0, 40));
+  try {
+    await eventRef.create(data);
+    return { id: eventRef.id, ...eventData };
+  } catch (error) {
+    if (error.code !== ALREADY_EXISTS) throw error;
+    const existing = await eventRef.get();
+    return { id: existing.id, ...existing.data(), duplicate: true };
+  }
 }
 
 // Helper: Get analyses
@@ -271,6 +384,91 @@ async function addAnalysis(userId, tankId, analysisData) {
   return { id: analysisRef.id, ...analysisData };
 }
 
+// Helper: Analysis document
+function analysisDoc(userId, tankId, analysisId) {
+  return getFirestore().collection(COLLECTIONS.USERS)
+    .doc(userId)
+    .collection(COLLECTIONS.TANKS)
+    .doc(tankId)
+    .collection(COLLECTIONS.ANALYSES)
+    .doc(analysisId);
+}
+
+// Helper: Get one analysis
+async function getAnalysis(userId, tankId, analysisId) {
+  const doc = await analysisDoc(userId, tankId, analysisId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+// Helper: Get an analysis's chat messages (oldest first)
+async function getAnalysisMessages(userId, tankId, analysisId, limit = 100) {
+  const snapshot = await analysisDoc(userId, tankId, analysisId)
+    .collection(COLLECTIONS.MESSAGES)
+    .orderBy('createdAt', 'asc')
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Helper: Add a chat message to an analysis
+async function addAnalysisMessage(userId, tankId, analysisId, messageData) {
+  const messageRef = analysisDoc(userId, tankId, analysisId).collection(COLLECTIONS.MESSAGES).doc();
+  const data = { ...messageData, createdAt: messageData.createdAt || Firestore.Timestamp.now() };
+
+  await messageRef.set(data);
+  return { id: messageRef.id, ...data };
+}
+
+// Helper: Alerts collection for a tank
+function alertsCollection(userId, tankId) {
+  return getFirestore().collection(COLLECTIONS.USERS)
+    .doc(userId)
+    .collection(COLLECTIONS.TANKS)
+    .doc(tankId)
+    .collection(COLLECTIONS.ALERTS);
+}
+
+// Helper: Get alerts (newest first, optionally only 'active' or 'resolved')
+async function getAlerts(userId, tankId, options = {}) {
+  const limit = options.limit || 50;
+  const query = alertsCollection(userId, tankId);
+
+  // Filter by status in memory: status + orderBy would need a composite index
+  const snapshot = options.status
+    ? await query.where('status', '==', options.status).get()
+    : await query.orderBy('raisedAt', 'desc').limit(limit).get();
+
+  const alerts = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  if (options.status) {
+    alerts.sort((a, b) => (b.raisedAt > a.raisedAt ? 1 : b.raisedAt < a.raisedAt ? -1 : 0));
+    return alerts.slice(0, limit);
+  }
+  return alerts;
+}
+
+// Helper: Add alert
+async function addAlert(userId, tankId, alertData) {
+  const alertRef = alertsCollection(userId, tankId).doc();
+  await alertRef.set(alertData);
+  return { id: alertRef.id, ...alertData };
+}
+
+// Helper: Update alert
+async function updateAlert(userId, tankId, alertId, updates) {
+  await alertsCollection(userId, tankId).doc(alertId).update(updates);
+  return { id: alertId, ...updates };
+}
+
+// Helper: Close the client (server shutdown); the next call re-initializes it
+async function closeFirestore() {
+  if (firestoreInstance) {
+    const instance = firestoreInstance;
+    firestoreInstance = null;
+    await instance.terminate();
+  }
+}
+
 module.exports = {
   initFirestore,
   getFirestore,
@@ -279,18 +477,29 @@ module.exports = {
   getUserByEmail,
   getUserById,
   createUser,
+  updateUser,
   // Tank operations
   getUserTanks,
+  getAllTanks,
   getTank,
   createTank,
   updateTank,
   // Readings
   getReadings,
   addReading,
+  addReadings,
   // Events
   getEvents,
   addEvent,
   // Analyses
   getAnalyses,
   addAnalysis,
+  getAnalysis,
+  getAnalysisMessages,
+  addAnalysisMessage,
+  // Alerts
+  getAlerts,
+  addAlert,
+  updateAlert,
+  close: closeFirestore,
 };
@@ -0,0 +1,353 @@
+/**
+ * Reef Product Catalog
+ * Bundled dosing products with per-mL chemistry effects, fuzzy name matching for
+ * free-text outlet `product` strings, and per-tank custom products (`tank.customProducts`).
+ *
+ * Effects are per 1 mL dosed into 100 L of water:
+ *   alk — dKH, ca / mg — ppm, no3 / po4 — ppm (negative = removes), nh4 — ppm ammonium-nitrogen
+ * Strengths come from manufacturer dosing charts and are approximate.
+ *
+ * evaporationLimited — rate follows evaporation (kalk via ATO) and can't be raised at will
+ */
+
+const CATEGORIES = ['two-part', 'all-in-one', 'kalk', 'magnesium', 'trace', 'carbon', 'nitrogen', 'other'];
+
+// Effect keys a product may declare
+const EFFECT_KEYS = ['alk', 'ca', 'mg', 'no3', 'po4', 'nh4'];
+
+const PRODUCTS = [
+  // ---------- All-in-one ----------
+  {
+    id: 'all-for-reef',
+    name: 'All-For-Reef',
+    brand: 'Tropic Marin',
+    category: 'all-in-one',
+    aliases: ['all4reef', 'a4r', 'all for reef', 'afr'],
+    // 5 mL/100 L raises KH 0.28 dKH and Ca ~2 mg/L
+    effects: { alk: 0.056, ca: 0.4, mg: 0.05 },
+  },
+  {
+    id: 'red-sea-foundation-abc',
+    name: 'Reef Foundation ABC+',
+    brand: 'Red Sea',
+    category: 'all-in-one',
+    aliases: ['foundation abc', 'abc+', 'red sea abc'],
+    effects: { alk: 0.05, ca: 0.36, mg: 0.12 },
+  },
+
+  // ---------- Two-part ----------
+  {
+    id: 'brs-two-part-alk',
+    name: 'BRS 2-Part Alkalinity',
+    brand: 'Bulk Reef Supply',
+    category: 'two-part',
+    aliases: ['brs alk', 'brs alkalinity', '2 part alk', 'two part alk', 'soda ash'],
+    // Same strength as Randy's recipe #1 part 2: 1 mL/gal raises ~0.75 dKH
+    effects: { alk: 0.0284 },
+  },
+  {
+    id: 'brs-two-part-ca',
+    name: 'BRS 2-Part Calcium',
+    brand: 'Bulk Reef Supply',
+    category: 'two-part',
+    aliases: ['brs calcium', 'brs ca', '2 part calcium', 'two part calcium', 'calcium chloride'],
+    effects: { ca: 0.2 },
+  },
+  {
+    id: 'red-sea-foundation-b',
+    name: 'Foundation B (Alk)',
+    brand: 'Red Sea',
+    category: 'two-part',
+    aliases: ['foundation b', 'red sea alk', 'reef foundation b'],
+    effects: { alk: 0.1 },
+  },
+  {
+    id: 'red-sea-foundation-a',
+    name: 'Foundation A (Ca/Sr)',
+    brand: 'Red Sea',
+    category: 'two-part',
+    aliases: ['foundation a', 'red sea calcium', 'reef foundation a'],
+    effects: { ca: 2 },
+  },
+  {
+    id: 'esv-b-ionic-alk',
+    name: 'B-Ionic Alkalinity (Part 1)',
+    brand: 'ESV',
+    category: 'two-part',
+    aliases: ['b ionic alk', 'bionic alk', 'esv part 1'],
+    effects: { alk: 0.028 },
+  },
+  {
+    id: 'esv-b-ionic-ca',
+    name: 'B-Ionic Calcium (Part 2)',
+    brand: 'ESV',
+    category: 'two-part',
+    aliases: ['b ionic calcium', 'bionic ca', 'esv part 2'],
+    effects: { ca: 0.2, mg: 0.01 },
+  },
+
+  // ---------- Kalk ----------
+  {
+    id: 'kalkwasser',
+    name: 'Kalkwasser',
+    category: 'kalk',
+    aliases: ['kalk', 'limewater', 'calcium hydroxide'],
+    // Saturated limewater, ~21.6 mmol/L Ca(OH)2
+    effects: { alk: 0.00121, ca: 0.00865 },
+    evaporationLimited: true,
+  },
+
+  // ---------- Magnesium ----------
+  {
+    id: 'red-sea-foundation-c',
+    name: 'Foundation C (Mg)',
+    brand: 'Red Sea',
+    category: 'magnesium',
+    aliases: ['foundation c', 'red sea magnesium', 'reef foundation c'],
+    effects: { mg: 1 },
+  },
+  {
+    id: 'brs-magnesium',
+    name: 'BRS Magnesium Mix',
+    brand: 'Bulk Reef Supply',
+    category: 'magnesium',
+    aliases: ['magnesium', 'mag', 'mg mix', 'magnesium chloride'],
+    // Randy's recipe: 1 mL/gal raises Mg ~4.3 ppm
+    effects: { mg: 0.163 },
+  },
+
+  // ---------- Trace ----------
+  {
+    id: 'captiv8',
+    name: 'Captiv8 MDS',
+    category: 'trace',
+    aliases: ['captiv8', 'captiv8 mds'],
+    effects: {},
+  },
+  {
+    id: 'strontium',
+    name: 'Strontium supplement',
+    category: 'trace',
+    aliases: ['strontium'],
+    effects: {},
+  },
+  {
+    id: 'tropic-marin-k-balance',
+    name: 'K-Balance',
+    brand: 'Tropic Marin',
+    category: 'trace',
+    aliases: ['k balance', 'potassium'],
+    effects: {},
+  },
+
+  // ---------- Carbon dosing ----------
+  {
+    id: 'vodka',
+    name: 'Vodka (carbon dosing)',
+    category: 'carbon',
+    aliases: ['vodka', 'ethanol'],
+    // 80 proof; bacteria take up NO3 roughly 15x faster than PO4
+    effects: { no3: -0.3, po4: -0.02 },
+  },
+  {
+    id: 'vinegar',
+    name: 'Vinegar (carbon dosing)',
+    category: 'carbon',
+    aliases: ['vinegar', 'acetic acid'],
+    effects: { no3: -0.06, po4: -0.004 },
+  },
+  {
+    id: 'red-sea-nopox',
+    name: 'NO3:PO4-X',
+    brand: 'Red Sea',
+    category: 'carbon',
+    aliases: ['nopox', 'no3 po4 x'],
+    effects: { no3: -0.6, po4: -0.04 },
+  },
+
+  // ---------- Nitrogen ----------
+  {
+    id: 'ammonium-bicarbonate',
+    name: 'Ammonium bicarbonate',
+    category: 'nitrogen',
+    aliases: ['ammonium', 'urea', 'ammonia'],
+    // Home-mixed solution; bicarbonate returns half of what nitrification later consumes
+    effects: { nh4: 0.2, alk: 0.04 },
+  },
+  {
+    id: 'sodium-nitrate',
+    name: 'Sodium nitrate',
+    category: 'nitrogen',
+    aliases: ['nitrate', 'neonitro'],
+    effects: { no3: 0.5 },
+  },
+];
+
+// Helper: Lowercase, strip punctuation, collapse whitespace
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Helper: Edit distance for typo tolerance ("Capiv8" → "Captiv8")
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+// Helper: 0-1 similarity between a normalized query and one normalized name/alias
+function similarity(query, candidate) {
+  if (!query || !candidate) return 0;
+  if (query === candidate) return 1;
+
+  const compactQuery = query.replace(/ /g, '');
+  const compactCandidate = candidate.replace(/ /g, '');
+  if (compactQuery === compactCandidate) return 0.95;
+
+  // Every word of the candidate appears as a word in the query ("brs 2 part alk 500ml")
+  const queryWords = query.split(' ');
+  if (candidate.split(' ').every(word => queryWords.includes(word))) return 0.9;
+
+  const distance = levenshtein(compactQuery, compactCandidate);
+  const editScore = 1 - distance / Math.max(compactQuery.length, compactCandidate.length);
+
+  // Substrings count, but less than whole words ("kalkstirrer" is not kalk)
+  const containsScore = compactQuery.length >= 4 && compactCandidate.length >= 4 &&
+    (compactQuery.includes(compactCandidate) || compactCandidate.includes(compactQuery)) ? 0.7 : 0;
+
+  return Math.max(editScore, containsScore);
+}
+
+/**
+ * Catalog plus a tank's custom products (custom first so they win ties)
+ * @param {Array} customProducts - tank.customProducts
+ * @returns {Array<object>}
+ */
+function allProducts(customProducts = []) {
+  return [...(customProducts || []).map(p => ({ ...p, custom: true })), ...PRODUCTS];
+}
+
+/**
+ * Rank products against free text
+ * @param {string} query - e.g. "All4Reef", "Kalk", "capiv8"
+ * @param {object} options - { customProducts, limit, minScore, category }
+ * @returns {Array<{product: object, score: number}>}
+ */
+function matchProducts(query, options = {}) {
+  const wanted = normalizeName(query);
+  if (!wanted) return [];
+
+  const limit = options.limit || 5;
+  const minScore = options.minScore !== undefined ? options.minScore : 0.6;
+
+  return allProducts(options.customProducts)
+    .filter(product => !options.category || product.category === options.category)
+    .map(product => {
+      const names = [product.id, product.name, ...(product.aliases || [])].map(normalizeName);
+      const score = Math.max(...names.map(name => similarity(wanted, name)));
+      return { product, score: +score.toFixed(2) };
+    })
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Best product for an outlet product/name string
+ * @param {string} name
+ * @param {Array} customProducts - tank.customProducts
+ * @param {number} minScore - Match threshold (default 0.6)
+ * @returns {object|null}
+ */
+function findProduct(name, customProducts = [], minScore) {
+  const [best] = matchProducts(name, { customProducts, limit: 1, minScore });
+  return best ? best.product : null;
+}
+
+/**
+ * Look up a product by exact id
+ * @param {string} id
+ * @param {Array} customProducts
+ * @returns {object|null}
+ */
+function getProduct(id, customProducts = []) {
+  return allProducts(customProducts).find(p => p.id === id) || null;
+}
+
+/**
+ * List catalog products, optionally filtered
+ * @param {object} options - { category, customProducts }
+ * @returns {Array<object>}
+ */
+function listProducts(options = {}) {
+  return allProducts(options.customProducts)
+    .filter(p => !options.category || p.category === options.category);
+}
+
+/**
+ * Validate and normalise a user-defined product
+ * @param {object} input - { name, category, brand, aliases, effects, evaporationLimited }
+ * @param {Array} existing - Current tank.customProducts
+ * @returns {{ok: boolean, product?: object, error?: string}}
+ */
+function buildCustomProduct(input, existing = []) {
+  const name = ((input && input.name) || '').trim();
+  if (!name) {
+    return { ok: false, error: 'Product name is required' };
+  }
+
+  const category = input.category || 'other';
+  if (!CATEGORIES.includes(category)) {
+    return { ok: false, error: `Category must be one of: ${CATEGORIES.join(', ')}` };
+  }
+
+  const effects = {};
+  for (const [key, value] of Object.entries(input.effects || {})) {
+    if (!EFFECT_KEYS.includes(key)) {
+      return { ok: false, error: `Unknown effect "${key}" (use ${EFFECT_KEYS.join(', ')})` };
+    }
+    const number = Number(value);
+    if (!isFinite(number)) {
+      return { ok: false, error: `Effect "${key}" must be a number (per mL per 100 L)` };
+    }
+    if (number !== 0) effects[key] = number;
+  }
+
+  const id = `custom-${normalizeName(name).replace(/ /g, '-')}`;
+  if ((existing || []).some(p => p.id === id)) {
+    return { ok: false, error: `A custom product named "${name}" already exists` };
+  }
+
+  const product = {
+    id,
+    name,
+    category,
+    aliases: Array.isArray(input.aliases) ? input.aliases.map(String) : [],
+    effects,
+    evaporationLimited: !!input.evaporationLimited,
+    createdAt: new Date().toISOString(),
+  };
+  if (input.brand) product.brand = String(input.brand);
+
+  return { ok: true, product };
+}
+
+module.exports = {
+  CATEGORIES,
+  EFFECT_KEYS,
+  PRODUCTS,
+  normalizeName,
+  matchProducts,
+  findProduct,
+  getProduct,
+  listProducts,
+  buildCustomProduct,
+};
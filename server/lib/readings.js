@@ -0,0 +1,338 @@
+/**
+ * Reading Ingestion Helpers
+ *
+ * Canonical schema — every stored reading uses these keys and units, whatever the source sent:
+ *
+ *   alk dKH · ca ppm · mg ppm · ph · temp °F · orp mV · salinity ppt · no3 ppm · po4 ppm
+ *
+ * Aliases (pH, sal, Cond, Tmp, …) and other units (°C, SG, mS/cm, meq/L, ppm CaCO3, ppb) are
+ * converted on ingest; the value as received is kept under `original[param]`.
+ *
+ * Deduplication — works out when two ingested readings are the same measurement, so retries
+ * and overlapping syncs return the stored record instead of writing a duplicate:
+ *
+ *   idempotency key — sent by the client (Idempotency-Key header / body field); reused on retry
+ *   natural key     — source + the device's own timestamp (Trident test time, controller clock)
+ */
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+// Helper: PSS-78 practical salinity from conductivity (mS/cm), temperature-compensated to 25 °C
+// like Apex/Hanna probes report it
+function conductivityToPpt(mScm) {
+  const t = 25;
+  const a = [0.0080, -0.1692, 25.3851, 14.0941, -7.0261, 2.7081];
+  const b = [0.0005, -0.0056, -0.0066, -0.0375, 0.0636, -0.0144];
+  const rt = 0.6766097 + 2.00564e-2 * t + 1.104259e-4 * t ** 2 - 6.9698e-7 * t ** 3 + 1.0031e-9 * t ** 4;
+  const ratio = Math.max(0, mScm / 42.914 / rt);
+
+  let sum = 0;
+  let delta = 0;
+  a.forEach((coefficient, i) => {
+    sum += coefficient * ratio ** (i / 2);
+    delta += b[i] * ratio ** (i / 2);
+  });
+  return sum + ((t - 15) / (1 + 0.0162 * (t - 15))) * delta;
+}
+
+// Per parameter: accepted keys, canonical unit, accepted units (→ converter to canonical),
+// what to assume when no unit is sent, plausible range (canonical) and stored precision.
+// `guess` only picks a unit where the alternatives can't overlap for real reef water.
+const READING_SCHEMA = {
+  alk: {
+    aliases: ['alk', 'alkalinity', 'kh', 'dkh'],
+    unit: 'dKH',
+    units: {
+      dkh: v => v,
+      'meq/l': v => v * 2.8,
+      ppm: v => v / 17.848, // as CaCO3
+      'mg/l': v => v / 17.848,
+    },
+    guess: v => (v > 30 ? 'ppm' : 'dkh'),
+    range: [0, 25],
+    precision: 2,
+  },
+  ca: {
+    aliases: ['ca', 'calcium'],
+    unit: 'ppm',
+    units: { ppm: v => v, 'mg/l': v => v },
+    range: [100, 800],
+    precision: 0,
+  },
+  mg: {
+    aliases: ['mg', 'magnesium'],
+    unit: 'ppm',
+    units: { ppm: v => v, 'mg/l': v => v },
+    range: [500, 2500],
+    precision: 0,
+  },
+  ph: {
+    aliases: ['ph'],
+    unit: '',
+    units: { '': v => v },
+    range: [6, 10],
+    precision: 2,
+  },
+  temp: {
+    aliases: ['temp', 'tmp', 'temperature'],
+    unit: '°F',
+    units: { f: v => v, c: v => v * 9 / 5 + 32 },
+    guess: v => (v <= 45 ? 'c' : 'f'),
+    range: [50, 100],
+    precision: 1,
+  },
+  orp: {
+    aliases: ['orp'],
+    unit: 'mV',
+    units: { mv: v => v },
+    range: [-200, 700],
+    precision: 0,
+  },
+  salinity: {
+    aliases: ['salinity', 'sal'],
+    // Conductivity probes (Apex "Cond") report mS/cm unless told otherwise
+    conductivityAliases: ['cond', 'conductivity'],
+    unit: 'ppt',
+    units: {
+      ppt: v => v,
+      psu: v => v,
+      sg: v => (v - 1) * 1325.8, // specific gravity 25/25 °C (1.0264 ≈ 35 ppt)
+      'ms/cm': conductivityToPpt,
+    },
+    guess: v => (v < 2 ? 'sg' : v > 45 ? 'ms/cm' : 'ppt'),
+    range: [0, 50],
+    precision: 1,
+  },
+  no3: {
+    aliases: ['no3', 'nitrate'],
+    unit: 'ppm',
+    units: { ppm: v => v, 'mg/l': v => v },
+    range: [0, 200],
+    precision: 1,
+  },
+  po4: {
+    aliases: ['po4', 'phosphate'],
+    unit: 'ppm',
+    units: { ppm: v => v, 'mg/l': v => v, ppb: v => v / 1000, 'µg/l': v => v / 1000 },
+    range: [0, 5],
+    precision: 3,
+  },
+};
+
+// Fields that describe the reading rather than measure something
+const META_FIELDS = ['source', 'timestamp', 'tridentTimestamp', 'deviceTimestamp', 'notes'];
+
+// Spellings people and devices use for the same unit
+const UNIT_ALIASES = {
+  '°c': 'c', degc: 'c', celsius: 'c',
+  '°f': 'f', degf: 'f', fahrenheit: 'f',
+  ms: 'ms/cm', mscm: 'ms/cm',
+  '‰': 'ppt', 'g/kg': 'ppt',
+  meq: 'meq/l',
+  'ug/l': 'µg/l', 'μg/l': 'µg/l',
+  ph: '',
+};
+
+// How a unit key is written back in `original` when the sender didn't name one
+const UNIT_LABELS = {
+  c: '°C', f: '°F', dkh: 'dKH', 'meq/l': 'meq/L', 'ms/cm': 'mS/cm', sg: 'SG', mv: 'mV',
+};
+
+// Helper: lookup table from every accepted key (lowercased) to its canonical parameter
+const KEY_TO_PARAM = {};
+Object.entries(READING_SCHEMA).forEach(([param, spec]) => {
+  spec.aliases.forEach(alias => { KEY_TO_PARAM[alias] = { param, conductivity: false }; });
+  (spec.conductivityAliases || []).forEach(alias => { KEY_TO_PARAM[alias] = { param, conductivity: true }; });
+});
+
+// Helper: normalize a unit string ("°C", "mS", "meq/L") to the keys used in READING_SCHEMA
+function normalizeUnit(unit) {
+  const key = String(unit).trim().toLowerCase().replace(/\s+/g, '');
+  return key in UNIT_ALIASES ? UNIT_ALIASES[key] : key;
+}
+
+// Helper: round to the parameter's stored precision
+function round(value, precision) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert one value to the canonical unit of a parameter
+ * @param {string} param - Canonical parameter key (see READING_SCHEMA)
+ * @param {number} value
+ * @param {string} unit - Unit as received (omit to let the schema assume/guess)
+ * @returns {{ok: boolean, value?: number, unit?: string, error?: string}} - unit is the one used
+ */
+function convertValue(param, value, unit) {
+  const spec = READING_SCHEMA[param];
+  if (!spec) return { ok: false, error: `Unknown parameter "${param}"` };
+
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return { ok: false, error: `${param} must be a number` };
+  }
+
+  let unitKey;
+  if (unit !== undefined && unit !== null && unit !== '') {
+    unitKey = normalizeUnit(unit);
+  } else if (spec.guess) {
+    unitKey = spec.guess(number);
+  } else {
+    unitKey = Object.keys(spec.units)[0];
+  }
+
+  const convert = spec.units[unitKey];
+  if (!convert) {
+    const accepted = Object.keys(spec.units).filter(Boolean).join(', ') || 'none';
+    return { ok: false, error: `${param}: unsupported unit "${unit}" (accepted: ${accepted})` };
+  }
+
+  const converted = round(convert(number), spec.precision);
+  const [min, max] = spec.range;
+  if (converted < min || converted > max) {
+    const shown = unitKey === Object.keys(spec.units)[0] ? '' : ` (${converted} ${spec.unit})`;
+    return { ok: false, error: `${param} ${number}${unit ? ` ${unit}` : ''}${shown} is outside the plausible range ${min}–${max} ${spec.unit}`.trim() };
+  }
+
+  return { ok: true, value: converted, unit: unitKey };
+}
+
+/**
+ * Bring a reading from any source into the canonical schema
+ * Values may be plain numbers (unit from `units[key]`, else assumed) or { value, unit } objects.
+ * @param {object} input - Reading as received
+ * @param {object} options - { dropInvalid: keep the valid parameters instead of failing (device syncs) }
+ * @returns {{ok: boolean, reading?: object, errors: Array<{param: string, error: string}>, ignored: string[]}}
+ */
+function normalizeReading(input, options = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, errors: [{ param: null, error: 'Reading must be an object' }], ignored: [] };
+  }
+
+  const units = input.units && typeof input.units === 'object' ? input.units : {};
+  const reading = {};
+  const original = {};
+  const errors = [];
+  const ignored = [];
+
+  META_FIELDS.forEach(field => {
+    if (input[field] !== undefined && input[field] !== null) reading[field] = input[field];
+  });
+
+  if (reading.source !== undefined && typeof reading.source !== 'string') {
+    errors.push({ param: 'source', error: 'source must be a string' });
+  }
+  ['timestamp', 'tridentTimestamp', 'deviceTimestamp'].forEach(field => {
+    if (reading[field] === undefined || typeof reading[field].toDate === 'function') return;
+    if (isNaN(new Date(reading[field]).getTime())) {
+      errors.push({ param: field, error: `${field} must be a date` });
+    }
+  });
+
+  Object.entries(input).forEach(([key, raw]) => {
+    if (META_FIELDS.includes(key) || key === 'units' || key === 'original') return;
+
+    const match = KEY_TO_PARAM[key.toLowerCase()];
+    if (!match) {
+      ignored.push(key);
+      return;
+    }
+    if (raw === null || raw === undefined || raw === '') return;
+
+    const { param } = match;
+    const spec = READING_SCHEMA[param];
+    const isObject = typeof raw === 'object';
+    const value = isObject ? raw.value : raw;
+    let unit = isObject ? raw.unit : units[key];
+    if ((unit === undefined || unit === null || unit === '') && match.conductivity) unit = 'mS/cm';
+
+    if (reading[param] !== undefined) {
+      errors.push({ param, error: `${param} was sent more than once (${key})` });
+      return;
+    }
+
+    const result = convertValue(param, value, unit);
+    if (!result.ok) {
+      errors.push({ param, error: result.error });
+      return;
+    }
+
+    reading[param] = result.value;
+
+    // Keep what arrived whenever it was renamed or converted
+    const canonicalUnitKey = Object.keys(spec.units)[0];
+    if (key !== param || result.unit !== canonicalUnitKey) {
+      original[param] = {
+        key,
+        value: Number(value),
+        unit: unit !== undefined && unit !== null && unit !== '' ? String(unit) : (UNIT_LABELS[result.unit] || result.unit),
+      };
+    }
+  });
+
+  if (Object.keys(original).length > 0) reading.original = original;
+
+  const measured = Object.keys(READING_SCHEMA).some(param => reading[param] !== undefined);
+  if (!measured && errors.length === 0) {
+    errors.push({ param: null, error: 'Reading has no recognised parameters' });
+  }
+
+  if (errors.length > 0 && !(options.dropInvalid && measured)) {
+    return { ok: false, errors, ignored };
+  }
+  return { ok: true, reading, errors, ignored };
+}
+
+// Helper: ISO string for a device timestamp, or null if it isn't a usable date
+function toIsoOrNull(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Check a client-supplied idempotency key
+ * @param {*} key - Header or body value
+ * @returns {{ok: boolean, key?: string|null, error?: string}} - key is null when none was sent
+ */
+function validateIdempotencyKey(key) {
+  if (key === undefined || key === null || key === '') return { ok: true, key: null };
+
+  if (typeof key !== 'string' || key.trim().length === 0) {
+    return { ok: false, error: 'Idempotency key must be a non-empty string' };
+  }
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { ok: false, error: `Idempotency key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+
+  return { ok: true, key: key.trim() };
+}
+
+/**
+ * Key that identifies a reading across retries and repeated syncs
+ * @param {object} readingData - Reading about to be stored
+ * @param {string|null} idempotencyKey - Validated client key, if any
+ * @returns {string|null} - null when nothing identifies the reading (it's always stored)
+ */
+function readingDedupeKey(readingData, idempotencyKey = null) {
+  if (idempotencyKey) return `idem:${idempotencyKey}`;
+
+  const source = readingData.source || 'manual';
+
+  // A Trident result is identified by when the test ran, however often the controller reports it
+  const deviceTime = source === 'trident'
+    ? toIsoOrNull(readingData.tridentTimestamp) || toIsoOrNull(readingData.deviceTimestamp)
+    : toIsoOrNull(readingData.deviceTimestamp);
+
+  return deviceTime ? `${source}:${deviceTime}` : null;
+}
+
+module.exports = {
+  READING_SCHEMA,
+  conductivityToPpt,
+  convertValue,
+  normalizeReading,
+  validateIdempotencyKey,
+  readingDedupeKey,
+};
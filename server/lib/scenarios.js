@@ -0,0 +1,295 @@
+/**
+ * Simulator Scenario Engine
+ * Loads declarative scenario files (server/scenarios/*.json|yaml) and turns them into
+ * reading histories and event timelines for the Apex simulators.
+ *
+ * Scenario format:
+ *   id, name, description
+ *   days            — length of the story (day 0 = `days` days ago, day `days` = now)
+ *   readingsPerDay  — Trident cadence (default 1)
+ *   baseline        — starting value per parameter ({ alk: 8.2, ca: 440, ... })
+ *   noise           — ± random amplitude per parameter
+ *   changes         — applied in order, per parameter:
+ *     { type: 'drift', param, startDay, endDay, delta | to }  linear ramp, holds afterwards
+ *     { type: 'step',  param, day, delta | to, untilDay? }   sudden change (optionally reverts)
+ *     { type: 'cycle', param, amplitude, periodHours?, peakHour?, startDay?, endDay? }  sine wave
+ *   events          — [{ day, hour?, type, title, details }]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const SCENARIO_DIR = process.env.SIMULATOR_SCENARIO_DIR || path.join(__dirname, '..', 'scenarios');
+const DEFAULT_SCENARIO = 'alk-crash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decimal places per parameter when rounding generated values
+const PRECISION = {
+  alk: 2,
+  ca: 0,
+  mg: 0,
+  ph: 2,
+  temp: 1,
+  orp: 0,
+  no3: 1,
+  po4: 3,
+  salinity: 1,
+};
+
+const CHANGE_TYPES = ['drift', 'step', 'cycle'];
+
+/**
+ * Check a parsed scenario for structural problems
+ * @param {object} scenario
+ * @returns {string[]} - List of problems (empty when valid)
+ */
+function validateScenario(scenario) {
+  const errors = [];
+
+  if (!scenario || typeof scenario !== 'object') {
+    return ['Scenario must be an object'];
+  }
+  if (!scenario.id) errors.push('Missing id');
+  if (!(scenario.days > 0)) errors.push('days must be a positive number');
+  if (!scenario.baseline || Object.keys(scenario.baseline).length === 0) {
+    errors.push('baseline must define at least one parameter');
+  }
+
+  (scenario.changes || []).forEach((change, i) => {
+    if (!CHANGE_TYPES.includes(change.type)) {
+      errors.push(`changes[${i}]: unknown type "${change.type}"`);
+    }
+    if (!scenario.baseline || scenario.baseline[change.param] === undefined) {
+      errors.push(`changes[${i}]: param "${change.param}" has no baseline`);
+    }
+    if (change.type === 'drift' && !(change.endDay > change.startDay)) {
+      errors.push(`changes[${i}]: drift needs endDay > startDay`);
+    }
+    if (change.type !== 'cycle' && change.delta === undefined && change.to === undefined) {
+      errors.push(`changes[${i}]: needs delta or to`);
+    }
+  });
+
+  (scenario.events || []).forEach((event, i) => {
+    if (event.day === undefined || !event.title) {
+      errors.push(`events[${i}]: needs day and title`);
+    }
+  });
+
+  return errors;
+}
+
+// Parse a scenario file by extension
+function readScenarioFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+}
+
+function scenarioFiles() {
+  if (!fs.existsSync(SCENARIO_DIR)) return [];
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(name => /\.(json|ya?ml)$/i.test(name))
+    .map(name => path.join(SCENARIO_DIR, name));
+}
+
+/**
+ * List the bundled scenarios
+ * @returns {Array<{id: string, name: string, description: string, days: number}>}
+ */
+function listScenarios() {
+  return scenarioFiles()
+    .map(file => {
+      try {
+        const scenario = readScenarioFile(file);
+        return {
+          id: scenario.id,
+          name: scenario.name || scenario.id,
+          description: scenario.description || '',
+          days: scenario.days,
+        };
+      } catch (error) {
+        console.error(`Skipping unreadable scenario ${path.basename(file)}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Load and validate a scenario by id
+ * @param {string} id - Scenario id (matches the `id` field, not the filename)
+ * @returns {{ok: boolean, scenario?: object, error?: string}}
+ */
+function loadScenario(id = DEFAULT_SCENARIO) {
+  for (const file of scenarioFiles()) {
+    let scenario;
+    try {
+      scenario = readScenarioFile(file);
+    } catch (error) {
+      continue;
+    }
+    if (scenario.id !== id) continue;
+
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      return { ok: false, error: `Invalid scenario "${id}": ${errors.join('; ')}` };
+    }
+    return { ok: true, scenario };
+  }
+
+  return { ok: false, error: `Unknown scenario "${id}"` };
+}
+
+// Baseline plus the changes before `index`, at a given day
+function levelAt(scenario, param, day, index, clockHours) {
+  let value = scenario.baseline[param];
+  const changes = scenario.changes || [];
+
+  for (let i = 0; i < index; i++) {
+    const change = changes[i];
+    if (change.param !== param) continue;
+    value += contribution(scenario, change, i, day, clockHours);
+  }
+
+  return value;
+}
+
+// How much one change adds to its parameter at a given (fractional) day
+function contribution(scenario, change, index, day, clockHours) {
+  if (change.type === 'drift') {
+    if (day <= change.startDay) return 0;
+    const delta = change.to !== undefined
+      ? change.to - levelAt(scenario, change.param, change.startDay, index)
+      : change.delta;
+    const progress = Math.min(1, (day - change.startDay) / (change.endDay - change.startDay));
+    return delta * progress;
+  }
+
+  if (change.type === 'step') {
+    if (day < change.day) return 0;
+    if (change.untilDay !== undefined && day >= change.untilDay) return 0;
+    return change.to !== undefined
+      ? change.to - levelAt(scenario, change.param, change.day, index)
+      : change.delta;
+  }
+
+  if (change.type === 'cycle') {
+    // Without a clock time, report the daily mean
+    if (clockHours === undefined) return 0;
+    if (change.startDay !== undefined && day < change.startDay) return 0;
+    if (change.endDay !== undefined && day > change.endDay) return 0;
+    const periodHours = change.periodHours || 24;
+    const peakHour = change.peakHour !== undefined ? change.peakHour : 14;
+    return change.amplitude * Math.cos(((clockHours - peakHour) / periodHours) * 2 * Math.PI);
+  }
+
+  return 0;
+}
+
+/**
+ * Noise-free value of a parameter at a point in the story
+ * @param {object} scenario
+ * @param {string} param
+ * @param {number} day - Fractional days since the scenario start
+ * @param {number} clockHours - Local hours since the epoch (omit for the daily mean, ignoring cycles)
+ * @returns {number}
+ */
+function valueAt(scenario, param, day, clockHours) {
+  return levelAt(scenario, param, day, (scenario.changes || []).length, clockHours);
+}
+
+function round(param, value) {
+  const places = PRECISION[param] !== undefined ? PRECISION[param] : 2;
+  return +value.toFixed(places);
+}
+
+/**
+ * Generate the reading history for a scenario, ending now
+ * @param {object} scenario
+ * @param {object} options - { now, readingsPerDay, idPrefix }
+ * @returns {Array<object>} - Oldest first, same shape as simulator readings
+ */
+function generateScenarioReadings(scenario, options = {}) {
+  const now = options.now || Date.now();
+  const readingsPerDay = options.readingsPerDay || scenario.readingsPerDay || 1;
+  const idPrefix = options.idPrefix || 'sim-reading';
+  const start = now - scenario.days * DAY_MS;
+  const noise = scenario.noise || {};
+  const params = Object.keys(scenario.baseline);
+  const readings = [];
+
+  for (let d = 0; d <= scenario.days; d++) {
+    for (let r = 0; r < readingsPerDay; r++) {
+      const time = start + d * DAY_MS + r * (DAY_MS / readingsPerDay);
+      if (time > now) break;
+
+      // Cycles follow the local wall clock, so a reading at 3pm sits near the daily pH peak
+      const clock = new Date(time);
+      const clockHours = (time - clock.getTimezoneOffset() * 60000) / 3600000;
+
+      const reading = {
+        id: `${idPrefix}-${time}`,
+        source: 'trident',
+        timestamp: clock.toISOString(),
+      };
+
+      params.forEach(param => {
+        let value = valueAt(scenario, param, d + r / readingsPerDay, clockHours);
+        value += (Math.random() - 0.5) * 2 * (noise[param] || 0);
+        reading[param] = round(param, Math.max(0, value));
+      });
+
+      readings.push(reading);
+    }
+  }
+
+  return readings;
+}
+
+/**
+ * Generate the event timeline for a scenario, ending now
+ * @param {object} scenario
+ * @param {object} options - { now, idPrefix }
+ * @returns {Array<object>} - In file order
+ */
+function generateScenarioEvents(scenario, options = {}) {
+  const now = options.now || Date.now();
+  const idPrefix = options.idPrefix || 'sim-event';
+  const start = now - scenario.days * DAY_MS;
+
+  return (scenario.events || []).map((event, i) => ({
+    id: `${idPrefix}-${i + 1}`,
+    type: event.type || 'note',
+    title: event.title,
+    details: event.details || '',
+    date: new Date(start + event.day * DAY_MS + (event.hour || 0) * 3600000).toISOString(),
+    source: event.source || 'user-entered',
+  }));
+}
+
+/**
+ * Noise-free daily-mean values at the end of the story (seed for live readings)
+ * @param {object} scenario
+ * @returns {object}
+ */
+function finalValues(scenario) {
+  const values = {};
+  Object.keys(scenario.baseline).forEach(param => {
+    values[param] = round(param, Math.max(0, valueAt(scenario, param, scenario.days)));
+  });
+  return values;
+}
+
+module.exports = {
+  DEFAULT_SCENARIO,
+  listScenarios,
+  loadScenario,
+  validateScenario,
+  valueAt,
+  finalValues,
+  generateScenarioReadings,
+  generateScenarioEvents,
+};
@@ -0,0 +1,398 @@
+/**
+ * SQLite Storage Backend
+ * Same interface as firestore.js, backed by the embedded better-sqlite3 database
+ * so an offline desktop install keeps its full history across restarts.
+ */
+
+const crypto = require('crypto');
+const { getDb, closeDb } = require('./db');
+
+// Firestore-style 20 character document IDs
+function newId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+// Accept Date, ISO string, epoch ms or a Firestore Timestamp
+function toIso(value) {
+  if (!value) return new Date().toISOString();
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function fromRow(row) {
+  return row ? { id: row.id, ...JSON.parse(row.data) } : null;
+}
+
+// Readings/events/analyses are scoped to a tank the user owns
+function assertTankOwner(db, userId, tankId) {
+  const tank = db.prepare('SELECT id FROM tanks WHERE id = ? AND user_id = ?').get(tankId, userId);
+  if (!tank) {
+    throw new Error(`Tank ${tankId} not found`);
+  }
+}
+
+// Helper: Get user by email
+async function getUserByEmail(email) {
+  const db = getDb();
+  const row = db.prepare('SELECT id, data FROM accounts WHERE email = ?').get(email.toLowerCase());
+  return fromRow(row);
+}
+
+// Helper: Get user by ID
+async function getUserById(userId) {
+  const db = getDb();
+  const row = db.prepare('SELECT id, data FROM accounts WHERE id = ?').get(userId);
+  return fromRow(row);
+}
+
+// Helper: Create user
+async function createUser(userData) {
+  const db = getDb();
+  const id = newId();
+  const createdAt = new Date().toISOString();
+
+  db.prepare('INSERT INTO accounts (id, email, data, created_at) VALUES (?, ?, ?, ?)')
+    .run(id, userData.email.toLowerCase(), JSON.stringify({ ...userData, createdAt }), createdAt);
+
+  return { id, ...userData };
+}
+
+// Helper: Update user (top-level fields replace, like Firestore's update())
+async function updateUser(userId, updates) {
+  const db = getDb();
+
+  const update = db.transaction(() => {
+    const row = db.prepare('SELECT data FROM accounts WHERE id = ?').get(userId);
+    if (!row) {
+      throw new Error(`User ${userId} not found`);
+    }
+
+    const data = { ...JSON.parse(row.data), ...updates, updatedAt: new Date().toISOString() };
+    db.prepare('UPDATE accounts SET data = ? WHERE id = ?').run(JSON.stringify(data), userId);
+  });
+  update();
+
+  return { id: userId, ...updates };
+}
+
+// Helper: Get user's tanks
+async function getUserTanks(userId) {
+  const db = getDb();
+  const rows = db.prepare('SELECT id, data FROM tanks WHERE user_id = ? ORDER BY created_at DESC').all(userId);
+  return rows.map(fromRow);
+}
+
+// Helper: Get every user's tanks (background jobs), each with its userId
+async function getAllTanks() {
+  const db = getDb();
+  const rows = db.prepare('SELECT id, user_id, data FROM tanks ORDER BY created_at DESC').all();
+  return rows.map(row => ({ ...fromRow(row), userId: row.user_id }));
+}
+
+// Helper: Get tank by ID
+async function getTank(userId, tankId) {
+  const db = getDb();
+  const row = db.prepare('SELECT id, data FROM tanks WHERE id = ? AND user_id = ?').get(tankId, userId);
+  return fromRow(row);
+}
+
+// Helper: Create tank
+async function createTank(userId, tankData) {
+  const db = getDb();
+  const id = newId();
+  const createdAt = new Date().toISOString();
+
+  db.prepare('INSERT INTO tanks (id, user_id, data, created_at) VALUES (?, ?, ?, ?)')
+    .run(id, userId, JSON.stringify({ ...tankData, createdAt }), createdAt);
+
+  return { id, ...tankData };
+}
+
+// Helper: Update tank (top-level fields replace, like Firestore's update())
+async function updateTank(userId, tankId, updates) {
+  const db = getDb();
+  const updatedAt = new Date().toISOString();
+
+  const update = db.transaction(() => {
+    const row = db.prepare('SELECT data FROM tanks WHERE id = ? AND user_id = ?').get(tankId, userId);
+    if (!row) {
+      throw new Error(`Tank ${tankId} not found`);
+    }
+
+    const data = { ...JSON.parse(row.data), ...updates, updatedAt };
+    db.prepare('UPDATE tanks SET data = ?, updated_at = ? WHERE id = ?')
+      .run(JSON.stringify(data), updatedAt, tankId);
+  });
+  update();
+
+  return { id: tankId, ...updates };
+}
+
+// Helper: Get readings (with time range)
+async function getReadings(userId, tankId, daysBack = 30) {
+  const db = getDb();
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysBack);
+
+  const rows = db.prepare(`
+    SELECT r.id, r.data
+    FROM readings r
+    JOIN tanks t ON t.id = r.tank_id
+    WHERE r.tank_id = ? AND t.user_id = ? AND r.timestamp >= ?
+    ORDER BY r.timestamp DESC
+  `).all(tankId, userId, cutoffDate.toISOString());
+
+  return rows.map(fromRow);
+}
+
+// Helper: Add reading (a reading with a known dedupeKey returns the stored copy, flagged `duplicate`)
+async function addReading(userId, tankId, readingData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const id = newId();
+  const timestamp = toIso(readingData.timestamp);
+  const data = { ...readingData, timestamp };
+  const dedupeKey = readingData.dedupeKey || null;
+
+  // The unique index settles races between a retry and the original request
+  const result = db.prepare('INSERT OR IGNORE INTO readings (id, tank_id, timestamp, data, dedupe_key) VALUES (?, ?, ?, ?, ?)')
+    .run(id, tankId, timestamp, JSON.stringify(data), dedupeKey);
+
+  if (result.changes === 0) {
+    const existing = db.prepare('SELECT id, data FROM readings WHERE tank_id = ? AND dedupe_key = ?').get(tankId, dedupeKey);
+    return { ...fromRow(existing), duplicate: true };
+  }
+
+  return { id, ...data };
+}
+
+// Helper: Add many readings in one transaction (imports); known dedupeKeys are skipped
+async function addReadings(userId, tankId, readingsData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const insert = db.prepare('INSERT OR IGNORE INTO readings (id, tank_id, timestamp, data, dedupe_key) VALUES (?, ?, ?, ?, ?)');
+  const write = db.transaction(() => {
+    const stored = [];
+    let duplicates = 0;
+    readingsData.forEach(readingData => {
+      const id = newId();
+      const timestamp = toIso(readingData.timestamp);
+      const data = { ...readingData, timestamp };
+      const result = insert.run(id, tankId, timestamp, JSON.stringify(data), readingData.dedupeKey || null);
+      if (result.changes === 0) duplicates++;
+      else stored.push({ id, ...data });
+    });
+    return { stored, duplicates };
+  });
+
+  return write();
+}
+
+// Helper: Get events
+async function getEvents(userId, tankId, limit = 50) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT e.id, e.data
+    FROM events e
+    JOIN tanks t ON t.id = e.tank_id
+    WHERE e.tank_id = ? AND t.user_id = ?
+    ORDER BY e.date DESC
+    LIMIT ?
+  `).all(tankId, userId, limit);
+
+  return rows.map(fromRow);
+}
+
+// Helper: Add event (an event with a known dedupeKey returns the stored copy, flagged `duplicate`)
+async function addEvent(userId, tankId, eventData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const id = newId();
+  const date = toIso(eventData.date);
+  const data = { ...eventData, date };
+  const dedupeKey = eventData.dedupeKey || null;
+
+  const result = db.prepare('INSERT OR IGNORE INTO events (id, tank_id, date, data, dedupe_key) VALUES (?, ?, ?, ?, ?)')
+    .run(id, tankId, date, JSON.stringify(data), dedupeKey);
+
+  if (result.changes === 0) {
+    const existing = db.prepare('SELECT id, data FROM events WHERE tank_id = ? AND dedupe_key = ?').get(tankId, dedupeKey);
+    return { ...fromRow(existing), duplicate: true };
+  }
+
+  return { id, ...data };
+}
+
+// Helper: Get analyses
+async function getAnalyses(userId, tankId, limit = 10) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT a.id, a.data
+    FROM analyses a
+    JOIN tanks t ON t.id = a.tank_id
+    WHERE a.tank_id = ? AND t.user_id = ?
+    ORDER BY a.date DESC
+    LIMIT ?
+  `).all(tankId, userId, limit);
+
+  return rows.map(fromRow);
+}
+
+// Helper: Add analysis
+async function addAnalysis(userId, tankId, analysisData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const id = newId();
+  const date = toIso(analysisData.date);
+  const data = { ...analysisData, date };
+
+  db.prepare('INSERT INTO analyses (id, tank_id, date, data) VALUES (?, ?, ?, ?)')
+    .run(id, tankId, date, JSON.stringify(data));
+
+  return { id, ...data };
+}
+
+// Helper: Get one analysis
+async function getAnalysis(userId, tankId, analysisId) {
+  const db = getDb();
+  const row = db.prepare(`
+    SELECT a.id, a.data
+    FROM analyses a
+    JOIN tanks t ON t.id = a.tank_id
+    WHERE a.id = ? AND a.tank_id = ? AND t.user_id = ?
+  `).get(analysisId, tankId, userId);
+
+  return fromRow(row);
+}
+
+// Helper: Get an analysis's chat messages (oldest first)
+async function getAnalysisMessages(userId, tankId, analysisId, limit = 100) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT m.id, m.data
+    FROM analysis_messages m
+    JOIN analyses a ON a.id = m.analysis_id
+    JOIN tanks t ON t.id = a.tank_id
+    WHERE m.analysis_id = ? AND a.tank_id = ? AND t.user_id = ?
+    ORDER BY m.created_at ASC, m.rowid ASC
+    LIMIT ?
+  `).all(analysisId, tankId, userId, limit);
+
+  return rows.map(fromRow);
+}
+
+// Helper: Add a chat message to an analysis
+async function addAnalysisMessage(userId, tankId, analysisId, messageData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const analysis = db.prepare('SELECT id FROM analyses WHERE id = ? AND tank_id = ?').get(analysisId, tankId);
+  if (!analysis) {
+    throw new Error(`Analysis ${analysisId} not found`);
+  }
+
+  const id = newId();
+  const createdAt = toIso(messageData.createdAt);
+  const data = { ...messageData, createdAt };
+
+  db.prepare('INSERT INTO analysis_messages (id, analysis_id, created_at, data) VALUES (?, ?, ?, ?)')
+    .run(id, analysisId, createdAt, JSON.stringify(data));
+
+  return { id, ...data };
+}
+
+// Helper: Get alerts (newest first, optionally only 'active' or 'resolved')
+async function getAlerts(userId, tankId, options = {}) {
+  const db = getDb();
+  const limit = options.limit || 50;
+  const statusClause = options.status ? 'AND a.status = ?' : '';
+  const params = options.status ? [tankId, userId, options.status, limit] : [tankId, userId, limit];
+
+  const rows = db.prepare(`
+    SELECT a.id, a.data
+    FROM alerts a
+    JOIN tanks t ON t.id = a.tank_id
+    WHERE a.tank_id = ? AND t.user_id = ? ${statusClause}
+    ORDER BY a.raised_at DESC
+    LIMIT ?
+  `).all(...params);
+
+  return rows.map(fromRow);
+}
+
+// Helper: Add alert
+async function addAlert(userId, tankId, alertData) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const id = newId();
+  const raisedAt = toIso(alertData.raisedAt);
+  const data = { ...alertData, raisedAt };
+
+  db.prepare('INSERT INTO alerts (id, tank_id, status, raised_at, data) VALUES (?, ?, ?, ?, ?)')
+    .run(id, tankId, data.status || 'active', raisedAt, JSON.stringify(data));
+
+  return { id, ...data };
+}
+
+// Helper: Update alert (top-level fields replace)
+async function updateAlert(userId, tankId, alertId, updates) {
+  const db = getDb();
+  assertTankOwner(db, userId, tankId);
+
+  const update = db.transaction(() => {
+    const row = db.prepare('SELECT data FROM alerts WHERE id = ? AND tank_id = ?').get(alertId, tankId);
+    if (!row) {
+      throw new Error(`Alert ${alertId} not found`);
+    }
+
+    const data = { ...JSON.parse(row.data), ...updates };
+    db.prepare('UPDATE alerts SET status = ?, data = ? WHERE id = ?')
+      .run(data.status || 'active', JSON.stringify(data), alertId);
+    return data;
+  });
+
+  return { id: alertId, ...update() };
+}
+
+// Helper: Release the database file (server shutdown)
+async function close() {
+  closeDb();
+}
+
+module.exports = {
+  // User operations
+  getUserByEmail,
+  getUserById,
+  createUser,
+  updateUser,
+  // Tank operations
+  getUserTanks,
+  getAllTanks,
+  getTank,
+  createTank,
+  updateTank,
+  // Readings
+  getReadings,
+  addReading,
+  addReadings,
+  // Events
+  getEvents,
+  addEvent,
+  // Analyses
+  getAnalyses,
+  addAnalysis,
+  getAnalysis,
+  getAnalysisMessages,
+  addAnalysisMessage,
+  // Alerts
+  getAlerts,
+  addAlert,
+  updateAlert,
+  close,
+};
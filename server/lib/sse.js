@@ -0,0 +1,57 @@
+/**
+ * Server-Sent Events
+ * Turns an Express response into an event stream:
+ *
+ *   event: <name>
+ *   data: <JSON>
+ *
+ * A comment line goes out every 15 s so proxies don't drop a stream that is waiting on a slow model.
+ */
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Open an event stream on a response
+ * @param {object} res - Express response (watched for the client going away)
+ * @returns {{send: function(string, object): boolean, close: function, isOpen: function(): boolean}}
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+
+  let open = true;
+  const heartbeat = setInterval(() => {
+    if (open) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_MS);
+
+  function close() {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    res.end();
+  }
+
+  // Work already under way keeps going; there's just nobody to tell
+  // (res, not req: a POST's req closes as soon as its body is read)
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  function send(event, data) {
+    if (!open) return false;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  }
+
+  return { send, close, isOpen: () => open };
+}
+
+module.exports = {
+  openEventStream,
+};
@@ -0,0 +1,101 @@
+/**
+ * Storage Backend Selector
+ * Routes every data operation to Firestore (cloud) or embedded SQLite (offline desktop).
+ * Set STORAGE_BACKEND=sqlite to keep everything on disk at DB_PATH.
+ */
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+
+const BACKENDS = {
+  firestore: './firestore',
+  sqlite: './sqlite-store',
+};
+
+if (!BACKENDS[STORAGE_BACKEND]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected: ${Object.keys(BACKENDS).join(', ')})`);
+}
+
+const backend = require(BACKENDS[STORAGE_BACKEND]);
+const { readingDedupeKey } = require('./readings');
+
+console.log('✓ Storage backend:', STORAGE_BACKEND);
+
+/**
+ * Store a reading once: a retry or repeated sync of the same measurement returns the
+ * stored record with `duplicate: true` instead of writing it again (the server announces
+ * new ones on its event bus)
+ * @param {string} userId
+ * @param {string} tankId
+ * @param {object} readingData
+ * @param {object} options - { idempotencyKey } (validated by the caller)
+ * @returns {Promise<object>} - Stored reading
+ */
+async function addReading(userId, tankId, readingData, options = {}) {
+  const dedupeKey = readingDedupeKey(readingData, options.idempotencyKey);
+  return backend.addReading(userId, tankId, dedupeKey ? { ...readingData, dedupeKey } : readingData);
+}
+
+/**
+ * Store a batch of historical readings (CSV import). Each entry's idempotency key makes a
+ * re-import a no-op. Nothing is published per reading: old results shouldn't raise alerts
+ * one by one, so the caller re-checks the tank once afterwards.
+ * @param {string} userId
+ * @param {string} tankId
+ * @param {Array<{reading: object, idempotencyKey?: string}>} entries
+ * @returns {Promise<{stored: object[], duplicates: number}>}
+ */
+async function addReadings(userId, tankId, entries) {
+  const readingsData = entries.map(({ reading, idempotencyKey }) => {
+    const dedupeKey = readingDedupeKey(reading, idempotencyKey);
+    return dedupeKey ? { ...reading, dedupeKey } : reading;
+  });
+  return backend.addReadings(userId, tankId, readingsData);
+}
+
+/**
+ * Log an event once: a retry carrying the same idempotency key returns the stored event
+ * with `duplicate: true` instead of logging it again
+ * @param {string} userId
+ * @param {string} tankId
+ * @param {object} eventData
+ * @param {object} options - { idempotencyKey } (validated by the caller)
+ * @returns {Promise<object>} - Stored event
+ */
+async function addEvent(userId, tankId, eventData, options = {}) {
+  const dedupeKey = options.idempotencyKey ? `idem:${options.idempotencyKey}` : null;
+  return backend.addEvent(userId, tankId, dedupeKey ? { ...eventData, dedupeKey } : eventData);
+}
+
+module.exports = {
+  STORAGE_BACKEND,
+  // User operations
+  getUserByEmail: backend.getUserByEmail,
+  getUserById: backend.getUserById,
+  createUser: backend.createUser,
+  updateUser: backend.updateUser,
+  // Tank operations
+  getUserTanks: backend.getUserTanks,
+  getAllTanks: backend.getAllTanks,
+  getTank: backend.getTank,
+  createTank: backend.createTank,
+  updateTank: backend.updateTank,
+  // Readings
+  getReadings: backend.getReadings,
+  addReading,
+  addReadings,
+  // Events
+  getEvents: backend.getEvents,
+  addEvent,
+  // Analyses
+  getAnalyses: backend.getAnalyses,
+  addAnalysis: backend.addAnalysis,
+  getAnalysis: backend.getAnalysis,
+  getAnalysisMessages: backend.getAnalysisMessages,
+  addAnalysisMessage: backend.addAnalysisMessage,
+  // Alerts
+  getAlerts: backend.getAlerts,
+  addAlert: backend.addAlert,
+  updateAlert: backend.updateAlert,
+  // Shutdown
+  close: backend.close,
+};
@@ -0,0 +1,203 @@
+/**
+ * Background Sync Scheduler
+ * Runs the tank sync path on a timer so readings keep landing while the desktop app
+ * sits in the tray. One job per tank, with jitter and exponential backoff on errors.
+ */
+
+const DEFAULT_INTERVAL_MINUTES = parseFloat(process.env.SYNC_INTERVAL_MINUTES) || 15;
+const DEFAULT_MAX_BACKOFF_MINUTES = parseFloat(process.env.SYNC_MAX_BACKOFF_MINUTES) || 240;
+const DEFAULT_JITTER = 0.1; // ±10% of the interval
+
+/**
+ * Create a scheduler around a sync function
+ * @param {function} syncFn - async (userId, tankId) => {ok: boolean, reading?: object, skipped?: boolean, error?: string}
+ * @param {object} options - { intervalMinutes, maxBackoffMinutes, jitter }
+ * @returns {object} - Scheduler handle
+ */
+function createSyncScheduler(syncFn, options = {}) {
+  const defaultIntervalMs = (options.intervalMinutes || DEFAULT_INTERVAL_MINUTES) * 60000;
+  const maxBackoffMs = (options.maxBackoffMinutes || DEFAULT_MAX_BACKOFF_MINUTES) * 60000;
+  const jitter = options.jitter !== undefined ? options.jitter : DEFAULT_JITTER;
+
+  // tankId → job state
+  const jobs = new Map();
+
+  function nextDelay(job) {
+    // Double the wait after each consecutive failure, capped at maxBackoff
+    const backoff = Math.min(job.intervalMs * Math.pow(2, job.consecutiveFailures), Math.max(maxBackoffMs, job.intervalMs));
+    const spread = backoff * jitter;
+    return Math.round(backoff + (Math.random() * 2 - 1) * spread);
+  }
+
+  function scheduleNext(job, delayMs) {
+    clearTimeout(job.timer);
+    const delay = delayMs !== undefined ? delayMs : nextDelay(job);
+    job.nextRunAt = new Date(Date.now() + delay);
+    job.timer = setTimeout(() => run(job), delay);
+
+    // Never keep the process alive just for polling
+    if (job.timer.unref) job.timer.unref();
+  }
+
+  async function run(job) {
+    if (job.running || !jobs.has(job.tankId)) return;
+
+    job.running = true;
+    job.lastRunAt = new Date();
+    job.runCount++;
+
+    try {
+      const result = await syncFn(job.userId, job.tankId);
+
+      if (!result || !result.ok) {
+        throw new Error((result && result.error) || 'Sync failed');
+      }
+
+      job.lastSuccessAt = new Date();
+      job.consecutiveFailures = 0;
+      if (result.skipped) {
+        job.skippedDuplicates++;
+      }
+      job.lastReadingId = result.reading ? result.reading.id : job.lastReadingId;
+    } catch (error) {
+      job.lastError = error.message;
+      job.lastErrorAt = new Date();
+      job.consecutiveFailures++;
+      console.warn(`Background sync failed for tank ${job.tankId} (${job.consecutiveFailures}x): ${error.message}`);
+    } finally {
+      job.running = false;
+    }
+
+    if (jobs.has(job.tankId)) {
+      scheduleNext(job);
+    }
+  }
+
+  /**
+   * Start (or reconfigure) polling for a tank
+   * @param {string} userId - Owner of the tank
+   * @param {string} tankId - Tank to sync
+   * @param {object} tankOptions - { intervalMinutes, enabled, runNow }
+   * @returns {object} - Job status
+   */
+  function watch(userId, tankId, tankOptions = {}) {
+    if (tankOptions.enabled === false) {
+      unwatch(tankId);
+      return getStatus(tankId);
+    }
+
+    const intervalMs = tankOptions.intervalMinutes
+      ? tankOptions.intervalMinutes * 60000
+      : defaultIntervalMs;
+
+    let job = jobs.get(tankId);
+    if (job) {
+      if (job.intervalMs !== intervalMs) {
+        job.intervalMs = intervalMs;
+        if (!job.running) scheduleNext(job);
+      }
+      return getStatus(tankId);
+    }
+
+    job = {
+      userId,
+      tankId,
+      intervalMs,
+      timer: null,
+      running: false,
+      runCount: 0,
+      consecutiveFailures: 0,
+      skippedDuplicates: 0,
+      lastRunAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastReadingId: null,
+      nextRunAt: null,
+    };
+    jobs.set(tankId, job);
+
+    // First poll soon after startup, spread out so several tanks don't fire together
+    scheduleNext(job, tankOptions.runNow ? 0 : Math.round(Math.random() * Math.min(intervalMs, 60000)));
+    return getStatus(tankId);
+  }
+
+  /**
+   * Stop polling a tank
+   * @param {string} tankId
+   */
+  function unwatch(tankId) {
+    const job = jobs.get(tankId);
+    if (job) {
+      clearTimeout(job.timer);
+      jobs.delete(tankId);
+    }
+  }
+
+  /**
+   * Get last-success / last-error state for a tank
+   * @param {string} tankId
+   * @returns {object}
+   */
+  function getStatus(tankId) {
+    const job = jobs.get(tankId);
+    if (!job) {
+      return { tankId, scheduled: false };
+    }
+
+    return {
+      tankId,
+      scheduled: true,
+      running: job.running,
+      intervalMinutes: job.intervalMs / 60000,
+      runCount: job.runCount,
+      lastRunAt: job.lastRunAt,
+      lastSuccessAt: job.lastSuccessAt,
+      lastError: job.lastError,
+      lastErrorAt: job.lastErrorAt,
+      consecutiveFailures: job.consecutiveFailures,
+      skippedDuplicates: job.skippedDuplicates,
+      lastReadingId: job.lastReadingId,
+      nextRunAt: job.nextRunAt,
+    };
+  }
+
+  /**
+   * Stop every job (server shutdown)
+   */
+  function stopAll() {
+    for (const tankId of Array.from(jobs.keys())) {
+      unwatch(tankId);
+    }
+  }
+
+  return {
+    watch,
+    unwatch,
+    getStatus,
+    stopAll,
+  };
+}
+
+/**
+ * Decide whether a freshly synced reading repeats the last stored Trident test
+ * @param {object} reading - New reading from a sync adapter
+ * @param {object} lastTrident - Most recent stored reading with source 'trident'
+ * @returns {boolean}
+ */
+function isDuplicateTridentResult(reading, lastTrident) {
+  if (!lastTrident || reading.source !== 'trident') return false;
+
+  // Prefer the Trident's own test timestamp when the adapter reports one
+  if (reading.tridentTimestamp && lastTrident.tridentTimestamp) {
+    return new Date(reading.tridentTimestamp).getTime() === new Date(lastTrident.tridentTimestamp).getTime();
+  }
+
+  // Otherwise identical alk/ca/mg means the controller is still reporting the same test
+  return ['alk', 'ca', 'mg'].every(key => reading[key] === lastTrident[key]);
+}
+
+module.exports = {
+  createSyncScheduler,
+  isDuplicateTridentResult,
+};
@@ -0,0 +1,286 @@
+/**
+ * Display Unit Preferences
+ * Readings and targets are stored in the canonical units of readings.js (°F, dKH, ppt, gallons);
+ * each user picks how they are shown. The API converts on the way out (formatReading,
+ * formatTank) and back on the way in (parseTargets, parseVolume).
+ *
+ *   temperature — F | C
+ *   alkalinity  — dKH | meq/L | ppm (as CaCO3)
+ *   salinity    — ppt | SG | mS/cm
+ *   volume      — gal | L
+ */
+
+const { convertValue, conductivityToPpt } = require('./readings');
+
+const LITERS_PER_GALLON = 3.78541;
+
+const DEFAULT_UNIT_PREFERENCES = {
+  temperature: 'F',
+  alkalinity: 'dKH',
+  salinity: 'ppt',
+  volume: 'gal',
+};
+
+// Helper: invert PSS-78 (ppt → mS/cm at 25 °C) by bisection; it's monotonic over reef salinities
+function pptToConductivity(ppt) {
+  let low = 0;
+  let high = 100;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (conductivityToPpt(mid) < ppt) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Per preference: which reading parameter it applies to, and for each choice the
+// canonical → display conversion, label and display precision
+const UNIT_CHOICES = {
+  temperature: {
+    param: 'temp',
+    choices: {
+      F: { label: '°F', fromCanonical: v => v, precision: 1 },
+      C: { label: '°C', fromCanonical: v => (v - 32) * 5 / 9, precision: 1 },
+    },
+  },
+  alkalinity: {
+    param: 'alk',
+    choices: {
+      dKH: { label: 'dKH', fromCanonical: v => v, precision: 2 },
+      'meq/L': { label: 'meq/L', fromCanonical: v => v / 2.8, precision: 2 },
+      ppm: { label: 'ppm', fromCanonical: v => v * 17.848, precision: 0 },
+    },
+  },
+  salinity: {
+    param: 'salinity',
+    choices: {
+      ppt: { label: 'ppt', fromCanonical: v => v, precision: 1 },
+      SG: { label: 'SG', fromCanonical: v => 1 + v / 1325.8, precision: 4 },
+      'mS/cm': { label: 'mS/cm', fromCanonical: pptToConductivity, precision: 1 },
+    },
+  },
+  volume: {
+    param: null,
+    choices: {
+      gal: { label: 'gal', fromCanonical: v => v, precision: 0 },
+      L: { label: 'L', fromCanonical: v => v * LITERS_PER_GALLON, precision: 0 },
+    },
+  },
+};
+
+// Units that don't have a preference (shown as stored)
+const FIXED_LABELS = {
+  ca: 'ppm',
+  mg: 'ppm',
+  ph: '',
+  orp: 'mV',
+  no3: 'ppm',
+  po4: 'ppm',
+};
+
+// Helper: round for display
+function round(value, precision) {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+}
+
+// Helper: the preference (and its chosen unit) that governs a reading parameter
+function choiceForParam(param, units) {
+  const preference = Object.keys(UNIT_CHOICES).find(key => UNIT_CHOICES[key].param === param);
+  if (!preference) return null;
+  return UNIT_CHOICES[preference].choices[units[preference]] || null;
+}
+
+/**
+ * A user's unit preferences with defaults filled in
+ * @param {object} user - User record (preferences.units may be missing)
+ * @returns {object} - { temperature, alkalinity, salinity, volume }
+ */
+function resolveUnitPreferences(user) {
+  const saved = (user && user.preferences && user.preferences.units) || {};
+  return { ...DEFAULT_UNIT_PREFERENCES, ...saved };
+}
+
+/**
+ * Validate a (partial) unit preference update and merge it over the current one
+ * @param {object} input - e.g. { temperature: 'C' }
+ * @param {object} current - Resolved preferences
+ * @returns {{ok: boolean, units?: object, error?: string}}
+ */
+function buildUnitPreferences(input, current = DEFAULT_UNIT_PREFERENCES) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'units must be an object' };
+  }
+
+  const units = { ...current };
+  for (const [key, value] of Object.entries(input)) {
+    const spec = UNIT_CHOICES[key];
+    if (!spec) {
+      return { ok: false, error: `Unknown unit preference "${key}" (expected: ${Object.keys(UNIT_CHOICES).join(', ')})` };
+    }
+    if (!spec.choices[value]) {
+      return { ok: false, error: `${key} must be one of: ${Object.keys(spec.choices).join(', ')}` };
+    }
+    units[key] = value;
+  }
+
+  return { ok: true, units };
+}
+
+/**
+ * Labels to show next to each parameter under these preferences
+ * @param {object} units - Resolved preferences
+ * @returns {object} - { alk: 'meq/L', temp: '°C', ..., volume: 'L' }
+ */
+function unitLabels(units) {
+  const labels = { ...FIXED_LABELS };
+  Object.values(UNIT_CHOICES).forEach(spec => {
+    if (spec.param) labels[spec.param] = choiceForParam(spec.param, units).label;
+  });
+  labels.volume = UNIT_CHOICES.volume.choices[units.volume].label;
+  return labels;
+}
+
+/**
+ * Convert one canonical value to the user's unit
+ * @param {string} param - Reading parameter (alk, temp, salinity, ...)
+ * @param {number} value - Canonical value
+ * @param {object} units - Resolved preferences
+ * @param {number} extraPrecision - Decimals beyond the display default
+ * @returns {number}
+ */
+function toDisplay(param, value, units, extraPrecision = 0) {
+  const choice = choiceForParam(param, units);
+  if (!choice || typeof value !== 'number') return value;
+  return round(choice.fromCanonical(value), choice.precision + extraPrecision);
+}
+
+/**
+ * Reading in the user's units (the stored `original` values are left alone)
+ * @param {object} reading - Stored (canonical) reading
+ * @param {object} units - Resolved preferences
+ * @returns {object}
+ */
+function formatReading(reading, units) {
+  const formatted = { ...reading };
+  Object.values(UNIT_CHOICES).forEach(({ param }) => {
+    if (param && typeof formatted[param] === 'number') {
+      formatted[param] = toDisplay(param, formatted[param], units);
+    }
+  });
+  return formatted;
+}
+
+/**
+ * Targets in the user's units; each converted range carries its display `unit`
+ * @param {object} targets - Stored targets, e.g. { temp: { min: 76, max: 80, unit: '°F' } }
+ * @param {object} units - Resolved preferences
+ * @returns {object}
+ */
+function formatTargets(targets, units) {
+  if (!targets) return targets;
+
+  const formatted = {};
+  Object.entries(targets).forEach(([param, range]) => {
+    const choice = choiceForParam(param, units);
+    if (!choice || !range || typeof range !== 'object') {
+      formatted[param] = range;
+      return;
+    }
+    // One more decimal than readings so a target sent back unchanged converts to the same value
+    formatted[param] = {
+      ...range,
+      min: toDisplay(param, range.min, units, 1),
+      max: toDisplay(param, range.max, units, 1),
+      unit: choice.label,
+    };
+  });
+  return formatted;
+}
+
+// Helper: gallons → the user's volume unit
+function toVolume(gallons, units) {
+  const choice = UNIT_CHOICES.volume.choices[units.volume];
+  return round(choice.fromCanonical(gallons), choice.precision);
+}
+
+/**
+ * Tank as the user sees it: targets and volume in their units
+ * @param {object} tank - Stored tank
+ * @param {object} units - Resolved preferences
+ * @returns {object}
+ */
+function formatTank(tank, units) {
+  if (!tank) return tank;
+
+  const formatted = { ...tank, targets: formatTargets(tank.targets, units) };
+  if (typeof tank.volume === 'number') {
+    formatted.volume = units.volume === 'L' && tank.volumeLiters
+      ? tank.volumeLiters
+      : toVolume(tank.volume, units);
+    formatted.volumeUnit = UNIT_CHOICES.volume.choices[units.volume].label;
+  }
+  return formatted;
+}
+
+/**
+ * Targets sent by a client back to canonical units
+ * A range's own `unit` wins; otherwise it's taken to be in the user's preferred unit.
+ * @param {object} targets - e.g. { temp: { min: 24.5, max: 26.5 } } from a °C user
+ * @param {object} units - Resolved preferences
+ * @returns {{ok: boolean, targets?: object, error?: string}}
+ */
+function parseTargets(targets, units) {
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+    return { ok: false, error: 'targets must be an object' };
+  }
+
+  const parsed = {};
+  for (const [param, range] of Object.entries(targets)) {
+    const choice = choiceForParam(param, units);
+    if (!choice || !range || typeof range !== 'object') {
+      parsed[param] = range;
+      continue;
+    }
+
+    const unit = range.unit || choice.label;
+    const canonical = { ...range };
+    for (const bound of ['min', 'max']) {
+      if (range[bound] === undefined || range[bound] === null) continue;
+      const result = convertValue(param, range[bound], unit);
+      if (!result.ok) {
+        return { ok: false, error: `Target ${param}.${bound}: ${result.error}` };
+      }
+      canonical[bound] = result.value;
+    }
+    canonical.unit = choiceForParam(param, DEFAULT_UNIT_PREFERENCES).label;
+    parsed[param] = canonical;
+  }
+
+  return { ok: true, targets: parsed };
+}
+
+/**
+ * A tank volume sent by a client, in gallons (the stored unit)
+ * @param {number} volume - In the user's volume unit
+ * @param {object} units - Resolved preferences
+ * @returns {number}
+ */
+function parseVolume(volume, units) {
+  const value = Number(volume);
+  return units.volume === 'L' ? round(value / LITERS_PER_GALLON, 1) : value;
+}
+
+module.exports = {
+  LITERS_PER_GALLON,
+  DEFAULT_UNIT_PREFERENCES,
+  resolveUnitPreferences,
+  buildUnitPreferences,
+  unitLabels,
+  toDisplay,
+  formatReading,
+  formatTargets,
+  formatTank,
+  parseTargets,
+  parseVolume,
+};
@@ -10,106 +10,12 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const { createSimulatorApi } = require('./simulator-api');
+const { openEventStream } = require('./lib/sse');
+const { createEventBus } = require('./lib/event-bus');
 
-// Check if we're in simulator-only mode (Electron app)
-const SIMULATOR_MODE = process.env.REEFMIND_MODE === 'simulator';
-
-// Backend modules (only load if NOT in simulator mode)
-let registerUser, loginUser, requireAuth;
-let getUserTanks, getTank, createTank, updateTank;
-let getReadings, addReading, getEvents, addEvent, getAnalyses, addAnalysis;
-let authenticateFusion, getFusionDevices, discoverApexConfig, syncApexReadings, encrypt;
-let analyzeTank;
-
-if (!SIMULATOR_MODE) {
-  ({ registerUser, loginUser, requireAuth } = require('./lib/auth-new'));
-  ({ 
-    getUserTanks, 
-    getTank, 
-    createTank, 
-    updateTank,
-    getReadings,
-    addReading,
-    getEvents,
-    addEvent,
-    getAnalyses,
-    addAnalysis,
-  } = require('./lib/firestore'));
-  ({
-    authenticateFusion,
-    getFusionDevices,
-    discoverApexConfig,
-    syncApexReadings,
-    encrypt,
-  } = require('./lib/apex-fusion'));
-  ({ analyzeTank } = require('./lib/ai-new'));
-} else {
-  console.log('🔵 SIMULATOR MODE - Firestore and external APIs disabled');
-}
-
-const app = express();
-const PORT = process.env.PORT || 8080;
-const DEMO_MODE = SIMULATOR_MODE || process.env.DEMO_MODE === 'true' || !process.env.APEX_ENCRYPTION_KEY;
-
-// ============================================================
-// SECURITY & MIDDLEWARE
-// ============================================================
-
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
-      imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "https://cdn.jsdelivr.net"],
-      fontSrc: ["'self'", "data:", "https://fonts.gstatic.com"],
-    },
-  },
-  hsts: {
-    maxAge: 31536000,
-    includeSubDomains: true,
-    preload: true,
-  },
-}));
-
-app.use(cors({
-  origin: process.env.CORS_ORIGIN || '*',
-  credentials: true,
-}));
-
-app.use(express.json({ limit: '1mb' }));
-app.set('trust proxy', 1);
-
-// Rate limiting
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 200,
-  message: { error: 'Too many requests, please try again later' },
-});
-app.use('/api/', globalLimiter);
-
-const registerLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000,
-  max: 5,
-  message: { error: 'Too many registration attempts' },
-});
-
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10,
-  message: { error: 'Too many login attempts' },
-});
-
-// Logging middleware
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`${req.method} ${req.path} ${res.statusCode} - ${duration}ms`);
-  });
-  next();
-});
+// The desktop frontend (repo root public/) is the one UI; the server serves it as is
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 
 // ============================================================
 // APEX SIMULATOR (Demo Mode)
@@ -187,481 +93,1505 @@ const simulator = {
   }
 };
 
-// ============================================================
-// API ROUTES
-// ============================================================
+/**
+ * Build a ReefMind server instance (nothing listens until start())
+ * @param {object} options - { mode: 'simulator'|'production', port, storage, ai, aiProvider, simulator }
+ *   mode    — defaults to REEFMIND_MODE
+ *   port    — defaults to PORT, then 8080 (0 picks any free port)
+ *   portFallback — listen on any free port when `port` is taken (default false)
+ *   storage — object with the lib/storage.js interface (default: STORAGE_BACKEND selection)
+ *   ai      — object with analyzeTank() and optionally chat() (default: lib/ai.js with the AI_PROVIDER provider)
+ *   aiProvider — lib/ai-providers.js createProvider() config for the default analyzer, e.g. the
+ *             desktop app's local model { provider: 'ollama', baseUrl, model }; in simulator mode
+ *             it replaces the rule-based analysis
+ *   simulator — createSimulatorApi() options { stateFile, scenario, syncScheduler }
+ * @returns {{app: object, mode: string, ready: Promise, start: function, stop: function, port: number|null, events: object}}
+ *   events — this instance's createEventBus(): 'reading', 'alert', 'tank-status' go out on it,
+ *            'alert-action' comes in (see lib/event-bus.js)
+ */
+function createServer(options = {}) {
+  // Check if we're in simulator-only mode (Electron app)
+  const SIMULATOR_MODE = (options.mode || process.env.REEFMIND_MODE) === 'simulator';
+  const events = createEventBus();
+
+  // Backend modules (only load if NOT in simulator mode)
+  let registerUser, loginUser, requireAuth;
+  let getUserTanks, getAllTanks, getTank, createTank, updateTank;
+  let getReadings, addReading, addReadings, getEvents, addEvent, getAnalyses, addAnalysis, STORAGE_BACKEND;
+  let getAnalysis, getAnalysisMessages, addAnalysisMessage;
+  let getAlerts, addAlert, updateAlert, closeStorage;
+  let authenticateFusion, getFusionDevices, discoverApexConfig, syncApexReadings, encrypt, decrypt;
+  let syncLocalReadings, discoverLocalConfig, checkLanHost;
+  let createSyncScheduler, isDuplicateTridentResult;
+  let analyzeTank, chatAboutAnalysis, analysisErrorStatus, validateChatMessage, diagnoseTank;
+  // Which model answers analysis, for the startup banner
+  let aiLabel = 'Rule-based diagnostics (no model)';
+  let computeAlkBudget, recommendDosing, validateMaxDailyChange;
+  let listProducts, matchProducts, buildCustomProduct, CATEGORIES;
+  let createAlertEngine, resolveAlertConfig, buildAlertConfig;
+  let normalizeReading, validateIdempotencyKey;
+  let buildImport, IMPORT_PREVIEW_ROWS, IMPORT_BATCH_SIZE;
+  let getUserById, updateUser;
+  let resolveUnitPreferences, buildUnitPreferences, unitLabels, formatReading, formatTank, parseTargets, parseVolume;
+
+  if (!SIMULATOR_MODE) {
+    ({ registerUser, loginUser, requireAuth } = require('./lib/auth-new'));
+    ({ 
+      getUserById,
+      updateUser,
+      getUserTanks, 
+      getAllTanks,
+      getTank, 
+      createTank, 
+      updateTank,
+      getReadings,
+      addReading,
+      addReadings,
+      getEvents,
+      addEvent,
+      getAnalyses,
+      addAnalysis,
+      getAnalysis,
+      getAnalysisMessages,
+      addAnalysisMessage,
+      getAlerts,
+      addAlert,
+      updateAlert,
+      close: closeStorage,
+      STORAGE_BACKEND,
+    } = options.storage || require('./lib/storage'));
+
+    // Every newly stored reading is announced so this instance's alerts (and the desktop shell) can react
+    const storeReading = addReading;
+    addReading = async (userId, tankId, readingData, readingOptions) => {
+      const reading = await storeReading(userId, tankId, readingData, readingOptions);
+      if (!reading.duplicate) {
+        events.publish('reading', { userId, tankId, reading });
+      }
+      return reading;
+    };
+    ({
+      authenticateFusion,
+      getFusionDevices,
+      discoverApexConfig,
+      syncApexReadings,
+      encrypt,
+      decrypt,
+    } = require('./lib/apex-fusion'));
+    ({ syncLocalReadings, discoverLocalConfig, checkLanHost } = require('./lib/apex-local'));
+    ({ createSyncScheduler, isDuplicateTridentResult } = require('./lib/sync-scheduler'));
+    const analyzer = options.ai || require('./lib/ai').createAnalyzer({ provider: options.aiProvider });
+    ({ analyzeTank, chat: chatAboutAnalysis } = analyzer);
+    ({ analysisErrorStatus } = require('./lib/ai'));
+    ({ validateChatMessage } = require('./lib/ai-prompt'));
+    aiLabel = analyzer.provider ? `${analyzer.provider.name} (${analyzer.provider.model})` : 'custom';
+    ({ diagnoseTank } = require('./lib/diagnostics'));
+    ({ computeAlkBudget } = require('./lib/alk-budget'));
+    ({ recommendDosing, validateMaxDailyChange } = require('./lib/dosing-calculator'));
+    ({ listProducts, matchProducts, buildCustomProduct, CATEGORIES } = require('./lib/products'));
+    ({ createAlertEngine, resolveAlertConfig, buildAlertConfig } = require('./lib/alerts'));
+    ({ normalizeReading, validateIdempotencyKey } = require('./lib/readings'));
+    ({ buildImport, IMPORT_PREVIEW_ROWS, IMPORT_BATCH_SIZE } = require('./lib/csv-import'));
+    ({
+      resolveUnitPreferences,
+      buildUnitPreferences,
+      unitLabels,
+      formatReading,
+      formatTank,
+      parseTargets,
+      parseVolume,
+    } = require('./lib/units'));
+  } else {
+    console.log('🔵 SIMULATOR MODE - Firestore and external APIs disabled');
+  }
+
+  const app = express();
+  const PORT = options.port !== undefined ? options.port : (process.env.PORT || 8080);
+  // Desktop: a taken port falls back to a free one; Cloud Run must bind exactly PORT
+  const PORT_FALLBACK = options.portFallback === true;
+  const DEMO_MODE = SIMULATOR_MODE || process.env.DEMO_MODE === 'true' || !process.env.APEX_ENCRYPTION_KEY;
+
+  // Where live readings come from: 'fusion' (cloud) or 'local' (Apex on the LAN)
+  const DATA_SOURCE = process.env.APEX_DATA_SOURCE || 'fusion';
+  const APEX_LOCAL_HOST = process.env.APEX_LOCAL_HOST || null;
+  const SYNC_SCHEDULER_ENABLED = process.env.SYNC_SCHEDULER === 'true';
+
+  // Background jobs started by start() and released by stop(); set up by whichever mode loads below
+  let startBackground = () => {};
+  let stopBackground = async () => {};
+
+  // ============================================================
+  // SECURITY & MIDDLEWARE
+  // ============================================================
+
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.jsdelivr.net"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'", "https://cdn.jsdelivr.net"],
+        fontSrc: ["'self'", "data:", "https://fonts.gstatic.com"],
+      },
+    },
+    hsts: {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: true,
+    },
+  }));
+
+  app.use(cors({
+    origin: process.env.CORS_ORIGIN || '*',
+    credentials: true,
+  }));
 
-// Health check
-app.get('/api/status', (req, res) => {
-  res.json({
-    status: 'ok',
-    version: '1.0.0-beta',
-    service: 'ReefMind',
-    demo_mode: DEMO_MODE,
+  app.use(express.json({ limit: '1mb' }));
+  app.set('trust proxy', 1);
+
+  // Rate limiting
+  const globalLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 200,
+    message: { error: 'Too many requests, please try again later' },
   });
-});
+  app.use('/api/', globalLimiter);
 
-// ========== SIMULATOR MODE ROUTING ==========
+  const registerLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many registration attempts' },
+  });
 
-if (SIMULATOR_MODE) {
-  const simulatorRouter = require('./simulator-api');
-  app.use('/api', simulatorRouter);
-  
-  // Auth bypass for simulator
-  app.get('/api/auth/me', (req, res) => {
-    res.json({ 
-      user: { 
-        id: 'sim-user-1', 
-        email: 'demo@reefmind.app', 
-        name: 'Demo User' 
-      } 
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { error: 'Too many login attempts' },
+  });
+
+  // Logging middleware
+  app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+      const duration = Date.now() - start;
+      console.log(`${req.method} ${req.path} ${res.statusCode} - ${duration}ms`);
     });
+    next();
   });
-  
-  // Skip all other auth/tank routes below
-  console.log('✅ Simulator API routes loaded');
-} else {
 
-// ========== AUTH ==========
 
-app.post('/api/auth/register', registerLimiter, async (req, res) => {
-  const { email, password, name } = req.body;
+  // ============================================================
+  // API ROUTES
+  // ============================================================
 
-  if (!email || !password || !name) {
-    return res.status(400).json({ error: 'Email, password, and name are required' });
-  }
+  // Health check
+  app.get('/api/status', (req, res) => {
+    res.json({
+      status: 'ok',
+      version: '1.0.0-beta',
+      service: 'ReefMind',
+      demo_mode: DEMO_MODE,
+    });
+  });
 
-  const result = await registerUser(email, password, name);
+  // ========== SIMULATOR MODE ROUTING ==========
 
-  if (!result.ok) {
-    return res.status(400).json({ error: result.error });
-  }
+  if (SIMULATOR_MODE) {
+    const simulatorAi = options.ai || (options.aiProvider ? require('./lib/ai').createAnalyzer({ provider: options.aiProvider }) : null);
+    if (simulatorAi) aiLabel = simulatorAi.provider ? `${simulatorAi.provider.name} (${simulatorAi.provider.model})` : 'custom';
+    const simulatorApi = createSimulatorApi({ ...options.simulator, ai: simulatorAi, events });
+    app.use('/api', simulatorApi.router);
+    startBackground = () => simulatorApi.start();
+    stopBackground = async () => simulatorApi.stop();
+  
+    // Skip all other auth/tank routes below
+    console.log('✅ Simulator API routes loaded');
+  } else {
 
-  res.json({
-    user: result.user,
-    token: result.token,
-  });
-});
+  // ========== AUTH ==========
 
-app.post('/api/auth/login', loginLimiter, async (req, res) => {
-  const { email, password } = req.body;
+  app.post('/api/auth/register', registerLimiter, async (req, res) => {
+    const { email, password, name } = req.body;
 
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required' });
-  }
+    if (!email || !password || !name) {
+      return res.status(400).json({ error: 'Email, password, and name are required' });
+    }
 
-  const result = await loginUser(email, password);
+    const result = await registerUser(email, password, name);
 
-  if (!result.ok) {
-    return res.status(401).json({ error: result.error });
-  }
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
 
-  res.json({
-    user: result.user,
-    token: result.token,
+    res.json({
+      user: result.user,
+      token: result.token,
+    });
   });
-});
 
-app.get('/api/auth/me', requireAuth, async (req, res) => {
-  res.json({ user: req.user });
-});
+  app.post('/api/auth/login', loginLimiter, async (req, res) => {
+    const { email, password } = req.body;
 
-// ========== TANKS ==========
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
 
-app.post('/api/tanks', requireAuth, async (req, res) => {
-  const { name, volume, type } = req.body;
+    const result = await loginUser(email, password);
 
-  if (!name || !volume) {
-    return res.status(400).json({ error: 'Tank name and volume are required' });
-  }
+    if (!result.ok) {
+      return res.status(401).json({ error: result.error });
+    }
 
-  try {
-    const defaultTargets = {
-      'sps-dominant': {
-        alk: { min: 7.5, max: 9.0, unit: 'dKH' },
-        ca: { min: 420, max: 450, unit: 'mg/L' },
-        mg: { min: 1300, max: 1400, unit: 'mg/L' },
-        pH: { min: 8.0, max: 8.5 },
-        temp: { min: 76, max: 80, unit: '°F' },
-      },
-      'mixed-reef': {
-        alk: { min: 7.0, max: 9.0, unit: 'dKH' },
-        ca: { min: 400, max: 450, unit: 'mg/L' },
-        mg: { min: 1280, max: 1400, unit: 'mg/L' },
-        pH: { min: 8.0, max: 8.5 },
-        temp: { min: 76, max: 80, unit: '°F' },
-      },
-      'lps-softies': {
-        alk: { min: 7.0, max: 8.5, unit: 'dKH' },
-        ca: { min: 380, max: 440, unit: 'mg/L' },
-        mg: { min: 1280, max: 1380, unit: 'mg/L' },
-        pH: { min: 7.8, max: 8.5 },
-        temp: { min: 76, max: 80, unit: '°F' },
-      },
-    };
+    res.json({
+      user: result.user,
+      token: result.token,
+    });
+  });
 
-    const tankData = {
-      name,
-      volume,
-      volumeLiters: Math.round(volume * 3.78541),
-      type: type || 'mixed-reef',
-      targets: defaultTargets[type] || defaultTargets['mixed-reef'],
-      equipment: {
-        probes: [],
-        trident: false,
-        ato: false,
-        outlets: [],
+  app.get('/api/auth/me', requireAuth, async (req, res) => {
+    res.json({
+      user: {
+        ...req.user,
+        preferences: { ...req.user.preferences, units: resolveUnitPreferences(req.user) },
       },
-    };
-
-    const tank = await createTank(req.user.id, tankData);
+    });
+  });
 
-    res.json({ tank });
-  } catch (error) {
-    console.error('Create tank error:', error);
-    res.status(500).json({ error: 'Failed to create tank' });
-  }
-});
-
-app.get('/api/tanks', requireAuth, async (req, res) => {
-  try {
-    const tanks = await getUserTanks(req.user.id);
-    res.json({ tanks });
-  } catch (error) {
-    console.error('List tanks error:', error);
-    res.status(500).json({ error: 'Failed to fetch tanks' });
-  }
-});
+  // Display units (readings and targets are converted to these in every response below)
+  app.get('/api/auth/me/preferences', requireAuth, async (req, res) => {
+    const units = resolveUnitPreferences(req.user);
+    res.json({ preferences: { units }, labels: unitLabels(units) });
+  });
 
-app.get('/api/tanks/:tankId', requireAuth, async (req, res) => {
-  try {
-    const tank = await getTank(req.user.id, req.params.tankId);
+  app.put('/api/auth/me/preferences', requireAuth, async (req, res) => {
+    const result = buildUnitPreferences((req.body || {}).units, resolveUnitPreferences(req.user));
 
-    if (!tank) {
-      return res.status(404).json({ error: 'Tank not found' });
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
     }
 
-    res.json({ tank });
-  } catch (error) {
-    console.error('Get tank error:', error);
-    res.status(500).json({ error: 'Failed to fetch tank' });
-  }
-});
+    try {
+      const preferences = { ...req.user.preferences, units: result.units };
+      await updateUser(req.user.id, { preferences });
 
-app.put('/api/tanks/:tankId', requireAuth, async (req, res) => {
-  const { targets, equipment, dosing } = req.body;
+      // Re-publish tank status so the tray switches units without waiting for a reading
+      const tanks = await getUserTanks(req.user.id);
+      tanks.forEach(tank => alertEngine.checkTank(req.user.id, tank.id));
 
-  try {
-    const updates = {};
-    if (targets) updates.targets = targets;
-    if (equipment) updates.equipment = equipment;
-    if (dosing) updates.dosing = dosing;
+      res.json({ preferences, labels: unitLabels(result.units) });
+    } catch (error) {
+      console.error('Update preferences error:', error);
+      res.status(500).json({ error: 'Failed to update preferences' });
+    }
+  });
 
-    await updateTank(req.user.id, req.params.tankId, updates);
+  // ========== TANKS ==========
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Update tank error:', error);
-    res.status(500).json({ error: 'Failed to update tank' });
-  }
-});
+  app.post('/api/tanks', requireAuth, async (req, res) => {
+    const { name, type } = req.body;
+    const units = resolveUnitPreferences(req.user);
 
-// ========== APEX INTEGRATION (with simulator fallback) ==========
+    if (!name || !req.body.volume) {
+      return res.status(400).json({ error: 'Tank name and volume are required' });
+    }
 
-app.post('/api/tanks/:tankId/connect-apex', requireAuth, async (req, res) => {
-  const { fusionEmail, fusionPassword } = req.body;
+    // Entered in the user's volume unit, stored in gallons
+    const volume = parseVolume(req.body.volume, units);
+
+    try {
+      const defaultTargets = {
+        'sps-dominant': {
+          alk: { min: 7.5, max: 9.0, unit: 'dKH' },
+          ca: { min: 420, max: 450, unit: 'mg/L' },
+          mg: { min: 1300, max: 1400, unit: 'mg/L' },
+          pH: { min: 8.0, max: 8.5 },
+          temp: { min: 76, max: 80, unit: '°F' },
+        },
+        'mixed-reef': {
+          alk: { min: 7.0, max: 9.0, unit: 'dKH' },
+          ca: { min: 400, max: 450, unit: 'mg/L' },
+          mg: { min: 1280, max: 1400, unit: 'mg/L' },
+          pH: { min: 8.0, max: 8.5 },
+          temp: { min: 76, max: 80, unit: '°F' },
+        },
+        'lps-softies': {
+          alk: { min: 7.0, max: 8.5, unit: 'dKH' },
+          ca: { min: 380, max: 440, unit: 'mg/L' },
+          mg: { min: 1280, max: 1380, unit: 'mg/L' },
+          pH: { min: 7.8, max: 8.5 },
+          temp: { min: 76, max: 80, unit: '°F' },
+        },
+      };
+
+      const tankData = {
+        name,
+        volume,
+        volumeLiters: Math.round(volume * 3.78541),
+        type: type || 'mixed-reef',
+        targets: defaultTargets[type] || defaultTargets['mixed-reef'],
+        equipment: {
+          probes: [],
+          trident: false,
+          ato: false,
+          outlets: [],
+        },
+      };
+
+      const tank = await createTank(req.user.id, tankData);
+
+      res.json({ tank: formatTank(tank, units) });
+    } catch (error) {
+      console.error('Create tank error:', error);
+      res.status(500).json({ error: 'Failed to create tank' });
+    }
+  });
 
-  if (DEMO_MODE) {
-    // Demo mode: use simulator
-    console.log('Demo mode: Using simulator data');
-    const config = simulator.getDiscoveryData();
-    
-    await updateTank(req.user.id, req.params.tankId, {
-      apexSerial: config.apex.serial,
-      fusionId: 'demo',
-      equipment: {
-        probes: config.probes.map(p => p.name),
-        trident: config.trident.installed,
-        ato: false,
-        outlets: config.outlets,
-      },
-      demoMode: true,
-    });
+  app.get('/api/tanks', requireAuth, async (req, res) => {
+    try {
+      const tanks = await getUserTanks(req.user.id);
+      const units = resolveUnitPreferences(req.user);
+      res.json({ tanks: tanks.map(tank => formatTank(tank, units)) });
 
-    return res.json({
-      success: true,
-      config: config,
-      demo: true,
-    });
-  }
+      tanks.forEach(tank => {
+        watchTank(req.user.id, tank);
+        alertEngine.track(req.user.id, tank.id);
+      });
+    } catch (error) {
+      console.error('List tanks error:', error);
+      res.status(500).json({ error: 'Failed to fetch tanks' });
+    }
+  });
 
-  if (!fusionEmail || !fusionPassword) {
-    return res.status(400).json({ error: 'Fusion email and password are required' });
-  }
+  app.get('/api/tanks/:tankId', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
 
-  try {
-    const authResult = await authenticateFusion(fusionEmail, fusionPassword);
-    if (!authResult.ok) {
-      return res.status(401).json({ error: authResult.error });
+      res.json({ tank: formatTank(tank, resolveUnitPreferences(req.user)) });
+    } catch (error) {
+      console.error('Get tank error:', error);
+      res.status(500).json({ error: 'Failed to fetch tank' });
     }
+  });
 
-    const token = authResult.token;
-    const devicesResult = await getFusionDevices(token);
-    
-    if (!devicesResult.ok || devicesResult.devices.length === 0) {
-      return res.status(404).json({ error: 'No Apex devices found' });
+  // Replaces the fields it's sent, so an outbox replay (Idempotency-Key and all) is harmless
+  app.put('/api/tanks/:tankId', requireAuth, async (req, res) => {
+    const { targets, equipment, dosing, sync } = req.body;
+
+    // Targets arrive in the user's display units (or carry their own `unit`)
+    let parsedTargets = null;
+    if (targets) {
+      const result = parseTargets(targets, resolveUnitPreferences(req.user));
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+      parsedTargets = result.targets;
     }
 
-    const device = devicesResult.devices[0];
-    const fusionId = device.id || device._id || device.did;
+    try {
+      const updates = {};
+      if (parsedTargets) updates.targets = parsedTargets;
+      if (equipment) updates.equipment = equipment;
+      if (dosing) updates.dosing = dosing;
+      if (sync) updates.sync = sync;
 
-    const configResult = await discoverApexConfig(token, fusionId);
-    if (!configResult.ok) {
-      return res.status(500).json({ error: configResult.error });
+      await updateTank(req.user.id, req.params.tankId, updates);
+
+      if (sync) {
+        const tank = await getTank(req.user.id, req.params.tankId);
+        if (tank) watchTank(req.user.id, tank);
+      }
+
+      // New targets can raise or clear range alerts without a new reading
+      if (targets) alertEngine.checkTank(req.user.id, req.params.tankId);
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Update tank error:', error);
+      res.status(500).json({ error: 'Failed to update tank' });
     }
+  });
 
-    const encryptedEmail = encrypt(fusionEmail);
-    const encryptedToken = encrypt(token);
+  // ========== APEX INTEGRATION (with simulator fallback) ==========
 
-    await updateTank(req.user.id, req.params.tankId, {
-      ...configResult.config,
-      fusionCredentials: {
-        email: encryptedEmail,
-        token: encryptedToken,
-        lastSync: new Date(),
-      },
-    });
+  app.post('/api/tanks/:tankId/connect-apex', requireAuth, async (req, res) => {
+    const { fusionEmail, fusionPassword, localHost, localUsername, localPassword } = req.body;
 
-    res.json({
-      success: true,
-      config: configResult.config,
-    });
-  } catch (error) {
-    console.error('Connect Apex error:', error);
-    res.status(500).json({ error: 'Failed to connect Apex' });
-  }
-});
+    if (localHost || DATA_SOURCE === 'local') {
+      // Local Apex: talk to the controller on the LAN, no Fusion account needed.
+      // Only the desktop app runs with the local source; a cloud server has no LAN to reach.
+      if (DATA_SOURCE !== 'local') {
+        return res.status(400).json({ error: 'Local Apex connections are only available in the desktop app' });
+      }
 
-app.get('/api/tanks/:tankId/sync', requireAuth, async (req, res) => {
-  try {
-    const tank = await getTank(req.user.id, req.params.tankId);
+      const host = localHost || APEX_LOCAL_HOST;
+      if (!host) {
+        return res.status(400).json({ error: 'Local Apex IP address is required' });
+      }
 
-    if (!tank) {
-      return res.status(404).json({ error: 'Tank not found' });
+      if (localHost) {
+        const lan = checkLanHost(localHost);
+        if (!lan.ok) {
+          return res.status(400).json({ error: lan.error });
+        }
+      }
+
+      try {
+        const credentials = localUsername ? { username: localUsername, password: localPassword || '' } : null;
+        const configResult = await discoverLocalConfig(host, credentials);
+        if (!configResult.ok) {
+          return res.status(502).json({ error: configResult.error });
+        }
+
+        await updateTank(req.user.id, req.params.tankId, {
+          ...configResult.config,
+          apexLocal: {
+            host,
+            username: localUsername || null,
+            password: localPassword ? encrypt(localPassword) : null,
+          },
+        });
+
+        return res.json({
+          success: true,
+          config: configResult.config,
+          local: true,
+        });
+      } catch (error) {
+        console.error('Connect local Apex error:', error);
+        return res.status(500).json({ error: 'Failed to connect local Apex' });
+      }
     }
 
-    if (tank.demoMode || DEMO_MODE) {
-      // Demo mode: generate simulator data
-      const reading = simulator.generateReading();
-      const stored = await addReading(req.user.id, req.params.tankId, reading);
-      
+    if (DEMO_MODE) {
+      // Demo mode: use simulator
+      console.log('Demo mode: Using simulator data');
+      const config = simulator.getDiscoveryData();
+    
+      await updateTank(req.user.id, req.params.tankId, {
+        apexSerial: config.apex.serial,
+        fusionId: 'demo',
+        equipment: {
+          probes: config.probes.map(p => p.name),
+          trident: config.trident.installed,
+          ato: false,
+          outlets: config.outlets,
+        },
+        demoMode: true,
+      });
+
       return res.json({
         success: true,
-        reading: stored,
+        config: config,
         demo: true,
       });
     }
 
-    if (!tank.fusionCredentials || !tank.fusionCredentials.token) {
-      return res.status(400).json({ error: 'Apex not connected' });
+    if (!fusionEmail || !fusionPassword) {
+      return res.status(400).json({ error: 'Fusion email and password are required' });
     }
 
-    const token = tank.fusionCredentials.token;
-    const fusionId = tank.fusionId;
+    try {
+      const authResult = await authenticateFusion(fusionEmail, fusionPassword);
+      if (!authResult.ok) {
+        return res.status(401).json({ error: authResult.error });
+      }
 
-    const syncResult = await syncApexReadings(token, fusionId);
-    if (!syncResult.ok) {
-      return res.status(500).json({ error: syncResult.error });
+      const token = authResult.token;
+      const devicesResult = await getFusionDevices(token);
+    
+      if (!devicesResult.ok || devicesResult.devices.length === 0) {
+        return res.status(404).json({ error: 'No Apex devices found' });
+      }
+
+      const device = devicesResult.devices[0];
+      const fusionId = device.id || device._id || device.did;
+
+      const configResult = await discoverApexConfig(token, fusionId);
+      if (!configResult.ok) {
+        return res.status(500).json({ error: configResult.error });
+      }
+
+      const encryptedEmail = encrypt(fusionEmail);
+      const encryptedToken = encrypt(token);
+
+      await updateTank(req.user.id, req.params.tankId, {
+        ...configResult.config,
+        fusionCredentials: {
+          email: encryptedEmail,
+          token: encryptedToken,
+          lastSync: new Date(),
+        },
+      });
+
+      res.json({
+        success: true,
+        config: configResult.config,
+      });
+    } catch (error) {
+      console.error('Connect Apex error:', error);
+      res.status(500).json({ error: 'Failed to connect Apex' });
     }
+  });
 
-    const reading = await addReading(req.user.id, req.params.tankId, syncResult.readings);
+  /**
+   * Pull one reading from the tank's live source and store it
+   * Shared by GET /api/tanks/:tankId/sync and the background scheduler.
+   * @returns {Promise<{ok: boolean, reading?: object, skipped?: boolean, duplicateTrident?: boolean, demo?: boolean, local?: boolean, error?: string, status?: number}>}
+   */
+  async function syncTank(userId, tankId) {
+    const tank = await getTank(userId, tankId);
 
-    res.json({
-      success: true,
-      reading,
-    });
-  } catch (error) {
-    console.error('Sync error:', error);
-    res.status(500).json({ error: 'Failed to sync data' });
-  }
-});
+    if (!tank) {
+      return { ok: false, status: 404, error: 'Tank not found' };
+    }
 
-// ========== READINGS & EVENTS ==========
+    let syncResult;
+    const flags = {};
 
-app.post('/api/tanks/:tankId/readings', requireAuth, async (req, res) => {
-  const readingData = req.body;
+    if (DATA_SOURCE === 'local') {
+      const local = tank.apexLocal || {};
+      const host = local.host || APEX_LOCAL_HOST;
 
-  if (!readingData || Object.keys(readingData).length === 0) {
-    return res.status(400).json({ error: 'Reading data required' });
-  }
+      if (!host) {
+        return { ok: false, status: 400, error: 'Local Apex not configured' };
+      }
 
-  try {
-    const reading = await addReading(req.user.id, req.params.tankId, {
-      ...readingData,
-      source: readingData.source || 'manual',
-    });
+      // A stored host came from a client; the configured APEX_LOCAL_HOST is trusted as is
+      if (local.host) {
+        const lan = checkLanHost(local.host);
+        if (!lan.ok) {
+          return { ok: false, status: 400, error: lan.error };
+        }
+      }
+
+      const credentials = local.username
+        ? { username: local.username, password: local.password ? decrypt(local.password) : '' }
+        : null;
+
+      syncResult = await syncLocalReadings(host, credentials);
+      if (!syncResult.ok) {
+        return { ok: false, status: 502, error: syncResult.error };
+      }
+      flags.local = true;
+    } else if (tank.demoMode || DEMO_MODE) {
+      // Demo mode: generate simulator data
+      syncResult = { ok: true, readings: simulator.generateReading() };
+      flags.demo = true;
+    } else {
+      if (!tank.fusionCredentials || !tank.fusionCredentials.token) {
+        return { ok: false, status: 400, error: 'Apex not connected' };
+      }
+
+      syncResult = await syncApexReadings(tank.fusionCredentials.token, tank.fusionId);
+      if (!syncResult.ok) {
+        return { ok: false, status: 500, error: syncResult.error };
+      }
+    }
+
+    // Controllers disagree on keys and units (pH, Cond in mS/cm, °C); one glitching probe
+    // shouldn't cost the rest of the sample
+    const normalized = normalizeReading(syncResult.readings, { dropInvalid: true });
+    if (!normalized.ok) {
+      return { ok: false, status: 502, error: `Controller sent no usable values: ${normalized.errors.map(e => e.error).join('; ')}` };
+    }
+    normalized.errors.forEach(e => console.warn(`Sync ${tankId}: dropped ${e.error}`));
+
+    let readingData = normalized.reading;
+
+    // The controller keeps reporting the last Trident test until the next one runs. Tridents test
+    // several times a day, so the newest Trident result of the last two days is the one to compare
+    const lastTwoDays = await getReadings(userId, tankId, 2);
+    const lastTrident = lastTwoDays.find(r => r.source === 'trident');
+
+    if (isDuplicateTridentResult(readingData, lastTrident)) {
+      const { alk, ca, mg, tridentTimestamp, ...probeData } = readingData;
+      const hasProbeValues = ['ph', 'temp', 'orp', 'salinity'].some(key => probeData[key] !== undefined);
 
-    res.json({ reading });
-  } catch (error) {
-    console.error('Add reading error:', error);
-    res.status(500).json({ error: 'Failed to add reading' });
+      if (!hasProbeValues) {
+        return { ok: true, skipped: true, reading: null, ...flags };
+      }
+
+      readingData = { ...probeData, source: 'apex-probe' };
+      flags.duplicateTrident = true;
+    }
+
+    const reading = await addReading(userId, tankId, readingData);
+
+    // Same Trident test / controller sample as a sync that already landed (overlapping or retried)
+    if (reading.duplicate) {
+      return { ok: true, skipped: true, duplicate: true, reading, ...flags };
+    }
+
+    return { ok: true, reading, ...flags };
   }
-});
 
-app.get('/api/tanks/:tankId/readings', requireAuth, async (req, res) => {
-  const days = parseInt(req.query.days) || 30;
+  // Background polling (enabled by the desktop app; Cloud Run relies on manual syncs)
+  const syncScheduler = createSyncScheduler(syncTank);
+
+  // Start polling a tank that has a live data source (true when it's now watched)
+  function watchTank(userId, tank) {
+    if (!SYNC_SCHEDULER_ENABLED) return false;
+
+    const hasSource = DATA_SOURCE === 'local' ||
+      tank.demoMode || (tank.fusionCredentials && tank.fusionCredentials.token);
+    if (!hasSource) return false;
 
-  try {
-    const readings = await getReadings(req.user.id, req.params.tankId, days);
-    res.json({ readings });
-  } catch (error) {
-    console.error('Get readings error:', error);
-    res.status(500).json({ error: 'Failed to fetch readings' });
+    return syncScheduler.watch(userId, tank.id, tank.sync || {}).scheduled;
   }
-});
 
-app.post('/api/tanks/:tankId/events', requireAuth, async (req, res) => {
-  const { type, title, details, relatedParams } = req.body;
+  // Alerts: evaluated on every stored reading, plus a periodic staleness check
+  const alertEngine = createAlertEngine({ getTank, getReadings, getAlerts, addAlert, updateAlert, updateTank, getUserById }, { events });
 
-  if (!type || !title) {
-    return res.status(400).json({ error: 'Event type and title are required' });
+  // Helper: poll every tank with a data source from startup, not just the ones a request has touched
+  async function watchAllTanks() {
+    if (!SYNC_SCHEDULER_ENABLED || !getAllTanks) return;
+
+    try {
+      const tanks = await getAllTanks();
+      const watched = tanks.filter(tank => watchTank(tank.userId, tank)).length;
+      console.log(`✓ Sync scheduler watching ${watched} of ${tanks.length} tank(s)`);
+    } catch (error) {
+      console.error('Sync scheduler startup error:', error);
+    }
   }
 
-  try {
-    const event = await addEvent(req.user.id, req.params.tankId, {
-      type,
-      title,
-      details: details || '',
-      source: 'user-entered',
-      relatedParams: relatedParams || [],
+  let watchingAll = Promise.resolve();
+  startBackground = () => {
+    alertEngine.start();
+    watchingAll = watchAllTanks();
+  };
+  stopBackground = async () => {
+    // Let the startup scan finish so it can't add jobs after stopAll()
+    await watchingAll;
+    syncScheduler.stopAll();
+    alertEngine.stop();
+    if (closeStorage) await closeStorage();
+  };
+
+  app.get('/api/tanks/:tankId/sync', requireAuth, async (req, res) => {
+    try {
+      const result = await syncTank(req.user.id, req.params.tankId);
+
+      if (!result.ok) {
+        return res.status(result.status || 500).json({ error: result.error });
+      }
+
+      const { ok, ...body } = result;
+      if (body.reading) body.reading = formatReading(body.reading, resolveUnitPreferences(req.user));
+      res.json({
+        success: true,
+        ...body,
+      });
+
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (tank) watchTank(req.user.id, tank);
+    } catch (error) {
+      console.error('Sync error:', error);
+      res.status(500).json({ error: 'Failed to sync data' });
+    }
+  });
+
+  app.get('/api/tanks/:tankId/sync/status', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      res.json({
+        enabled: SYNC_SCHEDULER_ENABLED,
+        sync: syncScheduler.getStatus(req.params.tankId),
+      });
+    } catch (error) {
+      console.error('Sync status error:', error);
+      res.status(500).json({ error: 'Failed to fetch sync status' });
+    }
+  });
+
+  // ========== READINGS & EVENTS ==========
+
+  app.post('/api/tanks/:tankId/readings', requireAuth, async (req, res) => {
+    const { idempotencyKey: bodyKey, dedupeKey, ...body } = req.body || {};
+
+    if (Object.keys(body).length === 0) {
+      return res.status(400).json({ error: 'Reading data required' });
+    }
+
+    // Canonical keys and units; the values as sent are kept under reading.original
+    const normalized = normalizeReading(body);
+    if (!normalized.ok) {
+      return res.status(400).json({
+        error: normalized.errors.map(e => e.error).join('; '),
+        errors: normalized.errors,
+      });
+    }
+    const readingData = normalized.reading;
+
+    // Retries (e.g. the dashboard's offline outbox) resend the same key
+    const idempotency = validateIdempotencyKey(req.get('Idempotency-Key') || bodyKey);
+    if (!idempotency.ok) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    try {
+      const { duplicate, ...reading } = await addReading(req.user.id, req.params.tankId, {
+        ...readingData,
+        source: readingData.source || 'manual',
+      }, { idempotencyKey: idempotency.key });
+
+      res.json({
+        reading: formatReading(reading, resolveUnitPreferences(req.user)),
+        duplicate: !!duplicate,
+        ignored: normalized.ignored,
+      });
+    } catch (error) {
+      console.error('Add reading error:', error);
+      res.status(500).json({ error: 'Failed to add reading' });
+    }
+  });
+
+  // Bulk import of historical test results. Send the CSV as a text/csv body (options in the
+  // query) or as JSON { csv, mapping, dateFormat, dryRun }. A dry run previews the mapping,
+  // detected date format and per-row errors without storing anything.
+  app.post('/api/tanks/:tankId/readings/import', requireAuth, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    const result = buildImport(body.csv, {
+      mapping: body.mapping,
+      dateFormat: body.dateFormat || req.query.dateFormat,
     });
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error, headers: result.headers, mapping: result.mapping });
+    }
 
-    res.json({ event });
-  } catch (error) {
-    console.error('Add event error:', error);
-    res.status(500).json({ error: 'Failed to log event' });
-  }
-});
+    const units = resolveUnitPreferences(req.user);
+    const summary = {
+      headers: result.headers,
+      mapping: result.mapping,
+      dateFormat: result.dateFormat,
+      valid: result.rows.length,
+      invalid: result.errors.length,
+      errors: result.errors,
+    };
 
-app.get('/api/tanks/:tankId/events', requireAuth, async (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        ...summary,
+        preview: result.rows.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, reading }) => ({ row, reading: formatReading(reading, units) })),
+      });
+    }
 
-  try {
-    const events = await getEvents(req.user.id, req.params.tankId, limit);
-    res.json({ events });
-  } catch (error) {
-    console.error('Get events error:', error);
-    res.status(500).json({ error: 'Failed to fetch events' });
-  }
-});
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      let imported = 0;
+      let duplicates = 0;
+      for (let i = 0; i < result.rows.length; i += IMPORT_BATCH_SIZE) {
+        const entries = result.rows.slice(i, i + IMPORT_BATCH_SIZE).map(({ reading, key }) => ({ reading, idempotencyKey: key }));
+        const batch = await addReadings(req.user.id, req.params.tankId, entries);
+        imported += batch.stored.length;
+        duplicates += batch.duplicates;
+      }
+
+      // One alert pass over the new history instead of one per imported reading
+      if (imported > 0) alertEngine.checkTank(req.user.id, req.params.tankId);
+
+      res.json({ dryRun: false, ...summary, imported, duplicates });
+    } catch (error) {
+      console.error('Import readings error:', error);
+      res.status(500).json({ error: 'Failed to import readings' });
+    }
+  });
+
+  app.get('/api/tanks/:tankId/readings', requireAuth, async (req, res) => {
+    const days = parseInt(req.query.days) || 30;
+
+    try {
+      const readings = await getReadings(req.user.id, req.params.tankId, days);
+
+      // ?units=canonical skips the conversion (exports, integrations)
+      if (req.query.units === 'canonical') {
+        return res.json({ readings });
+      }
+
+      const units = resolveUnitPreferences(req.user);
+      res.json({ readings: readings.map(reading => formatReading(reading, units)), units });
+    } catch (error) {
+      console.error('Get readings error:', error);
+      res.status(500).json({ error: 'Failed to fetch readings' });
+    }
+  });
+
+  app.post('/api/tanks/:tankId/events', requireAuth, async (req, res) => {
+    const { type, title, details, relatedParams, idempotencyKey: bodyKey } = req.body || {};
+
+    if (!type || !title) {
+      return res.status(400).json({ error: 'Event type and title are required' });
+    }
+
+    // Same contract as readings: the outbox replays a queued event with its original key
+    const idempotency = validateIdempotencyKey(req.get('Idempotency-Key') || bodyKey);
+    if (!idempotency.ok) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    try {
+      const { duplicate, ...event } = await addEvent(req.user.id, req.params.tankId, {
+        type,
+        title,
+        details: details || '',
+        source: 'user-entered',
+        relatedParams: relatedParams || [],
+      }, { idempotencyKey: idempotency.key });
+
+      res.json({ event, duplicate: !!duplicate });
+    } catch (error) {
+      console.error('Add event error:', error);
+      res.status(500).json({ error: 'Failed to log event' });
+    }
+  });
+
+  app.get('/api/tanks/:tankId/events', requireAuth, async (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+
+    try {
+      const events = await getEvents(req.user.id, req.params.tankId, limit);
+      res.json({ events });
+    } catch (error) {
+      console.error('Get events error:', error);
+      res.status(500).json({ error: 'Failed to fetch events' });
+    }
+  });
+
+  // ========== PRODUCT CATALOG ==========
+
+  app.get('/api/products', (req, res) => {
+    const { q, category } = req.query;
+
+    if (q) {
+      return res.json({ matches: matchProducts(q, { category, limit: parseInt(req.query.limit) || 5 }) });
+    }
+    res.json({ categories: CATEGORIES, products: listProducts({ category }) });
+  });
+
+  app.get('/api/tanks/:tankId/products', requireAuth, async (req, res) => {
+    const { q, category } = req.query;
+
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const customProducts = tank.customProducts || [];
+      if (q) {
+        return res.json({ matches: matchProducts(q, { category, customProducts, limit: parseInt(req.query.limit) || 5 }) });
+      }
+      res.json({ categories: CATEGORIES, products: listProducts({ category, customProducts }) });
+    } catch (error) {
+      console.error('Get products error:', error);
+      res.status(500).json({ error: 'Failed to fetch products' });
+    }
+  });
+
+  app.post('/api/tanks/:tankId/products', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const customProducts = tank.customProducts || [];
+      const result = buildCustomProduct(req.body, customProducts);
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      await updateTank(req.user.id, req.params.tankId, {
+        customProducts: [...customProducts, result.product],
+      });
+
+      res.json({ product: result.product });
+    } catch (error) {
+      console.error('Add product error:', error);
+      res.status(500).json({ error: 'Failed to add product' });
+    }
+  });
+
+  app.delete('/api/tanks/:tankId/products/:productId', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
 
-// ========== AI ANALYSIS ==========
+      const customProducts = tank.customProducts || [];
+      if (!customProducts.some(p => p.id === req.params.productId)) {
+        return res.status(404).json({ error: 'Custom product not found' });
+      }
 
-app.post('/api/tanks/:tankId/analyze', requireAuth, async (req, res) => {
-  try {
-    const tank = await getTank(req.user.id, req.params.tankId);
+      await updateTank(req.user.id, req.params.tankId, {
+        customProducts: customProducts.filter(p => p.id !== req.params.productId),
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete product error:', error);
+      res.status(500).json({ error: 'Failed to delete product' });
+    }
+  });
+
+  // ========== ALKALINITY BUDGET ==========
+
+  app.get('/api/tanks/:tankId/alk-budget', requireAuth, async (req, res) => {
+    const days = Math.min(parseInt(req.query.days) || 7, 30);
+
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const readings = await getReadings(req.user.id, req.params.tankId, days);
+      const events = await getEvents(req.user.id, req.params.tankId, 20);
+      const result = computeAlkBudget(tank, readings, { windowDays: days, events });
+
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ budget: result.budget });
+    } catch (error) {
+      console.error('Alk budget error:', error);
+      res.status(500).json({ error: 'Failed to compute alkalinity budget' });
+    }
+  });
+
+  // ========== DOSING CALCULATOR ==========
+
+  app.get('/api/tanks/:tankId/dosing/recommend', requireAuth, async (req, res) => {
+    const days = Math.min(parseInt(req.query.days) || 7, 30);
+    const maxDailyChange = validateMaxDailyChange(req.query.maxDailyChange);
+    if (!maxDailyChange.ok) {
+      return res.status(400).json({ error: maxDailyChange.error });
+    }
 
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const readings = await getReadings(req.user.id, req.params.tankId, days);
+      const events = await getEvents(req.user.id, req.params.tankId, 20);
+      const result = recommendDosing(tank, readings, { windowDays: days, events, maxDailyChange: maxDailyChange.value });
+
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ recommendation: result.recommendation });
+    } catch (error) {
+      console.error('Dosing recommendation error:', error);
+      res.status(500).json({ error: 'Failed to compute dosing recommendation' });
+    }
+  });
+
+  // ========== RULE-BASED DIAGNOSTICS ==========
+
+  app.get('/api/tanks/:tankId/diagnostics', requireAuth, async (req, res) => {
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const readings = await getReadings(req.user.id, req.params.tankId, days);
+      const events = await getEvents(req.user.id, req.params.tankId, 50);
+      const result = diagnoseTank(tank, readings, events);
+
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({ diagnostics: result.analysis });
+    } catch (error) {
+      console.error('Diagnostics error:', error);
+      res.status(500).json({ error: 'Failed to diagnose tank' });
+    }
+  });
+
+  // ========== ALERTS ==========
+
+  app.get('/api/tanks/:tankId/alerts', requireAuth, async (req, res) => {
+    const status = req.query.status || 'active';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (!['active', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be active, resolved or all' });
+    }
+
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const alerts = await getAlerts(req.user.id, req.params.tankId, {
+        status: status === 'all' ? undefined : status,
+        limit,
+      });
+      res.json({ alerts });
+    } catch (error) {
+      console.error('Get alerts error:', error);
+      res.status(500).json({ error: 'Failed to fetch alerts' });
+    }
+  });
+
+  app.get('/api/tanks/:tankId/alerts/config', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      res.json({ config: resolveAlertConfig(tank), snoozes: tank.alertSnoozes || {} });
+    } catch (error) {
+      console.error('Get alert config error:', error);
+      res.status(500).json({ error: 'Failed to fetch alert config' });
+    }
+  });
+
+  app.put('/api/tanks/:tankId/alerts/config', requireAuth, async (req, res) => {
+    try {
+      const tank = await getTank(req.user.id, req.params.tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+
+      const result = buildAlertConfig(req.body, tank.alertConfig);
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      await updateTank(req.user.id, req.params.tankId, { alertConfig: result.config });
+      const check = await alertEngine.checkTank(req.user.id, req.params.tankId);
+
+      res.json({ config: result.config, check });
+    } catch (error) {
+      console.error('Update alert config error:', error);
+      res.status(500).json({ error: 'Failed to update alert config' });
+    }
+  });
+
+  app.post('/api/tanks/:tankId/alerts/:alertId/ack', requireAuth, async (req, res) => {
+    try {
+      const result = await alertEngine.acknowledge(req.user.id, req.params.tankId, req.params.alertId);
+      if (!result.ok) {
+        return res.status(result.status || 500).json({ error: result.error });
+      }
+
+      res.json({ alert: result.alert });
+    } catch (error) {
+      console.error('Acknowledge alert error:', error);
+      res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+  });
+
+  app.post('/api/tanks/:tankId/alerts/:alertId/snooze', requireAuth, async (req, res) => {
+    const minutes = (req.body && req.body.minutes) || 60;
+
+    try {
+      const result = await alertEngine.snooze(req.user.id, req.params.tankId, req.params.alertId, minutes);
+      if (!result.ok) {
+        return res.status(result.status || 500).json({ error: result.error });
+      }
+
+      res.json({ alert: result.alert });
+    } catch (error) {
+      console.error('Snooze alert error:', error);
+      res.status(500).json({ error: 'Failed to snooze alert' });
+    }
+  });
+
+  // ========== AI ANALYSIS ==========
+
+  // Helper: everything an analysis of the tank needs ({ ok: false, status, error } when it can't run)
+  async function gatherAnalysisInput(userId, tankId) {
+    const tank = await getTank(userId, tankId);
     if (!tank) {
-      return res.status(404).json({ error: 'Tank not found' });
+      return { ok: false, status: 404, error: 'Tank not found' };
     }
 
-    const recentReadings = await getReadings(req.user.id, req.params.tankId, 7);
-    const recentEvents = await getEvents(req.user.id, req.params.tankId, 10);
+    const history = await getReadings(userId, tankId, 30);
+    const eventLog = await getEvents(userId, tankId, 50);
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const recentReadings = history.filter(r => (r.timestamp?.toDate?.() || new Date(r.timestamp)).getTime() >= weekAgo);
+    const recentEvents = eventLog.slice(0, 10);
 
     if (recentReadings.length === 0) {
-      return res.status(400).json({ error: 'No readings available. Add readings first.' });
+      return { ok: false, status: 400, error: 'No readings available. Add readings first.' };
     }
 
-    const currentReadings = recentReadings[0];
+    // Ground dosing advice in the calculator's numbers, and the diagnosis in the rules' findings
+    const dosingResult = recommendDosing(tank, recentReadings, { events: recentEvents });
+    const diagnostics = diagnoseTank(tank, history, eventLog);
 
-    const analysisResult = await analyzeTank(
+    return {
+      ok: true,
       tank,
-      currentReadings,
       recentReadings,
       recentEvents,
-      tank.dosing || {}
+      dosingRecommendation: dosingResult.ok ? dosingResult.recommendation : null,
+      diagnostics: diagnostics.ok ? diagnostics.analysis : null,
+    };
+  }
+
+  // A model that didn't answer at all; the rules can still diagnose the tank
+  const RULES_FALLBACK_CODES = new Set(['unreachable', 'model-missing', 'timeout']);
+
+  // Helper: analyze gathered input and store the result (onPartial streams it, see lib/ai.js).
+  // When the model can't be reached, the rule-based diagnosis is stored instead, with a notice why.
+  async function runAnalysis(userId, tankId, input, onPartial) {
+    const analysisResult = await analyzeTank(
+      input.tank,
+      input.recentReadings[0],
+      input.recentReadings,
+      input.recentEvents,
+      input.tank.dosing || {},
+      {
+        dosingRecommendation: input.dosingRecommendation,
+        diagnostics: input.diagnostics,
+        onPartial,
+      }
     );
 
+    let notice = null;
     if (!analysisResult.ok) {
-      return res.status(500).json({ error: analysisResult.error });
+      if (!RULES_FALLBACK_CODES.has(analysisResult.code) || !input.diagnostics) {
+        return analysisResult;
+      }
+
+      notice = {
+        code: analysisResult.code,
+        message: `${analysisResult.error}. Showing the rule-based diagnosis instead.`,
+        hint: analysisResult.hint || null,
+      };
+      if (onPartial) {
+        onPartial({ type: 'retry', code: notice.code, details: [] });
+        onPartial({ type: 'summary', text: input.diagnostics.summary, done: true });
+        input.diagnostics.recommendations.forEach((recommendation, index) => onPartial({ type: 'recommendation', index, recommendation }));
+      }
     }
 
-    const analysis = await addAnalysis(req.user.id, req.params.tankId, {
+    const analysis = await addAnalysis(userId, tankId, {
       type: 'user-requested',
-      ...analysisResult.analysis,
+      ...(notice ? { ...input.diagnostics, fallback: true } : analysisResult.analysis),
+      provider: notice ? null : analysisResult.provider || null,
+      model: notice ? null : analysisResult.model || null,
       dataUsed: {
-        readingCount: recentReadings.length,
-        eventCount: recentEvents.length,
+        readingCount: input.recentReadings.length,
+        eventCount: input.recentEvents.length,
         daysAnalyzed: 7,
       },
+      dosingRecommendation: input.dosingRecommendation,
+      ruleFindings: input.diagnostics ? input.diagnostics.findings : [],
     });
 
-    res.json({ analysis });
-  } catch (error) {
-    console.error('Analysis error:', error);
-    res.status(500).json({ error: 'AI analysis failed' });
+    return notice ? { ok: true, analysis, notice } : { ok: true, analysis };
+  }
+
+  // Helper: response body for a failed analysis
+  function analysisErrorBody(result) {
+    return {
+      error: result.error,
+      code: result.code,
+      hint: result.hint || undefined,
+      details: result.details,
+    };
   }
-});
 
-app.get('/api/tanks/:tankId/analyses', requireAuth, async (req, res) => {
-  const limit = parseInt(req.query.limit) || 10;
+  app.post('/api/tanks/:tankId/analyze', requireAuth, async (req, res) => {
+    try {
+      const input = await gatherAnalysisInput(req.user.id, req.params.tankId);
+      if (!input.ok) {
+        return res.status(input.status).json({ error: input.error });
+      }
+
+      const result = await runAnalysis(req.user.id, req.params.tankId, input);
+      if (!result.ok) {
+        return res.status(analysisErrorStatus(result.code)).json(analysisErrorBody(result));
+      }
+
+      res.json({ analysis: result.analysis, ...(result.notice ? { notice: result.notice } : {}) });
+    } catch (error) {
+      console.error('Analysis error:', error);
+      res.status(500).json({ error: 'AI analysis failed' });
+    }
+  });
+
+  // Same analysis as server-sent events: summary / recommendation / retry while the model writes,
+  // then the stored analysis (or error). Problems found before the model starts are plain JSON.
+  app.post('/api/tanks/:tankId/analyze/stream', requireAuth, async (req, res) => {
+    let stream = null;
+
+    try {
+      const input = await gatherAnalysisInput(req.user.id, req.params.tankId);
+      if (!input.ok) {
+        return res.status(input.status).json({ error: input.error });
+      }
+
+      stream = openEventStream(res);
+      const result = await runAnalysis(req.user.id, req.params.tankId, input, partial => stream.send(partial.type, partial));
+
+      if (!result.ok) {
+        stream.send('error', { status: analysisErrorStatus(result.code), ...analysisErrorBody(result) });
+      } else {
+        if (result.notice) stream.send('notice', result.notice);
+        stream.send('analysis', { analysis: result.analysis });
+      }
+      stream.close();
+    } catch (error) {
+      console.error('Streaming analysis error:', error);
+      if (!stream) {
+        return res.status(500).json({ error: 'AI analysis failed' });
+      }
+      stream.send('error', { status: 500, error: 'AI analysis failed' });
+      stream.close();
+    }
+  });
 
-  try {
-    const analyses = await getAnalyses(req.user.id, req.params.tankId, limit);
-    res.json({ analyses });
-  } catch (error) {
-    console.error('Get analyses error:', error);
-    res.status(500).json({ error: 'Failed to fetch analyses' });
+  app.get('/api/tanks/:tankId/analyses', requireAuth, async (req, res) => {
+    const limit = parseInt(req.query.limit) || 10;
+
+    try {
+      const analyses = await getAnalyses(req.user.id, req.params.tankId, limit);
+      res.json({ analyses });
+    } catch (error) {
+      console.error('Get analyses error:', error);
+      res.status(500).json({ error: 'Failed to fetch analyses' });
+    }
+  });
+
+  // ========== ANALYSIS CHAT ==========
+
+  // Helper: the readings (7 days up to the analysis) and events (10 before it) an analysis was based on
+  async function gatherChatInput(userId, tankId, analysis) {
+    const analysisTime = (analysis.date?.toDate?.() || new Date(analysis.date)).getTime();
+    const daysBack = Math.ceil((Date.now() - analysisTime) / (24 * 60 * 60 * 1000)) + 7;
+    const weekBefore = analysisTime - 7 * 24 * 60 * 60 * 1000;
+    const timeOf = value => (value?.toDate?.() || new Date(value)).getTime();
+
+    const history = await getReadings(userId, tankId, daysBack);
+    const eventLog = await getEvents(userId, tankId, 100);
+
+    return {
+      recentReadings: history.filter(r => timeOf(r.timestamp) >= weekBefore && timeOf(r.timestamp) <= analysisTime),
+      recentEvents: eventLog.filter(e => timeOf(e.date) <= analysisTime).slice(0, 10),
+    };
   }
-});
 
-} // End of non-simulator mode
+  app.get('/api/tanks/:tankId/analyses/:analysisId/messages', requireAuth, async (req, res) => {
+    try {
+      const analysis = await getAnalysis(req.user.id, req.params.tankId, req.params.analysisId);
+      if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+
+      const messages = await getAnalysisMessages(req.user.id, req.params.tankId, req.params.analysisId);
+      res.json({ messages });
+    } catch (error) {
+      console.error('Get analysis messages error:', error);
+      res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+  });
 
-// ============================================================
-// SERVE FRONTEND
-// ============================================================
+  app.post('/api/tanks/:tankId/analyses/:analysisId/messages', requireAuth, async (req, res) => {
+    const { tankId, analysisId } = req.params;
+    const userId = req.user.id;
+    const message = validateChatMessage(req.body?.content);
 
-app.use(express.static(path.join(__dirname, 'public'), {
-  maxAge: 0,
-  etag: true,
-}));
+    if (!message.ok) {
+      return res.status(400).json({ error: message.error });
+    }
+    if (!chatAboutAnalysis) {
+      return res.status(501).json({ error: 'Follow-up chat is not available with this analyzer' });
+    }
 
-// SPA fallback
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+    try {
+      const tank = await getTank(userId, tankId);
+      if (!tank) {
+        return res.status(404).json({ error: 'Tank not found' });
+      }
+      const analysis = await getAnalysis(userId, tankId, analysisId);
+      if (!analysis) {
+        return res.status(404).json({ error: 'Analysis not found' });
+      }
+
+      const history = await getAnalysisMessages(userId, tankId, analysisId);
+      const input = await gatherChatInput(userId, tankId, analysis);
+      const askedAt = new Date().toISOString();
+      const result = await chatAboutAnalysis(tank, analysis, input.recentReadings, input.recentEvents, history, message.content, tank.dosing || {});
+
+      if (!result.ok) {
+        return res.status(analysisErrorStatus(result.code)).json(analysisErrorBody(result));
+      }
+
+      // Both sides are stored once the model has answered, so a failed attempt can simply be resent
+      const question = await addAnalysisMessage(userId, tankId, analysisId, { role: 'user', content: message.content, createdAt: askedAt });
+      const answer = await addAnalysisMessage(userId, tankId, analysisId, {
+        role: 'assistant',
+        content: result.reply,
+        provider: result.provider || null,
+        model: result.model || null,
+        createdAt: new Date().toISOString(),
+      });
 
-// ============================================================
-// ERROR HANDLERS
-// ============================================================
+      res.json({ messages: [question, answer] });
+    } catch (error) {
+      console.error('Analysis chat error:', error);
+      res.status(500).json({ error: 'Failed to answer message' });
+    }
+  });
 
-app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
-});
+  } // End of non-simulator mode
 
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+  // ============================================================
+  // SERVE FRONTEND
+  // ============================================================
 
-// ============================================================
-// START SERVER
-// ============================================================
+  app.use(express.static(PUBLIC_DIR, {
+    maxAge: 0,
+    etag: true,
+  }));
+
+  // SPA fallback
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  // ============================================================
+  // ERROR HANDLERS
+  // ============================================================
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+
+  app.use((err, req, res, next) => {
+    console.error('Server error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // ============================================================
+  // START / STOP
+  // ============================================================
+
+  let server = null;
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // start() hands the same promise to its caller; don't report a failed listen twice
+  ready.catch(() => {});
+
+  /**
+   * Bind the port and start background jobs
+   * @returns {Promise<{port: number}>} - Resolves once the server is listening
+   */
+  function start() {
+    if (server) return ready;
+
+    server = app.listen(PORT);
+
+    server.once('listening', () => {
+      const { port } = server.address();
+      startBackground();
+
+      console.log('');
+      console.log('🐠 ═══════════════════════════════════════════');
+      console.log('   ReefMind Beta');
+      console.log('   ─────────────────────────────────────────');
+      console.log(`   Port: ${port}`);
+      console.log(`   Mode: ${DEMO_MODE ? 'DEMO (simulator)' : 'PRODUCTION'}`);
+      console.log(`   Project: reefmind-ai-prod`);
+      console.log(`   Frontend: /public`);
+      console.log(`   API: /api/*`);
+      console.log('   ─────────────────────────────────────────');
+      console.log('   Auth: JWT + bcrypt');
+      console.log(`   Database: ${STORAGE_BACKEND === 'sqlite' ? 'SQLite (local)' : SIMULATOR_MODE ? 'In-memory (simulator)' : 'Firestore'}`);
+      console.log(`   AI: ${aiLabel}`);
+      console.log('🐠 ═══════════════════════════════════════════');
+      console.log('');
+
+      resolveReady({ port });
+    });
+
+    server.on('error', error => {
+      // Someone else owns the preferred port: let the OS pick one (the caller reads it from ready)
+      if (error.code === 'EADDRINUSE' && PORT_FALLBACK && !server.listening && Number(PORT) !== 0) {
+        console.warn(`⚠️  Port ${PORT} is in use, picking a free port instead`);
+        server.listen(0);
+        return;
+      }
+
+      console.error(`✗ Server failed to listen on port ${PORT}:`, error.message);
+      if (!server.listening) rejectReady(error);
+    });
+
+    return ready;
+  }
 
-app.listen(PORT, () => {
-  console.log('');
-  console.log('🐠 ═══════════════════════════════════════════');
-  console.log('   ReefMind Beta');
-  console.log('   ─────────────────────────────────────────');
-  console.log(`   Port: ${PORT}`);
-  console.log(`   Mode: ${DEMO_MODE ? 'DEMO (simulator)' : 'PRODUCTION'}`);
-  console.log(`   Project: reefmind-ai-prod`);
-  console.log(`   Frontend: /public`);
-  console.log(`   API: /api/*`);
-  console.log('   ─────────────────────────────────────────');
-  console.log('   Auth: JWT + bcrypt');
-  console.log('   Database: Firestore');
-  console.log('   AI: Vertex AI (Gemini)');
-  console.log('🐠 ═══════════════════════════════════════════');
-  console.log('');
-});
+  /**
+   * Stop background jobs, release storage and stop listening
+   * (the desktop app restarts the server when the data source changes)
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    await stopBackground();
+    if (!server || !server.listening) return;
+
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      // Keep-alive connections from the dashboard would otherwise hold close() open
+      if (server.closeAllConnections) server.closeAllConnections();
+    });
+  }
+
+  return {
+    app,
+    mode: SIMULATOR_MODE ? 'simulator' : 'production',
+    ready,
+    start,
+    stop,
+    events,
+    // Bound port (useful with port 0), null until listening
+    get port() {
+      return server && server.listening ? server.address().port : null;
+    },
+  };
+}
+
+// `node server.js` (Cloud Run, npm start): listen straight away
+if (require.main === module) {
+  createServer().start().catch(() => process.exit(1));
+}
+
+module.exports = {
+  createServer,
+};
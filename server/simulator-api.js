@@ -4,252 +4,1011 @@
  */
 
 const express = require('express');
-const router = express.Router();
-
-// In-memory storage for simulator mode
-const simulatorData = {
-  tank: {
-    id: 'sim-tank-1',
-    name: 'Simulated Reef',
-    volume: 240,
-    volumeLiters: 908,
-    type: 'mixed-reef',
-    apexSerial: 'AC5:SIM01',
-    demoMode: true,
-    targets: {
-      alk: { min: 7.0, max: 9.0, unit: 'dKH' },
-      ca: { min: 400, max: 450, unit: 'mg/L' },
-      mg: { min: 1280, max: 1400, unit: 'mg/L' },
-      pH: { min: 8.0, max: 8.5 },
-      temp: { min: 76, max: 80, unit: '°F' },
-    },
-    equipment: {
-      probes: ['pH', 'Temp', 'ORP', 'Cond'],
-      trident: true,
-      ato: true,
-      outlets: [
-        { id: '24_1', name: 'Captiv8', type: 'dos', rate: 25, unit: 'mL/day', product: 'Captiv8 MDS' },
-        { id: '26_2', name: 'All4Reef', type: 'dos', rate: 180, unit: 'mL/day', product: 'All-For-Reef' },
-        { id: '27_2', name: 'Kalk', type: 'dos', rate: 2400, unit: 'mL/day', product: 'Kalkwasser' },
-      ],
+const fs = require('fs');
+const path = require('path');
+const { createSyncScheduler } = require('./lib/sync-scheduler');
+const {
+  DEFAULT_SCENARIO,
+  listScenarios,
+  loadScenario,
+  finalValues,
+  generateScenarioReadings,
+  generateScenarioEvents,
+} = require('./lib/scenarios');
+const { dailyRates, stepChemistry, projectChemistry } = require('./lib/chemistry-model');
+const { computeAlkBudget } = require('./lib/alk-budget');
+const { recommendDosing, validateMaxDailyChange } = require('./lib/dosing-calculator');
+const { diagnoseTank } = require('./lib/diagnostics');
+const { openEventStream } = require('./lib/sse');
+const { analysisErrorStatus } = require('./lib/ai');
+const { validateChatMessage } = require('./lib/ai-prompt');
+const { CATEGORIES, listProducts, matchProducts, buildCustomProduct } = require('./lib/products');
+const { createAlertEngine, resolveAlertConfig, buildAlertConfig } = require('./lib/alerts');
+const { createEventBus } = require('./lib/event-bus');
+const { validateIdempotencyKey, readingDedupeKey } = require('./lib/readings');
+const { buildImport, IMPORT_PREVIEW_ROWS } = require('./lib/csv-import');
+const {
+  resolveUnitPreferences,
+  buildUnitPreferences,
+  unitLabels,
+  formatReading,
+  formatTank,
+  parseTargets,
+} = require('./lib/units');
+
+/**
+ * Create the simulator API (state lives in the closure, so instances don't share data)
+ * @param {object} options - { stateFile, scenario, syncScheduler, ai, events } (default to the SIMULATOR_* / SYNC_SCHEDULER env)
+ *   ai — analyzer from lib/ai.js createAnalyzer(); without one, analysis is the rule-based diagnosis (lib/diagnostics.js)
+ *        and there is no follow-up chat
+ *   events — the server's createEventBus() that readings, alerts and tank status go out on
+ * @returns {{router: object, start: function, stop: function}}
+ */
+function createSimulatorApi(options = {}) {
+  const router = express.Router();
+
+  // Optional on-disk copy of simulator edits (Electron points this at userData)
+  const STATE_FILE = options.stateFile !== undefined ? options.stateFile : process.env.SIMULATOR_STATE_FILE || null;
+  const events = options.events || createEventBus();
+
+  // In-memory storage for simulator mode
+  const simulatorData = {
+    tank: {
+      id: 'sim-tank-1',
+      name: 'Simulated Reef',
+      volume: 240,
+      volumeLiters: 908,
+      type: 'mixed-reef',
+      apexSerial: 'AC5:SIM01',
+      demoMode: true,
+      targets: {
+        alk: { min: 7.0, max: 9.0, unit: 'dKH' },
+        ca: { min: 400, max: 450, unit: 'mg/L' },
+        mg: { min: 1280, max: 1400, unit: 'mg/L' },
+        pH: { min: 8.0, max: 8.5 },
+        temp: { min: 76, max: 80, unit: '°F' },
+      },
+      equipment: {
+        probes: ['pH', 'Temp', 'ORP', 'Cond'],
+        trident: true,
+        ato: true,
+        outlets: [
+          { id: '24_1', name: 'Captiv8', type: 'dos', rate: 25, unit: 'mL/day', product: 'Captiv8 MDS' },
+          { id: '26_2', name: 'All4Reef', type: 'dos', rate: 180, unit: 'mL/day', product: 'All-For-Reef' },
+          { id: '27_1', name: 'Ammonium', type: 'dos', rate: 0, unit: 'mL/day', product: 'Ammonium bicarbonate' },
+          { id: '27_2', name: 'Kalk', type: 'dos', rate: 2400, unit: 'mL/day', product: 'Kalkwasser' },
+        ],
+      },
+      // Coral demand roughly matching the doser rates above (see lib/chemistry-model.js)
+      chemistry: {
+        alkUptake: 1.4,
+        mgUptake: 1,
+      },
     },
-  },
-  readings: [],
-  events: [],
-  analyses: [],
-};
+    scenarioId: options.scenario || process.env.SIMULATOR_SCENARIO || DEFAULT_SCENARIO,
+    // Mass-balance state { alk, ca, mg, nh4, no3, updatedAt } that live readings are drawn from
+    chemistry: null,
+    readings: [],
+    events: [],
+    analyses: [],
+    // Follow-up chat about analyses ({ analysisId, role, content, ... }, oldest first)
+    messages: [],
+    alerts: [],
+    // Demo user's display preferences (kept across scenario resets)
+    preferences: {},
+  };
 
-// Simulator state
-const simulator = {
-  probes: {
-    pH: { value: 8.32, drift: 0.02 },
-    Temp: { value: 77.8, drift: 0.3 },
-    ORP: { value: 325, drift: 5 },
-    Cond: { value: 53.2, drift: 0.2 },
-  },
-  trident: {
-    alk: { value: 8.1, drift: 0.08 },
-    ca: { value: 438, drift: 3 },
-    mg: { value: 1350, drift: 8 },
-  },
-  
-  jitter(value, amount) {
-    return +(value + (Math.random() - 0.5) * 2 * amount).toFixed(2);
-  },
-  
-  generateReading() {
+  const SIM_USER_ID = 'sim-user-1';
+
+  // Helper: the demo user, shaped like a stored account
+  function simulatorUser() {
     return {
-      id: `sim-reading-${Date.now()}`,
-      source: 'trident',
-      alk: this.jitter(this.trident.alk.value, this.trident.alk.drift),
-      ca: this.jitter(this.trident.ca.value, this.trident.ca.drift),
-      mg: this.jitter(this.trident.mg.value, this.trident.mg.drift),
-      ph: this.jitter(this.probes.pH.value, this.probes.pH.drift),
-      temp: this.jitter(this.probes.Temp.value, this.probes.Temp.drift),
-      orp: this.jitter(this.probes.ORP.value, this.probes.ORP.drift),
-      timestamp: new Date().toISOString(),
+      id: SIM_USER_ID,
+      email: 'demo@reefmind.app',
+      name: 'Demo User',
+      preferences: simulatorData.preferences,
     };
-  },
-};
+  }
+
+  // Helper: the demo user's resolved display units
+  function displayUnits() {
+    return resolveUnitPreferences(simulatorUser());
+  }
+
+  // ============================================================
+  // PERSISTENCE
+  // ============================================================
+
+  // Restore tank, readings, events and analyses saved by a previous run
+  function loadSimulatorState() {
+    if (!STATE_FILE || !fs.existsSync(STATE_FILE)) return false;
 
-// Generate initial readings (30 days of data)
-function initializeSimulatorData() {
-  if (simulatorData.readings.length > 0) return; // Already initialized
+    try {
+      const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (!Array.isArray(saved.readings) || saved.readings.length === 0) return false;
+
+      simulatorData.tank = { ...simulatorData.tank, ...saved.tank };
+      simulatorData.scenarioId = saved.scenarioId || simulatorData.scenarioId;
+      simulatorData.chemistry = saved.chemistry || null;
+      simulatorData.readings = saved.readings;
+      simulatorData.events = saved.events || [];
+      simulatorData.analyses = saved.analyses || [];
+      simulatorData.messages = saved.messages || [];
+      simulatorData.alerts = saved.alerts || [];
+      simulatorData.preferences = saved.preferences || {};
+
+      console.log(`✓ Simulator state restored: ${simulatorData.readings.length} readings, ${simulatorData.events.length} events`);
+      return true;
+    } catch (error) {
+      console.error('Failed to load simulator state, starting fresh:', error.message);
+      return false;
+    }
+  }
+
+  // Write the current simulator data (temp file + rename so a crash never leaves half a file)
+  function saveSimulatorState() {
+    if (!STATE_FILE) return;
+
+    try {
+      fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+      const tmpFile = `${STATE_FILE}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        savedAt: new Date().toISOString(),
+        tank: simulatorData.tank,
+        scenarioId: simulatorData.scenarioId,
+        chemistry: simulatorData.chemistry,
+        readings: simulatorData.readings,
+        events: simulatorData.events,
+        analyses: simulatorData.analyses,
+        messages: simulatorData.messages,
+        alerts: simulatorData.alerts,
+        preferences: simulatorData.preferences,
+      }));
+      fs.renameSync(tmpFile, STATE_FILE);
+    } catch (error) {
+      console.error('Failed to save simulator state:', error.message);
+    }
+  }
+
+  // Simulator state
+  const simulator = {
+    probes: {
+      pH: { value: 8.32, drift: 0.02 },
+      Temp: { value: 77.8, drift: 0.3 },
+      ORP: { value: 325, drift: 5 },
+      Cond: { value: 53.2, drift: 0.2 },
+    },
+    // Trident values come from simulatorData.chemistry; these are test noise only
+    trident: {
+      alk: { drift: 0.08 },
+      ca: { drift: 3 },
+      mg: { drift: 8 },
+    },
   
-  const now = Date.now();
-  const dayMs = 24 * 60 * 60 * 1000;
+    jitter(value, amount) {
+      return +(value + (Math.random() - 0.5) * 2 * amount).toFixed(2);
+    },
   
-  for (let i = 30; i >= 0; i--) {
-    const timestamp = new Date(now - (i * dayMs));
-    
-    // Create the alk crash story
-    let alkValue = 8.2;
-    let caValue = 440;
-    let no3Value = 5;
-    
-    if (i <= 27 && i > 15) {
-      // Days 5-15: Alk crashes
-      alkValue = 8.2 - ((27 - i) / 12) * 0.8;
-      caValue = 440 + ((27 - i) / 12) * 30;
-      no3Value = 5 + ((27 - i) / 12) * 9;
-    } else if (i <= 15 && i > 3) {
-      // Days 15-27: Alk keeps falling
-      alkValue = 7.4 - ((15 - i) / 12) * 0.4;
-      caValue = 470 + ((15 - i) / 12) * 40;
-      no3Value = 12 + ((15 - i) / 12) * 2;
-    } else if (i <= 3) {
-      // Days 27-30: Recovery
-      alkValue = 7.0 + ((3 - i) / 3) * 0.9;
-      caValue = 510 - ((3 - i) / 3) * 10;
-      no3Value = 14 - ((3 - i) / 3) * 2;
-    }
-    
-    simulatorData.readings.push({
-      id: `sim-reading-${timestamp.getTime()}`,
-      source: 'trident',
-      alk: +(alkValue + (Math.random() - 0.5) * 0.16).toFixed(2),
-      ca: Math.round(caValue + (Math.random() - 0.5) * 6),
-      mg: Math.round(1350 + (Math.random() - 0.5) * 16),
-      ph: +(8.25 + (Math.random() - 0.5) * 0.3).toFixed(2),
-      temp: +(77.8 + (Math.random() - 0.5) * 1.2).toFixed(1),
-      orp: Math.round(325 + (Math.random() - 0.5) * 20),
-      timestamp: timestamp.toISOString(),
+    generateReading(time = Date.now()) {
+      const chemistry = advanceChemistry(time);
+      return {
+        id: `sim-reading-${time}`,
+        source: 'trident',
+        alk: this.jitter(chemistry.alk, this.trident.alk.drift),
+        ca: this.jitter(chemistry.ca, this.trident.ca.drift),
+        mg: this.jitter(chemistry.mg, this.trident.mg.drift),
+        no3: +chemistry.no3.toFixed(1),
+        ph: this.jitter(this.probes.pH.value, this.probes.pH.drift),
+        temp: this.jitter(this.probes.Temp.value, this.probes.Temp.drift),
+        orp: this.jitter(this.probes.ORP.value, this.probes.ORP.drift),
+        timestamp: new Date(time).toISOString(),
+      };
+    },
+  };
+
+  // Start live readings where the scenario story ends
+  function seedLiveValues(scenario) {
+    const end = finalValues(scenario);
+    if (end.ph !== undefined) simulator.probes.pH.value = end.ph;
+    if (end.temp !== undefined) simulator.probes.Temp.value = end.temp;
+    if (end.orp !== undefined) simulator.probes.ORP.value = end.orp;
+
+    // Keep a restored chemistry state; it already reflects the user's doser changes
+    if (!simulatorData.chemistry) {
+      simulatorData.chemistry = {
+        alk: end.alk !== undefined ? end.alk : 8.1,
+        ca: end.ca !== undefined ? end.ca : 438,
+        mg: end.mg !== undefined ? end.mg : 1350,
+        nh4: 0,
+        no3: end.no3 !== undefined ? end.no3 : 5,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+  }
+
+  // Step the mass balance forward to `time` using the tank's current doser rates
+  function advanceChemistry(time = Date.now()) {
+    const chemistry = simulatorData.chemistry;
+    const hours = (time - new Date(chemistry.updatedAt).getTime()) / 3600000;
+
+    if (hours > 0) {
+      // Cap catch-up after long shutdowns at 30 days
+      const next = stepChemistry(simulatorData.tank, chemistry, Math.min(hours, 30 * 24));
+      simulatorData.chemistry = { ...next, updatedAt: new Date(time).toISOString() };
+    }
+
+    return simulatorData.chemistry;
+  }
+
+  // Fast-forward: shift history back by `hours` and fill the gap with model-driven readings
+  function advanceSimulator(hours, intervalHours = 4) {
+    const shiftMs = hours * 3600000;
+    const shift = value => new Date(new Date(value).getTime() - shiftMs).toISOString();
+
+    simulatorData.readings.forEach(r => { r.timestamp = shift(r.timestamp); });
+    simulatorData.events.forEach(e => { e.date = shift(e.date); });
+    simulatorData.analyses.forEach(a => { a.date = shift(a.date); });
+    simulatorData.messages.forEach(m => { m.createdAt = shift(m.createdAt); });
+    simulatorData.alerts.forEach(a => {
+      ['raisedAt', 'lastSeenAt', 'resolvedAt'].forEach(field => {
+        if (a[field]) a[field] = shift(a[field]);
+      });
     });
+    simulatorData.chemistry.updatedAt = shift(simulatorData.chemistry.updatedAt);
+
+    const now = Date.now();
+    const added = [];
+    for (let time = now - shiftMs + intervalHours * 3600000; time <= now; time += intervalHours * 3600000) {
+      const reading = simulator.generateReading(time);
+      simulatorData.readings.unshift(reading);
+      added.push(reading);
+    }
+
+    return added;
   }
-  
-  // Add events
-  simulatorData.events = [
-    {
-      id: 'sim-event-1',
-      type: 'test',
-      title: 'ICP Test Results',
-      details: 'All parameters within range',
-      date: new Date(now - 30 * dayMs).toISOString(),
-      source: 'user-entered',
+
+  // Generate initial readings and events from the active scenario
+  function initializeSimulatorData() {
+    if (simulatorData.readings.length > 0) return; // Already initialized
+    const restored = loadSimulatorState();
+
+    let result = loadScenario(simulatorData.scenarioId);
+    if (!result.ok) {
+      console.error(`${result.error}, falling back to "${DEFAULT_SCENARIO}"`);
+      simulatorData.scenarioId = DEFAULT_SCENARIO;
+      result = loadScenario(DEFAULT_SCENARIO);
+    }
+    seedLiveValues(result.scenario);
+    if (restored) return;
+
+    // Newest first, like readings added later
+    simulatorData.readings = generateScenarioReadings(result.scenario).reverse();
+    simulatorData.events = generateScenarioEvents(result.scenario);
+
+    saveSimulatorState();
+  }
+
+  // Throw away all edits and regenerate the scenario story (optionally switching scenario)
+  function resetSimulatorData(scenarioId) {
+    simulatorData.chemistry = null;
+    simulatorData.readings = [];
+    simulatorData.events = [];
+    simulatorData.analyses = [];
+    simulatorData.messages = [];
+    simulatorData.alerts = [];
+    if (scenarioId) {
+      simulatorData.scenarioId = scenarioId;
+    }
+
+    if (STATE_FILE && fs.existsSync(STATE_FILE)) {
+      fs.unlinkSync(STATE_FILE);
+    }
+
+    initializeSimulatorData();
+  }
+
+  // Store a new live reading and announce it (alerts are evaluated off the event)
+  function recordReading(reading) {
+    simulatorData.readings.unshift(reading);
+    saveSimulatorState();
+    events.publish('reading', { userId: SIM_USER_ID, tankId: simulatorData.tank.id, reading });
+    return reading;
+  }
+
+  // Alert engine over the in-memory data (same interface as lib/storage.js)
+  const alertEngine = createAlertEngine({
+    async getTank() {
+      initializeSimulatorData();
+      return simulatorData.tank;
     },
-    {
-      id: 'sim-event-2',
-      type: 'dosing',
-      title: 'Started Ammonium + Urea Dosing',
-      details: 'Testing for nitrate reduction',
-      date: new Date(now - 27 * dayMs).toISOString(),
-      source: 'user-entered',
+    async getReadings(userId, tankId, daysBack = 30) {
+      const cutoff = Date.now() - daysBack * 24 * 60 * 60 * 1000;
+      return simulatorData.readings.filter(r => new Date(r.timestamp).getTime() >= cutoff);
     },
-    {
-      id: 'sim-event-3',
-      type: 'maintenance',
-      title: 'Dino Treatment Started',
-      details: 'UV sterilizer + blackout period',
-      date: new Date(now - 24 * dayMs).toISOString(),
-      source: 'user-entered',
+    async getAlerts(userId, tankId, options = {}) {
+      return simulatorData.alerts
+        .filter(a => !options.status || a.status === options.status)
+        .slice(0, options.limit || 50);
     },
-    {
-      id: 'sim-event-4',
-      type: 'dosing',
-      title: 'A4R Reduced 210→160 mL/day',
-      details: 'Calcium too high',
-      date: new Date(now - 15 * dayMs).toISOString(),
-      source: 'user-entered',
+    async addAlert(userId, tankId, alertData) {
+      const alert = { id: `sim-alert-${Date.now()}-${simulatorData.alerts.length}`, ...alertData };
+      simulatorData.alerts.unshift(alert);
+      saveSimulatorState();
+      return alert;
     },
-    {
-      id: 'sim-event-5',
-      type: 'dosing',
-      title: 'Ammonium Pump Stopped',
-      details: 'Suspected cause of alk crash',
-      date: new Date(now - 3 * dayMs).toISOString(),
-      source: 'user-entered',
+    async updateAlert(userId, tankId, alertId, updates) {
+      const alert = simulatorData.alerts.find(a => a.id === alertId);
+      if (!alert) throw new Error(`Alert ${alertId} not found`);
+      Object.assign(alert, updates);
+      saveSimulatorState();
+      return alert;
     },
-    {
-      id: 'sim-event-6',
-      type: 'dosing',
-      title: 'A4R Increased to 180 mL/day',
-      details: 'Correcting alk drop',
-      date: new Date(now - 3 * dayMs).toISOString(),
-      source: 'user-entered',
+    async updateTank(userId, tankId, updates) {
+      Object.assign(simulatorData.tank, updates);
+      saveSimulatorState();
+      return { id: tankId, ...updates };
     },
-  ];
-}
+    async getUserById() {
+      return simulatorUser();
+    },
+  }, { events });
 
-// Routes
+  // Routes
 
-router.get('/tanks', (req, res) => {
-  initializeSimulatorData();
-  res.json({ tanks: [simulatorData.tank] });
-});
+  // Auth bypass: every request is the demo user
+  router.get('/auth/me', (req, res) => {
+    res.json({ user: { ...simulatorUser(), preferences: { ...simulatorData.preferences, units: displayUnits() } } });
+  });
 
-router.get('/tanks/:tankId', (req, res) => {
-  initializeSimulatorData();
-  res.json({ tank: simulatorData.tank });
-});
+  router.get('/auth/me/preferences', (req, res) => {
+    const units = displayUnits();
+    res.json({ preferences: { units }, labels: unitLabels(units) });
+  });
 
-router.get('/tanks/:tankId/readings', (req, res) => {
-  initializeSimulatorData();
-  const days = parseInt(req.query.days) || 30;
-  const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
-  
-  const filtered = simulatorData.readings.filter(r => 
-    new Date(r.timestamp).getTime() >= cutoff
-  ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  router.put('/auth/me/preferences', (req, res) => {
+    const result = buildUnitPreferences((req.body || {}).units, displayUnits());
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    simulatorData.preferences = { ...simulatorData.preferences, units: result.units };
+    saveSimulatorState();
+    alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    res.json({ preferences: simulatorData.preferences, labels: unitLabels(result.units) });
+  });
+
+  router.get('/tanks', (req, res) => {
+    initializeSimulatorData();
+    res.json({ tanks: [formatTank(simulatorData.tank, displayUnits())] });
+  });
+
+  router.get('/tanks/:tankId', (req, res) => {
+    initializeSimulatorData();
+    res.json({ tank: formatTank(simulatorData.tank, displayUnits()) });
+  });
+
+  // Update tank settings; doser rate changes take effect from now on
+  router.put('/tanks/:tankId', (req, res) => {
+    initializeSimulatorData();
+    const { equipment, dosing, chemistry } = req.body;
+
+    // Targets arrive in the user's display units (or carry their own `unit`)
+    let targets = null;
+    if (req.body.targets) {
+      const result = parseTargets(req.body.targets, displayUnits());
+      if (!result.ok) {
+        return res.status(400).json({ error: result.error });
+      }
+      targets = result.targets;
+    }
+
+    // Settle the chemistry under the old rates before switching
+    advanceChemistry();
+
+    if (targets) simulatorData.tank.targets = targets;
+    if (equipment) simulatorData.tank.equipment = { ...simulatorData.tank.equipment, ...equipment };
+    if (dosing) simulatorData.tank.dosing = dosing;
+    if (chemistry) simulatorData.tank.chemistry = { ...simulatorData.tank.chemistry, ...chemistry };
+
+    saveSimulatorState();
+    if (targets) alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    res.json({ success: true });
+  });
+
+  router.get('/tanks/:tankId/readings', (req, res) => {
+    initializeSimulatorData();
+    const days = parseInt(req.query.days) || 30;
+    const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
   
-  res.json({ readings: filtered });
-});
-
-router.post('/tanks/:tankId/readings', (req, res) => {
-  const reading = simulator.generateReading();
-  simulatorData.readings.unshift(reading);
-  res.json({ reading });
-});
-
-router.get('/tanks/:tankId/events', (req, res) => {
-  initializeSimulatorData();
-  res.json({ events: simulatorData.events });
-});
-
-router.post('/tanks/:tankId/events', (req, res) => {
-  const { type, title, details } = req.body;
-  const event = {
-    id: `sim-event-${Date.now()}`,
-    type,
-    title,
-    details: details || '',
-    date: new Date().toISOString(),
-    source: 'user-entered',
-  };
-  simulatorData.events.unshift(event);
-  res.json({ event });
-});
-
-router.get('/tanks/:tankId/sync', (req, res) => {
-  const reading = simulator.generateReading();
-  simulatorData.readings.unshift(reading);
-  res.json({ success: true, reading, demo: true });
-});
-
-router.post('/tanks/:tankId/analyze', (req, res) => {
-  // Mock AI analysis
-  res.json({
-    analysis: {
+    const filtered = simulatorData.readings.filter(r => 
+      new Date(r.timestamp).getTime() >= cutoff
+    ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    // ?units=canonical skips the conversion, like the real route
+    if (req.query.units === 'canonical') {
+      return res.json({ readings: filtered });
+    }
+
+    const units = displayUnits();
+    res.json({ readings: filtered.map(reading => formatReading(reading, units)), units });
+  });
+
+  router.post('/tanks/:tankId/readings', (req, res) => {
+    initializeSimulatorData();
+
+    // Same contract as the real route: a retried key returns the reading it already made
+    const idempotency = validateIdempotencyKey(req.get('Idempotency-Key') || (req.body || {}).idempotencyKey);
+    if (!idempotency.ok) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    const dedupeKey = idempotency.key ? readingDedupeKey({}, idempotency.key) : null;
+    const existing = dedupeKey && simulatorData.readings.find(r => r.dedupeKey === dedupeKey);
+    if (existing) {
+      return res.json({ reading: formatReading(existing, displayUnits()), duplicate: true });
+    }
+
+    const reading = simulator.generateReading();
+    if (dedupeKey) reading.dedupeKey = dedupeKey;
+    res.json({ reading: formatReading(recordReading(reading), displayUnits()), duplicate: false });
+  });
+
+  // CSV import: same contract as the real route (text/csv body or JSON { csv, mapping, dateFormat, dryRun })
+  router.post('/tanks/:tankId/readings/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    initializeSimulatorData();
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+
+    const result = buildImport(body.csv, {
+      mapping: body.mapping,
+      dateFormat: body.dateFormat || req.query.dateFormat,
+    });
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error, headers: result.headers, mapping: result.mapping });
+    }
+
+    const units = displayUnits();
+    const summary = {
+      headers: result.headers,
+      mapping: result.mapping,
+      dateFormat: result.dateFormat,
+      valid: result.rows.length,
+      invalid: result.errors.length,
+      errors: result.errors,
+    };
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        ...summary,
+        preview: result.rows.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, reading }) => ({ row, reading: formatReading(reading, units) })),
+      });
+    }
+
+    const known = new Set(simulatorData.readings.map(r => r.dedupeKey).filter(Boolean));
+    let imported = 0;
+    result.rows.forEach(({ reading, key }) => {
+      const dedupeKey = readingDedupeKey(reading, key);
+      if (known.has(dedupeKey)) return;
+      known.add(dedupeKey);
+      simulatorData.readings.push({ id: `sim-reading-import-${Date.now()}-${imported}`, ...reading, dedupeKey });
+      imported++;
+    });
+
+    if (imported > 0) {
+      simulatorData.readings.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      saveSimulatorState();
+      alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    }
+
+    res.json({ dryRun: false, ...summary, imported, duplicates: result.rows.length - imported });
+  });
+
+  router.get('/tanks/:tankId/events', (req, res) => {
+    initializeSimulatorData();
+    res.json({ events: simulatorData.events });
+  });
+
+  router.post('/tanks/:tankId/events', (req, res) => {
+    initializeSimulatorData();
+    const { type, title, details, idempotencyKey } = req.body || {};
+
+    const idempotency = validateIdempotencyKey(req.get('Idempotency-Key') || idempotencyKey);
+    if (!idempotency.ok) {
+      return res.status(400).json({ error: idempotency.error });
+    }
+
+    const dedupeKey = idempotency.key ? `idem:${idempotency.key}` : null;
+    const existing = dedupeKey && simulatorData.events.find(e => e.dedupeKey === dedupeKey);
+    if (existing) {
+      return res.json({ event: existing, duplicate: true });
+    }
+
+    const event = {
+      id: `sim-event-${Date.now()}`,
+      type,
+      title,
+      details: details || '',
+      date: new Date().toISOString(),
+      source: 'user-entered',
+      ...(dedupeKey ? { dedupeKey } : {}),
+    };
+    simulatorData.events.unshift(event);
+    saveSimulatorState();
+    res.json({ event, duplicate: false });
+  });
+
+  router.get('/tanks/:tankId/sync', (req, res) => {
+    initializeSimulatorData();
+    const reading = recordReading(simulator.generateReading());
+    res.json({ success: true, reading: formatReading(reading, displayUnits()), demo: true });
+  });
+
+  // Background polling: keep generating readings while the app sits in the tray
+  const SYNC_SCHEDULER_ENABLED = options.syncScheduler !== undefined
+    ? options.syncScheduler
+    : process.env.SYNC_SCHEDULER === 'true';
+  const syncScheduler = createSyncScheduler(async () => {
+    initializeSimulatorData();
+    const reading = recordReading(simulator.generateReading());
+    return { ok: true, reading };
+  });
+
+  router.get('/tanks/:tankId/sync/status', (req, res) => {
+    res.json({
+      enabled: SYNC_SCHEDULER_ENABLED,
+      sync: syncScheduler.getStatus(simulatorData.tank.id),
+    });
+  });
+
+  // Restore the active scenario's story (drops every simulator-mode edit)
+  router.post('/simulator/reset', (req, res) => {
+    resetSimulatorData();
+    alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    res.json({
+      success: true,
+      scenario: simulatorData.scenarioId,
+      readings: simulatorData.readings.length,
+      events: simulatorData.events.length,
+    });
+  });
+
+  // Active scenario plus everything in server/scenarios/
+  router.get('/simulator/scenario', (req, res) => {
+    initializeSimulatorData();
+    res.json({
+      active: simulatorData.scenarioId,
+      scenarios: listScenarios(),
+    });
+  });
+
+  // Switch scenario: regenerates readings and events from the new story
+  router.post('/simulator/scenario', (req, res) => {
+    const { id } = req.body || {};
+    if (!id) {
+      return res.status(400).json({ error: 'Scenario id required' });
+    }
+
+    const result = loadScenario(id);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    resetSimulatorData(id);
+    alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    res.json({
+      success: true,
+      scenario: simulatorData.scenarioId,
+      readings: simulatorData.readings.length,
+      events: simulatorData.events.length,
+    });
+  });
+
+  // Product catalog (plus the simulated tank's custom products)
+  router.get('/products', (req, res) => {
+    const { q, category } = req.query;
+    if (q) {
+      return res.json({ matches: matchProducts(q, { category, limit: parseInt(req.query.limit) || 5 }) });
+    }
+    res.json({ categories: CATEGORIES, products: listProducts({ category }) });
+  });
+
+  router.get('/tanks/:tankId/products', (req, res) => {
+    initializeSimulatorData();
+    const { q, category } = req.query;
+    const customProducts = simulatorData.tank.customProducts || [];
+    if (q) {
+      return res.json({ matches: matchProducts(q, { category, customProducts, limit: parseInt(req.query.limit) || 5 }) });
+    }
+    res.json({ categories: CATEGORIES, products: listProducts({ category, customProducts }) });
+  });
+
+  router.post('/tanks/:tankId/products', (req, res) => {
+    initializeSimulatorData();
+    const customProducts = simulatorData.tank.customProducts || [];
+    const result = buildCustomProduct(req.body, customProducts);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Settle the chemistry first in case an outlet already names this product
+    advanceChemistry();
+    simulatorData.tank.customProducts = [...customProducts, result.product];
+    saveSimulatorState();
+    res.json({ product: result.product });
+  });
+
+  router.delete('/tanks/:tankId/products/:productId', (req, res) => {
+    initializeSimulatorData();
+    const customProducts = simulatorData.tank.customProducts || [];
+    if (!customProducts.some(p => p.id === req.params.productId)) {
+      return res.status(404).json({ error: 'Custom product not found' });
+    }
+
+    advanceChemistry();
+    simulatorData.tank.customProducts = customProducts.filter(p => p.id !== req.params.productId);
+    saveSimulatorState();
+    res.json({ success: true });
+  });
+
+  router.get('/tanks/:tankId/alk-budget', (req, res) => {
+    initializeSimulatorData();
+    const days = Math.min(parseInt(req.query.days) || 7, 30);
+    const result = computeAlkBudget(simulatorData.tank, simulatorData.readings, {
+      windowDays: days,
+      events: simulatorData.events,
+    });
+    res.json({ budget: result.budget });
+  });
+
+  router.get('/tanks/:tankId/dosing/recommend', (req, res) => {
+    initializeSimulatorData();
+    const days = Math.min(parseInt(req.query.days) || 7, 30);
+    const maxDailyChange = validateMaxDailyChange(req.query.maxDailyChange);
+    if (!maxDailyChange.ok) {
+      return res.status(400).json({ error: maxDailyChange.error });
+    }
+
+    const result = recommendDosing(simulatorData.tank, simulatorData.readings, {
+      windowDays: days,
+      events: simulatorData.events,
+      maxDailyChange: maxDailyChange.value,
+    });
+
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ recommendation: result.recommendation });
+  });
+
+  // Current mass-balance state, per-day breakdown and where it is heading
+  router.get('/simulator/chemistry', (req, res) => {
+    initializeSimulatorData();
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const state = advanceChemistry();
+
+    res.json({
+      state,
+      rates: dailyRates(simulatorData.tank, state),
+      projection: projectChemistry(simulatorData.tank, state, { days }),
+    });
+  });
+
+  // What-if: project with different doser rates without changing the tank
+  router.post('/simulator/projection', (req, res) => {
+    initializeSimulatorData();
+    const { outlets, days } = req.body || {};
+    const projectionDays = Math.min(parseInt(days) || 7, 90);
+    const state = advanceChemistry();
+
+    res.json({
+      current: projectChemistry(simulatorData.tank, state, { days: projectionDays }),
+      whatIf: projectChemistry(simulatorData.tank, state, { days: projectionDays, overrides: outlets || {} }),
+      rates: dailyRates(simulatorData.tank, state, outlets || {}),
+    });
+  });
+
+  // Fast-forward simulated time (readings every 4 hours under the current doser rates)
+  router.post('/simulator/advance', (req, res) => {
+    initializeSimulatorData();
+    const hours = parseFloat((req.body || {}).hours);
+    if (!(hours > 0) || hours > 24 * 60) {
+      return res.status(400).json({ error: 'hours must be between 0 and 1440' });
+    }
+
+    advanceChemistry();
+    const added = advanceSimulator(hours);
+    saveSimulatorState();
+    alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+
+    res.json({
+      success: true,
+      added: added.length,
+      chemistry: simulatorData.chemistry,
+      latest: added[added.length - 1] || null,
+    });
+  });
+
+  // Alerts: list, acknowledge, snooze and configure
+  router.get('/tanks/:tankId/alerts', (req, res) => {
+    initializeSimulatorData();
+    const status = req.query.status || 'active';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    if (!['active', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be active, resolved or all' });
+    }
+
+    const alerts = simulatorData.alerts
+      .filter(a => status === 'all' || a.status === status)
+      .slice(0, limit);
+    res.json({ alerts });
+  });
+
+  router.get('/tanks/:tankId/alerts/config', (req, res) => {
+    initializeSimulatorData();
+    res.json({ config: resolveAlertConfig(simulatorData.tank), snoozes: simulatorData.tank.alertSnoozes || {} });
+  });
+
+  router.put('/tanks/:tankId/alerts/config', async (req, res) => {
+    initializeSimulatorData();
+    const result = buildAlertConfig(req.body, simulatorData.tank.alertConfig);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    simulatorData.tank.alertConfig = result.config;
+    saveSimulatorState();
+    const check = await alertEngine.checkTank(SIM_USER_ID, simulatorData.tank.id);
+    res.json({ config: result.config, check });
+  });
+
+  router.post('/tanks/:tankId/alerts/:alertId/ack', async (req, res) => {
+    initializeSimulatorData();
+    const result = await alertEngine.acknowledge(SIM_USER_ID, simulatorData.tank.id, req.params.alertId);
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ error: result.error });
+    }
+    res.json({ alert: result.alert });
+  });
+
+  router.post('/tanks/:tankId/alerts/:alertId/snooze', async (req, res) => {
+    initializeSimulatorData();
+    const minutes = (req.body && req.body.minutes) || 60;
+    const result = await alertEngine.snooze(SIM_USER_ID, simulatorData.tank.id, req.params.alertId, minutes);
+    if (!result.ok) {
+      return res.status(result.status || 500).json({ error: result.error });
+    }
+    res.json({ alert: result.alert });
+  });
+
+  // Helper: rule-based diagnosis shaped like a stored analysis (no model configured, or the model failed)
+  function ruleAnalysis(diagnostics, dosing) {
+    return {
       id: `sim-analysis-${Date.now()}`,
       type: 'user-requested',
       date: new Date().toISOString(),
-      diagnosis: 'Alkalinity crash likely caused by nitrification from urea/ammonium dosing consuming alk. Calcium elevated due to reduced All-For-Reef dosing.',
-      confidence: 95,
-      severity: 'high',
-      recommendations: [
-        'Stop ammonium dosing immediately',
-        'Increase All-For-Reef to 180-200 mL/day to restore alk',
-        'Monitor alk every 12 hours for next 48 hours',
-        'Once alk stabilizes above 7.5, resume normal dosing schedule',
-      ],
-      citations: [
-        {
-          source: 'Randy Holmes-Farley',
-          text: 'Nitrification consumes alkalinity at a rate of ~7 dKH per 1 ppm ammonia converted',
-          relevance: 'Explains the mechanism of alkalinity consumption from urea dosing',
-        },
-      ],
-    },
+      ...diagnostics,
+      dataUsed: {
+        readingCount: simulatorData.readings.length,
+        eventCount: simulatorData.events.length,
+      },
+      dosingRecommendation: dosing.ok ? dosing.recommendation : null,
+    };
+  }
+
+  router.get('/tanks/:tankId/diagnostics', (req, res) => {
+    initializeSimulatorData();
+    const result = diagnoseTank(simulatorData.tank, simulatorData.readings, simulatorData.events);
+
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ diagnostics: result.analysis });
   });
-});
 
-module.exports = router;
+  // Helper: analyze the simulated tank with the configured model, else the rules; onPartial hears
+  // the summary and each recommendation (as the model writes them, or all at once for the rules)
+  async function runAnalysis(onPartial) {
+    const dosing = recommendDosing(simulatorData.tank, simulatorData.readings, { events: simulatorData.events });
+    const diagnostics = diagnoseTank(simulatorData.tank, simulatorData.readings, simulatorData.events);
+
+    if (!diagnostics.ok) {
+      return { ok: false, status: 400, error: diagnostics.error };
+    }
+
+    // Helper: the rule-based diagnosis, replayed through onPartial like a model reply (stored, so it can be discussed later)
+    const rulesResult = notice => {
+      const analysis = { ...ruleAnalysis(diagnostics.analysis, dosing), ...(notice ? { fallback: true } : {}) };
+      if (onPartial) {
+        onPartial({ type: 'summary', text: analysis.summary, done: true });
+        analysis.recommendations.forEach((recommendation, index) => onPartial({ type: 'recommendation', index, recommendation }));
+      }
+      simulatorData.analyses.unshift(analysis);
+      saveSimulatorState();
+      return { ok: true, analysis, notice };
+    };
+
+    if (!options.ai) {
+      return rulesResult(null);
+    }
+
+    // Same 7 days of data the production route sends
+    const since = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const recentReadings = simulatorData.readings.filter(r => new Date(r.timestamp).getTime() >= since);
+    const recentEvents = simulatorData.events.slice(0, 10);
+
+    const result = await options.ai.analyzeTank(
+      simulatorData.tank,
+      simulatorData.readings[0] || {},
+      recentReadings,
+      recentEvents,
+      {},
+      { dosingRecommendation: dosing.ok ? dosing.recommendation : null, diagnostics: diagnostics.analysis, onPartial }
+    );
+
+    if (!result.ok) {
+      // Keep the demo usable: rule-based diagnosis, plus why the model didn't answer
+      if (onPartial) onPartial({ type: 'retry', code: result.code || 'failed', details: result.details || [] });
+      return rulesResult({
+        code: result.code || 'failed',
+        message: `${result.error}. Showing the rule-based diagnosis instead.`,
+        hint: result.hint || null,
+      });
+    }
+
+    const analysis = {
+      id: `sim-analysis-${Date.now()}`,
+      type: 'user-requested',
+      date: new Date().toISOString(),
+      ...result.analysis,
+      provider: result.provider,
+      model: result.model,
+      dataUsed: {
+        readingCount: recentReadings.length,
+        eventCount: recentEvents.length,
+        daysAnalyzed: 7,
+      },
+      dosingRecommendation: dosing.ok ? dosing.recommendation : null,
+      ruleFindings: diagnostics.analysis.findings,
+    };
+    simulatorData.analyses.unshift(analysis);
+    saveSimulatorState();
+    return { ok: true, analysis };
+  }
+
+  router.post('/tanks/:tankId/analyze', async (req, res) => {
+    initializeSimulatorData();
+    const result = await runAnalysis(null);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ analysis: result.analysis, ...(result.notice ? { notice: result.notice } : {}) });
+  });
+
+  // Streamed variant (server-sent events), same events as the production route
+  router.post('/tanks/:tankId/analyze/stream', async (req, res) => {
+    initializeSimulatorData();
+    const stream = openEventStream(res);
+
+    try {
+      const result = await runAnalysis(partial => stream.send(partial.type, partial));
+      if (!result.ok) {
+        stream.send('error', { status: result.status, error: result.error });
+      } else {
+        if (result.notice) stream.send('notice', result.notice);
+        stream.send('analysis', { analysis: result.analysis });
+      }
+    } catch (error) {
+      console.error('Simulator streaming analysis error:', error);
+      stream.send('error', { status: 500, error: 'AI analysis failed' });
+    }
+    stream.close();
+  });
+
+  router.get('/tanks/:tankId/analyses', (req, res) => {
+    initializeSimulatorData();
+    const limit = parseInt(req.query.limit) || 10;
+    res.json({ analyses: simulatorData.analyses.slice(0, limit) });
+  });
+
+  // Helper: the readings (7 days up to the analysis) and events (10 before it) an analysis was based on
+  function chatInput(analysis) {
+    const analysisTime = new Date(analysis.date).getTime();
+    const weekBefore = analysisTime - 7 * 24 * 60 * 60 * 1000;
+
+    return {
+      recentReadings: simulatorData.readings.filter(r => {
+        const time = new Date(r.timestamp).getTime();
+        return time >= weekBefore && time <= analysisTime;
+      }),
+      recentEvents: simulatorData.events.filter(e => new Date(e.date).getTime() <= analysisTime).slice(0, 10),
+    };
+  }
+
+  router.get('/tanks/:tankId/analyses/:analysisId/messages', (req, res) => {
+    initializeSimulatorData();
+    if (!simulatorData.analyses.some(a => a.id === req.params.analysisId)) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ messages: simulatorData.messages.filter(m => m.analysisId === req.params.analysisId) });
+  });
+
+  router.post('/tanks/:tankId/analyses/:analysisId/messages', async (req, res) => {
+    initializeSimulatorData();
+    const message = validateChatMessage(req.body?.content);
+    if (!message.ok) {
+      return res.status(400).json({ error: message.error });
+    }
+
+    const analysis = simulatorData.analyses.find(a => a.id === req.params.analysisId);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    if (!options.ai || !options.ai.chat) {
+      return res.status(503).json({
+        error: 'Follow-up chat needs an AI model',
+        hint: 'Set up a local model under "ai" in settings.json',
+      });
+    }
+
+    try {
+      const history = simulatorData.messages.filter(m => m.analysisId === analysis.id);
+      const input = chatInput(analysis);
+      const askedAt = new Date().toISOString();
+      const result = await options.ai.chat(simulatorData.tank, analysis, input.recentReadings, input.recentEvents, history, message.content, {});
+
+      if (!result.ok) {
+        return res.status(analysisErrorStatus(result.code)).json({
+          error: result.error,
+          code: result.code,
+          hint: result.hint || undefined,
+          details: result.details,
+        });
+      }
+
+      // Both sides are stored once the model has answered, so a failed attempt can simply be resent
+      const question = { id: `sim-message-${Date.now()}-q`, analysisId: analysis.id, role: 'user', content: message.content, createdAt: askedAt };
+      const answer = {
+        id: `sim-message-${Date.now()}-a`,
+        analysisId: analysis.id,
+        role: 'assistant',
+        content: result.reply,
+        provider: result.provider || null,
+        model: result.model || null,
+        createdAt: new Date().toISOString(),
+      };
+      simulatorData.messages.push(question, answer);
+      saveSimulatorState();
+      res.json({ messages: [question, answer] });
+    } catch (error) {
+      console.error('Simulator analysis chat error:', error);
+      res.status(500).json({ error: 'Failed to answer message' });
+    }
+  });
+
+  // Begin background polling and alert checks (server start)
+  function start() {
+    alertEngine.start();
+    alertEngine.track(SIM_USER_ID, simulatorData.tank.id);
+    if (SYNC_SCHEDULER_ENABLED) {
+      syncScheduler.watch(SIM_USER_ID, simulatorData.tank.id);
+    }
+  }
+
+  // Stop polling and alert checks (server shutdown)
+  function stop() {
+    syncScheduler.stopAll();
+    alertEngine.stop();
+  }
+
+  return {
+    router,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createSimulatorApi,
+};
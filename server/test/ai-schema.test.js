@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkAnalysis, checkChatReply } = require('../lib/ai-schema');
+
+const ANALYSIS = {
+  summary: 'Stable tank',
+  healthScore: 7,
+  diagnosis: { primary: 'Alk is steady', contributing: [] },
+  parameters: {},
+  recommendations: [{ action: 'Keep dosing', priority: 'low', why: 'On target' }],
+  confidence: 0.8,
+};
+
+test('a valid reply passes unchanged', () => {
+  assert.deepEqual(checkAnalysis(JSON.stringify(ANALYSIS)), { ok: true, analysis: ANALYSIS, repairs: [] });
+});
+
+test('common model slips are repaired and listed', () => {
+  const reply = { ...ANALYSIS, healthScore: '85', recommendations: [{ action: 'Keep dosing', priority: 'High' }] };
+  const result = checkAnalysis(JSON.stringify(reply));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.analysis.healthScore, 8.5);
+  assert.equal(result.analysis.recommendations[0].priority, 'high');
+  assert.deepEqual(result.repairs, ['healthScore: "85" → 8.5', 'recommendations[0].priority: "High" → "high"']);
+});
+
+test('a reply wrapped in a code fence is still parsed', () => {
+  assert.equal(checkAnalysis('```json\n' + JSON.stringify(ANALYSIS) + '\n```').ok, true);
+});
+
+test('text that is not JSON is invalid-json', () => {
+  const result = checkAnalysis('The tank looks fine.');
+
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'invalid-json');
+});
+
+test('JSON that misses required fields is schema-mismatch with the paths', () => {
+  const result = checkAnalysis(JSON.stringify({ summary: 1 }));
+
+  assert.equal(result.code, 'schema-mismatch');
+  assert.deepEqual(result.details.map(d => d.path).sort(), ['confidence', 'diagnosis', 'healthScore', 'recommendations', 'summary']);
+});
+
+test('chat replies need a reply string', () => {
+  assert.deepEqual(checkChatReply(JSON.stringify({ reply: 'Dose more alk' })), { ok: true, reply: 'Dose more alk', repairs: [] });
+  assert.equal(checkChatReply(JSON.stringify({ note: 'x' })).ok, false);
+});
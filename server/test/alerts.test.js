@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateAlerts, reconcileAlerts, buildAlertConfig, createAlertEngine } = require('../lib/alerts');
+const { createEventBus } = require('../lib/event-bus');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// Helper: Trident reading `hoursAgo` before NOW
+function reading(hoursAgo, values) {
+  return { timestamp: new Date(NOW - hoursAgo * HOUR).toISOString(), source: 'trident', ...values };
+}
+
+test('out-of-range values raise warnings, past the danger bounds critical', () => {
+  const warning = evaluateAlerts({}, [reading(1, { alk: 7.2 })], { now: NOW });
+  const critical = evaluateAlerts({}, [reading(1, { alk: 5.5 })], { now: NOW });
+
+  assert.deepEqual(warning.map(c => [c.key, c.severity]), [['range:alk', 'warning']]);
+  assert.deepEqual(critical.map(c => [c.key, c.severity]), [['range:alk', 'critical']]);
+  assert.equal(warning[0].message, 'Alkalinity 7.2 dKH is below the target range (7.5–9)');
+});
+
+test('an active alert only clears once the value is back inside by the hysteresis margin', () => {
+  const readings = [reading(1, { alk: 7.55 })];
+
+  assert.equal(evaluateAlerts({}, readings, { now: NOW }).length, 0);
+  assert.equal(evaluateAlerts({}, readings, { now: NOW, activeKeys: new Set(['range:alk']) }).length, 1);
+});
+
+test('a 24 h swing past the limit raises a swing alert', () => {
+  const readings = [reading(1, { temp: 78.5 }), reading(10, { temp: 76.8 }), reading(20, { temp: 75 })];
+  const [swing] = evaluateAlerts({}, readings, { now: NOW }).filter(c => c.rule === 'swing');
+
+  assert.equal(swing.key, 'swing:temp');
+  assert.equal(swing.value, 3.5);
+  assert.equal(swing.message, 'Temperature swung 3.5°F in 24h (limit 3); it rose to 78.5°F');
+});
+
+test('messages use the unit preferences', () => {
+  const units = { temperature: 'C', alkalinity: 'meq/L', salinity: 'ppt', volume: 'L' };
+  const readings = [reading(1, { alk: 7.0, temp: 78.5 }), reading(20, { alk: 8.4, temp: 75 })];
+  const messages = evaluateAlerts({}, readings, { now: NOW, units }).map(c => c.message);
+
+  assert.ok(messages.includes('Alkalinity 2.5 meq/L is below the target range (2.68–3.21)'));
+  assert.ok(messages.includes('Temperature swung 1.94°C in 24h (limit 1.67); it rose to 25.8°C'));
+});
+
+test('a Trident that stopped reporting raises a stale alert', () => {
+  const [stale] = evaluateAlerts({}, [reading(30, { alk: 8.2 })], { now: NOW }).filter(c => c.rule === 'stale');
+
+  assert.equal(stale.key, 'stale:trident');
+  assert.equal(stale.severity, 'critical');
+  assert.equal(evaluateAlerts({}, [reading(2, { alk: 8.2 })], { now: NOW }).length, 0);
+});
+
+test('reconcile raises new conditions, escalates, refreshes and resolves', () => {
+  const active = [
+    { id: 'a1', key: 'range:alk', severity: 'warning' },
+    { id: 'a2', key: 'range:ca', severity: 'warning' },
+    { id: 'a3', key: 'stale:trident', severity: 'warning' },
+  ];
+  const conditions = [
+    { key: 'range:alk', severity: 'critical' },
+    { key: 'range:ca', severity: 'warning' },
+    { key: 'swing:temp', severity: 'warning' },
+  ];
+  const plan = reconcileAlerts(active, conditions);
+
+  assert.deepEqual(plan.raise.map(c => c.key), ['swing:temp']);
+  assert.deepEqual(plan.escalate.map(e => e.alert.id), ['a1']);
+  assert.deepEqual(plan.refresh.map(r => r.alert.id), ['a2']);
+  assert.deepEqual(plan.resolve.map(a => a.id), ['a3']);
+});
+
+test('alert config updates are validated and merged over the defaults', () => {
+  const { ok, config } = buildAlertConfig({ stale: { hours: 6 } });
+
+  assert.equal(ok, true);
+  assert.equal(config.stale.hours, 6);
+  assert.equal(config.swing.limits.alk, 1);
+  assert.deepEqual(buildAlertConfig({ swing: { limits: { alk: -1 } } }), { ok: false, error: 'swing.limits.alk must be a positive number' });
+});
+
+// Helper: Alert engine over an in-memory tank with one active low-alk alert raised `hoursAgo`
+function engineWithActiveAlert(hoursAgo) {
+  const raisedAt = new Date(Date.now() - hoursAgo * HOUR).toISOString();
+  const alerts = [{ id: 'a1', key: 'range:alk', rule: 'range', param: 'alk', severity: 'warning', status: 'active', raisedAt }];
+  const store = {
+    getTank: async () => ({ id: 'tank-1', name: 'Reef' }),
+    getReadings: async () => [{ timestamp: new Date().toISOString(), source: 'trident', alk: 7.2 }],
+    getAlerts: async (userId, tankId, { status } = {}) => alerts.filter(alert => !status || alert.status === status),
+    addAlert: async (userId, tankId, alert) => alert,
+    updateAlert: async (userId, tankId, alertId, updates) => {
+      Object.assign(alerts.find(alert => alert.id === alertId), updates);
+    },
+  };
+  const events = createEventBus();
+  const published = [];
+  events.bus.on('alert', event => published.push(event.transition));
+  return { engine: createAlertEngine(store, { events, reminderHours: 4 }), published };
+}
+
+test('an unacknowledged alert is repeated as a reminder, an acknowledged one is not', async () => {
+  const unacknowledged = engineWithActiveAlert(5);
+  await unacknowledged.engine.checkTank('user-1', 'tank-1');
+  await unacknowledged.engine.checkTank('user-1', 'tank-1');
+  assert.deepEqual(unacknowledged.published, ['reminder']);
+
+  const acknowledged = engineWithActiveAlert(5);
+  assert.equal((await acknowledged.engine.acknowledge('user-1', 'tank-1', 'a1')).ok, true);
+  await acknowledged.engine.checkTank('user-1', 'tank-1');
+  assert.deepEqual(acknowledged.published, []);
+});
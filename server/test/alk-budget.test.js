@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeAlkBudget } = require('../lib/alk-budget');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// 100 L tank dosing 25 mL/day of All-For-Reef: 1.4 dKH/day in
+const TANK = {
+  volumeLiters: 100,
+  equipment: { outlets: [{ id: 'dos1', name: 'Alk doser', product: 'All-For-Reef', rate: 25 }] },
+};
+
+// Helper: alk readings `hoursApart` apart, newest at NOW, falling `perDay` dKH per day
+function series(count, hoursApart, perDay, source = 'trident') {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(NOW - i * hoursApart * HOUR).toISOString(),
+    alk: +(8 + perDay * i * hoursApart / 24).toFixed(3),
+    source,
+  }));
+}
+
+test('input comes from the dosers and consumption from the Trident slope', () => {
+  const { ok, budget } = computeAlkBudget(TANK, series(5, 12, 0.3), { now: NOW });
+
+  assert.equal(ok, true);
+  assert.equal(budget.input.total, 1.4);
+  assert.equal(budget.input.sources[0].outletId, 'dos1');
+  assert.equal(budget.net, -0.3);
+  assert.equal(budget.consumption.total, 1.7);
+  assert.equal(budget.status, 'deficit');
+  assert.equal(budget.samples, 5);
+});
+
+test('readings spanning less than a day leave consumption unmeasured', () => {
+  const { budget } = computeAlkBudget(TANK, series(6, 0.01, 0.3), { now: NOW });
+
+  assert.equal(budget.consumption, null);
+  assert.equal(budget.net, null);
+  assert.equal(budget.status, 'unknown');
+  assert.match(budget.notes[0], /only span 0 hours; need at least 1 day/);
+});
+
+test('manual and imported alk results are not fitted', () => {
+  const readings = [...series(3, 24, 0.3, 'user-entered'), ...series(3, 24, 0.3, 'import')];
+  const { budget } = computeAlkBudget(TANK, readings, { now: NOW });
+
+  assert.equal(budget.samples, 0);
+  assert.equal(budget.consumption, null);
+  assert.match(budget.notes[0], /Need at least 3 Trident alk readings/);
+});
+
+test('readings outside the window are ignored', () => {
+  const { budget } = computeAlkBudget(TANK, series(5, 72, 0.3), { now: NOW, windowDays: 7 });
+
+  assert.equal(budget.samples, 3);
+});
+
+test('a dosing change in the window is noted', () => {
+  const events = [{ type: 'dosing-change', title: 'Alk up to 50 mL', date: new Date(NOW - 24 * HOUR).toISOString() }];
+  const { budget } = computeAlkBudget(TANK, series(5, 12, 0.3), { now: NOW, events });
+
+  assert.ok(budget.notes.some(note => note.includes('Alk up to 50 mL')));
+});
+
+test('a tank without alk dosers has no input', () => {
+  const { budget } = computeAlkBudget({ volumeLiters: 100 }, series(5, 12, 0.3), { now: NOW });
+
+  assert.equal(budget.input.total, 0);
+  assert.ok(budget.notes.some(note => note.includes('No dosing pumps')));
+});
+
+test('a missing tank is an error', () => {
+  assert.deepEqual(computeAlkBudget(null, []), { ok: false, error: 'Tank required' });
+});
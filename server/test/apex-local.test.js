@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkLanHost, normalizeRestStatus, parseStatusXml, mapStatusToReadings } = require('../lib/apex-local');
+
+test('Trident probes are matched by exact type or name, not by prefix', () => {
+  const readings = mapStatusToReadings({
+    inputs: [
+      { name: 'Cabinet_Temp', type: '', value: 80 },
+      { name: 'CalRx', type: '', value: 7 },
+      { name: 'Alkx4', type: 'alk', value: 8.1 },
+      { name: 'Ca', type: '', value: 430 },
+      { name: 'Mgx4', type: '', value: 1350 },
+      { name: 'Tmp', type: 'Temp', value: 78.2 },
+    ],
+  });
+
+  assert.equal(readings.source, 'trident');
+  assert.equal(readings.alk, 8.1);
+  assert.equal(readings.ca, 430);
+  assert.equal(readings.mg, 1350);
+  assert.equal(readings.temp, 78.2);
+});
+
+test('REST status is normalized, with the controller-local date converted to UTC', () => {
+  const status = normalizeRestStatus({
+    system: { hostname: 'reef', serial: 'AC5:12345', software: '5.12_7A24' },
+    istat: {
+      date: Date.UTC(2026, 2, 10, 7, 0, 0) / 1000,
+      timezone: -5,
+      inputs: [{ did: 'base_Temp', name: 'Tmp', type: 'Temp', value: 78.2 }, { did: '4_0', name: 'Alkx4', type: 'alk' }],
+      outputs: [{ did: '2_1', name: 'Return', type: 'outlet', status: ['AON', '', 'OK', ''] }],
+    },
+  });
+
+  assert.equal(status.hostname, 'reef');
+  assert.equal(status.date.toISOString(), '2026-03-10T12:00:00.000Z');
+  assert.deepEqual(status.inputs[1], { did: '4_0', name: 'Alkx4', type: 'alk', value: null });
+  assert.equal(status.outputs[0].state, 'AON');
+});
+
+test('status.xml parses into the same shape as the REST status', () => {
+  const xml = `<?xml version="1.0"?>
+<status software="4.53_5A17" hardware="1.0">
+  <hostname>reef</hostname><serial>AC4:54321</serial>
+  <timezone>-5.00</timezone><date>03/10/2026 07:00:00</date>
+  <probes>
+    <probe><name>Tmp</name><value>78.2</value><type>Temp</type></probe>
+    <probe><name>pH</name><value>8.15</value><type>pH</type></probe>
+    <probe><name>Ca</name><value></value></probe>
+  </probes>
+  <outlets><outlet><name>Return</name><outputID>1</outputID><state>AON</state><deviceID>2_1</deviceID></outlet></outlets>
+</status>`;
+  const status = parseStatusXml(xml);
+
+  assert.equal(status.software, '4.53_5A17');
+  assert.equal(status.date.toISOString(), '2026-03-10T12:00:00.000Z');
+  assert.deepEqual(status.inputs.map(input => [input.name, input.value]), [['Tmp', 78.2], ['pH', 8.15], ['Ca', null]]);
+  assert.deepEqual(status.outputs, [{ did: '2_1', name: 'Return', state: 'AON' }]);
+
+  const readings = mapStatusToReadings(status);
+  assert.equal(readings.pH, 8.15);
+  assert.equal(readings.ca, undefined);
+  assert.equal(readings.deviceTimestamp, '2026-03-10T12:00:00.000Z');
+});
+
+test('only private LAN addresses and .local names are accepted as the Apex host', () => {
+  ['192.168.1.50', '10.0.0.4', 'http://172.16.5.1/', '172.31.255.255:8080', 'apex.local', 'Reef-Apex.local'].forEach(host => {
+    assert.deepEqual(checkLanHost(host), { ok: true }, host);
+  });
+  ['169.254.169.254', '127.0.0.1', '8.8.8.8', '172.32.0.1', 'apex.example.com', 'local', '0x7f000001', ''].forEach(host => {
+    assert.equal(checkLanHost(host).ok, false, host);
+  });
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCsv, detectDateFormat, buildImport } = require('../lib/csv-import');
+
+const CSV = [
+  'Date,Alk (dKH),Calcium,Notes',
+  '2026-01-02T08:00:00Z,8.1,420,ok',
+  '2026-01-03T08:00:00Z,7.9,,',
+  '2026-01-04T08:00:00Z,abc,415,',
+].join('\n');
+
+test('columns are mapped from the headers and rows become import readings', () => {
+  const result = buildImport(CSV);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.mapping.Date, 'date');
+  assert.deepEqual(result.mapping['Alk (dKH)'], { param: 'alk', unit: 'dKH', unitSource: 'given' });
+  assert.equal(result.mapping.Notes, 'notes');
+  assert.equal(result.dateFormat.format, 'iso');
+
+  assert.equal(result.rows.length, 2);
+  assert.deepEqual(result.rows[0].reading, {
+    source: 'import',
+    timestamp: '2026-01-02T08:00:00.000Z',
+    notes: 'ok',
+    alk: 8.1,
+    ca: 420,
+  });
+  assert.deepEqual(result.rows[1].reading, { source: 'import', timestamp: '2026-01-03T08:00:00.000Z', alk: 7.9 });
+});
+
+test('bad cells are reported per row and the row is skipped', () => {
+  const { errors } = buildImport(CSV);
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].row, 4);
+  assert.equal(errors[0].errors[0].column, 'Alk (dKH)');
+});
+
+test('row keys are stable, so a re-import is recognised', () => {
+  const first = buildImport(CSV).rows.map(row => row.key);
+  const again = buildImport(CSV).rows.map(row => row.key);
+
+  assert.deepEqual(again, first);
+  assert.notEqual(first[0], first[1]);
+});
+
+test('semicolon files with decimal commas are parsed', () => {
+  assert.deepEqual(parseCsv('a;b\n1,5;2'), { ok: true, headers: ['a', 'b'], rows: [['1,5', '2']], delimiter: ';' });
+});
+
+test('day-first dates are detected when a day is past 12; otherwise the guess is flagged ambiguous', () => {
+  assert.deepEqual(detectDateFormat(['13/02/2026', '01/03/2026']), { ok: true, format: 'dmy', ambiguous: false });
+  assert.deepEqual(detectDateFormat(['01/02/2026']), { ok: true, format: 'mdy', ambiguous: true });
+});
+
+test('an empty file is an error', () => {
+  assert.deepEqual(buildImport(''), { ok: false, error: 'CSV is empty' });
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diagnoseTank } = require('../lib/diagnostics');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Helper: ten daily Trident readings, newest at NOW, with alk from `alkFor(daysAgo)`
+function readings(alkFor) {
+  return Array.from({ length: 10 }, (_, i) => ({
+    timestamp: new Date(NOW - i * DAY).toISOString(),
+    alk: alkFor(i),
+    ca: 430,
+    mg: 1350,
+    ph: 8.15,
+    temp: 78,
+    no3: 5,
+    po4: 0.05,
+    source: 'trident',
+  }));
+}
+
+test('a steady tank gets a clean bill of health', () => {
+  const { ok, analysis } = diagnoseTank({ volume: 50 }, readings(() => 8.3), [], { now: NOW });
+
+  assert.equal(ok, true);
+  assert.equal(analysis.engine, 'rules');
+  assert.equal(analysis.healthScore, 10);
+  assert.deepEqual(analysis.findings, []);
+});
+
+test('falling alkalinity is diagnosed and lowers the health score', () => {
+  const { analysis } = diagnoseTank({ volume: 50 }, readings(daysAgo => +(7 + daysAgo * 0.15).toFixed(2)), [], { now: NOW });
+
+  assert.ok(analysis.findings.some(finding => finding.rule === 'alk-consumption'));
+  assert.ok(analysis.healthScore < 10);
+  assert.ok(analysis.recommendations.length > 0);
+});
+
+test('the result has the same shape as an AI analysis', () => {
+  const { analysis } = diagnoseTank({ volume: 50 }, readings(() => 8.3), [], { now: NOW });
+
+  ['summary', 'healthScore', 'diagnosis', 'parameters', 'recommendations', 'confidence'].forEach(key => {
+    assert.ok(key in analysis, `missing ${key}`);
+  });
+  assert.equal(typeof analysis.diagnosis.primary, 'string');
+});
+
+test('no readings is an error', () => {
+  assert.deepEqual(diagnoseTank({}, [], []), { ok: false, error: 'No readings to diagnose' });
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recommendDosing, validateMaxDailyChange } = require('../lib/dosing-calculator');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const ALK_DOSER = { id: 'dos1', name: 'Alk doser', product: 'All-For-Reef', rate: 25 };
+const KALK = { id: 'kalk', name: 'Kalk', product: 'kalkwasser', rate: 500 };
+
+// Helper: Trident readings 12 h apart, newest at NOW (alk `latest`, falling `perDay`)
+function trident(count, latest, perDay) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(NOW - i * 12 * HOUR).toISOString(),
+    alk: +(latest + perDay * i / 2).toFixed(3),
+    ca: 430,
+    mg: 1350,
+    source: 'trident',
+  }));
+}
+
+test('raises the adjustable doser to correct, then settles on a maintenance rate', () => {
+  const tank = { volumeLiters: 100, equipment: { outlets: [ALK_DOSER, KALK] } };
+  const { ok, recommendation } = recommendDosing(tank, trident(5, 7, 0.3), { now: NOW });
+
+  assert.equal(ok, true);
+  assert.equal(recommendation.consumption.source, 'trident-slope');
+  assert.equal(recommendation.correctionDays, 2);
+
+  const [doser, kalk] = recommendation.adjustments;
+  assert.equal(doser.adjustable, true);
+  assert.equal(doser.recommendedRate, 41);
+  assert.equal(doser.maintenanceRate, 30);
+  assert.equal(kalk.adjustable, false);
+  assert.equal(kalk.recommendedRate, 500);
+  assert.equal(recommendation.summary, 'Increase Alk doser from 25 to 41 mL/day for 2 days, then 30 mL/day');
+});
+
+test('never corrects faster than maxDailyChange', () => {
+  const tank = { volumeLiters: 100, equipment: { outlets: [ALK_DOSER] } };
+  const { recommendation } = recommendDosing(tank, trident(5, 6, 0.3), { now: NOW, maxDailyChange: 0.5 });
+
+  assert.ok(Math.abs(recommendation.expectedAlkChangePerDay) <= 0.5);
+  assert.equal(recommendation.correctionDays, 5);
+});
+
+test('maxDailyChange must be above 0 and at most 1 dKH/day', () => {
+  const tank = { volumeLiters: 100, equipment: { outlets: [ALK_DOSER] } };
+
+  assert.deepEqual(validateMaxDailyChange(undefined), { ok: true, value: 1 });
+  assert.deepEqual(validateMaxDailyChange('0.5'), { ok: true, value: 0.5 });
+  ['-1', '0', '5', 'fast', Infinity].forEach(value => assert.equal(validateMaxDailyChange(value).ok, false, String(value)));
+  assert.equal(recommendDosing(tank, trident(5, 6, 0.3), { now: NOW, maxDailyChange: -2 }).ok, false);
+});
+
+test('estimates consumption when the Trident history is too short', () => {
+  const tank = { volumeLiters: 100, equipment: { outlets: [ALK_DOSER] } };
+  const readings = [{ timestamp: new Date(NOW).toISOString(), alk: 7, source: 'trident' }];
+  const { recommendation } = recommendDosing(tank, readings, { now: NOW });
+
+  assert.equal(recommendation.consumption.source, 'estimated');
+  assert.ok(recommendation.warnings.some(w => w.startsWith('Consumption estimated')));
+});
+
+test('needs an alk reading and an alk doser', () => {
+  const tank = { volumeLiters: 100, equipment: { outlets: [ALK_DOSER] } };
+
+  assert.deepEqual(recommendDosing(tank, [], { now: NOW }), { ok: false, error: 'No alkalinity readings available' });
+  assert.deepEqual(recommendDosing({ volumeLiters: 100 }, trident(3, 8, 0), { now: NOW }),
+    { ok: false, error: 'No dosing pumps with a recognised alkalinity product' });
+});
@@ -0,0 +1,137 @@
+/**
+ * Firestore reading storage against an in-memory stand-in for the client. It implements only
+ * what lib/firestore.js uses for readings, with Firestore's rule that a range filter only
+ * matches values of the same type (a string timestamp is never >= a Timestamp).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const firestorePackage = require('@google-cloud/firestore');
+const { Timestamp } = firestorePackage.Firestore;
+const { buildImport } = require('../lib/csv-import');
+const { readingDedupeKey } = require('../lib/readings');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Helper: value comparison as Firestore does it within one type; other types never match
+function compare(a, b) {
+  if (!(a instanceof Timestamp) || !(b instanceof Timestamp)) return null;
+  return a.toMillis() - b.toMillis();
+}
+
+class FakeDocument {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new FakeCollection(this.db, `${this.path}/${name}`);
+  }
+
+  async set(data) {
+    this.db.docs.set(this.path, data);
+  }
+
+  async create(data) {
+    if (this.db.docs.has(this.path)) {
+      throw Object.assign(new Error('Document already exists'), { code: 6 });
+    }
+    this.db.docs.set(this.path, data);
+  }
+
+  async get() {
+    const data = this.db.docs.get(this.path);
+    return { id: this.id, exists: data !== undefined, data: () => data };
+  }
+}
+
+class FakeCollection {
+  constructor(db, path, filters = [], order = null) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+  }
+
+  doc(id = `auto-${this.db.docs.size + 1}`) {
+    return new FakeDocument(this.db, `${this.path}/${id}`);
+  }
+
+  where(field, op, value) {
+    assert.equal(op, '>=', 'the fake only supports >= filters');
+    return new FakeCollection(this.db, this.path, [...this.filters, { field, value }], this.order);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new FakeCollection(this.db, this.path, this.filters, { field, direction });
+  }
+
+  async get() {
+    let docs = [...this.db.docs]
+      .filter(([path]) => path.startsWith(`${this.path}/`) && !path.slice(this.path.length + 1).includes('/'))
+      .map(([path, data]) => ({ id: path.split('/').pop(), data: () => data }))
+      .filter(doc => this.filters.every(({ field, value }) => compare(doc.data()[field], value) >= 0));
+
+    if (this.order) {
+      const { field, direction } = this.order;
+      docs = docs.sort((a, b) => compare(a.data()[field], b.data()[field]) * (direction === 'desc' ? -1 : 1));
+    }
+    return { docs };
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map();
+  }
+
+  collection(name) {
+    return new FakeCollection(this, name);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  batch() {
+    const writes = [];
+    return {
+      create: (ref, data) => writes.push([ref, data]),
+      commit: async () => {
+        for (const [ref, data] of writes) await ref.create(data);
+      },
+    };
+  }
+}
+FakeFirestore.Timestamp = Timestamp;
+
+// lib/firestore.js constructs its client on first use, so it gets the fake
+firestorePackage.Firestore = FakeFirestore;
+const { addReading, addReadings, getReadings } = require('../lib/firestore');
+
+test('imported readings are stored as Timestamps and come back from getReadings', async () => {
+  const dates = [new Date(Date.now() - DAY).toISOString(), new Date(Date.now() - 2 * DAY).toISOString()];
+  const { rows } = buildImport(`Date,Alk\n${dates[0]},8.1\n${dates[1]},7.9`);
+  const readings = rows.map(({ reading, key }) => ({ ...reading, dedupeKey: readingDedupeKey(reading, key) }));
+
+  const { stored } = await addReadings('user-1', 'tank-1', readings);
+  assert.equal(stored.length, 2);
+
+  const fetched = await getReadings('user-1', 'tank-1', 30);
+  assert.deepEqual(fetched.map(r => r.alk), [8.1, 7.9]);
+  assert.ok(fetched.every(r => r.timestamp instanceof Timestamp));
+  assert.deepEqual(fetched.map(r => r.timestamp.toDate().toISOString()), dates);
+});
+
+test('a reading with a client-supplied ISO timestamp is found by the range query', async () => {
+  const timestamp = new Date(Date.now() - DAY).toISOString();
+  await addReading('user-1', 'tank-2', { alk: 8.3, timestamp });
+  await addReading('user-1', 'tank-2', { alk: 8.2, timestamp, dedupeKey: 'idem:client-1' });
+
+  const fetched = await getReadings('user-1', 'tank-2', 7);
+  assert.equal(fetched.length, 2);
+  assert.equal(fetched[0].timestamp.toDate().toISOString(), timestamp);
+});
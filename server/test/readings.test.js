@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeReading, validateIdempotencyKey, readingDedupeKey } = require('../lib/readings');
+
+test('aliases and other units are converted to the canonical schema', () => {
+  const { ok, reading, ignored } = normalizeReading({ alkalinity: { value: 3, unit: 'meq/L' }, temperature: 77, salinity: 1.025, bogus: 1 });
+
+  assert.equal(ok, true);
+  assert.equal(reading.alk, 8.4);
+  assert.equal(reading.temp, 77);
+  assert.equal(reading.salinity, 33.1);
+  assert.deepEqual(reading.original.alk, { key: 'alkalinity', value: 3, unit: 'meq/L' });
+  assert.deepEqual(ignored, ['bogus']);
+});
+
+test('non-numeric values are rejected', () => {
+  assert.deepEqual(normalizeReading({ alk: 'abc' }), {
+    ok: false,
+    errors: [{ param: 'alk', error: 'alk must be a number' }],
+    ignored: [],
+  });
+});
+
+test('idempotency keys are trimmed, optional and length-limited', () => {
+  assert.deepEqual(validateIdempotencyKey(undefined), { ok: true, key: null });
+  assert.deepEqual(validateIdempotencyKey(' abc '), { ok: true, key: 'abc' });
+  assert.equal(validateIdempotencyKey('   ').ok, false);
+  assert.equal(validateIdempotencyKey('x'.repeat(201)).ok, false);
+});
+
+test('a reading is identified by its client key, else source and device time', () => {
+  assert.equal(readingDedupeKey({ alk: 8 }, 'k1'), 'idem:k1');
+  assert.equal(readingDedupeKey({ source: 'trident', tridentTimestamp: '2026-03-10T08:00:00Z', deviceTimestamp: '2026-03-10T09:00:00Z' }),
+    'trident:2026-03-10T08:00:00.000Z');
+  assert.equal(readingDedupeKey({ source: 'apex-probe', deviceTimestamp: '2026-03-10T09:00:00Z' }), 'apex-probe:2026-03-10T09:00:00.000Z');
+  assert.equal(readingDedupeKey({ alk: 8 }), null);
+});
@@ -0,0 +1,156 @@
+/**
+ * Integration: a simulator-mode server on a free port with its own state file
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../server');
+const { createProvider } = require('../lib/ai-providers');
+
+const stateFile = path.join(os.tmpdir(), `reefmind-test-${process.pid}.json`);
+let server;
+let base;
+
+// Helper: JSON request against the test server
+async function call(method, route, body, headers = {}) {
+  const response = await fetch(`${base}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  server = createServer({ mode: 'simulator', port: 0, simulator: { stateFile } });
+  await server.start();
+  base = `http://127.0.0.1:${server.port}/api`;
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(stateFile, { force: true });
+});
+
+test('reports status and the simulated tank', async () => {
+  const status = await call('GET', '/status');
+  assert.equal(status.status, 200);
+  assert.equal(status.body.status, 'ok');
+
+  const tanks = await call('GET', '/tanks');
+  assert.equal(tanks.status, 200);
+  assert.equal(tanks.body.tanks.length, 1);
+  assert.equal(tanks.body.tanks[0].id, 'sim-tank-1');
+});
+
+test('a reading retried with the same Idempotency-Key is stored once', async () => {
+  const headers = { 'Idempotency-Key': 'test-reading-1' };
+  const first = await call('POST', '/tanks/sim-tank-1/readings', {}, headers);
+  const retry = await call('POST', '/tanks/sim-tank-1/readings', {}, headers);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, false);
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(retry.body.reading.id, first.body.reading.id);
+});
+
+test('an event retried with the same Idempotency-Key is logged once', async () => {
+  const event = { type: 'note', title: 'Cleaned skimmer' };
+  const headers = { 'Idempotency-Key': 'test-event-1' };
+  const first = await call('POST', '/tanks/sim-tank-1/events', event, headers);
+  const retry = await call('POST', '/tanks/sim-tank-1/events', event, headers);
+
+  assert.equal(first.body.duplicate, false);
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(retry.body.event.id, first.body.event.id);
+
+  const events = await call('GET', '/tanks/sim-tank-1/events');
+  assert.equal(events.body.events.filter(e => e.title === 'Cleaned skimmer').length, 1);
+});
+
+test('a dosing recommendation faster than 1 dKH/day is rejected', async () => {
+  const result = await call('GET', '/tanks/sim-tank-1/dosing/recommend?maxDailyChange=5');
+
+  assert.equal(result.status, 400);
+  assert.match(result.body.error, /maxDailyChange/);
+});
+
+test('analysis without a model returns the stored rule-based diagnosis', async () => {
+  const result = await call('POST', '/tanks/sim-tank-1/analyze');
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.analysis.engine, 'rules');
+  assert.equal(typeof result.body.analysis.summary, 'string');
+  assert.equal(result.body.notice, undefined);
+
+  const analyses = await call('GET', '/tanks/sim-tank-1/analyses');
+  assert.equal(analyses.body.analyses[0].id, result.body.analysis.id);
+});
+
+test('instances are isolated: a second server on another port keeps its own state', async () => {
+  const otherState = path.join(os.tmpdir(), `reefmind-test-${process.pid}-other.json`);
+  const other = createServer({ mode: 'simulator', port: 0, simulator: { stateFile: otherState } });
+  await other.start();
+
+  try {
+    assert.notEqual(other.port, server.port);
+    const response = await fetch(`http://127.0.0.1:${other.port}/api/tanks/sim-tank-1/events`);
+    const { events } = await response.json();
+    assert.equal(events.some(e => e.title === 'Cleaned skimmer'), false);
+  } finally {
+    await other.stop();
+    fs.rmSync(otherState, { force: true });
+  }
+});
+
+test('each instance only hears its own readings on its event bus', async () => {
+  const otherState = path.join(os.tmpdir(), `reefmind-test-${process.pid}-events.json`);
+  const other = createServer({ mode: 'simulator', port: 0, simulator: { stateFile: otherState } });
+  await other.start();
+
+  try {
+    const heardByOther = [];
+    other.events.bus.on('reading', event => heardByOther.push(event));
+    const checked = new Promise(resolve => server.events.bus.once('tank-status', resolve));
+
+    await call('POST', '/tanks/sim-tank-1/readings', { alk: 8.2 });
+    await checked;
+    assert.deepEqual(heardByOther, []);
+  } finally {
+    await other.stop();
+    fs.rmSync(otherState, { force: true });
+  }
+});
+
+test('a model that fails falls back to the rules with a notice', async () => {
+  const failing = { name: 'failing', model: 'none', generate: async () => ({ ok: false, code: 'unreachable', error: 'No local model server', hint: 'Start it' }) };
+  const { createAnalyzer } = require('../lib/ai');
+  const fallbackState = path.join(os.tmpdir(), `reefmind-test-${process.pid}-fallback.json`);
+  const fallback = createServer({ mode: 'simulator', port: 0, ai: createAnalyzer({ provider: failing, library: false }), simulator: { stateFile: fallbackState } });
+  await fallback.start();
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${fallback.port}/api/tanks/sim-tank-1/analyze`, { method: 'POST' });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.analysis.engine, 'rules');
+    assert.equal(body.analysis.fallback, true);
+    assert.equal(body.notice.code, 'unreachable');
+  } finally {
+    await fallback.stop();
+    fs.rmSync(fallbackState, { force: true });
+  }
+});
+
+test('the stub provider answers analysis with schema-valid output', async () => {
+  const { checkAnalysis } = require('../lib/ai-schema');
+  const stub = createProvider({ provider: 'stub' });
+  const result = await stub.generate({ system: '', prompt: 'analyze' });
+
+  assert.equal(result.ok, true);
+  assert.equal(checkAnalysis(result.text).ok, true);
+});
@@ -4,45 +4,100 @@
  */
 
 const { Tray, Menu, nativeImage, app } = require('electron');
-const path = require('path');
+const { DEFAULT_UNIT_PREFERENCES, toDisplay, unitLabels } = require('./server/lib/units');
+
+// Badge colors (RGB) per status; grey until the first reading arrives
+const ICON_COLORS = {
+  green: [52, 199, 89],
+  yellow: [255, 204, 0],
+  red: [255, 59, 48],
+  grey: [142, 142, 147],
+};
+
+// Helper: "3h ago" style age for the last Trident test
+function timeAgo(iso) {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (isNaN(minutes)) return 'unknown';
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
 
 class ReefTray {
-  constructor(iconPath) {
-    this.tray = new Tray(this.createIcon('green'));
-    this.tray.setToolTip('ReefMind - Simulator Mode');
-    
-    this.status = 'green';
+  /**
+   * @param {object} options - { onDataSourceChange: (source) => Promise }
+   */
+  constructor(options = {}) {
+    this.onDataSourceChange = options.onDataSourceChange || null;
+    this.status = 'grey';
     this.dataSource = 'simulator';
     this.params = {};
-    
+    this.units = DEFAULT_UNIT_PREFERENCES;
+    this.lastTridentAt = null;
+    this.alerts = [];
+
+    this.tray = new Tray(this.createIcon(this.status));
+    this.tray.setToolTip('ReefMind');
+
+    // Keep "last Trident test" ages current between syncs
+    this.refreshTimer = setInterval(() => this.updateMenu(), 60000);
+    if (this.refreshTimer.unref) this.refreshTimer.unref();
+
     this.updateMenu();
   }
   
   createIcon(color) {
-    // For now, use the same icon. In production, generate colored versions.
-    const iconPath = path.join(__dirname, 'build', 'icon.png');
-    const icon = nativeImage.createFromPath(iconPath);
-    
-    // Resize for tray (platform-specific sizes)
-    if (process.platform === 'darwin') {
-      return icon.resize({ width: 16, height: 16 });
-    } else if (process.platform === 'win32') {
-      return icon.resize({ width: 16, height: 16 });
-    } else {
-      return icon.resize({ width: 22, height: 22 });
+    // Draw a filled status dot (platform tray sizes: 16px Windows/macOS, 22px Linux)
+    const size = process.platform === 'linux' ? 22 : 16;
+    const [r, g, b] = ICON_COLORS[color] || ICON_COLORS.grey;
+    const buffer = Buffer.alloc(size * size * 4);
+    const center = (size - 1) / 2;
+    const radius = size / 2 - 1;
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const distance = Math.hypot(x - center, y - center);
+        // Soft 1px edge, slightly darker rim so the dot reads on light and dark bars
+        const alpha = Math.max(0, Math.min(1, radius + 0.5 - distance));
+        const shade = distance > radius - 1.5 ? 0.75 : 1;
+        const offset = (y * size + x) * 4;
+
+        // BGRA, premultiplied
+        buffer[offset] = Math.round(b * shade * alpha);
+        buffer[offset + 1] = Math.round(g * shade * alpha);
+        buffer[offset + 2] = Math.round(r * shade * alpha);
+        buffer[offset + 3] = Math.round(alpha * 255);
+      }
     }
+
+    return nativeImage.createFromBitmap(buffer, { width: size, height: size });
   }
   
   updateStatus(status) {
+    if (status === this.status) return;
     this.status = status;
-    const icon = this.createIcon(status);
-    this.tray.setImage(icon);
-    this.updateMenu();
+    this.tray.setImage(this.createIcon(status));
   }
   
+  // Latest (canonical) value in the user's display unit, e.g. "2.89 meq/L" or "25.4°C"
+  formatParam(param) {
+    const label = unitLabels(this.units)[param];
+    const value = toDisplay(param, this.params[param], this.units);
+    return label.startsWith('°') ? `${value}${label}` : `${value} ${label}`;
+  }
+
+  /**
+   * Re-render the tray from the latest tank status
+   * @param {object} options - { dataSource, status: 'green'|'yellow'|'red'|'grey', params: { ph, alk, temp }, units, lastTridentAt, alerts }
+   */
   updateMenu(options = {}) {
     if (options.dataSource) this.dataSource = options.dataSource;
     if (options.params) this.params = options.params;
+    if (options.units) this.units = options.units;
+    if (options.lastTridentAt !== undefined) this.lastTridentAt = options.lastTridentAt;
+    if (options.alerts) this.alerts = options.alerts;
     if (options.status) this.updateStatus(options.status);
     
     const statusIcon = {
@@ -50,6 +105,12 @@ class ReefTray {
       yellow: '🟡',
       red: '🔴',
     }[this.status] || '⚪';
+
+    const statusLabel = {
+      green: 'All parameters in range',
+      yellow: `${this.alerts.length} warning${this.alerts.length === 1 ? '' : 's'}`,
+      red: `${this.alerts.filter(a => a.severity === 'critical').length} critical`,
+    }[this.status] || 'Waiting for data';
     
     const sourceLabel = {
       simulator: 'Simulator',
@@ -57,22 +118,38 @@ class ReefTray {
       local: 'Local Apex',
     }[this.dataSource] || 'Unknown';
     
+    this.tray.setToolTip(`ReefMind - ${sourceLabel}: ${statusLabel}`);
+
+    // The first few alerts, most severe first
+    const alertItems = [...this.alerts]
+      .sort((a, b) => (b.severity === 'critical') - (a.severity === 'critical'))
+      .slice(0, 3)
+      .map(alert => ({
+        label: `${alert.severity === 'critical' ? '🔴' : '🟡'} ${alert.message}`,
+        enabled: false,
+      }));
+
     const menu = Menu.buildFromTemplate([
       {
-        label: `${statusIcon} ReefMind`,
+        label: `${statusIcon} ReefMind — ${statusLabel}`,
         enabled: false,
       },
+      ...alertItems,
       { type: 'separator' },
       {
-        label: this.params.ph ? `pH: ${this.params.ph}` : 'No data yet',
+        label: Number.isFinite(this.params.ph) ? `pH: ${this.params.ph.toFixed(2)}` : 'No data yet',
+        enabled: false,
+      },
+      {
+        label: Number.isFinite(this.params.alk) ? `Alk: ${this.formatParam('alk')}` : 'No data yet',
         enabled: false,
       },
       {
-        label: this.params.alk ? `Alk: ${this.params.alk} dKH` : 'No data yet',
+        label: Number.isFinite(this.params.temp) ? `Temp: ${this.formatParam('temp')}` : 'No data yet',
         enabled: false,
       },
       {
-        label: this.params.temp ? `Temp: ${this.params.temp}°F` : 'No data yet',
+        label: this.lastTridentAt ? `Last Trident test: ${timeAgo(this.lastTridentAt)}` : 'Last Trident test: —',
         enabled: false,
       },
       { type: 'separator' },
@@ -122,16 +199,20 @@ class ReefTray {
   }
   
   changeDataSource(source) {
+    if (source === this.dataSource) return;
+
+    const previous = this.dataSource;
     this.dataSource = source;
-    
-    // Update main process settings
-    const { ipcMain } = require('electron');
-    const windows = require('electron').BrowserWindow.getAllWindows();
-    
-    // TODO: Trigger settings update via IPC
-    console.log(`Data source changed to: ${source}`);
-    
     this.updateMenu();
+
+    // Main process restarts the embedded server in the new mode
+    if (this.onDataSourceChange) {
+      Promise.resolve(this.onDataSourceChange(source)).catch(err => {
+        console.error('Data source switch failed:', err);
+        this.dataSource = previous;
+        this.updateMenu();
+      });
+    }
   }
   
   on(event, handler) {